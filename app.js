@@ -1,36 +1,49 @@
-import config from './config/index.js';
-import logger from './utils/logger.js';
-import { setupWallets } from './core/blockchain/wallet.js';
-import DailyInteractionService from './core/quests/dailyInteraction.js';
-import TransferQuestService from './core/quests/transferQuest.js';
-import CrossChainQuestService from './core/quests/crossChainQuest.js';
-import FaucetService from './core/faucet/faucetService.js';
-import { runInteractiveUI } from './ui/index.js';
-
-/**
- * Initialize the application
- * @returns {Promise<Object>} Services and config
- */
-async function initializeApp() {
-  logger.info('Initializing Union Quest Bot');
-  
-  try {
-    // Setup wallets
-    await setupWallets(config);
-    
-    // Initialize services
-    const services = {
-      daily: new DailyInteractionService(config),
-      transfer: new TransferQuestService(config),
-      crossChain: new CrossChainQuestService(config),
-      faucet: new FaucetService(config)
-    };
-    
-    return { services, config };
-  } catch (error) {
-    logger.error(`Initialization error: ${error.message}`);
-    throw error;
-  }
-}
-
-export default initializeApp;
\ No newline at end of file
+import config from './config/index.js';
+import logger from './utils/logger.js';
+import { setupWallets } from './core/blockchain/wallet.js';
+import { openSigners } from './core/blockchain/signers/index.js';
+import DailyInteractionService from './core/quests/dailyInteraction.js';
+import TransferQuestService from './core/quests/transferQuest.js';
+import CrossChainQuestService from './core/quests/crossChainQuest.js';
+import CustomQuestService from './core/quests/customQuest.js';
+import FaucetService from './core/faucet/faucetService.js';
+import ReconcileService from './core/progress/reconcile.js';
+import QuestPlanner from './core/quests/planner.js';
+import DailyScheduler from './core/quests/dailyScheduler.js';
+import QuestEvaluator from './core/quests/evaluator.js';
+import { runInteractiveUI } from './ui/index.js';
+
+/**
+ * Initialize the application
+ * @param {string|null} passphrase - Keystore passphrase (null if there is no keystore or a signer daemon holds the keys)
+ * @returns {Promise<Object>} Services, config and wallet signers
+ */
+async function initializeApp(passphrase) {
+  logger.info('Initializing Union Quest Bot');
+  
+  try {
+    // Open the wallet signers and setup wallets
+    const signers = await setupWallets(config, await openSigners(config, passphrase));
+    
+    // Initialize services
+    const daily = new DailyInteractionService(config);
+    const services = {
+      daily,
+      transfer: new TransferQuestService(config),
+      crossChain: new CrossChainQuestService(config),
+      custom: new CustomQuestService(config),
+      faucet: new FaucetService(config),
+      reconcile: new ReconcileService(config),
+      planner: new QuestPlanner(config),
+      scheduler: new DailyScheduler(config, daily),
+      evaluator: new QuestEvaluator(config)
+    };
+    
+    return { services, config, signers };
+  } catch (error) {
+    logger.error(`Initialization error: ${error.message}`);
+    throw error;
+  }
+}
+
+export default initializeApp;
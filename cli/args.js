@@ -0,0 +1,195 @@
+// cli/args.js
+import { parseArgs } from 'util';
+
+/**
+ * Commands available in non-interactive mode (mirrors the UI menu)
+ */
+const COMMANDS = ['daily', 'transfer', 'cross-chain', 'custom', 'progress', 'xp', 'reconcile', 'full', 'scheduler', 'keys', 'signer', 'help'];
+
+/**
+ * Actions of the keys command
+ */
+const KEY_ACTIONS = ['import', 'export', 'list', 'label'];
+
+/**
+ * Commands that can print a plan instead of running
+ */
+const DRY_RUN_COMMANDS = ['daily', 'transfer', 'cross-chain', 'custom', 'full'];
+
+/**
+ * Option definitions shared by all commands
+ */
+const OPTIONS = {
+  wallet: { type: 'string', default: 'all' },
+  threads: { type: 'string', default: '3' },
+  chain: { type: 'string' },
+  count: { type: 'string' },
+  'complete-next': { type: 'boolean', default: false },
+  quest: { type: 'string' },
+  all: { type: 'boolean', default: false },
+  amount: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  yes: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Error thrown for invalid command line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {number} Parsed value
+ * @throws {UsageError} If the value is not a positive integer
+ */
+function parsePositiveInt(value, name) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new UsageError(`--${name} must be a positive integer (got "${value}")`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse command line arguments into a command and normalized options
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{command: string, options: Object}} Parsed command
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  
+  const { values, positionals } = parsed;
+  const command = values.help ? 'help' : (positionals[0] || 'help');
+  
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  
+  // Only the keys command takes positional arguments: an action and a file (or label)
+  const maxPositionals = command === 'keys' ? 3 : 1;
+  if (positionals.length > maxPositionals) {
+    throw new UsageError(`Unexpected argument: ${positionals[maxPositionals]}`);
+  }
+  
+  const options = {
+    wallet: values.wallet === 'all' ? 'all' : parsePositiveInt(values.wallet, 'wallet') - 1,
+    threads: parsePositiveInt(values.threads, 'threads'),
+    chain: values.chain && values.chain.toLowerCase() !== 'all' ? values.chain.toUpperCase() : null,
+    count: values.count !== undefined ? parsePositiveInt(values.count, 'count') : null,
+    completeNext: values['complete-next'],
+    quest: values.quest ? values.quest.toUpperCase() : null,
+    all: values.all,
+    amount: values.amount || null,
+    json: values.json,
+    dryRun: values['dry-run'],
+    yes: values.yes,
+    action: command === 'keys' ? positionals[1] || null : null,
+    file: command === 'keys' && positionals[1] !== 'label' ? positionals[2] || null : null,
+    label: command === 'keys' && positionals[1] === 'label' ? positionals[2] || null : null
+  };
+  
+  if (command === 'keys' && !KEY_ACTIONS.includes(options.action)) {
+    throw new UsageError(`keys requires an action: ${KEY_ACTIONS.join(', ')}`);
+  }
+  
+  if (options.action === 'list' && options.file) {
+    throw new UsageError(`Unexpected argument: ${options.file}`);
+  }
+  
+  if (options.action === 'label' && options.wallet === 'all') {
+    throw new UsageError('keys label requires --wallet <n>');
+  }
+  
+  if (options.dryRun && !DRY_RUN_COMMANDS.includes(command)) {
+    throw new UsageError(`--dry-run only applies to: ${DRY_RUN_COMMANDS.join(', ')}`);
+  }
+  
+  if (command === 'transfer' && options.count && options.completeNext) {
+    throw new UsageError('Use either --count or --complete-next, not both');
+  }
+  
+  if (command === 'cross-chain' && !options.quest && !options.all) {
+    throw new UsageError('cross-chain requires --quest <name> or --all');
+  }
+  
+  if (options.amount !== null && !(parseFloat(options.amount) > 0)) {
+    throw new UsageError(`--amount must be a number greater than 0 (got "${options.amount}")`);
+  }
+  
+  return { command, options };
+}
+
+/**
+ * Usage text for the CLI
+ */
+const USAGE = `Usage: node index.js <command> [options]
+
+Run without a command to start the interactive UI.
+
+Commands:
+  daily                         Run daily interactions
+  transfer                      Run transfer quests
+      --chain <name|all>        Destination chain (default: all)
+      --count <n>               Number of transfers per chain (default: 1)
+      --complete-next           Perform the transfers needed to complete the next quest
+  cross-chain                   Run cross-chain quests
+      --quest <name>            Quest to run
+      --all                     Run all incomplete quests
+      --amount <amount>         Transfer amount for each hop
+  custom                        Run custom quests from config/quests.d
+      --quest <name>            Quest to run (default: all incomplete quests)
+  progress                      Show progress
+      --json                    Print progress as JSON
+  xp                            Show earned XP, milestones and the next milestones, with a
+                                summary across the selected wallets
+      --json                    Print the XP report as JSON
+  reconcile                     Compare progress with on-chain history
+      --yes                     Write the on-chain values back
+  full                          Run full automation (all quests)
+  scheduler                     Run daily interactions every day at the time set in
+                                config/scheduler.js until stopped
+  keys import [file]            Add the private keys in file (default: pk.txt) to the keystore
+  keys export [file]            Write the decrypted private keys to file (default: print them)
+  keys list                     List the wallets in the keystore
+      --json                    Print the wallets as JSON
+  keys label [label]            Set the label of the wallet chosen with --wallet (no label removes it)
+  signer                        Unlock the keystore and sign for bots started with SIGNER_SOCKET
+  help                          Show this help
+
+Common options:
+  --wallet <n|all>              Wallet number (1-based) or all (default: all)
+  --threads <n>                 Number of threads when running all wallets (default: 3)
+  --dry-run                     Print what daily, transfer, cross-chain, custom or full would
+                                do, with estimated fees and balance checks, without signing
+  --json                        With --dry-run, print the plan as JSON
+
+The keystore passphrase is read from KEYSTORE_PASSPHRASE or asked for when
+running in a terminal. With SIGNER_SOCKET set, the bot signs through the
+signer daemon listening on that socket and never unlocks the keystore itself.
+
+Exit codes: 0 on success, 1 if any task failed, 2 on invalid usage.`;
+
+export {
+  COMMANDS,
+  DRY_RUN_COMMANDS,
+  KEY_ACTIONS,
+  UsageError,
+  parseCliArgs,
+  USAGE
+};
@@ -0,0 +1,348 @@
+// cli/index.js
+import { UsageError, USAGE } from './args.js';
+import { displayProgress, displayAddresses, displayReconcileDiff, displayPlan, displayXp, displayXpSummary } from '../ui/screens.js';
+import ProgressService from '../core/progress/progress.js';
+import workerManager from '../core/workers/workerManager.js';
+import runFullAutomation from '../core/quests/fullAutomation.js';
+import logger from '../utils/logger.js';
+import { formatWalletName } from '../utils/common.js';
+
+/**
+ * Process exit codes
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * Run a command non-interactively
+ * @param {Object} services - Core services
+ * @param {Object} config - Application configuration
+ * @param {{command: string, options: Object}} cli - Parsed command line
+ * @param {Signer[]} signers - Signers of all wallets
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(services, config, { command, options }, signers) {
+  if (command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  try {
+    if (signers.length === 0) {
+      logger.error('No private keys found. Import them with: node index.js keys import pk.txt');
+      return EXIT_CODES.FAILURE;
+    }
+    
+    if (options.wallet !== 'all' && options.wallet >= signers.length) {
+      throw new UsageError(`Wallet ${options.wallet + 1} does not exist. Valid range: 1-${signers.length}`);
+    }
+    
+    const outcome = await runCommand(services, config, command, options, signers);
+    logger.info(`${command} finished: ${outcome.succeeded}/${outcome.total} succeeded`);
+    
+    return outcome.succeeded === outcome.total ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    
+    logger.error(`Error running ${command}: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Dispatch a command to the matching service
+ * @param {Object} services - Core services
+ * @param {Object} config - Application configuration
+ * @param {string} command - Command name
+ * @param {Object} options - Parsed options
+ * @param {Signer[]} signers - Signers of all wallets
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome of the command
+ */
+async function runCommand(services, config, command, options, signers) {
+  const { wallet, threads } = options;
+  
+  switch (command) {
+    case 'daily':
+      if (options.dryRun) {
+        return dryRun(services.planner, config, signers, options, [
+          { quest: 'daily', planWallet: (signer, walletIndex) => services.daily.planWallet(signer, walletIndex) }
+        ]);
+      }
+      
+      return wallet === 'all'
+        ? services.daily.runForAll(signers, threads)
+        : services.daily.run(signers[wallet], wallet);
+    
+    case 'transfer': {
+      if (options.chain && !config.quests.TRANSFER[options.chain]) {
+        throw new UsageError(`Unknown transfer quest chain: ${options.chain}. Valid chains: ${Object.keys(config.quests.TRANSFER).join(', ')}`);
+      }
+      
+      const transferOptions = {
+        chain: options.chain,
+        count: options.count,
+        completeNext: options.completeNext
+      };
+      
+      if (options.dryRun) {
+        return dryRun(services.planner, config, signers, options, [
+          { quest: 'transfer', planWallet: (signer, walletIndex) => services.transfer.planWallet(signer, walletIndex, transferOptions) }
+        ]);
+      }
+      
+      return wallet === 'all'
+        ? services.transfer.runForAll(signers, transferOptions, threads)
+        : services.transfer.run(signers[wallet], wallet, transferOptions);
+    }
+    
+    case 'cross-chain': {
+      if (options.quest && !config.quests.CROSS_CHAIN.some(quest => quest.name === options.quest)) {
+        throw new UsageError(`Unknown cross-chain quest: ${options.quest}. Valid quests: ${config.quests.CROSS_CHAIN.map(quest => quest.name).join(', ')}`);
+      }
+      
+      const crossChainOptions = {
+        quest: options.all ? null : options.quest,
+        amount: options.amount || config.DEFAULT_TRANSFER_AMOUNT,
+        all: options.all
+      };
+      
+      if (options.dryRun) {
+        return dryRun(services.planner, config, signers, options, [
+          { quest: 'cross-chain', planWallet: (signer, walletIndex) => services.crossChain.planWallet(signer, walletIndex, crossChainOptions) }
+        ]);
+      }
+      
+      return wallet === 'all'
+        ? services.crossChain.runForAll(signers, crossChainOptions, threads)
+        : services.crossChain.run(signers[wallet], wallet, crossChainOptions);
+    }
+    
+    case 'custom': {
+      if (options.quest && !config.quests.CUSTOM.some(quest => quest.name === options.quest)) {
+        throw new UsageError(`Unknown custom quest: ${options.quest}. Valid quests: ${config.quests.CUSTOM.map(quest => quest.name).join(', ')}`);
+      }
+      
+      const customOptions = { quest: options.quest };
+      
+      if (options.dryRun) {
+        return dryRun(services.planner, config, signers, options, [
+          { quest: 'custom', planWallet: (signer, walletIndex) => services.custom.planWallet(signer, walletIndex, customOptions) }
+        ]);
+      }
+      
+      return wallet === 'all'
+        ? services.custom.runForAll(signers, customOptions, threads)
+        : services.custom.run(signers[wallet], wallet, customOptions);
+    }
+    
+    case 'progress':
+      return showProgress(config, signers, getWalletIndexes(wallet, signers), options.json);
+    
+    case 'xp':
+      return showXp(services.evaluator, signers, getWalletIndexes(wallet, signers), options.json);
+    
+    case 'reconcile':
+      return reconcile(services.reconcile, signers, getWalletIndexes(wallet, signers), options);
+    
+    case 'scheduler':
+      return runScheduler(services.scheduler, signers, threads);
+    
+    case 'full': {
+      // Same quests and options as runFullAutomation (faucets are not planned)
+      if (options.dryRun) {
+        return dryRun(services.planner, config, signers, options, [
+          { quest: 'daily', planWallet: (signer, walletIndex) => services.daily.planWallet(signer, walletIndex) },
+          { quest: 'transfer', planWallet: (signer, walletIndex) => services.transfer.planWallet(signer, walletIndex, { count: 1 }) },
+          { quest: 'cross-chain', planWallet: (signer, walletIndex) => services.crossChain.planWallet(signer, walletIndex, { all: true }) },
+          { quest: 'custom', planWallet: (signer, walletIndex) => services.custom.planWallet(signer, walletIndex) }
+        ]);
+      }
+      
+      workerManager.setMaxConcurrentWorkers(threads);
+      const outcome = { total: 0, succeeded: 0 };
+      
+      for (const walletIndex of getWalletIndexes(wallet, signers)) {
+        const walletOutcome = await runFullAutomation(services, signers[walletIndex], walletIndex, threads);
+        outcome.total += walletOutcome.total;
+        outcome.succeeded += walletOutcome.succeeded;
+      }
+      
+      return outcome;
+    }
+    
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Resolve the wallet option to a list of wallet indexes
+ * @param {number|string} wallet - Wallet index or 'all'
+ * @param {Signer[]} signers - Signers of all wallets
+ * @returns {number[]} Wallet indexes
+ */
+function getWalletIndexes(wallet, signers) {
+  return wallet === 'all' ? signers.map((_, i) => i) : [wallet];
+}
+
+/**
+ * Print what a command would do without signing anything
+ * @param {QuestPlanner} planner - Quest planner
+ * @param {Object} config - Application configuration
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} options - Parsed options
+ * @param {QuestPlanSource[]} sources - Quest services to plan
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome; a wallet succeeds if it can run its plan
+ */
+async function dryRun(planner, config, signers, options, sources) {
+  const plan = await planner.plan(signers, getWalletIndexes(options.wallet, signers), sources);
+  
+  if (options.json) {
+    console.log(JSON.stringify(plan, null, 2));
+  } else {
+    displayPlan(plan, config);
+  }
+  
+  return { total: plan.summary.wallets, succeeded: plan.summary.ready };
+}
+
+/**
+ * Run the daily scheduler until the process is stopped
+ * @param {DailyScheduler} scheduler - Daily scheduler
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {number} threads - Maximum number of concurrent wallets
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome; the outcome of each run is logged instead
+ */
+async function runScheduler(scheduler, signers, threads) {
+  const controller = new AbortController();
+  const stop = () => {
+    logger.info('Stopping scheduler after the current run');
+    controller.abort();
+  };
+  
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  await scheduler.start(signers, threads, controller.signal);
+  return { total: 0, succeeded: 0 };
+}
+
+/**
+ * Print progress for the selected wallets
+ * @param {Object} config - Application configuration
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {number[]} walletIndexes - Wallet indexes
+ * @param {boolean} json - Whether to print JSON
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome
+ */
+async function showProgress(config, signers, walletIndexes, json) {
+  const wallets = [];
+  
+  for (const walletIndex of walletIndexes) {
+    const progressService = new ProgressService(signers[walletIndex].walletId, walletIndex);
+    wallets.push({ wallet: walletIndex + 1, ...await progressService.readProgressData() });
+  }
+  
+  if (json) {
+    console.log(JSON.stringify({ wallets }, null, 2));
+  } else {
+    for (const { wallet, ...progressData } of wallets) {
+      console.log(`\n${formatWalletName(wallet - 1, progressData.label)}`);
+      displayProgress(progressData, config);
+      displayAddresses(progressData.addresses);
+    }
+  }
+  
+  return { total: wallets.length, succeeded: wallets.length };
+}
+
+/**
+ * Print the XP and milestones of the selected wallets
+ * @param {QuestEvaluator} evaluator - Quest evaluator
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {number[]} walletIndexes - Wallet indexes
+ * @param {boolean} json - Whether to print JSON
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome
+ */
+async function showXp(evaluator, signers, walletIndexes, json) {
+  const wallets = [];
+  
+  for (const walletIndex of walletIndexes) {
+    const progressData = await new ProgressService(signers[walletIndex].walletId, walletIndex).readProgressData();
+    wallets.push({ wallet: walletIndex + 1, label: progressData.label, ...evaluator.evaluateWallet(progressData) });
+  }
+  
+  const summary = evaluator.summarize(wallets);
+  
+  if (json) {
+    console.log(JSON.stringify({ wallets, summary }, null, 2));
+  } else {
+    wallets.forEach(({ wallet, label, ...evaluation }) => displayXp(wallet - 1, label, evaluation));
+    
+    if (wallets.length > 1) {
+      displayXpSummary(summary);
+    }
+  }
+  
+  return { total: wallets.length, succeeded: wallets.length };
+}
+
+/**
+ * Compare progress with on-chain history and optionally write the corrections
+ * The differences are always printed before anything is written.
+ * @param {Object} reconcileService - Reconcile service
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {number[]} walletIndexes - Wallet indexes
+ * @param {Object} options - Parsed options
+ * @returns {Promise<{total: number, succeeded: number}>} Outcome
+ */
+async function reconcile(reconcileService, signers, walletIndexes, options) {
+  const outcome = { total: walletIndexes.length, succeeded: 0 };
+  const reports = [];
+  
+  for (const walletIndex of walletIndexes) {
+    try {
+      reports.push(await reconcileService.buildReport(signers[walletIndex], walletIndex));
+    } catch (error) {
+      logger.error(`Error reconciling wallet ${walletIndex + 1}: ${error.message}`);
+    }
+  }
+  
+  if (options.json) {
+    console.log(JSON.stringify({
+      applied: options.yes,
+      wallets: reports.map(({ walletIndex, changes }) => ({ wallet: walletIndex + 1, changes }))
+    }, null, 2));
+  } else {
+    reports.forEach(report => displayReconcileDiff(report.walletIndex, report.changes));
+    
+    if (!options.yes && reports.some(report => report.changes.length > 0)) {
+      console.log('Run again with --yes to write the on-chain values to the progress files.');
+    }
+  }
+  
+  for (const report of reports) {
+    try {
+      if (options.yes && report.changes.length > 0) {
+        await reconcileService.applyReport(report);
+      }
+      
+      outcome.succeeded++;
+    } catch (error) {
+      logger.error(`Error writing the reconciled progress of wallet ${report.walletIndex + 1}: ${error.message}`);
+    }
+  }
+  
+  return outcome;
+}
+
+export {
+  EXIT_CODES,
+  runCli
+};
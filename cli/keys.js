@@ -0,0 +1,204 @@
+// cli/keys.js
+import fs from 'fs/promises';
+import { EXIT_CODES } from './index.js';
+import { promptForPassphrase } from '../ui/prompts.js';
+import { getAddressForChain, getWalletIdChain, setupWallets } from '../core/blockchain/wallet.js';
+import { openSigners } from '../core/blockchain/signers/index.js';
+import ProgressService from '../core/progress/progress.js';
+import ProgressStore from '../core/progress/store.js';
+import { startSignerDaemon } from '../core/blockchain/signers/signerDaemon.js';
+import {
+  KEYSTORE_PATH,
+  PASSPHRASE_ENV,
+  MIN_PASSPHRASE_LENGTH,
+  KeystoreError,
+  keystoreExists,
+  readKeystore,
+  importKeys,
+  parseKeyFile,
+  getPassphraseFromEnv
+} from '../core/blockchain/keystore.js';
+import logger from '../utils/logger.js';
+import { formatWalletName } from '../utils/common.js';
+
+/**
+ * Default file for keys import
+ */
+const DEFAULT_IMPORT_FILE = 'pk.txt';
+
+/**
+ * Get the keystore passphrase from the environment or by asking the user
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.create] - The passphrase protects a new keystore (asked twice)
+ * @returns {Promise<string>} Passphrase
+ * @throws {KeystoreError} If there is no passphrase and no terminal to ask in
+ */
+async function getPassphrase({ create = false } = {}) {
+  const passphrase = getPassphraseFromEnv();
+  if (passphrase) {
+    return passphrase;
+  }
+  
+  if (!process.stdin.isTTY) {
+    throw new KeystoreError(`Set ${PASSPHRASE_ENV} to unlock ${KEYSTORE_PATH} in non-interactive runs`);
+  }
+  
+  const answers = await promptForPassphrase({
+    confirm: create,
+    minLength: create ? MIN_PASSPHRASE_LENGTH : 1
+  });
+  return answers.passphrase;
+}
+
+/**
+ * Get the passphrase that unlocks the keystore before the bot starts
+ * @returns {Promise<string|null>} Passphrase or null if there is no keystore yet
+ */
+async function unlockKeystore() {
+  return await keystoreExists() ? getPassphrase() : null;
+}
+
+/**
+ * Run the keys command
+ * @param {Object} config - Application configuration
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Process exit code
+ */
+async function runKeysCommand(config, options) {
+  try {
+    switch (options.action) {
+      case 'import':
+        await importKeyFile(options.file || DEFAULT_IMPORT_FILE);
+        break;
+      case 'export':
+        await exportKeys(options.file);
+        break;
+      case 'list':
+        await listWallets(config, options.json);
+        break;
+      case 'label':
+        await labelWallet(config, options.wallet, options.label);
+        break;
+    }
+    
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    logger.error(`Error running keys ${options.action}: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Add the keys of a plaintext key file to the keystore
+ * @param {string} file - Key file (one key per line)
+ */
+async function importKeyFile(file) {
+  const privateKeys = parseKeyFile(await fs.readFile(file, 'utf8'));
+  if (privateKeys.length === 0) {
+    throw new Error(`No private keys found in ${file}`);
+  }
+  
+  const passphrase = await getPassphrase({ create: !await keystoreExists() });
+  const { added, skipped, total } = await importKeys(privateKeys, passphrase);
+  
+  console.log(`Imported ${added} key(s) from ${file} (${skipped} already in the keystore). ${KEYSTORE_PATH} holds ${total} wallet(s).`);
+  console.log(`The keys in ${file} are still in plaintext. Delete the file once you have a backup.`);
+}
+
+/**
+ * Print the decrypted keys or write them to a file
+ * @param {string|null} file - Output file, or null to print
+ */
+async function exportKeys(file) {
+  const privateKeys = await readKeystore(await getPassphrase());
+  
+  if (!file) {
+    privateKeys.forEach(privateKey => console.log(privateKey));
+    return;
+  }
+  
+  await fs.writeFile(file, `${privateKeys.join('\n')}\n`, { encoding: 'utf8', mode: 0o600 });
+  console.log(`Exported ${privateKeys.length} key(s) to ${file}`);
+}
+
+/**
+ * Print the wallets in the keystore with their Union address and label
+ * @param {Object} config - Application configuration
+ * @param {boolean} json - Whether to print JSON
+ */
+async function listWallets(config, json) {
+  const privateKeys = await readKeystore(await getPassphrase());
+  const chainName = getWalletIdChain(config);
+  const { state } = await new ProgressStore().read();
+  
+  const wallets = [];
+  for (let i = 0; i < privateKeys.length; i++) {
+    const address = await getAddressForChain(privateKeys[i], config.chains[chainName], i);
+    wallets.push({ wallet: i + 1, chain: chainName, address, label: state.wallets[address]?.label ?? null });
+  }
+  
+  if (json) {
+    console.log(JSON.stringify({ wallets }, null, 2));
+    return;
+  }
+  
+  console.log(`${KEYSTORE_PATH}: ${wallets.length} wallet(s)`);
+  wallets.forEach(({ wallet, address, label }) => console.log(`  ${formatWalletName(wallet - 1, label)}: ${address}`));
+}
+
+/**
+ * Set or remove the label of a wallet
+ * The label is stored with the wallet's progress, so it stays with the key when keys are reordered.
+ * @param {Object} config - Application configuration
+ * @param {number} walletIndex - Wallet index
+ * @param {string|null} label - Label, or null to remove it
+ */
+async function labelWallet(config, walletIndex, label) {
+  const signers = await setupWallets(config, await openSigners(config, await getPassphrase()));
+  if (walletIndex >= signers.length) {
+    throw new Error(`Wallet ${walletIndex + 1} does not exist. Valid range: 1-${signers.length}`);
+  }
+  
+  await new ProgressService(signers[walletIndex].walletId, walletIndex).updateLabel(label);
+  console.log(label ? `${formatWalletName(walletIndex, label)} labelled` : `Removed the label of wallet ${walletIndex + 1}`);
+}
+
+/**
+ * Run the signer command: serve sign requests until the process is stopped
+ * @param {Object} config - Application configuration
+ * @returns {Promise<number>} Process exit code
+ */
+async function runSignerCommand(config) {
+  let server;
+  
+  try {
+    if (!await keystoreExists()) {
+      throw new KeystoreError(`No keystore at ${KEYSTORE_PATH}. Run "node index.js keys import" first.`);
+    }
+    
+    const privateKeys = await readKeystore(await getPassphrase());
+    server = await startSignerDaemon(config.signer.socketPath, privateKeys);
+  } catch (error) {
+    logger.error(`Error starting the signer daemon: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+  
+  // Run until stopped, then remove the socket
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  
+  // Connected bots are cut off when the process exits, so there is no need to wait for them
+  logger.info('Stopping signer daemon');
+  server.close();
+  await fs.rm(config.signer.socketPath, { force: true });
+  return EXIT_CODES.SUCCESS;
+}
+
+export {
+  getPassphrase,
+  unlockKeystore,
+  runKeysCommand,
+  runSignerCommand
+};
@@ -0,0 +1,39 @@
+/**
+ * @typedef {Object} BroadcastConfig
+ * @property {number} timeoutMs - Maximum time to wait for a broadcast transaction to be included in a block
+ * @property {number} pollIntervalMs - Delay between inclusion checks
+ */
+
+/**
+ * @type {BroadcastConfig}
+ */
+const broadcast = {
+  timeoutMs: 60000,
+  pollIntervalMs: 3000
+};
+
+/**
+ * Validates broadcast configuration
+ * @param {BroadcastConfig} broadcast - Broadcast configuration
+ * @throws {Error} If validation fails
+ */
+function validateBroadcast(broadcast) {
+  if (!broadcast || typeof broadcast !== 'object') {
+    throw new Error('Broadcast configuration must be an object');
+  }
+  
+  for (const field of ['timeoutMs', 'pollIntervalMs']) {
+    if (typeof broadcast[field] !== 'number' || broadcast[field] <= 0) {
+      throw new Error(`Invalid broadcast configuration. ${field} must be a positive number.`);
+    }
+  }
+  
+  if (broadcast.pollIntervalMs > broadcast.timeoutMs) {
+    throw new Error('Invalid broadcast configuration. pollIntervalMs cannot exceed timeoutMs.');
+  }
+}
+
+// Validate the broadcast configuration
+validateBroadcast(broadcast);
+
+export default broadcast;
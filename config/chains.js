@@ -1,104 +1,214 @@
-/**
- * @typedef {Object} GasPrice
- * @property {string} amount - Gas price amount
- * @property {string} denom - Gas price denomination
- */
-
-/**
- * @typedef {Object} ChainConfig
- * @property {string} chainId - Chain identifier
- * @property {string} rpcEndpoint - RPC endpoint URL
- * @property {string} prefix - Address prefix
- * @property {string} denom - Token denomination
- * @property {GasPrice} gasPrice - Gas price configuration
- * @property {number} decimals - Token decimals
- */
-
-/**
- * @type {Object.<string, ChainConfig>}
- */
-const chains = {
-    UNION: {
-      chainId: "union-testnet-9",
-      rpcEndpoint: "https://union-testnet-rpc.polkachu.com/",
-      prefix: "union",
-      denom: "muno",
-      gasPrice: { amount: "0.03", denom: "muno" },
-      decimals: 6
-    },
-    BABYLON: {
-      chainId: "bbn-test-5",
-      rpcEndpoint: "https://babylon-testnet-rpc.nodes.guru",
-      prefix: "bbn",
-      denom: "ubbn",
-      gasPrice: { amount: "0.025", denom: "ubbn" },
-      decimals: 6
-    },
-    STARGAZE: {
-      chainId: "elgafar-1",
-      rpcEndpoint: "https://rpc.elgafar-1.stargaze-apis.com",
-      prefix: "stars",
-      denom: "ustars",
-      gasPrice: { amount: "0.025", denom: "ustars" },
-      decimals: 6
-    },
-    STRIDE: {
-      chainId: "stride-internal-1",
-      rpcEndpoint: "https://stride.testnet-1.stridenet.co",
-      prefix: "stride",
-      denom: "ustrd",
-      gasPrice: { amount: "0.025", denom: "ustrd" },
-      decimals: 6
-    }
-  };
-  
-  /**
-   * Validates chain configurations
-   * @param {Object.<string, ChainConfig>} chains - Chain configuration object
-   * @throws {Error} If validation fails
-   */
-  function validateChains(chains) {
-    if (!chains || typeof chains !== 'object') {
-      throw new Error('Chains configuration must be an object');
-    }
-    
-    if (Object.keys(chains).length === 0) {
-      throw new Error('Chains configuration cannot be empty');
-    }
-    
-    // Validate each chain configuration
-    for (const [chainName, chainConfig] of Object.entries(chains)) {
-      const requiredFields = [
-        'chainId', 'rpcEndpoint', 'prefix', 'denom', 'gasPrice', 'decimals'
-      ];
-      
-      // Check for missing required fields
-      const missingFields = requiredFields.filter(field => !chainConfig[field]);
-      if (missingFields.length > 0) {
-        throw new Error(`Invalid chain configuration for ${chainName}. Missing required fields: ${missingFields.join(', ')}`);
-      }
-      
-      // Validate gasPrice structure
-      const { gasPrice } = chainConfig;
-      if (!gasPrice.amount || !gasPrice.denom) {
-        throw new Error(`Invalid gasPrice configuration for ${chainName}. Must include amount and denom.`);
-      }
-      
-      // Validate decimals
-      if (typeof chainConfig.decimals !== 'number' || chainConfig.decimals < 0) {
-        throw new Error(`Invalid decimals configuration for ${chainName}. Must be a non-negative number.`);
-      }
-      
-      // Validate URL format for rpcEndpoint
-      try {
-        new URL(chainConfig.rpcEndpoint);
-      } catch (error) {
-        throw new Error(`Invalid rpcEndpoint for ${chainName}: ${chainConfig.rpcEndpoint}`);
-      }
-    }
-  }
-  
-  // Validate the chains
-  validateChains(chains);
-  
-  export default chains;
\ No newline at end of file
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readConfigFiles } from './loader.js';
+
+/**
+ * @typedef {Object} GasPrice
+ * @property {string} amount - Gas price amount
+ * @property {string} denom - Gas price denomination
+ */
+
+/**
+ * @typedef {Object} ChainConfig
+ * @property {string} chainId - Chain identifier
+ * @property {string} rpcEndpoint - RPC endpoint URL (the first of rpcEndpoints once loaded)
+ * @property {string[]} [rpcEndpoints] - RPC endpoints to fail over between, best healthy one first
+ * @property {string} prefix - Address prefix
+ * @property {number} [coinType] - BIP44 coin type used to derive addresses from mnemonics (default: 118)
+ * @property {string} denom - Token denomination
+ * @property {GasPrice} gasPrice - Gas price configuration
+ * @property {number} [gasMultiplier] - Factor applied to simulated gas (default: fees.gasMultiplier)
+ * @property {string} [feeCap] - Highest fee to sign, in raw units of the gas price denom
+ * @property {number} decimals - Token decimals
+ * @property {string} symbol - Display token symbol
+ * @property {string} [preferredSource] - Preferred source chain for transfers to this chain
+ * @property {number} [sourcePriority] - Priority when picking this chain as a transfer source (higher first)
+ */
+
+// Directory with user chain definitions (one JSON or YAML file per chain)
+const CHAIN_CONFIG_DIR = process.env.CHAIN_CONFIG_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'chains.d');
+
+/**
+ * @type {Object.<string, ChainConfig>}
+ */
+const builtinChains = {
+    UNION: {
+      chainId: "union-testnet-9",
+      rpcEndpoint: "https://union-testnet-rpc.polkachu.com/",
+      prefix: "union",
+      denom: "muno",
+      gasPrice: { amount: "0.03", denom: "muno" },
+      feeCap: "100000",
+      decimals: 6,
+      symbol: "MUNO",
+      preferredSource: "STARGAZE",
+      sourcePriority: 1
+    },
+    BABYLON: {
+      chainId: "bbn-test-5",
+      rpcEndpoint: "https://babylon-testnet-rpc.nodes.guru",
+      prefix: "bbn",
+      denom: "ubbn",
+      gasPrice: { amount: "0.025", denom: "ubbn" },
+      feeCap: "100000",
+      decimals: 6,
+      symbol: "BBN",
+      preferredSource: "UNION"
+    },
+    STARGAZE: {
+      chainId: "elgafar-1",
+      rpcEndpoint: "https://rpc.elgafar-1.stargaze-apis.com",
+      prefix: "stars",
+      denom: "ustars",
+      gasPrice: { amount: "0.025", denom: "ustars" },
+      feeCap: "100000",
+      decimals: 6,
+      symbol: "STARS",
+      sourcePriority: 3
+    },
+    STRIDE: {
+      chainId: "stride-internal-1",
+      rpcEndpoint: "https://stride.testnet-1.stridenet.co",
+      prefix: "stride",
+      denom: "ustrd",
+      gasPrice: { amount: "0.025", denom: "ustrd" },
+      feeCap: "100000",
+      decimals: 6,
+      symbol: "STRD",
+      sourcePriority: 2
+    }
+  };
+  
+  /**
+   * Load user chain definitions from a directory of JSON/YAML files.
+   * Each file describes one chain; its name defaults to the upper-cased file name.
+   * @param {string} dir - Directory to scan
+   * @returns {Object.<string, ChainConfig>} Chains keyed by name
+   */
+  function loadChainFiles(dir) {
+    const loaded = {};
+    
+    for (const { filePath, baseName, data } of readConfigFiles(dir)) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Chain file ${filePath} must contain a single chain object`);
+      }
+      
+      const { name, ...chainConfig } = data;
+      const chainName = (name || baseName).toUpperCase();
+      
+      if (loaded[chainName]) {
+        throw new Error(`Chain ${chainName} is defined more than once in ${dir}`);
+      }
+      
+      loaded[chainName] = chainConfig;
+    }
+    
+    return loaded;
+  }
+  
+  /**
+   * Validates chain configurations
+   * @param {Object.<string, ChainConfig>} chains - Chain configuration object
+   * @throws {Error} If validation fails
+   */
+  function validateChains(chains) {
+    if (!chains || typeof chains !== 'object') {
+      throw new Error('Chains configuration must be an object');
+    }
+    
+    if (Object.keys(chains).length === 0) {
+      throw new Error('Chains configuration cannot be empty');
+    }
+    
+    // Validate each chain configuration
+    for (const [chainName, chainConfig] of Object.entries(chains)) {
+      const requiredFields = [
+        'chainId', 'prefix', 'denom', 'gasPrice', 'symbol'
+      ];
+      
+      // Check for missing required fields
+      const missingFields = requiredFields.filter(field => !chainConfig[field]);
+      if (missingFields.length > 0) {
+        throw new Error(`Invalid chain configuration for ${chainName}. Missing required fields: ${missingFields.join(', ')}`);
+      }
+      
+      // Validate gasPrice structure
+      const { gasPrice } = chainConfig;
+      if (!gasPrice.amount || !gasPrice.denom) {
+        throw new Error(`Invalid gasPrice configuration for ${chainName}. Must include amount and denom.`);
+      }
+      
+      // Validate decimals (0 is a valid value, so it is not in requiredFields)
+      if (typeof chainConfig.decimals !== 'number' || chainConfig.decimals < 0) {
+        throw new Error(`Invalid decimals configuration for ${chainName}. Must be a non-negative number.`);
+      }
+      
+      // Validate the endpoint lists and the URL format of every endpoint
+      if (!chainConfig.rpcEndpoint && !chainConfig.rpcEndpoints) {
+        throw new Error(`Invalid chain configuration for ${chainName}. Missing required fields: rpcEndpoint or rpcEndpoints`);
+      }
+      
+      if (chainConfig.rpcEndpoints !== undefined && (!Array.isArray(chainConfig.rpcEndpoints) || chainConfig.rpcEndpoints.length === 0)) {
+        throw new Error(`Invalid rpcEndpoints for ${chainName}. Must be a non-empty list of URLs.`);
+      }
+      
+      const endpointUrls = [chainConfig.rpcEndpoint, ...(chainConfig.rpcEndpoints || [])];
+      for (const url of endpointUrls.filter(url => url !== undefined)) {
+        try {
+          new URL(url);
+        } catch (error) {
+          throw new Error(`Invalid endpoint for ${chainName}: ${url}`);
+        }
+      }
+      
+      // Validate optional routing hints
+      if (chainConfig.preferredSource && !chains[chainConfig.preferredSource]) {
+        throw new Error(`Invalid preferredSource for ${chainName}: ${chainConfig.preferredSource} is not a configured chain`);
+      }
+      
+      if (chainConfig.sourcePriority !== undefined && typeof chainConfig.sourcePriority !== 'number') {
+        throw new Error(`Invalid sourcePriority for ${chainName}. Must be a number.`);
+      }
+      
+      // Validate the optional HD coin type
+      if (chainConfig.coinType !== undefined && (!Number.isInteger(chainConfig.coinType) || chainConfig.coinType < 0)) {
+        throw new Error(`Invalid coinType for ${chainName}. Must be a non-negative integer.`);
+      }
+      
+      // Validate optional fee settings
+      if (chainConfig.gasMultiplier !== undefined && (typeof chainConfig.gasMultiplier !== 'number' || chainConfig.gasMultiplier < 1)) {
+        throw new Error(`Invalid gasMultiplier for ${chainName}. Must be a number of at least 1.`);
+      }
+      
+      if (chainConfig.feeCap !== undefined && !/^\d+$/.test(String(chainConfig.feeCap))) {
+        throw new Error(`Invalid feeCap for ${chainName}. Must be a raw amount of ${gasPrice.denom} (digits only).`);
+      }
+    }
+  }
+  
+  // Merge built-in chains with user chain files (user files may override built-ins)
+  const chains = {
+    ...builtinChains,
+    ...loadChainFiles(CHAIN_CONFIG_DIR)
+  };
+  
+  /**
+   * Fill in the endpoint list of every chain. rpcEndpoint stays the first RPC endpoint,
+   * so code that only needs one endpoint keeps working.
+   * @param {Object.<string, ChainConfig>} chains - Validated chain configuration object
+   */
+  function normalizeEndpoints(chains) {
+    for (const chainConfig of Object.values(chains)) {
+      const rpcEndpoints = [chainConfig.rpcEndpoint, ...(chainConfig.rpcEndpoints || [])].filter(Boolean);
+      
+      chainConfig.rpcEndpoints = [...new Set(rpcEndpoints)];
+      chainConfig.rpcEndpoint = chainConfig.rpcEndpoints[0];
+    }
+  }
+  
+  // Validate the chains
+  validateChains(chains);
+  normalizeEndpoints(chains);
+  
+  export default chains;
@@ -0,0 +1,34 @@
+import { isValidTimeZone } from '../utils/dates.js';
+
+/**
+ * @typedef {Object} DayBoundaryConfig
+ * @property {string} timeZone - Time zone whose midnight starts a new quest day: an IANA name (e.g. "Europe/Berlin") or a fixed UTC offset (e.g. "+08:00")
+ */
+
+/**
+ * @type {DayBoundaryConfig}
+ */
+const dayBoundary = {
+  // Daily interactions and streaks count per day in this time zone; set it to match the quest program
+  timeZone: 'UTC'
+};
+
+/**
+ * Validates day boundary configuration
+ * @param {DayBoundaryConfig} dayBoundary - Day boundary configuration
+ * @throws {Error} If validation fails
+ */
+function validateDayBoundary(dayBoundary) {
+  if (!dayBoundary || typeof dayBoundary !== 'object') {
+    throw new Error('Day boundary configuration must be an object');
+  }
+  
+  if (!isValidTimeZone(dayBoundary.timeZone)) {
+    throw new Error(`Invalid day boundary configuration. timeZone must be an IANA time zone or a UTC offset like +08:00 (got "${dayBoundary.timeZone}").`);
+  }
+}
+
+// Validate the day boundary configuration
+validateDayBoundary(dayBoundary);
+
+export default dayBoundary;
@@ -0,0 +1,55 @@
+/**
+ * @typedef {Object} EndpointHealthConfig
+ * @property {number} checkIntervalMs - How often the endpoints of a chain are probed again
+ * @property {number} probeTimeoutMs - Time an endpoint has to answer a health probe
+ * @property {number} requestTimeoutMs - Time an endpoint has to answer a call before the next endpoint is tried
+ * @property {number} maxHeightLag - Blocks an endpoint may be behind the highest endpoint of its chain and still count as healthy
+ * @property {number} maxErrorRate - Share of failed calls (0-1) above which an endpoint counts as unhealthy
+ * @property {number} errorWindow - Number of recent calls the error rate is computed over
+ * @property {number} cooldownMs - Time an endpoint is skipped after a failed call
+ */
+
+/**
+ * @type {EndpointHealthConfig}
+ */
+const endpoints = {
+  checkIntervalMs: 60000,
+  probeTimeoutMs: 5000,
+  requestTimeoutMs: 30000,
+  maxHeightLag: 20,
+  maxErrorRate: 0.5,
+  errorWindow: 20,
+  cooldownMs: 30000
+};
+
+/**
+ * Validates endpoint health configuration
+ * @param {EndpointHealthConfig} endpoints - Endpoint health configuration
+ * @throws {Error} If validation fails
+ */
+function validateEndpoints(endpoints) {
+  if (!endpoints || typeof endpoints !== 'object') {
+    throw new Error('Endpoint health configuration must be an object');
+  }
+  
+  for (const field of ['checkIntervalMs', 'probeTimeoutMs', 'requestTimeoutMs', 'cooldownMs']) {
+    if (typeof endpoints[field] !== 'number' || endpoints[field] <= 0) {
+      throw new Error(`Invalid endpoint health configuration. ${field} must be a positive number.`);
+    }
+  }
+  
+  for (const field of ['maxHeightLag', 'errorWindow']) {
+    if (!Number.isInteger(endpoints[field]) || endpoints[field] <= 0) {
+      throw new Error(`Invalid endpoint health configuration. ${field} must be a positive integer.`);
+    }
+  }
+  
+  if (typeof endpoints.maxErrorRate !== 'number' || endpoints.maxErrorRate <= 0 || endpoints.maxErrorRate > 1) {
+    throw new Error('Invalid endpoint health configuration. maxErrorRate must be a number between 0 and 1.');
+  }
+}
+
+// Validate the endpoint health configuration
+validateEndpoints(endpoints);
+
+export default endpoints;
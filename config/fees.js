@@ -0,0 +1,48 @@
+/**
+ * @typedef {Object} PlannedGasConfig
+ * @property {number} sameChain - Gas limit assumed for a same-chain transfer
+ * @property {number} crossChain - Gas limit assumed for an IBC transfer
+ */
+
+/**
+ * @typedef {Object} FeeConfig
+ * @property {number} gasMultiplier - Factor applied to simulated gas to get the gas limit (chains can override it)
+ * @property {PlannedGasConfig} plannedGas - Gas limits used to estimate fees in dry runs, where nothing is simulated
+ */
+
+/**
+ * @type {FeeConfig}
+ */
+const fees = {
+  gasMultiplier: 1.4,
+  plannedGas: {
+    sameChain: 150000,
+    crossChain: 400000
+  }
+};
+
+/**
+ * Validates fee configuration
+ * @param {FeeConfig} fees - Fee configuration
+ * @throws {Error} If validation fails
+ */
+function validateFees(fees) {
+  if (!fees || typeof fees !== 'object') {
+    throw new Error('Fee configuration must be an object');
+  }
+  
+  if (typeof fees.gasMultiplier !== 'number' || fees.gasMultiplier < 1) {
+    throw new Error('Invalid fee configuration. gasMultiplier must be a number of at least 1.');
+  }
+  
+  for (const kind of ['sameChain', 'crossChain']) {
+    if (!Number.isInteger(fees.plannedGas?.[kind]) || fees.plannedGas[kind] <= 0) {
+      throw new Error(`Invalid fee configuration. plannedGas.${kind} must be a positive integer.`);
+    }
+  }
+}
+
+// Validate the fee configuration
+validateFees(fees);
+
+export default fees;
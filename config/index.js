@@ -1,15 +1,31 @@
-import chains from './chains.js';
-import quests, { DEFAULT_TRANSFER_AMOUNT } from './quests.js';
-import logger from '../utils/logger.js';
-
-// Create the configuration object
-const config = {
-  chains,
-  quests,
-  DEFAULT_TRANSFER_AMOUNT
-};
-
-// Log successful configuration
-logger.info('Configuration loaded successfully');
-
-export default config;
\ No newline at end of file
+import chains from './chains.js';
+import quests, { DEFAULT_TRANSFER_AMOUNT } from './quests.js';
+import packetTracking from './packets.js';
+import broadcast from './broadcast.js';
+import endpoints from './endpoints.js';
+import routing from './routing.js';
+import fees from './fees.js';
+import signer from './signer.js';
+import scheduler from './scheduler.js';
+import dayBoundary from './dayBoundary.js';
+import logger from '../utils/logger.js';
+
+// Create the configuration object
+const config = {
+  chains,
+  quests,
+  packetTracking,
+  broadcast,
+  endpoints,
+  routing,
+  fees,
+  signer,
+  scheduler,
+  dayBoundary,
+  DEFAULT_TRANSFER_AMOUNT
+};
+
+// Log successful configuration
+logger.info('Configuration loaded successfully');
+
+export default config;
@@ -0,0 +1,37 @@
+// config/loader.js
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const CONFIG_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Read and parse every JSON/YAML file in a directory.
+ * Files are read synchronously so configuration is ready when the module loads.
+ * @param {string} dir - Directory to scan (a missing directory yields no files)
+ * @returns {{filePath: string, baseName: string, data: any}[]} Parsed files, sorted by file name
+ * @throws {Error} If a file cannot be parsed
+ */
+function readConfigFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dir)
+    .filter(file => CONFIG_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      const extension = path.extname(file).toLowerCase();
+      
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const data = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+        return { filePath, baseName: path.basename(file, path.extname(file)), data };
+      } catch (error) {
+        throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+      }
+    });
+}
+
+export { readConfigFiles };
@@ -0,0 +1,41 @@
+/**
+ * @typedef {Object} PacketTrackingConfig
+ * @property {number} timeoutMs - Maximum time to follow a packet before giving up
+ * @property {number} pollIntervalMs - Delay between status checks
+ * @property {boolean} waitForAck - Whether to keep waiting for the acknowledgement once the packet is received
+ */
+
+/**
+ * @type {PacketTrackingConfig}
+ */
+const packetTracking = {
+  timeoutMs: 300000,
+  pollIntervalMs: 5000,
+  waitForAck: true
+};
+
+/**
+ * Validates packet tracking configuration
+ * @param {PacketTrackingConfig} packetTracking - Packet tracking configuration
+ * @throws {Error} If validation fails
+ */
+function validatePacketTracking(packetTracking) {
+  if (!packetTracking || typeof packetTracking !== 'object') {
+    throw new Error('Packet tracking configuration must be an object');
+  }
+  
+  for (const field of ['timeoutMs', 'pollIntervalMs']) {
+    if (typeof packetTracking[field] !== 'number' || packetTracking[field] <= 0) {
+      throw new Error(`Invalid packet tracking configuration. ${field} must be a positive number.`);
+    }
+  }
+  
+  if (packetTracking.pollIntervalMs > packetTracking.timeoutMs) {
+    throw new Error('Invalid packet tracking configuration. pollIntervalMs cannot exceed timeoutMs.');
+  }
+}
+
+// Validate the packet tracking configuration
+validatePacketTracking(packetTracking);
+
+export default packetTracking;
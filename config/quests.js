@@ -1,147 +1,234 @@
-/**
- * @typedef {Object} DailyQuest
- * @property {number} days - Number of days required
- * @property {number} xp - Experience points awarded
- */
-
-/**
- * @typedef {Object} TransferQuest
- * @property {string} name - Quest name
- * @property {number} count - Number of transfers required
- * @property {number} xp - Experience points awarded
- */
-
-/**
- * @typedef {Object} CrossChainQuest
- * @property {string} name - Quest name
- * @property {string[]} path - Path of chains to transfer through
- * @property {number} xp - Experience points awarded
- */
-
-/**
- * @type {Object} Quest configuration
- */
-const quests = {
-  DAILY_INTERACTION: {
-    UNION: {
-      CURIOUS: { days: 3, xp: 5 },
-      DIAMOND_HANDS: { days: 5, xp: 10 },
-      TESTNET_DEGEN: { days: 10, xp: 15 },
-      UNION_MAXI: { days: 15, xp: 20 }
-    },
-    BABYLON: {
-      BABY: { days: 3, xp: 5 },
-      HANGING_GARDENS: { days: 5, xp: 10 },
-      HAMMURABI: { days: 10, xp: 15 },
-      NEBUCHADNEZZAR: { days: 15, xp: 20 }
-    }
-  },
-  
-  TRANSFER: {
-    UNION: [
-      { name: "INITIATE", count: 1, xp: 5 },
-      { name: "APPRENTICE", count: 10, xp: 5 },
-      { name: "JOURNEYMAN", count: 25, xp: 5 },
-      { name: "CHAMPION", count: 50, xp: 5 },
-      { name: "MAESTRO", count: 250, xp: 5 },
-      { name: "GRAND_MASTER", count: 500, xp: 15 }
-    ],
-    BABYLON: [
-      { name: "BEGINNER", count: 1, xp: 5 },
-      { name: "DABBLER", count: 10, xp: 5 },
-      { name: "EXPLORER", count: 25, xp: 5 },
-      { name: "NAVIGATOR", count: 50, xp: 5 },
-      { name: "GARDENS_HERO", count: 250, xp: 5 },
-      { name: "TOWER", count: 500, xp: 15 }
-    ]
-  },
-  
-  CROSS_CHAIN: [
-    { 
-      name: "CHAIN_REACTION", 
-      path: ["UNION", "BABYLON"], 
-      xp: 5 
-    },
-    { 
-      name: "TRIPLE_THREAT", 
-      path: ["UNION", "BABYLON", "STARGAZE"], 
-      xp: 5 
-    },
-    { 
-      name: "SIX_CHAINS", 
-      // Updated path to use available channels only
-      // Original: ["UNION", "BABYLON", "STARGAZE", "STRIDE", "BABYLON", "UNION"]
-      // Problem: No direct channels for STARGAZE→STRIDE and STRIDE→BABYLON
-      //["UNION", "BABYLON", "STARGAZE", "UNION", "STRIDE", "UNION", "BABYLON", "UNION"]
-      //["UNION", "BABYLON", "UNION", "STRIDE", "UNION", "STARGAZE", "UNION"]
-      //["UNION", "BABYLON", "STARGAZE", "BABYLON", "UNION", "STRIDE", "UNION"]
-      //["UNION", "BABYLON", "STARGAZE", "BABYLON", "STRIDE", "UNION", "BABYLON"]
-      path: ["UNION", "BABYLON", "UNION", "STARGAZE", "UNION", "BABYLON", "UNION"], 
-      xp: 5 
-    }
-  ]
-};
-
-// Default transfer amount
-const DEFAULT_TRANSFER_AMOUNT = "0.00001";
-
-/**
- * Validates quest configurations
- * @param {Object} quests - Quest configuration object
- * @throws {Error} If validation fails
- */
-function validateQuests(quests) {
-  if (!quests || typeof quests !== 'object') {
-    throw new Error('Quests configuration must be an object');
-  }
-  
-  // Check for required quest types
-  const requiredQuestTypes = ['DAILY_INTERACTION', 'TRANSFER', 'CROSS_CHAIN'];
-  const missingQuestTypes = requiredQuestTypes.filter(type => !quests[type]);
-  if (missingQuestTypes.length > 0) {
-    throw new Error(`Missing required quest types: ${missingQuestTypes.join(', ')}`);
-  }
-  
-  // Validate daily interaction quests
-  for (const [chainName, dailyQuests] of Object.entries(quests.DAILY_INTERACTION)) {
-    for (const [questName, questConfig] of Object.entries(dailyQuests)) {
-      if (!questConfig.days || !questConfig.xp) {
-        throw new Error(`Invalid daily interaction quest config for ${chainName}.${questName}`);
-      }
-    }
-  }
-  
-  // Validate transfer quests
-  for (const [chainName, transferQuests] of Object.entries(quests.TRANSFER)) {
-    if (!Array.isArray(transferQuests)) {
-      throw new Error(`Transfer quests for ${chainName} must be an array`);
-    }
-    
-    transferQuests.forEach((quest, index) => {
-      if (!quest.name || quest.count === undefined || quest.xp === undefined) {
-        throw new Error(`Invalid transfer quest config at ${chainName}[${index}]`);
-      }
-    });
-  }
-  
-  // Validate cross-chain quests
-  if (!Array.isArray(quests.CROSS_CHAIN)) {
-    throw new Error('CROSS_CHAIN quests must be an array');
-  }
-  
-  quests.CROSS_CHAIN.forEach((quest, index) => {
-    if (!quest.name || !Array.isArray(quest.path) || quest.xp === undefined) {
-      throw new Error(`Invalid cross-chain quest config at CROSS_CHAIN[${index}]`);
-    }
-    
-    if (quest.path.length < 2) {
-      throw new Error(`Cross-chain quest ${quest.name} must have at least 2 chains in path`);
-    }
-  });
-}
-
-// Validate the quests
-validateQuests(quests);
-
-export default quests;
-export { DEFAULT_TRANSFER_AMOUNT };
\ No newline at end of file
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readConfigFiles } from './loader.js';
+import chains from './chains.js';
+import { getQuestType } from '../core/quests/types/index.js';
+
+/**
+ * @typedef {Object} DailyQuest
+ * @property {number} days - Number of days required
+ * @property {number} xp - Experience points awarded
+ */
+
+/**
+ * @typedef {Object} TransferQuest
+ * @property {string} name - Quest name
+ * @property {number} count - Number of transfers required
+ * @property {number} xp - Experience points awarded
+ */
+
+/**
+ * @typedef {Object} CrossChainQuest
+ * @property {string} name - Quest name
+ * @property {string[]} [path] - Exact path of chains to transfer through
+ * @property {Object} [route] - Route constraints resolved by the route planner instead of a literal path
+ * @property {string[]} route.visit - Chains the route must pass through
+ * @property {string} [route.start] - Chain the route starts on
+ * @property {string} [route.end] - Chain the route ends on
+ * @property {boolean} [route.ordered] - Visit the chains in the listed order
+ * @property {string[]} [route.avoid] - Chains never used as intermediate hops
+ * @property {number} [route.maxHops] - Maximum number of transfers
+ * @property {number} xp - Experience points awarded
+ */
+
+/**
+ * @typedef {Object} CustomQuest
+ * @property {string} name - Quest name
+ * @property {string} type - Quest type (see core/quests/types)
+ * @property {number} xp - Experience points awarded
+ * @property {string} [description] - Description shown in the UI
+ */
+
+// Directory with quest definition files (JSON or YAML, one quest or a list per file)
+const QUEST_CONFIG_DIR = process.env.QUEST_CONFIG_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'quests.d');
+
+/**
+ * Load custom quest definitions from a directory of JSON/YAML files
+ * @param {string} dir - Directory to scan
+ * @returns {CustomQuest[]} Quest definitions in file order
+ */
+function loadQuestFiles(dir) {
+  return readConfigFiles(dir).flatMap(({ filePath, data }) => {
+    const definitions = Array.isArray(data) ? data : [data];
+    
+    return definitions.map(definition => {
+      if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Quest file ${filePath} must contain a quest object or a list of quest objects`);
+      }
+      
+      return { ...definition, name: String(definition.name || '').toUpperCase() };
+    });
+  });
+}
+
+/**
+ * @type {Object} Quest configuration
+ */
+const quests = {
+  DAILY_INTERACTION: {
+    UNION: {
+      CURIOUS: { days: 3, xp: 5 },
+      DIAMOND_HANDS: { days: 5, xp: 10 },
+      TESTNET_DEGEN: { days: 10, xp: 15 },
+      UNION_MAXI: { days: 15, xp: 20 }
+    },
+    BABYLON: {
+      BABY: { days: 3, xp: 5 },
+      HANGING_GARDENS: { days: 5, xp: 10 },
+      HAMMURABI: { days: 10, xp: 15 },
+      NEBUCHADNEZZAR: { days: 15, xp: 20 }
+    }
+  },
+  
+  TRANSFER: {
+    UNION: [
+      { name: "INITIATE", count: 1, xp: 5 },
+      { name: "APPRENTICE", count: 10, xp: 5 },
+      { name: "JOURNEYMAN", count: 25, xp: 5 },
+      { name: "CHAMPION", count: 50, xp: 5 },
+      { name: "MAESTRO", count: 250, xp: 5 },
+      { name: "GRAND_MASTER", count: 500, xp: 15 }
+    ],
+    BABYLON: [
+      { name: "BEGINNER", count: 1, xp: 5 },
+      { name: "DABBLER", count: 10, xp: 5 },
+      { name: "EXPLORER", count: 25, xp: 5 },
+      { name: "NAVIGATOR", count: 50, xp: 5 },
+      { name: "GARDENS_HERO", count: 250, xp: 5 },
+      { name: "TOWER", count: 500, xp: 15 }
+    ]
+  },
+  
+  CROSS_CHAIN: [
+    { 
+      name: "CHAIN_REACTION", 
+      path: ["UNION", "BABYLON"], 
+      xp: 5 
+    },
+    { 
+      name: "TRIPLE_THREAT", 
+      path: ["UNION", "BABYLON", "STARGAZE"], 
+      xp: 5 
+    },
+    { 
+      name: "SIX_CHAINS", 
+      // There are no direct STARGAZE→STRIDE or STRIDE→BABYLON channels, so let the
+      // route planner fill in the intermediate hops
+      route: {
+        visit: ["UNION", "BABYLON", "STARGAZE", "STRIDE", "BABYLON", "UNION"],
+        ordered: true
+      },
+      xp: 5 
+    }
+  ],
+  
+  // Quests of plugin types, defined in config/quests.d
+  CUSTOM: loadQuestFiles(QUEST_CONFIG_DIR)
+};
+
+// Default transfer amount
+const DEFAULT_TRANSFER_AMOUNT = "0.00001";
+
+/**
+ * Validates quest configurations
+ * @param {Object} quests - Quest configuration object
+ * @throws {Error} If validation fails
+ */
+function validateQuests(quests) {
+  if (!quests || typeof quests !== 'object') {
+    throw new Error('Quests configuration must be an object');
+  }
+  
+  // Every family is optional; missing ones are treated as empty
+  const questFamilies = {
+    DAILY_INTERACTION: () => ({}),
+    TRANSFER: () => ({}),
+    CROSS_CHAIN: () => [],
+    CUSTOM: () => []
+  };
+  
+  const unknownFamilies = Object.keys(quests).filter(family => !questFamilies[family]);
+  if (unknownFamilies.length > 0) {
+    throw new Error(`Unknown quest families: ${unknownFamilies.join(', ')}. Use CUSTOM quests for new quest kinds`);
+  }
+  
+  for (const [family, createEmpty] of Object.entries(questFamilies)) {
+    if (!quests[family]) {
+      quests[family] = createEmpty();
+    }
+  }
+  
+  // Validate daily interaction quests
+  for (const [chainName, dailyQuests] of Object.entries(quests.DAILY_INTERACTION)) {
+    if (!chains[chainName]) {
+      throw new Error(`Daily interaction quests reference unknown chain ${chainName}`);
+    }
+    
+    for (const [questName, questConfig] of Object.entries(dailyQuests)) {
+      if (!questConfig.days || !questConfig.xp) {
+        throw new Error(`Invalid daily interaction quest config for ${chainName}.${questName}`);
+      }
+    }
+  }
+  
+  // Validate transfer quests
+  for (const [chainName, transferQuests] of Object.entries(quests.TRANSFER)) {
+    if (!Array.isArray(transferQuests)) {
+      throw new Error(`Transfer quests for ${chainName} must be an array`);
+    }
+    
+    transferQuests.forEach((quest, index) => {
+      if (!quest.name || quest.count === undefined || quest.xp === undefined) {
+        throw new Error(`Invalid transfer quest config at ${chainName}[${index}]`);
+      }
+    });
+  }
+  
+  // Validate cross-chain quests
+  if (!Array.isArray(quests.CROSS_CHAIN)) {
+    throw new Error('CROSS_CHAIN quests must be an array');
+  }
+  
+  quests.CROSS_CHAIN.forEach((quest, index) => {
+    if (!quest.name || quest.xp === undefined || Boolean(quest.path) === Boolean(quest.route)) {
+      throw new Error(`Invalid cross-chain quest config at CROSS_CHAIN[${index}]. Requires name, xp and either path or route`);
+    }
+    
+    const chainList = quest.path || quest.route.visit;
+    if (!Array.isArray(chainList) || chainList.length < (quest.path ? 2 : 1)) {
+      throw new Error(`Cross-chain quest ${quest.name} must have at least 2 chains in path or 1 chain in route.visit`);
+    }
+    
+    const routeChains = [...chainList, ...(quest.route ? [quest.route.start, quest.route.end, ...(quest.route.avoid || [])] : [])];
+    const unknownChains = routeChains.filter(chain => chain && !chains[chain]);
+    if (unknownChains.length > 0) {
+      throw new Error(`Cross-chain quest ${quest.name} uses unknown chains: ${unknownChains.join(', ')}`);
+    }
+  });
+  
+  // Validate custom quests: common schema first, then the fields of their type
+  if (!Array.isArray(quests.CUSTOM)) {
+    throw new Error('CUSTOM quests must be an array');
+  }
+  
+  const customNames = new Set();
+  quests.CUSTOM.forEach((quest, index) => {
+    if (!quest.name || typeof quest.type !== 'string' || typeof quest.xp !== 'number' || quest.xp < 0) {
+      throw new Error(`Invalid custom quest config at CUSTOM[${index}]. Required: name, type, xp`);
+    }
+    
+    if (customNames.has(quest.name)) {
+      throw new Error(`Custom quest ${quest.name} is defined more than once`);
+    }
+    customNames.add(quest.name);
+    
+    getQuestType(quest.type).validate(quest, chains);
+  });
+}
+
+// Validate the quests
+validateQuests(quests);
+
+export default quests;
+export { DEFAULT_TRANSFER_AMOUNT };
@@ -0,0 +1,37 @@
+/**
+ * @typedef {Object} RoutingConfig
+ * @property {number} channelCacheTtlMs - How long the fetched channel list is reused before fetching it again
+ * @property {number} maxHops - Upper limit on the number of transfers in a planned route
+ */
+
+/**
+ * @type {RoutingConfig}
+ */
+const routing = {
+  channelCacheTtlMs: 6 * 60 * 60 * 1000,
+  maxHops: 12
+};
+
+/**
+ * Validates routing configuration
+ * @param {RoutingConfig} routing - Routing configuration
+ * @throws {Error} If validation fails
+ */
+function validateRouting(routing) {
+  if (!routing || typeof routing !== 'object') {
+    throw new Error('Routing configuration must be an object');
+  }
+  
+  if (typeof routing.channelCacheTtlMs !== 'number' || routing.channelCacheTtlMs < 0) {
+    throw new Error('Invalid routing configuration. channelCacheTtlMs must be a non-negative number.');
+  }
+  
+  if (!Number.isInteger(routing.maxHops) || routing.maxHops <= 0) {
+    throw new Error('Invalid routing configuration. maxHops must be a positive integer.');
+  }
+}
+
+// Validate the routing configuration
+validateRouting(routing);
+
+export default routing;
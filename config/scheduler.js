@@ -0,0 +1,48 @@
+/**
+ * @typedef {Object} SchedulerConfig
+ * @property {string} runAt - Time of day (HH:MM, in the day boundary time zone) at which the scheduler runs the daily interactions
+ * @property {number} retryDelayMs - Delay before the first retry of a failed run
+ * @property {number} maxRetryDelayMs - Upper limit on the delay between retries (the delay doubles after each failure)
+ * @property {number} checkIntervalMs - Longest the scheduler sleeps before checking the clock again
+ */
+
+/**
+ * @type {SchedulerConfig}
+ */
+const scheduler = {
+  runAt: '00:05',
+  retryDelayMs: 5 * 60 * 1000,
+  maxRetryDelayMs: 2 * 60 * 60 * 1000,
+  checkIntervalMs: 60 * 1000
+};
+
+/**
+ * Validates scheduler configuration
+ * @param {SchedulerConfig} scheduler - Scheduler configuration
+ * @throws {Error} If validation fails
+ */
+function validateScheduler(scheduler) {
+  if (!scheduler || typeof scheduler !== 'object') {
+    throw new Error('Scheduler configuration must be an object');
+  }
+  
+  const match = /^(\d{2}):(\d{2})$/.exec(scheduler.runAt);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid scheduler configuration. runAt must be a time of day as HH:MM (got "${scheduler.runAt}").`);
+  }
+  
+  for (const field of ['retryDelayMs', 'maxRetryDelayMs', 'checkIntervalMs']) {
+    if (typeof scheduler[field] !== 'number' || scheduler[field] <= 0) {
+      throw new Error(`Invalid scheduler configuration. ${field} must be a positive number.`);
+    }
+  }
+  
+  if (scheduler.retryDelayMs > scheduler.maxRetryDelayMs) {
+    throw new Error('Invalid scheduler configuration. retryDelayMs cannot exceed maxRetryDelayMs.');
+  }
+}
+
+// Validate the scheduler configuration
+validateScheduler(scheduler);
+
+export default scheduler;
@@ -0,0 +1,38 @@
+/**
+ * @typedef {Object} SignerConfig
+ * @property {string} type - 'local' signs in the main process with keys from the keystore, 'socket' asks a signer daemon
+ * @property {string} socketPath - Unix socket the signer daemon listens on
+ */
+
+/**
+ * @type {SignerConfig}
+ */
+const signer = {
+  // Setting SIGNER_SOCKET makes the bot sign through a daemon started with `node index.js signer`
+  type: process.env.SIGNER_SOCKET ? 'socket' : 'local',
+  socketPath: process.env.SIGNER_SOCKET || './signer.sock'
+};
+
+/**
+ * Validates signer configuration
+ * @param {SignerConfig} signer - Signer configuration
+ * @throws {Error} If validation fails
+ */
+function validateSigner(signer) {
+  if (!signer || typeof signer !== 'object') {
+    throw new Error('Signer configuration must be an object');
+  }
+  
+  if (!['local', 'socket'].includes(signer.type)) {
+    throw new Error(`Invalid signer type: ${signer.type}. Must be local or socket.`);
+  }
+  
+  if (typeof signer.socketPath !== 'string' || signer.socketPath.length === 0) {
+    throw new Error('Invalid signer configuration. socketPath must be a non-empty string.');
+  }
+}
+
+// Validate the signer configuration
+validateSigner(signer);
+
+export default signer;
@@ -0,0 +1,158 @@
+// core/blockchain/broadcast.js
+import crypto from 'crypto';
+import { parseCoins } from '@cosmjs/stargate';
+import { decodeTxRaw } from '@cosmjs/proto-signing';
+import { sleep } from '../../utils/common.js';
+
+/**
+ * Outcome of a broadcast transaction
+ */
+const TX_STATUS = {
+  CONFIRMED: 'confirmed', // Included in a block and executed successfully
+  FAILED: 'failed',       // Included in a block but execution failed
+  PENDING: 'pending'      // Accepted into the mempool but not included before the deadline
+};
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} status - One of TX_STATUS
+ * @property {string} hash - Transaction hash
+ * @property {number|null} height - Block height of inclusion
+ * @property {number|null} code - Result code (0 on success)
+ * @property {number|null} gasUsed - Gas used
+ * @property {number|null} gasWanted - Gas limit of the transaction
+ * @property {Array<{denom: string, amount: string}>} fee - Fee paid
+ * @property {string} rawLog - Raw log of the execution
+ * @property {readonly Object[]} events - Transaction events
+ * @property {string} [error] - Reason the transaction is not confirmed
+ */
+
+/**
+ * Hash of encoded transaction bytes, as the chain reports it
+ * @param {Uint8Array} txBytes - Encoded transaction
+ * @returns {string} Upper-case hex hash
+ */
+function txHash(txBytes) {
+  return crypto.createHash('sha256').update(txBytes).digest('hex').toUpperCase();
+}
+
+/**
+ * Submit a transaction to the mempool without waiting for inclusion
+ * A transaction that is already in the mempool counts as submitted; its hash is the hash of the bytes.
+ * @param {StargateClient} client - Client connected to the chain
+ * @param {Uint8Array} txBytes - Encoded transaction
+ * @returns {Promise<string>} Transaction hash
+ * @throws {Error} If the chain rejects the transaction in CheckTx
+ */
+async function submitTx(client, txBytes) {
+  try {
+    return await client.broadcastTxSync(txBytes);
+  } catch (error) {
+    if (/tx already exists in cache/i.test(error.message)) {
+      return txHash(txBytes);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the fee paid by a transaction from its "tx" event, or from the fee it was signed with
+ * @param {IndexedTx} indexedTx - Included transaction
+ * @returns {Array<{denom: string, amount: string}>} Fee paid
+ */
+function getFeePaid(indexedTx) {
+  const feeAttribute = indexedTx.events
+    .find(event => event.type === 'tx' && event.attributes.some(attr => attr.key === 'fee'))
+    ?.attributes.find(attr => attr.key === 'fee');
+  
+  if (feeAttribute) {
+    return feeAttribute.value ? parseCoins(feeAttribute.value) : [];
+  }
+  
+  try {
+    return (decodeTxRaw(indexedTx.tx).authInfo.fee?.amount || []).map(({ denom, amount }) => ({ denom, amount }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Build the result of an included transaction
+ * @param {IndexedTx} indexedTx - Included transaction
+ * @returns {TxResult} Transaction result
+ */
+function toTxResult(indexedTx) {
+  const failed = indexedTx.code !== 0;
+  
+  return {
+    status: failed ? TX_STATUS.FAILED : TX_STATUS.CONFIRMED,
+    hash: indexedTx.hash,
+    height: indexedTx.height,
+    code: indexedTx.code,
+    gasUsed: Number(indexedTx.gasUsed),
+    gasWanted: Number(indexedTx.gasWanted),
+    fee: getFeePaid(indexedTx),
+    rawLog: indexedTx.rawLog,
+    events: indexedTx.events,
+    error: failed ? `Transaction failed with code ${indexedTx.code}: ${indexedTx.rawLog}` : undefined
+  };
+}
+
+/**
+ * Wait until a transaction is included in a block or the deadline passes
+ * RPC errors while polling are treated as "not yet".
+ * @param {StargateClient} client - Client connected to the chain
+ * @param {string} hash - Transaction hash
+ * @param {Object} options - Polling options
+ * @param {number} options.timeoutMs - Maximum time to wait
+ * @param {number} options.pollIntervalMs - Delay between checks
+ * @returns {Promise<TxResult>} Confirmed, failed or (after the deadline) pending result
+ */
+async function confirmTx(client, hash, { timeoutMs, pollIntervalMs }) {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (true) {
+    const indexedTx = await client.getTx(hash).catch(() => null);
+    if (indexedTx) {
+      return toTxResult(indexedTx);
+    }
+    
+    if (Date.now() >= deadline) {
+      return {
+        status: TX_STATUS.PENDING,
+        hash,
+        height: null,
+        code: null,
+        gasUsed: null,
+        gasWanted: null,
+        fee: [],
+        rawLog: '',
+        events: [],
+        error: `Transaction ${hash} was not included in a block within ${Math.round(timeoutMs / 1000)} seconds`
+      };
+    }
+    
+    await sleep(Math.min(pollIntervalMs, Math.max(deadline - Date.now(), 0)));
+  }
+}
+
+/**
+ * Submit a transaction and wait for its inclusion
+ * @param {StargateClient} client - Client connected to the chain
+ * @param {Uint8Array} txBytes - Encoded transaction
+ * @param {Object} options - Polling options (see confirmTx)
+ * @returns {Promise<TxResult>} Transaction result
+ * @throws {Error} If the chain rejects the transaction in CheckTx
+ */
+async function broadcastAndConfirm(client, txBytes, options) {
+  const hash = await submitTx(client, txBytes);
+  return confirmTx(client, hash, options);
+}
+
+export {
+  TX_STATUS,
+  txHash,
+  submitTx,
+  confirmTx,
+  broadcastAndConfirm
+};
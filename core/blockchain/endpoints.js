@@ -0,0 +1,478 @@
+// core/blockchain/endpoints.js
+import { StargateClient, SigningStargateClient } from '@cosmjs/stargate';
+import { connectComet } from '@cosmjs/tendermint-rpc';
+import logger from '../../utils/logger.js';
+
+/**
+ * Kinds of chain endpoints
+ */
+const ENDPOINT_KINDS = {
+  RPC: 'rpc'    // CometBFT RPC
+};
+
+/**
+ * Path probed to read the latest height of an endpoint, by kind
+ */
+const PROBE_PATHS = {
+  [ENDPOINT_KINDS.RPC]: '/status'
+};
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {string} url - Endpoint URL
+ * @property {boolean} healthy - Whether the endpoint is used before unhealthy ones
+ * @property {number|null} latencyMs - Average response time
+ * @property {number|null} height - Latest height seen at the last probe
+ * @property {number|null} heightLag - Blocks behind the highest endpoint of the chain
+ * @property {number} errorRate - Share of failed calls among the recent ones
+ * @property {string|null} lastError - Message of the last failure
+ */
+
+/**
+ * Check whether an error means an endpoint failed, rather than the node answering with an error
+ * JSON-RPC error responses are answers of a working node, so they are not held against the endpoint.
+ * @param {Error} error - Error thrown by a call
+ * @returns {boolean} True if another endpoint should be tried
+ */
+function isEndpointError(error) {
+  return !(error?.message || '').startsWith('{');
+}
+
+/**
+ * Reject a call that does not settle in time
+ * @param {Promise<any>} promise - Pending call
+ * @param {number} timeoutMs - Time limit (no limit when 0)
+ * @param {string} url - Endpoint URL, for the error message
+ * @returns {Promise<any>} Result of the call
+ */
+function withTimeout(promise, timeoutMs, url) {
+  if (!timeoutMs) {
+    return promise;
+  }
+  
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`${url} did not answer within ${timeoutMs}ms`)), timeoutMs);
+  });
+  
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Endpoints of one kind for one chain, ranked by health
+ * Latency, height lag and error rate come from periodic probes and from the outcome of every call made through the pool.
+ */
+class EndpointPool {
+  /**
+   * Create a new EndpointPool instance
+   * @param {string} chainName - Chain name, for logs
+   * @param {string} kind - One of ENDPOINT_KINDS
+   * @param {string[]} urls - Endpoint URLs in configured order
+   * @param {EndpointHealthConfig} options - Endpoint health configuration
+   */
+  constructor(chainName, kind, urls, options) {
+    if (!urls?.length) {
+      throw new Error(`No ${kind} endpoints configured for ${chainName}`);
+    }
+    
+    this.chainName = chainName;
+    this.kind = kind;
+    this.options = options;
+    this.endpoints = urls.map(url => ({
+      url,
+      latencyMs: null,
+      height: null,
+      catchingUp: false,
+      results: [],        // Recent call outcomes, true for success
+      cooldownUntil: 0,
+      lastError: null
+    }));
+    this.checkedAt = 0;
+    this.checking = null;
+  }
+  
+  /**
+   * Probe one endpoint for its latest height
+   * @param {Object} endpoint - Endpoint state
+   * @returns {Promise<void>}
+   */
+  async probe(endpoint) {
+    const started = Date.now();
+    
+    try {
+      const response = await fetch(`${endpoint.url.replace(/\/+$/, '')}${PROBE_PATHS[this.kind]}`, {
+        signal: AbortSignal.timeout(this.options.probeTimeoutMs)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Bad status on response: ${response.status}`);
+      }
+      
+      const body = await response.json();
+      
+      const syncInfo = (body.result || body).sync_info;
+      endpoint.height = Number(syncInfo.latest_block_height);
+      endpoint.catchingUp = Boolean(syncInfo.catching_up);
+      
+      this.recordSuccess(endpoint, Date.now() - started);
+    } catch (error) {
+      endpoint.height = null;
+      this.recordFailure(endpoint, error);
+    }
+  }
+  
+  /**
+   * Probe every endpoint
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)));
+    this.checkedAt = Date.now();
+    
+    const [best] = this.ranked();
+    logger.debug(`Best ${this.kind} endpoint for ${this.chainName}: ${best.url} (height ${best.height}, ${best.latencyMs}ms)`);
+  }
+  
+  /**
+   * Probe the endpoints if the last check is older than the check interval
+   * A pool with a single endpoint is never probed; it has nothing to fail over to.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (this.endpoints.length < 2 || Date.now() - this.checkedAt < this.options.checkIntervalMs) {
+      return;
+    }
+    
+    if (!this.checking) {
+      this.checking = this.checkHealth().finally(() => {
+        this.checking = null;
+      });
+    }
+    
+    await this.checking;
+  }
+  
+  /**
+   * Record a successful call
+   * @param {Object} endpoint - Endpoint state
+   * @param {number} latencyMs - Response time
+   */
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.7 + latencyMs * 0.3);
+    this.recordResult(endpoint, true);
+  }
+  
+  /**
+   * Record a failed call and skip the endpoint for the cooldown period
+   * @param {Object} endpoint - Endpoint state
+   * @param {Error} error - Failure
+   */
+  recordFailure(endpoint, error) {
+    endpoint.lastError = error.message;
+    endpoint.cooldownUntil = Date.now() + this.options.cooldownMs;
+    this.recordResult(endpoint, false);
+  }
+  
+  /**
+   * Add a call outcome to the error window of an endpoint
+   * @param {Object} endpoint - Endpoint state
+   * @param {boolean} success - Whether the call succeeded
+   */
+  recordResult(endpoint, success) {
+    endpoint.results.push(success);
+    if (endpoint.results.length > this.options.errorWindow) {
+      endpoint.results.shift();
+    }
+  }
+  
+  /**
+   * Share of failed calls among the recent calls of an endpoint
+   * @param {Object} endpoint - Endpoint state
+   * @returns {number} Error rate between 0 and 1
+   */
+  errorRate(endpoint) {
+    if (endpoint.results.length === 0) {
+      return 0;
+    }
+    return endpoint.results.filter(success => !success).length / endpoint.results.length;
+  }
+  
+  /**
+   * Highest height seen on any endpoint of the pool
+   * @returns {number|null} Height or null if no endpoint reported one
+   */
+  maxHeight() {
+    const heights = this.endpoints.map(endpoint => endpoint.height).filter(height => height !== null);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+  
+  /**
+   * Health of an endpoint
+   * @param {Object} endpoint - Endpoint state
+   * @param {number|null} maxHeight - Highest height of the pool
+   * @returns {EndpointHealth} Endpoint health
+   */
+  describe(endpoint, maxHeight) {
+    const heightLag = endpoint.height !== null && maxHeight !== null ? maxHeight - endpoint.height : null;
+    const errorRate = this.errorRate(endpoint);
+    
+    return {
+      url: endpoint.url,
+      healthy: endpoint.cooldownUntil <= Date.now() &&
+        !endpoint.catchingUp &&
+        (heightLag === null || heightLag <= this.options.maxHeightLag) &&
+        errorRate <= this.options.maxErrorRate,
+      latencyMs: endpoint.latencyMs,
+      height: endpoint.height,
+      heightLag,
+      errorRate,
+      lastError: endpoint.lastError
+    };
+  }
+  
+  /**
+   * Endpoints from best to worst: healthy first, then by error rate and latency
+   * Unhealthy endpoints stay at the end as a last resort.
+   * @returns {Object[]} Endpoint states
+   */
+  ranked() {
+    const maxHeight = this.maxHeight();
+    const health = new Map(this.endpoints.map(endpoint => [endpoint, this.describe(endpoint, maxHeight)]));
+    
+    return [...this.endpoints].sort((a, b) => {
+      const healthA = health.get(a);
+      const healthB = health.get(b);
+      
+      if (healthA.healthy !== healthB.healthy) {
+        return healthA.healthy ? -1 : 1;
+      }
+      if (healthA.errorRate !== healthB.errorRate) {
+        return healthA.errorRate - healthB.errorRate;
+      }
+      return (healthA.latencyMs ?? Infinity) - (healthB.latencyMs ?? Infinity);
+    });
+  }
+  
+  /**
+   * URL of the best endpoint
+   * @returns {Promise<string>} Endpoint URL
+   */
+  async best() {
+    await this.refresh();
+    return this.ranked()[0].url;
+  }
+  
+  /**
+   * Health of every endpoint, best first
+   * @returns {EndpointHealth[]} Endpoint health
+   */
+  getHealth() {
+    const maxHeight = this.maxHeight();
+    return this.ranked().map(endpoint => this.describe(endpoint, maxHeight));
+  }
+  
+  /**
+   * Run a call on the best endpoint, trying the next one when it fails
+   * @param {function(string): Promise<any>} call - Makes the call against an endpoint URL
+   * @param {Object} [options] - Call options
+   * @param {function(Error): boolean} [options.isFailure] - Whether an error is the endpoint's fault and worth another endpoint
+   * @param {number} [options.timeoutMs] - Time limit per endpoint (0 for none)
+   * @returns {Promise<any>} Result of the call
+   * @throws {Error} The error of the last endpoint if every endpoint failed
+   */
+  async run(call, { isFailure = isEndpointError, timeoutMs = this.options.requestTimeoutMs } = {}) {
+    await this.refresh();
+    
+    let lastError;
+    for (const endpoint of this.ranked()) {
+      const started = Date.now();
+      
+      try {
+        const result = await withTimeout(call(endpoint.url), timeoutMs, endpoint.url);
+        this.recordSuccess(endpoint, Date.now() - started);
+        return result;
+      } catch (error) {
+        if (!isFailure(error)) {
+          throw error;
+        }
+        
+        this.recordFailure(endpoint, error);
+        lastError = error;
+        logger.warn(`${this.kind.toUpperCase()} endpoint ${endpoint.url} of ${this.chainName} failed: ${error.message}`);
+      }
+    }
+    
+    throw lastError;
+  }
+}
+
+/**
+ * CometBFT client that sends every request to the best RPC endpoint of a chain and fails over to the next one
+ * It has the methods StargateClient and SigningStargateClient use, so both can be created on top of it.
+ */
+class FailoverCometClient {
+  /**
+   * Create a new FailoverCometClient instance
+   * @param {EndpointPool} pool - RPC endpoint pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.clients = new Map(); // Connected clients by URL
+  }
+  
+  /**
+   * Get the client for an endpoint, connecting on first use
+   * @param {string} url - Endpoint URL
+   * @returns {Promise<CometClient>} Connected client
+   */
+  connect(url) {
+    if (!this.clients.has(url)) {
+      // Drop failed connections so the next call tries again
+      this.clients.set(url, connectComet(url).catch(error => {
+        this.clients.delete(url);
+        throw error;
+      }));
+    }
+    return this.clients.get(url);
+  }
+  
+  /**
+   * Call a client method through the endpoint pool
+   * @param {string} method - CometClient method
+   * @param {any[]} args - Method arguments
+   * @returns {Promise<any>} Method result
+   */
+  call(method, args) {
+    return this.pool.run(async url => (await this.connect(url))[method](...args));
+  }
+  
+  /**
+   * Query the application state
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  abciQuery(...args) {
+    return this.call('abciQuery', args);
+  }
+  
+  /**
+   * Get a block
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  block(...args) {
+    return this.call('block', args);
+  }
+  
+  /**
+   * Submit a transaction and wait for CheckTx
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  broadcastTxSync(...args) {
+    return this.call('broadcastTxSync', args);
+  }
+  
+  /**
+   * Get the node status
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  status(...args) {
+    return this.call('status', args);
+  }
+  
+  /**
+   * Get a transaction by hash
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  tx(...args) {
+    return this.call('tx', args);
+  }
+  
+  /**
+   * Search transactions (one page)
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  txSearch(...args) {
+    return this.call('txSearch', args);
+  }
+  
+  /**
+   * Search transactions (all pages)
+   * @param {...any} args - CometClient arguments
+   * @returns {Promise<any>} CometClient result
+   */
+  txSearchAll(...args) {
+    return this.call('txSearchAll', args);
+  }
+  
+  /**
+   * Disconnect from every endpoint
+   */
+  disconnect() {
+    for (const client of this.clients.values()) {
+      client.then(connected => connected.disconnect(), () => {});
+    }
+    this.clients.clear();
+  }
+}
+
+// Pools of this thread, shared by all transfers so health is learned once
+const pools = new Map();
+
+/**
+ * Get the RPC endpoint pool of a chain
+ * @param {Object} config - Configuration object
+ * @param {string} chainName - Chain name
+ * @returns {EndpointPool} Endpoint pool
+ */
+function getEndpointPool(config, chainName) {
+  const chain = config.chains[chainName];
+  if (!chain) {
+    throw new Error(`Chain ${chainName} not found in configuration`);
+  }
+  
+  const urls = chain.rpcEndpoints || [chain.rpcEndpoint];
+  const key = `${chainName}:${urls.join(',')}`;
+  
+  if (!pools.has(key)) {
+    pools.set(key, new EndpointPool(chainName, ENDPOINT_KINDS.RPC, urls, config.endpoints));
+  }
+  
+  return pools.get(key);
+}
+
+/**
+ * Connect a read-only client to a chain that fails over between its RPC endpoints
+ * @param {Object} config - Configuration object
+ * @param {string} chainName - Chain name
+ * @returns {Promise<StargateClient>} Client
+ */
+async function connectChainClient(config, chainName) {
+  return StargateClient.create(new FailoverCometClient(getEndpointPool(config, chainName)));
+}
+
+/**
+ * Connect a signing client to a chain that fails over between its RPC endpoints
+ * @param {Object} config - Configuration object
+ * @param {string} chainName - Chain name
+ * @param {OfflineSigner} signer - Offline signer
+ * @param {Object} [options] - SigningStargateClient options
+ * @returns {Promise<SigningStargateClient>} Signing client
+ */
+async function connectSigningChainClient(config, chainName, signer, options = {}) {
+  return SigningStargateClient.createWithSigner(new FailoverCometClient(getEndpointPool(config, chainName)), signer, options);
+}
+
+export {
+  ENDPOINT_KINDS,
+  EndpointPool,
+  FailoverCometClient,
+  getEndpointPool,
+  connectChainClient,
+  connectSigningChainClient,
+  isEndpointError
+};
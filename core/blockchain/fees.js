@@ -0,0 +1,91 @@
+// core/blockchain/fees.js
+import { GasPrice, calculateFee } from '@cosmjs/stargate';
+
+/**
+ * Error thrown when an estimated fee exceeds the chain's fee cap
+ */
+class FeeCapError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeeCapError';
+  }
+}
+
+/**
+ * Get the gas multiplier for a chain
+ * @param {Object} config - Configuration object
+ * @param {Object} chainConfig - Chain configuration
+ * @returns {number} Multiplier applied to simulated gas
+ */
+function getGasMultiplier(config, chainConfig) {
+  return chainConfig.gasMultiplier ?? config.fees.gasMultiplier;
+}
+
+/**
+ * Compute the fee for a gas limit from the chain's gas price
+ * @param {number} gasLimit - Gas limit
+ * @param {Object} chainConfig - Chain configuration
+ * @returns {{amount: Array<{denom: string, amount: string}>, gas: string}} Fee
+ */
+function feeForGas(gasLimit, chainConfig) {
+  const { amount, denom } = chainConfig.gasPrice;
+  return calculateFee(gasLimit, GasPrice.fromString(`${amount}${denom}`));
+}
+
+/**
+ * Refuse a fee above the chain's fee cap
+ * @param {Object} fee - Fee to check
+ * @param {string} chainName - Chain name for error messages
+ * @param {Object} chainConfig - Chain configuration
+ * @throws {FeeCapError} If the fee exceeds the cap
+ */
+function assertWithinFeeCap(fee, chainName, chainConfig) {
+  if (chainConfig.feeCap === undefined) {
+    return;
+  }
+  
+  const { amount, denom } = fee.amount[0];
+  if (BigInt(amount) > BigInt(chainConfig.feeCap)) {
+    throw new FeeCapError(`Estimated fee ${amount}${denom} exceeds the ${chainName} fee cap of ${chainConfig.feeCap}${denom}`);
+  }
+}
+
+/**
+ * Estimate the fee of a transaction by simulating it
+ * @param {Object} options - Estimation options
+ * @param {Object} options.config - Configuration object
+ * @param {string} options.chainName - Chain name
+ * @param {SigningStargateClient} options.signingClient - Signing client connected to the chain
+ * @param {string} options.signerAddress - Address signing the transaction
+ * @param {Object[]} options.messages - Encodable messages
+ * @param {string} [options.memo] - Transaction memo
+ * @returns {Promise<{amount: Array<{denom: string, amount: string}>, gas: string}>} Fee to sign with
+ * @throws {FeeCapError} If the fee exceeds the chain's fee cap
+ */
+async function estimateFee({ config, chainName, signingClient, signerAddress, messages, memo = '' }) {
+  const chainConfig = config.chains[chainName];
+  const gasUsed = await signingClient.simulate(signerAddress, messages, memo);
+  const gasLimit = Math.ceil(gasUsed * getGasMultiplier(config, chainConfig));
+  const fee = feeForGas(gasLimit, chainConfig);
+  
+  assertWithinFeeCap(fee, chainName, chainConfig);
+  return fee;
+}
+
+/**
+ * Estimate the fee of a planned transfer without simulating it
+ * Dry runs use the configured planned gas, since simulating needs an account that exists on chain.
+ * @param {Object} config - Configuration object
+ * @param {string} sourceChainName - Chain the transfer is sent from
+ * @param {string} destinationChainName - Chain the transfer is sent to
+ * @returns {{amount: Array<{denom: string, amount: string}>, gas: string}} Estimated fee
+ */
+function estimatePlannedFee(config, sourceChainName, destinationChainName) {
+  const gasLimit = sourceChainName === destinationChainName
+    ? config.fees.plannedGas.sameChain
+    : config.fees.plannedGas.crossChain;
+  
+  return feeForGas(gasLimit, config.chains[sourceChainName]);
+}
+
+export { estimateFee, estimatePlannedFee, feeForGas, assertWithinFeeCap, getGasMultiplier, FeeCapError };
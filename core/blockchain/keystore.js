@@ -0,0 +1,232 @@
+// core/blockchain/keystore.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { parseWalletKey, formatWalletKey } from './walletKeys.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Location of the keystore file (override with KEYSTORE_PATH)
+ */
+const KEYSTORE_PATH = process.env.KEYSTORE_PATH || './keystore.json';
+
+/**
+ * Environment variable holding the passphrase for headless runs
+ */
+const PASSPHRASE_ENV = 'KEYSTORE_PASSPHRASE';
+
+/**
+ * Shortest passphrase accepted for a new keystore
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * scrypt parameters for new keystores (N = 2^17 needs 128 MiB of memory)
+ */
+const KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1, dklen: 32 };
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Error thrown when the keystore cannot be read, decrypted or written
+ */
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - Keystore passphrase
+ * @param {Object} kdf - scrypt parameters and hex salt
+ * @returns {Promise<Buffer>} Derived key
+ */
+async function deriveKey(passphrase, { N, r, p, dklen, salt }) {
+  return scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+    N, r, p, maxmem: 256 * N * r
+  });
+}
+
+/**
+ * Check and normalize a wallet key entry (hex private key or mnemonic)
+ * @param {string} entry - Wallet key entry
+ * @returns {string} Canonical entry
+ * @throws {KeystoreError} If the entry is not a valid private key or mnemonic
+ */
+function normalizeWalletKey(entry) {
+  try {
+    return formatWalletKey(parseWalletKey(entry));
+  } catch (error) {
+    throw new KeystoreError(error.message);
+  }
+}
+
+/**
+ * Parse a plaintext key file (one private key or mnemonic per line, # starts a comment)
+ * @param {string} text - File contents
+ * @returns {string[]} Private keys
+ */
+function parseKeyFile(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Encrypt private keys into a keystore object
+ * @param {string[]} privateKeys - Private keys
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<Object>} Keystore contents
+ */
+async function encryptKeys(privateKeys, passphrase) {
+  const kdf = { name: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const key = await deriveKey(passphrase, kdf);
+  const iv = crypto.randomBytes(12);
+  
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify({ privateKeys }), 'utf8'),
+    cipher.final()
+  ]);
+  
+  return {
+    version: KEYSTORE_VERSION,
+    kdf,
+    cipher: { name: CIPHER, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * Decrypt the private keys of a keystore object
+ * @param {Object} keystore - Keystore contents
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<string[]>} Private keys
+ * @throws {KeystoreError} If the passphrase is wrong or the keystore is damaged
+ */
+async function decryptKeys(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf?.name !== 'scrypt' || keystore.cipher?.name !== CIPHER) {
+    throw new KeystoreError(`Unsupported keystore format in ${KEYSTORE_PATH}`);
+  }
+  
+  const key = await deriveKey(passphrase, keystore.kdf);
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(keystore.cipher.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'hex'));
+  
+  try {
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8')).privateKeys;
+  } catch (error) {
+    throw new KeystoreError('Wrong passphrase or damaged keystore');
+  }
+}
+
+/**
+ * Check whether the keystore file exists
+ * @returns {Promise<boolean>} True if the keystore exists
+ */
+async function keystoreExists() {
+  try {
+    await fs.access(KEYSTORE_PATH);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read and decrypt the private keys in the keystore
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<string[]>} Private keys in wallet order
+ * @throws {KeystoreError} If the keystore is missing, damaged or the passphrase is wrong
+ */
+async function readKeystore(passphrase) {
+  let keystore;
+  
+  try {
+    keystore = JSON.parse(await fs.readFile(KEYSTORE_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new KeystoreError(`Keystore ${KEYSTORE_PATH} does not exist. Import keys with: node index.js keys import pk.txt`);
+    }
+    throw new KeystoreError(`Could not read keystore ${KEYSTORE_PATH}: ${error.message}`);
+  }
+  
+  return decryptKeys(keystore, passphrase);
+}
+
+/**
+ * Encrypt private keys and write them to the keystore, replacing its contents
+ * @param {string[]} privateKeys - Private keys in wallet order
+ * @param {string} passphrase - Keystore passphrase
+ */
+async function writeKeystore(privateKeys, passphrase) {
+  const keystore = await encryptKeys(privateKeys, passphrase);
+  
+  // Write to a temporary file first so a crash never leaves a half-written keystore
+  const tempPath = `${KEYSTORE_PATH}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(keystore, null, 2), { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tempPath, KEYSTORE_PATH);
+}
+
+/**
+ * Add private keys or mnemonics to the keystore, creating it if needed
+ * Keys already in the keystore are skipped, so wallet numbers stay stable
+ * @param {string[]} privateKeys - Private keys or mnemonic entries to add
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<{added: number, skipped: number, total: number}>} Import summary
+ * @throws {KeystoreError} If a key is invalid or the passphrase does not open the keystore
+ */
+async function importKeys(privateKeys, passphrase) {
+  const newKeys = privateKeys.map(normalizeWalletKey);
+  const exists = await keystoreExists();
+  
+  if (!exists && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new KeystoreError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  
+  const keys = exists ? await readKeystore(passphrase) : [];
+  let added = 0;
+  
+  for (const key of newKeys) {
+    if (!keys.includes(key)) {
+      keys.push(key);
+      added++;
+    }
+  }
+  
+  if (added > 0 || !exists) {
+    await writeKeystore(keys, passphrase);
+  }
+  
+  return { added, skipped: newKeys.length - added, total: keys.length };
+}
+
+/**
+ * Get the passphrase from the environment
+ * @returns {string|null} Passphrase or null if not set
+ */
+function getPassphraseFromEnv() {
+  return process.env[PASSPHRASE_ENV] || null;
+}
+
+export {
+  KEYSTORE_PATH,
+  PASSPHRASE_ENV,
+  MIN_PASSPHRASE_LENGTH,
+  KeystoreError,
+  normalizeWalletKey,
+  parseKeyFile,
+  keystoreExists,
+  readKeystore,
+  writeKeystore,
+  importKeys,
+  getPassphraseFromEnv
+};
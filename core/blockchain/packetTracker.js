@@ -0,0 +1,245 @@
+// core/blockchain/packetTracker.js
+import { connectChainClient } from './endpoints.js';
+import { createWalletLogger } from '../../utils/logger.js';
+import { sleep } from '../../utils/common.js';
+
+/**
+ * Lifecycle states of an IBC packet
+ */
+const PACKET_STATES = {
+  SENT: 'SENT',
+  RECEIVED: 'RECEIVED',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  TIMED_OUT: 'TIMED_OUT',
+  FAILED: 'FAILED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Events emitted by the ibc-union core contract for each packet lifecycle step
+ */
+const PACKET_EVENTS = {
+  SEND: 'wasm-packet_send',
+  RECV: 'wasm-packet_recv',
+  ACK: 'wasm-packet_ack',
+  TIMEOUT: 'wasm-packet_timeout'
+};
+
+const PACKET_HASH_ATTRIBUTE = 'packet_hash';
+
+/**
+ * Check whether a packet state means the funds arrived on the destination chain
+ * @param {string} state - Packet state
+ * @returns {boolean} True if the packet was delivered
+ */
+function isDelivered(state) {
+  return state === PACKET_STATES.RECEIVED || state === PACKET_STATES.ACKNOWLEDGED;
+}
+
+/**
+ * Follows IBC packets through send -> recv -> ack (or timeout) using chain RPC
+ */
+class PacketTracker {
+  /**
+   * Create a new PacketTracker instance
+   * @param {Object} config - Configuration object
+   * @param {number} walletIndex - Wallet index
+   */
+  constructor(config, walletIndex) {
+    this.config = config;
+    this.walletIndex = walletIndex;
+    this.logger = createWalletLogger(walletIndex);
+    this.timeoutMs = config.packetTracking.timeoutMs;
+    this.pollIntervalMs = config.packetTracking.pollIntervalMs;
+    this.waitForAck = config.packetTracking.waitForAck;
+  }
+  
+  /**
+   * Track a transfer until its packet reaches a final state or the deadline passes
+   * @param {string} txHash - Hash of the transaction that sent the packet
+   * @param {string} sourceChainName - Source chain name
+   * @param {string} destinationChainName - Destination chain name
+   * @returns {Promise<Object>} Final packet status
+   */
+  async track(txHash, sourceChainName, destinationChainName) {
+    const hash = this.normalizeHash(txHash);
+    const deadline = Date.now() + this.timeoutMs;
+    const status = {
+      state: PACKET_STATES.UNKNOWN,
+      txHash: hash,
+      packetHash: null,
+      sendHeight: null,
+      recvTxHash: null,
+      ackTxHash: null,
+      timeoutTxHash: null
+    };
+    
+    let sourceClient;
+    let destinationClient;
+    
+    try {
+      sourceClient = await connectChainClient(this.config, sourceChainName);
+      destinationClient = await connectChainClient(this.config, destinationChainName);
+      
+      // Step 1: packet send on the source chain
+      const sendTx = await this.pollUntil(deadline, () => sourceClient.getTx(hash));
+      if (!sendTx) {
+        this.logger.warn(`Transaction ${hash} not found on ${sourceChainName} before the deadline`);
+        return status;
+      }
+      
+      if (sendTx.code !== 0) {
+        this.logger.error(`Transaction ${hash} failed on ${sourceChainName} with code ${sendTx.code}`);
+        return { ...status, state: PACKET_STATES.FAILED };
+      }
+      
+      status.packetHash = this.findPacketHash(sendTx.events);
+      status.sendHeight = sendTx.height;
+      status.state = PACKET_STATES.SENT;
+      
+      if (!status.packetHash) {
+        this.logger.error(`No ${PACKET_EVENTS.SEND} event found in transaction ${hash}`);
+        return { ...status, state: PACKET_STATES.FAILED };
+      }
+      
+      this.logger.info(`Packet ${status.packetHash} sent at height ${status.sendHeight}, waiting for ${destinationChainName} to receive it...`);
+      
+      // Step 2: packet recv on the destination chain, or timeout on the source chain
+      const recvOrTimeout = await this.pollUntil(deadline, async () => {
+        const [recvTx] = await destinationClient.searchTx(this.packetQuery(PACKET_EVENTS.RECV, status.packetHash));
+        if (recvTx) {
+          return { state: PACKET_STATES.RECEIVED, tx: recvTx };
+        }
+        
+        const [timeoutTx] = await sourceClient.searchTx(this.packetQuery(PACKET_EVENTS.TIMEOUT, status.packetHash));
+        if (timeoutTx) {
+          return { state: PACKET_STATES.TIMED_OUT, tx: timeoutTx };
+        }
+        
+        return null;
+      });
+      
+      if (!recvOrTimeout) {
+        this.logger.warn(`Packet ${status.packetHash} was not received on ${destinationChainName} before the deadline`);
+        return status;
+      }
+      
+      if (recvOrTimeout.state === PACKET_STATES.TIMED_OUT) {
+        this.logger.warn(`Packet ${status.packetHash} timed out, funds refunded on ${sourceChainName} (${recvOrTimeout.tx.hash})`);
+        return { ...status, state: PACKET_STATES.TIMED_OUT, timeoutTxHash: recvOrTimeout.tx.hash };
+      }
+      
+      status.state = PACKET_STATES.RECEIVED;
+      status.recvTxHash = recvOrTimeout.tx.hash;
+      this.logger.info(`Packet received on ${destinationChainName}: ${status.recvTxHash}`);
+      
+      if (!this.waitForAck) {
+        return status;
+      }
+      
+      // Step 3: acknowledgement back on the source chain
+      const ackTx = await this.pollUntil(deadline, async () => {
+        const [tx] = await sourceClient.searchTx(this.packetQuery(PACKET_EVENTS.ACK, status.packetHash));
+        return tx || null;
+      });
+      
+      if (!ackTx) {
+        this.logger.warn(`Packet ${status.packetHash} received but not yet acknowledged on ${sourceChainName}`);
+        return status;
+      }
+      
+      this.logger.info(`Packet acknowledged on ${sourceChainName}: ${ackTx.hash}`);
+      return { ...status, state: PACKET_STATES.ACKNOWLEDGED, ackTxHash: ackTx.hash };
+    } catch (error) {
+      this.logger.error(`Error tracking packet for transaction ${hash}: ${error.message}`);
+      return status;
+    } finally {
+      sourceClient?.disconnect();
+      destinationClient?.disconnect();
+    }
+  }
+  
+  /**
+   * Look up, without waiting, how far the packet of a committed send transaction got
+   * @param {Object} sendTx - Send transaction with its events, as returned by getTx or searchTx
+   * @param {StargateClient} sourceClient - Client connected to the source chain
+   * @param {StargateClient} destinationClient - Client connected to the destination chain
+   * @returns {Promise<string>} Packet state (see PACKET_STATES)
+   */
+  async lookupState(sendTx, sourceClient, destinationClient) {
+    const packetHash = this.findPacketHash(sendTx.events);
+    if (!packetHash) {
+      return PACKET_STATES.FAILED;
+    }
+    
+    const [ackTx] = await sourceClient.searchTx(this.packetQuery(PACKET_EVENTS.ACK, packetHash));
+    if (ackTx) {
+      return PACKET_STATES.ACKNOWLEDGED;
+    }
+    
+    const [recvTx] = await destinationClient.searchTx(this.packetQuery(PACKET_EVENTS.RECV, packetHash));
+    if (recvTx) {
+      return PACKET_STATES.RECEIVED;
+    }
+    
+    const [timeoutTx] = await sourceClient.searchTx(this.packetQuery(PACKET_EVENTS.TIMEOUT, packetHash));
+    return timeoutTx ? PACKET_STATES.TIMED_OUT : PACKET_STATES.SENT;
+  }
+  
+  /**
+   * Call a check function repeatedly until it returns a value or the deadline passes.
+   * RPC errors are logged and treated as "not yet".
+   * @param {number} deadline - Deadline timestamp in milliseconds
+   * @param {Function} checkFn - Async function returning a value or null
+   * @returns {Promise<any|null>} Value returned by checkFn or null on timeout
+   */
+  async pollUntil(deadline, checkFn) {
+    while (Date.now() < deadline) {
+      try {
+        const value = await checkFn();
+        if (value) {
+          return value;
+        }
+      } catch (error) {
+        this.logger.warn(`Packet status check failed, retrying: ${error.message}`);
+      }
+      
+      await sleep(Math.min(this.pollIntervalMs, Math.max(deadline - Date.now(), 0)));
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract the packet hash from the events of a send transaction
+   * @param {readonly Object[]} events - Transaction events
+   * @returns {string|null} Packet hash or null if not found
+   */
+  findPacketHash(events) {
+    const sendEvent = events.find(event => event.type === PACKET_EVENTS.SEND);
+    const attribute = sendEvent?.attributes.find(attr => attr.key === PACKET_HASH_ATTRIBUTE);
+    return attribute ? attribute.value : null;
+  }
+  
+  /**
+   * Build a tx_search query for a packet event
+   * @param {string} eventType - Event type
+   * @param {string} packetHash - Packet hash
+   * @returns {string} Search query
+   */
+  packetQuery(eventType, packetHash) {
+    return `${eventType}.${PACKET_HASH_ATTRIBUTE}='${packetHash}'`;
+  }
+  
+  /**
+   * Normalize a transaction hash to the upper-case hex format used by Tendermint
+   * @param {string} txHash - Transaction hash with or without 0x prefix
+   * @returns {string} Normalized hash
+   */
+  normalizeHash(txHash) {
+    return txHash.replace(/^0x/i, '').toUpperCase();
+  }
+}
+
+export default PacketTracker;
+export { PACKET_STATES, isDelivered };
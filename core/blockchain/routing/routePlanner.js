@@ -0,0 +1,267 @@
+// core/blockchain/routing/routePlanner.js
+import fs from 'fs/promises';
+import path from 'path';
+import { createWalletLogger } from '../../../utils/logger.js';
+import { loadUnionClient } from '../unionClient.js';
+
+// Unordered routes try every visiting order, so keep the waypoint count small
+const MAX_UNORDERED_WAYPOINTS = 7;
+
+/**
+ * @typedef {Object} RouteSpec
+ * @property {string[]} visit - Chains the route must pass through
+ * @property {string} [start] - Chain the route starts on (defaults to the first visited chain)
+ * @property {string} [end] - Chain the route ends on (defaults to the last visited chain)
+ * @property {boolean} [ordered] - Visit the chains in the listed order (default false)
+ * @property {string[]} [avoid] - Chains never used as intermediate hops
+ * @property {number} [maxHops] - Maximum number of transfers (default: routing.maxHops)
+ */
+
+/**
+ * Plans transfer routes over the channels recommended by Union.
+ * The channel list is cached in data/channels.json and shared by all wallets.
+ */
+class RoutePlanner {
+  /**
+   * Create a new RoutePlanner instance
+   * @param {Object} config - Configuration object
+   * @param {number} [walletIndex] - Wallet index used for logging
+   */
+  constructor(config, walletIndex) {
+    this.config = config;
+    this.logger = createWalletLogger(walletIndex);
+    this.cacheTtlMs = config.routing.channelCacheTtlMs;
+    this.cachePath = path.join(process.cwd(), 'data', 'channels.json');
+    this.channels = null;
+  }
+  
+  /**
+   * Get the recommended channels, from memory, the cache file or the Union API
+   * @returns {Promise<Object[]>} Recommended channels
+   */
+  async getChannels() {
+    if (this.channels) {
+      return this.channels;
+    }
+    
+    const cached = await this.readCache();
+    
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      this.channels = cached.channels;
+      return this.channels;
+    }
+    
+    try {
+      const unionlabs = await loadUnionClient();
+      this.channels = await unionlabs.getRecommendedChannels();
+      await this.writeCache(this.channels);
+    } catch (error) {
+      if (!cached) {
+        throw new Error(`Could not fetch recommended channels: ${error.message}`);
+      }
+      
+      // A stale channel list is better than no route at all
+      this.logger.warn(`Could not refresh recommended channels, using cached list: ${error.message}`);
+      this.channels = cached.channels;
+    }
+    
+    return this.channels;
+  }
+  
+  /**
+   * Read the channel cache file
+   * @returns {Promise<{fetchedAt: number, channels: Object[]}|null>} Cached channels or null
+   */
+  async readCache() {
+    try {
+      const cached = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      return Array.isArray(cached.channels) ? cached : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable channel cache: ${error.message}`);
+      }
+      return null;
+    }
+  }
+  
+  /**
+   * Write the channel cache file
+   * @param {Object[]} channels - Recommended channels
+   * @returns {Promise<void>}
+   */
+  async writeCache(channels) {
+    try {
+      await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+      
+      // Write to a temporary file first so readers never see a partial cache
+      const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ fetchedAt: Date.now(), channels }), 'utf8');
+      await fs.rename(tempPath, this.cachePath);
+    } catch (error) {
+      this.logger.warn(`Failed to write channel cache: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Build the channel graph between configured chains
+   * @returns {Promise<Map<string, string[]>>} Chain name to directly reachable chain names
+   */
+  async getGraph() {
+    const channels = await this.getChannels();
+    const chainNames = Object.keys(this.config.chains);
+    const nameById = new Map(chainNames.map(name => [this.config.chains[name].chainId, name]));
+    const graph = new Map(chainNames.map(name => [name, new Set()]));
+    
+    for (const channel of channels) {
+      const source = nameById.get(channel.source_chain_id);
+      const destination = nameById.get(channel.destination_chain_id);
+      
+      if (source && destination && source !== destination) {
+        graph.get(source).add(destination);
+      }
+    }
+    
+    // Keep neighbours in config order so planned routes are deterministic
+    return new Map([...graph].map(([name, neighbours]) => [
+      name,
+      chainNames.filter(chain => neighbours.has(chain))
+    ]));
+  }
+  
+  /**
+   * Find the shortest path between two chains
+   * @param {string} source - Source chain name
+   * @param {string} destination - Destination chain name
+   * @param {Object} [options] - Search options
+   * @param {string[]} [options.avoid] - Chains not to use as intermediate hops
+   * @param {Map<string, string[]>} [options.graph] - Pre-built channel graph
+   * @returns {Promise<string[]|null>} Chain path including both ends, or null if unreachable
+   */
+  async findPath(source, destination, { avoid = [], graph } = {}) {
+    return this.shortestPath(graph || await this.getGraph(), source, destination, new Set(avoid));
+  }
+  
+  /**
+   * Breadth-first search for the shortest path in a channel graph
+   * @param {Map<string, string[]>} graph - Channel graph
+   * @param {string} source - Source chain name
+   * @param {string} destination - Destination chain name
+   * @param {Set<string>} avoid - Chains not to use as intermediate hops
+   * @returns {string[]|null} Chain path or null if unreachable
+   */
+  shortestPath(graph, source, destination, avoid) {
+    if (source === destination) {
+      return [source];
+    }
+    
+    const previous = new Map([[source, null]]);
+    const queue = [source];
+    
+    while (queue.length > 0) {
+      const chain = queue.shift();
+      
+      for (const next of graph.get(chain) || []) {
+        if (previous.has(next) || (avoid.has(next) && next !== destination)) {
+          continue;
+        }
+        
+        previous.set(next, chain);
+        
+        if (next === destination) {
+          const result = [destination];
+          for (let step = chain; step !== null; step = previous.get(step)) {
+            result.unshift(step);
+          }
+          return result;
+        }
+        
+        queue.push(next);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Plan a route that satisfies a route specification
+   * @param {RouteSpec} route - Route specification
+   * @returns {Promise<string[]>} Chain path of the route
+   * @throws {Error} If no route satisfies the specification
+   */
+  async planRoute(route) {
+    const graph = await this.getGraph();
+    const avoid = new Set(route.avoid || []);
+    const maxHops = route.maxHops || this.config.routing.maxHops;
+    
+    const unknownChains = [route.start, route.end, ...route.visit].filter(chain => chain && !graph.has(chain));
+    if (unknownChains.length > 0) {
+      throw new Error(`Route uses unknown chains: ${unknownChains.join(', ')}`);
+    }
+    
+    const orders = route.ordered ? [route.visit] : this.permutations(route.visit);
+    let best = null;
+    
+    for (const order of orders) {
+      const waypoints = [route.start, ...order, route.end].filter(Boolean);
+      const candidate = this.joinWaypoints(graph, waypoints, avoid);
+      
+      if (candidate && (!best || candidate.length < best.length)) {
+        best = candidate;
+      }
+    }
+    
+    if (!best) {
+      throw new Error(`No route through ${route.visit.join(', ')} over the available channels`);
+    }
+    
+    if (best.length - 1 > maxHops) {
+      throw new Error(`Shortest route needs ${best.length - 1} transfers, more than the limit of ${maxHops}`);
+    }
+    
+    this.logger.info(`Planned route: ${best.join(' → ')}`);
+    return best;
+  }
+  
+  /**
+   * Connect consecutive waypoints with shortest paths
+   * @param {Map<string, string[]>} graph - Channel graph
+   * @param {string[]} waypoints - Chains to pass through in order
+   * @param {Set<string>} avoid - Chains not to use as intermediate hops
+   * @returns {string[]|null} Combined chain path or null if a leg is unreachable
+   */
+  joinWaypoints(graph, waypoints, avoid) {
+    const result = [waypoints[0]];
+    
+    for (let i = 1; i < waypoints.length; i++) {
+      const leg = this.shortestPath(graph, waypoints[i - 1], waypoints[i], avoid);
+      if (!leg) {
+        return null;
+      }
+      result.push(...leg.slice(1));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * List every ordering of the given chains
+   * @param {string[]} chains - Chains to order
+   * @returns {string[][]} All permutations
+   * @throws {Error} If there are too many chains to try every order
+   */
+  permutations(chains) {
+    if (chains.length > MAX_UNORDERED_WAYPOINTS) {
+      throw new Error(`Unordered routes support at most ${MAX_UNORDERED_WAYPOINTS} chains to visit; set ordered: true`);
+    }
+    
+    if (chains.length <= 1) {
+      return [chains];
+    }
+    
+    return chains.flatMap((chain, index) =>
+      this.permutations([...chains.slice(0, index), ...chains.slice(index + 1)]).map(rest => [chain, ...rest])
+    );
+  }
+}
+
+export default RoutePlanner;
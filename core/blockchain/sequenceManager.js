@@ -0,0 +1,146 @@
+// core/blockchain/sequenceManager.js
+import logger from '../../utils/logger.js';
+
+/**
+ * How often a transaction is signed again after a sequence error before giving up
+ */
+const MAX_SEQUENCE_RETRIES = 3;
+
+/**
+ * Check whether a broadcast error means the transaction was signed with the wrong sequence
+ * @param {string} message - Error message
+ * @returns {boolean} True for sequence errors
+ */
+function isSequenceError(message) {
+  return /account sequence mismatch|incorrect account sequence/i.test(message || '');
+}
+
+/**
+ * Get the sequence a chain expected from a sequence mismatch error
+ * @param {string} message - Error message
+ * @returns {number|null} Expected sequence or null if the message does not say
+ */
+function parseExpectedSequence(message) {
+  const match = (message || '').match(/expected (\d+), got (\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Hands out account sequences for transactions signed in this thread
+ * Transactions of one account are signed and broadcast one at a time, so back-to-back and
+ * concurrent transfers get consecutive sequences instead of all reading the same one from the chain.
+ */
+class SequenceManager {
+  /**
+   * Create a new SequenceManager instance
+   */
+  constructor() {
+    this.accounts = new Map(); // Tracked accounts by chain ID and address
+  }
+  
+  /**
+   * Get the tracked state of an account
+   * @param {string} chainId - Chain ID
+   * @param {string} address - Account address
+   * @returns {Object} Account state
+   */
+  getAccount(chainId, address) {
+    const key = `${chainId}/${address}`;
+    
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, { chainId, address, accountNumber: null, sequence: null, queue: Promise.resolve() });
+    }
+    
+    return this.accounts.get(key);
+  }
+  
+  /**
+   * Forget every tracked sequence, so the next transaction of each account reads it from the chain
+   * Pooled workers call this before each task, since another thread may have used the accounts in between.
+   */
+  reset() {
+    this.accounts.clear();
+  }
+  
+  /**
+   * Sign and broadcast a transaction with the next sequence of an account
+   * The submit function must throw if the chain rejects the transaction. A sequence error makes
+   * the account resync and the transaction be signed again with the sequence the chain expects.
+   * @param {StargateClient} client - Client connected to the chain
+   * @param {string} chainId - Chain ID
+   * @param {string} address - Account address
+   * @param {function({accountNumber: number, sequence: number}): Promise<any>} submit - Signs and broadcasts the transaction
+   * @returns {Promise<any>} Result of the submit function
+   */
+  async withSequence(client, chainId, address, submit) {
+    const account = this.getAccount(chainId, address);
+    
+    // Wait for earlier transactions of the account
+    const run = account.queue.then(() => this.submitWithRetry(client, account, submit));
+    account.queue = run.catch(() => {});
+    
+    return run;
+  }
+  
+  /**
+   * Submit a transaction, resyncing the sequence after sequence errors
+   * @param {StargateClient} client - Client connected to the chain
+   * @param {Object} account - Account state
+   * @param {Function} submit - Signs and broadcasts the transaction
+   * @returns {Promise<any>} Result of the submit function
+   */
+  async submitWithRetry(client, account, submit) {
+    for (let attempt = 0; ; attempt++) {
+      if (account.sequence === null) {
+        await this.resync(client, account);
+      }
+      
+      const { accountNumber, sequence } = account;
+      
+      try {
+        const result = await submit({ accountNumber, sequence });
+        account.sequence = sequence + 1;
+        return result;
+      } catch (error) {
+        if (!isSequenceError(error.message) || attempt >= MAX_SEQUENCE_RETRIES) {
+          // The transaction may still have used the sequence, so read it from the chain next time
+          account.sequence = null;
+          throw error;
+        }
+        
+        const expected = parseExpectedSequence(error.message);
+        if (expected === null) {
+          await this.resync(client, account);
+        } else {
+          account.sequence = expected;
+        }
+        logger.warn(`Sequence ${sequence} of ${account.address} on ${account.chainId} is out of date, retrying with ${account.sequence}`);
+      }
+    }
+  }
+  
+  /**
+   * Read the account number and sequence of an account from the chain
+   * @param {StargateClient} client - Client connected to the chain
+   * @param {Object} account - Account state
+   * @returns {Promise<void>}
+   * @throws {Error} If the account does not exist on the chain
+   */
+  async resync(client, account) {
+    const onChain = await client.getAccount(account.address);
+    
+    if (!onChain) {
+      throw new Error(`Account ${account.address} not found on ${account.chainId}; it needs funds before it can send transactions`);
+    }
+    
+    account.accountNumber = onChain.accountNumber;
+    account.sequence = onChain.sequence;
+    logger.debug(`Synced ${account.address} on ${account.chainId}: account ${onChain.accountNumber}, sequence ${onChain.sequence}`);
+  }
+}
+
+// Create singleton instance, shared by all transfers of this thread
+const sequenceManager = new SequenceManager();
+
+export default sequenceManager;
+export { SequenceManager, isSequenceError, parseExpectedSequence, MAX_SEQUENCE_RETRIES };
@@ -0,0 +1,35 @@
+// core/blockchain/signers/index.js
+import KeySigner from './keySigner.js';
+import RemoteSigner, { createSocketTransport, listRemoteWallets } from './remoteSigner.js';
+import { readPrivateKeys } from '../wallet.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Open the signers of all wallets
+ * With the local signer the keystore is unlocked in this process. With the socket signer
+ * the keys stay in the signer daemon and only the number of wallets is read from it.
+ * @param {Object} config - Configuration object
+ * @param {string|null} passphrase - Keystore passphrase (unused with the socket signer)
+ * @returns {Promise<Signer[]>} One signer per wallet, in wallet order
+ * @throws {KeystoreError|SignerError} If the keystore or the daemon cannot be opened
+ */
+async function openSigners(config, passphrase) {
+  if (config.signer.type === 'socket') {
+    const transport = createSocketTransport(config.signer.socketPath);
+    const walletCount = await listRemoteWallets(transport);
+    logger.info(`Signer daemon at ${config.signer.socketPath} serves ${walletCount} wallet(s)`);
+    
+    return Array.from({ length: walletCount }, (_, walletIndex) => new RemoteSigner(transport, walletIndex));
+  }
+  
+  const privateKeys = await readPrivateKeys(passphrase);
+  logger.info(`Found ${privateKeys.length} private keys in the keystore`);
+  
+  return privateKeys.map((privateKey, walletIndex) => new KeySigner(privateKey, walletIndex));
+}
+
+export {
+  KeySigner,
+  RemoteSigner,
+  openSigners
+};
@@ -0,0 +1,61 @@
+// core/blockchain/signers/keySigner.js
+import Signer from './signer.js';
+import { createWallet } from '../wallet.js';
+
+/**
+ * Signer that keeps a private key or mnemonic in memory
+ * Only used in the process that unlocked the keystore (the main thread or the signer daemon)
+ */
+class KeySigner extends Signer {
+  /**
+   * Create a new KeySigner
+   * @param {string} privateKey - Hex private key or mnemonic entry
+   * @param {number} walletIndex - Wallet index
+   */
+  constructor(privateKey, walletIndex) {
+    super(walletIndex);
+    
+    // Not enumerable, so the key is left out of logs and JSON output of the signer
+    Object.defineProperty(this, 'privateKey', { value: privateKey });
+    this.wallets = new Map();
+  }
+  
+  /**
+   * Get the wallet for a chain, creating it on first use
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @returns {Promise<OfflineDirectSigner>} Wallet
+   */
+  async getWallet(chain) {
+    const key = `${chain.prefix}/${chain.coinType ?? ''}`;
+    
+    if (!this.wallets.has(key)) {
+      this.wallets.set(key, createWallet(this.privateKey, chain, this.walletIndex));
+    }
+    
+    return this.wallets.get(key);
+  }
+  
+  /**
+   * Get the accounts of the wallet on a chain
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @returns {Promise<AccountData[]>} Accounts
+   */
+  async getAccounts(chain) {
+    const wallet = await this.getWallet(chain);
+    return wallet.getAccounts();
+  }
+  
+  /**
+   * Sign a transaction in direct mode
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @param {string} signerAddress - Address signing the transaction
+   * @param {SignDoc} signDoc - Document to sign
+   * @returns {Promise<DirectSignResponse>} Signed document and signature
+   */
+  async signDirect(chain, signerAddress, signDoc) {
+    const wallet = await this.getWallet(chain);
+    return wallet.signDirect(signerAddress, signDoc);
+  }
+}
+
+export default KeySigner;
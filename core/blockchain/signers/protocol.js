@@ -0,0 +1,116 @@
+// core/blockchain/signers/protocol.js
+import { SignerError } from './signer.js';
+
+/**
+ * Requests understood by signer hosts (the main thread and the signer daemon)
+ */
+const SIGNER_METHODS = {
+  GET_ACCOUNTS: 'getAccounts',
+  SIGN_DIRECT: 'signDirect',
+  LIST_WALLETS: 'listWallets'
+};
+
+/**
+ * @typedef {Object} SignerRequest
+ * @property {number} id - Request id, echoed in the response
+ * @property {string} method - One of SIGNER_METHODS
+ * @property {number} [walletIndex] - Wallet to sign with
+ * @property {SignerChain} [chain] - Chain prefix and coin type
+ * @property {string} [signerAddress] - Address signing the transaction
+ * @property {SignDoc} [signDoc] - Document to sign
+ */
+
+/**
+ * Answer a signer request
+ * Errors are returned in the response instead of thrown, so one bad request never stops the host
+ * @param {SignerRequest} request - Request
+ * @param {Object} host - Signers the host can use
+ * @param {Function} host.getSigner - Returns the signer of a wallet index or null
+ * @param {number} host.walletCount - Number of wallets served
+ * @returns {Promise<{id: number, result?: any, error?: string}>} Response
+ */
+async function handleSignerRequest(request, { getSigner, walletCount }) {
+  const { id, method, walletIndex, chain, signerAddress, signDoc } = request;
+  
+  try {
+    if (method === SIGNER_METHODS.LIST_WALLETS) {
+      return { id, result: walletCount };
+    }
+    
+    const signer = getSigner(walletIndex);
+    if (!signer) {
+      throw new SignerError(`No signer for wallet ${walletIndex + 1}`);
+    }
+    
+    switch (method) {
+      case SIGNER_METHODS.GET_ACCOUNTS:
+        return { id, result: await signer.getAccounts(chain) };
+      case SIGNER_METHODS.SIGN_DIRECT:
+        return { id, result: await signer.signDirect(chain, signerAddress, signDoc) };
+      default:
+        throw new SignerError(`Unknown signer method: ${method}`);
+    }
+  } catch (error) {
+    return { id, error: error.message };
+  }
+}
+
+/**
+ * Serve signer requests arriving on a message port (the host side of a worker bridge)
+ * @param {MessagePort} port - Port connected to a worker
+ * @param {Signer} signer - Signer of the worker's wallet (the only wallet the worker may use)
+ */
+function serveSignerPort(port, signer) {
+  const host = {
+    getSigner: walletIndex => (walletIndex === signer.walletIndex ? signer : null),
+    walletCount: 1
+  };
+  
+  port.on('message', async (request) => {
+    port.postMessage(await handleSignerRequest(request, host));
+  });
+}
+
+/**
+ * Encode a message as one line of JSON (byte arrays as base64, bigints as strings)
+ * @param {Object} message - Request or response
+ * @returns {string} JSON line
+ */
+function encodeMessage(message) {
+  return JSON.stringify(message, (key, value) => {
+    if (value instanceof Uint8Array) {
+      return { $bytes: Buffer.from(value).toString('base64') };
+    }
+    if (typeof value === 'bigint') {
+      return { $bigint: value.toString() };
+    }
+    return value;
+  }) + '\n';
+}
+
+/**
+ * Decode a line of JSON written by encodeMessage
+ * @param {string} line - JSON line
+ * @returns {Object} Request or response
+ */
+function decodeMessage(line) {
+  return JSON.parse(line, (key, value) => {
+    if (value && typeof value === 'object') {
+      if (typeof value.$bytes === 'string') {
+        return new Uint8Array(Buffer.from(value.$bytes, 'base64'));
+      }
+      if (typeof value.$bigint === 'string') {
+        return BigInt(value.$bigint);
+      }
+    }
+    return value;
+  });
+}
+
+export {
+  SIGNER_METHODS,
+  handleSignerRequest,
+  serveSignerPort,
+  encodeMessage,
+  decodeMessage
+};
@@ -0,0 +1,187 @@
+// core/blockchain/signers/remoteSigner.js
+import net from 'net';
+import Signer, { SignerError } from './signer.js';
+import { SIGNER_METHODS, encodeMessage, decodeMessage } from './protocol.js';
+
+/**
+ * @typedef {Object} SignerTransport
+ * @property {Function} request - Send a request and resolve with its result
+ * @property {Function} close - Release the connection
+ */
+
+/**
+ * Track pending requests of a transport
+ * The connection only keeps the process alive while a request is waiting for its answer.
+ * @param {Object} connection - Port or socket with ref() and unref()
+ * @returns {Object} Pending request bookkeeping
+ */
+function createPendingRequests(connection) {
+  const pending = new Map();
+  let nextId = 1;
+  
+  return {
+    add(message) {
+      const id = nextId++;
+      const promise = new Promise((resolve, reject) => pending.set(id, { resolve, reject }));
+      connection.ref();
+      return { request: { ...message, id }, promise };
+    },
+    
+    settle({ id, result, error }) {
+      const entry = pending.get(id);
+      if (!entry) {
+        return;
+      }
+      
+      pending.delete(id);
+      if (pending.size === 0) {
+        connection.unref();
+      }
+      
+      if (error) {
+        entry.reject(new SignerError(error));
+      } else {
+        entry.resolve(result);
+      }
+    },
+    
+    failAll(error) {
+      for (const { reject } of pending.values()) {
+        reject(error);
+      }
+      pending.clear();
+    }
+  };
+}
+
+/**
+ * Create a transport over a worker message port (connected to the main thread)
+ * @param {MessagePort} port - Port received in workerData
+ * @returns {SignerTransport} Transport
+ */
+function createPortTransport(port) {
+  const pending = createPendingRequests(port);
+  port.on('message', response => pending.settle(response));
+  port.unref();
+  
+  return {
+    async request(message) {
+      const { request, promise } = pending.add(message);
+      port.postMessage(request);
+      return promise;
+    },
+    
+    close() {
+      port.close();
+    }
+  };
+}
+
+/**
+ * Create a transport over the Unix socket of a signer daemon
+ * @param {string} socketPath - Socket path
+ * @returns {SignerTransport} Transport
+ */
+function createSocketTransport(socketPath) {
+  let socket = null;
+  
+  const connect = () => new Promise((resolve, reject) => {
+    const connection = net.createConnection(socketPath);
+    const pending = createPendingRequests(connection);
+    let buffer = '';
+    
+    connection.setEncoding('utf8');
+    connection.once('error', error => reject(new SignerError(`Cannot reach the signer daemon at ${socketPath}: ${error.message}`)));
+    connection.once('connect', () => {
+      connection.on('error', error => pending.failAll(new SignerError(`Signer daemon connection failed: ${error.message}`)));
+      resolve({ connection, pending });
+    });
+    
+    connection.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        pending.settle(decodeMessage(buffer.slice(0, newline)));
+        buffer = buffer.slice(newline + 1);
+      }
+    });
+    
+    connection.on('close', () => {
+      pending.failAll(new SignerError('Signer daemon closed the connection'));
+      socket = null;
+    });
+  });
+  
+  return {
+    async request(message) {
+      if (!socket) {
+        socket = connect();
+        socket.catch(() => { socket = null; });
+      }
+      
+      const { connection, pending } = await socket;
+      const { request, promise } = pending.add(message);
+      connection.write(encodeMessage(request));
+      return promise;
+    },
+    
+    close() {
+      socket?.then(({ connection }) => connection.end(), () => {});
+      socket = null;
+    }
+  };
+}
+
+/**
+ * Signer that forwards requests to a signer host (the main thread or the signer daemon)
+ * The key never enters the process or thread using this signer.
+ */
+class RemoteSigner extends Signer {
+  /**
+   * Create a new RemoteSigner
+   * @param {SignerTransport} transport - Connection to the signer host
+   * @param {number} walletIndex - Wallet index
+   */
+  constructor(transport, walletIndex) {
+    super(walletIndex);
+    this.transport = transport;
+  }
+  
+  /**
+   * Get the accounts of the wallet on a chain
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @returns {Promise<AccountData[]>} Accounts
+   */
+  async getAccounts(chain) {
+    return this.transport.request({ method: SIGNER_METHODS.GET_ACCOUNTS, walletIndex: this.walletIndex, chain });
+  }
+  
+  /**
+   * Sign a transaction in direct mode
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @param {string} signerAddress - Address signing the transaction
+   * @param {SignDoc} signDoc - Document to sign
+   * @returns {Promise<DirectSignResponse>} Signed document and signature
+   */
+  async signDirect(chain, signerAddress, signDoc) {
+    return this.transport.request({
+      method: SIGNER_METHODS.SIGN_DIRECT,
+      walletIndex: this.walletIndex,
+      chain,
+      signerAddress,
+      signDoc
+    });
+  }
+}
+
+/**
+ * Ask a signer daemon how many wallets it serves
+ * @param {SignerTransport} transport - Connection to the daemon
+ * @returns {Promise<number>} Number of wallets
+ */
+async function listRemoteWallets(transport) {
+  return transport.request({ method: SIGNER_METHODS.LIST_WALLETS });
+}
+
+export default RemoteSigner;
+export { createPortTransport, createSocketTransport, listRemoteWallets };
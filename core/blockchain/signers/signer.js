@@ -0,0 +1,88 @@
+// core/blockchain/signers/signer.js
+
+/**
+ * Error thrown when a signer cannot serve a request
+ */
+class SignerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignerError';
+  }
+}
+
+/**
+ * @typedef {Object} SignerChain
+ * @property {string} prefix - Address prefix
+ * @property {number} [coinType] - BIP44 coin type for mnemonic wallets
+ */
+
+/**
+ * Base class for signers
+ * A signer holds (or can reach) the key of one wallet and signs for any chain.
+ * Subclasses implement getAccounts and signDirect.
+ */
+class Signer {
+  /**
+   * Create a new Signer
+   * @param {number} walletIndex - Wallet index
+   */
+  constructor(walletIndex) {
+    this.walletIndex = walletIndex;
+    this.walletId = null; // Address progress is stored under, resolved by setupWallets
+  }
+  
+  /**
+   * Get the accounts of the wallet on a chain
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @returns {Promise<AccountData[]>} Accounts
+   */
+  async getAccounts(chain) {
+    throw new Error('getAccounts method must be implemented by subclasses');
+  }
+  
+  /**
+   * Sign a transaction in direct mode
+   * @param {SignerChain} chain - Chain prefix and coin type
+   * @param {string} signerAddress - Address signing the transaction
+   * @param {SignDoc} signDoc - Document to sign
+   * @returns {Promise<DirectSignResponse>} Signed document and signature
+   */
+  async signDirect(chain, signerAddress, signDoc) {
+    throw new Error('signDirect method must be implemented by subclasses');
+  }
+  
+  /**
+   * Get an offline signer for a chain, usable by cosmjs signing clients and the Union client
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {OfflineDirectSigner} Offline signer
+   */
+  forChain(chainConfig) {
+    const chain = toSignerChain(chainConfig);
+    return {
+      getAccounts: () => this.getAccounts(chain),
+      signDirect: (signerAddress, signDoc) => this.signDirect(chain, signerAddress, signDoc)
+    };
+  }
+  
+  /**
+   * Get the wallet address on a chain
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {Promise<string>} Address
+   */
+  async getAddress(chainConfig) {
+    const [account] = await this.getAccounts(toSignerChain(chainConfig));
+    return account.address;
+  }
+}
+
+/**
+ * Keep only the chain settings a signer needs
+ * @param {Object} chainConfig - Chain configuration
+ * @returns {SignerChain} Chain prefix and coin type
+ */
+function toSignerChain({ prefix, coinType }) {
+  return coinType === undefined ? { prefix } : { prefix, coinType };
+}
+
+export default Signer;
+export { SignerError, toSignerChain };
@@ -0,0 +1,100 @@
+// core/blockchain/signers/signerDaemon.js
+import net from 'net';
+import fs from 'fs/promises';
+import KeySigner from './keySigner.js';
+import { SignerError } from './signer.js';
+import { handleSignerRequest, encodeMessage, decodeMessage } from './protocol.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Check whether a daemon is listening on a socket
+ * @param {string} socketPath - Socket path
+ * @returns {Promise<boolean>} True if a connection was accepted
+ */
+function isSocketLive(socketPath) {
+  return new Promise((resolve, reject) => {
+    const connection = net.createConnection(socketPath);
+    
+    connection.once('connect', () => {
+      connection.end();
+      resolve(true);
+    });
+    
+    // A missing socket or one nobody listens on is left over, anything else is unexpected
+    connection.once('error', error => {
+      if (['ENOENT', 'ECONNREFUSED'].includes(error.code)) {
+        resolve(false);
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Start a signer daemon that signs for the bot over a Unix socket
+ * The daemon is the only process holding the keys; the bot and its workers only send sign requests.
+ * @param {string} socketPath - Socket path to listen on
+ * @param {string[]} privateKeys - Private keys or mnemonic entries in wallet order
+ * @returns {Promise<net.Server>} Listening server (close it to stop the daemon)
+ * @throws {SignerError} If another daemon is listening on the socket
+ */
+async function startSignerDaemon(socketPath, privateKeys) {
+  const signers = privateKeys.map((privateKey, walletIndex) => new KeySigner(privateKey, walletIndex));
+  const host = {
+    getSigner: walletIndex => signers[walletIndex] || null,
+    walletCount: signers.length
+  };
+  
+  if (await isSocketLive(socketPath)) {
+    throw new SignerError(`A signer daemon is already listening on ${socketPath}`);
+  }
+  
+  // Remove the socket of a previous daemon that did not shut down cleanly
+  await fs.rm(socketPath, { force: true });
+  
+  const server = net.createServer((connection) => {
+    let buffer = '';
+    connection.setEncoding('utf8');
+    
+    connection.on('data', async (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        
+        let request;
+        try {
+          request = decodeMessage(line);
+        } catch (error) {
+          logger.warn(`Signer daemon received an invalid request: ${error.message}`);
+          continue;
+        }
+        
+        const response = await handleSignerRequest(request, host);
+        if (response.error) {
+          logger.warn(`Signer daemon refused ${request.method} for wallet ${request.walletIndex + 1}: ${response.error}`);
+        }
+        connection.write(encodeMessage(response));
+      }
+    });
+    
+    connection.on('error', error => logger.warn(`Signer daemon connection error: ${error.message}`));
+  });
+  
+  // Only the user running the daemon may connect. The socket is created with that mode
+  // (listen binds before it returns), so others can never connect in between.
+  const umask = process.umask(0o177);
+  const listening = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+  process.umask(umask);
+  await listening;
+  
+  logger.info(`Signer daemon listening on ${socketPath} for ${signers.length} wallet(s)`);
+  return server;
+}
+
+export { startSignerDaemon };
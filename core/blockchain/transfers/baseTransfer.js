@@ -1,127 +1,209 @@
-import { StargateClient } from '@cosmjs/stargate';
-import { createWallet } from '../wallet.js';
-import { createWalletLogger } from '../../../utils/logger.js';
-import { toRawAmount } from '../../../utils/common.js';
-
-/**
- * Base class for all transfer implementations
- */
-class BaseTransfer {
-  /**
-   * Create a new BaseTransfer instance
-   * @param {Object} config - Configuration object
-   * @param {number} walletIndex - Wallet index
-   * @param {string} privateKey - Private key
-   */
-  constructor(config, walletIndex, privateKey) {
-    this.config = config;
-    this.walletIndex = walletIndex;
-    this.privateKey = privateKey;
-    this.logger = createWalletLogger(walletIndex);
-  }
-
-  /**
-   * Initialize the transfer with source and destination chains
-   * @param {string} sourceChainName - Source chain name
-   * @param {string} destinationChainName - Destination chain name
-   */
-  async initialize(sourceChainName, destinationChainName) {
-    this.sourceChain = this.config.chains[sourceChainName];
-    this.destinationChain = this.config.chains[destinationChainName];
-    
-    if (!this.sourceChain) {
-      throw new Error(`Source chain ${sourceChainName} not found in configuration`);
-    }
-    
-    if (!this.destinationChain) {
-      throw new Error(`Destination chain ${destinationChainName} not found in configuration`);
-    }
-    
-    // Create wallet for source chain
-    this.wallet = await createWallet(this.privateKey, this.sourceChain.prefix, this.walletIndex);
-    const [account] = await this.wallet.getAccounts();
-    this.senderAddress = account.address;
-    
-    this.logger.info(`Initializing transfer from ${sourceChainName} to ${destinationChainName}`);
-    this.logger.info(`Sender address: ${this.senderAddress}`);
-    
-    // Connect to chain
-    this.client = await StargateClient.connect(this.sourceChain.rpcEndpoint);
-    
-    this.logger.info(`Connected to ${sourceChainName} blockchain`);
-  }
-
-  /**
-   * Check if the wallet has sufficient balance for the transfer
-   * @param {string} amount - Amount to transfer
-   * @returns {Promise<boolean>} True if balance is sufficient
-   */
-  async checkBalance(amount) {
-    try {
-      const balances = await this.client.getAllBalances(this.senderAddress);
-      
-      const denom = this.sourceChain.denom;
-      const balance = balances.find(b => b.denom === denom);
-      const availableAmount = balance ? parseInt(balance.amount) : 0;
-      
-      this.logger.info(`Balance: ${availableAmount / Math.pow(10, this.sourceChain.decimals)} ${denom.toUpperCase()}`);
-      
-      const requiredAmount = Math.floor(parseFloat(amount) * Math.pow(10, this.sourceChain.decimals));
-      
-      if (availableAmount < requiredAmount) {
-        const humanReadableAvailable = availableAmount / Math.pow(10, this.sourceChain.decimals);
-        throw new Error(`Insufficient balance: ${humanReadableAvailable} ${denom.toUpperCase()} (need ${amount} ${denom.toUpperCase()})`);
-      }
-      
-      return true;
-    } catch (error) {
-      this.logger.error(`Error checking balance: ${error.message}`);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get account information from the chain
-   * @returns {Promise<{accountNumber: number, sequence: number}>} Account info
-   */
-  async getAccountInfo() {
-    try {
-      const accountInfo = await this.client.getAccount(this.senderAddress);
-      
-      if (accountInfo) {
-        this.logger.info(`Account details: Number=${accountInfo.accountNumber}, Sequence=${accountInfo.sequence}`);
-        return {
-          accountNumber: accountInfo.accountNumber,
-          sequence: accountInfo.sequence
-        };
-      } else {
-        this.logger.warn('Account not found on chain, using defaults (accountNumber: 0, sequence: 0)');
-        return { accountNumber: 0, sequence: 0 };
-      }
-    } catch (error) {
-      this.logger.warn(`Could not get account info: ${error.message}`);
-      return { accountNumber: 0, sequence: 0 };
-    }
-  }
-  
-  /**
-   * Convert amount to raw (blockchain) format as string
-   * @param {string} amount - Human-readable amount
-   * @returns {string} Raw amount as string
-   */
-  toRawAmount(amount) {
-    return toRawAmount(amount, this.sourceChain.decimals);
-  }
-  
-  /**
-   * Abstract method for performing a transfer
-   * @param {string} receiverAddress - Destination address
-   * @param {string} amount - Amount to transfer
-   * @returns {Promise<Object|null>} Transfer result or null if failed
-   */
-  async transfer(receiverAddress, amount) {
-    throw new Error('Transfer method must be implemented by subclasses');
-  }
-}
-
-export default BaseTransfer;
\ No newline at end of file
+import { createWalletLogger } from '../../../utils/logger.js';
+import { toRawAmount } from '../../../utils/common.js';
+import TransferLedger, { LEDGER_STATUS } from '../../progress/ledger.js';
+import { estimateFee } from '../fees.js';
+import sequenceManager from '../sequenceManager.js';
+import { confirmTx, TX_STATUS } from '../broadcast.js';
+import { connectChainClient, getEndpointPool } from '../endpoints.js';
+
+/**
+ * Base class for all transfer implementations
+ */
+class BaseTransfer {
+  /**
+   * Create a new BaseTransfer instance
+   * @param {Object} config - Configuration object
+   * @param {number} walletIndex - Wallet index
+   * @param {Signer} signer - Wallet signer, set up by setupWallets
+   */
+  constructor(config, walletIndex, signer) {
+    this.config = config;
+    this.walletIndex = walletIndex;
+    this.signer = signer;
+    this.logger = createWalletLogger(walletIndex);
+    this.ledger = new TransferLedger(signer.walletId, walletIndex);
+  }
+
+  /**
+   * Initialize the transfer with source and destination chains
+   * @param {string} sourceChainName - Source chain name
+   * @param {string} destinationChainName - Destination chain name
+   */
+  async initialize(sourceChainName, destinationChainName) {
+    this.sourceChainName = sourceChainName;
+    this.destinationChainName = destinationChainName;
+    this.sourceChain = this.config.chains[sourceChainName];
+    this.destinationChain = this.config.chains[destinationChainName];
+    
+    if (!this.sourceChain) {
+      throw new Error(`Source chain ${sourceChainName} not found in configuration`);
+    }
+    
+    if (!this.destinationChain) {
+      throw new Error(`Destination chain ${destinationChainName} not found in configuration`);
+    }
+    
+    // Offline signer for the source chain; the key stays with the signer
+    this.wallet = this.signer.forChain(this.sourceChain);
+    const [account] = await this.wallet.getAccounts();
+    this.senderAddress = account.address;
+    
+    this.logger.info(`Initializing transfer from ${sourceChainName} to ${destinationChainName}`);
+    this.logger.info(`Sender address: ${this.senderAddress}`);
+    
+    // Connect to chain; calls go to the best healthy RPC endpoint and fail over to the next one
+    this.rpcPool = getEndpointPool(this.config, sourceChainName);
+    this.client = await connectChainClient(this.config, sourceChainName);
+    this.logger.info(`Using RPC endpoint ${await this.rpcPool.best()}`);
+    
+    this.logger.info(`Connected to ${sourceChainName} blockchain`);
+  }
+
+  /**
+   * Check if the wallet has sufficient balance for the transfer
+   * @param {string} amount - Amount to transfer
+   * @returns {Promise<boolean>} True if balance is sufficient
+   */
+  async checkBalance(amount) {
+    try {
+      const balances = await this.client.getAllBalances(this.senderAddress);
+      
+      const denom = this.sourceChain.denom;
+      const balance = balances.find(b => b.denom === denom);
+      const availableAmount = balance ? parseInt(balance.amount) : 0;
+      
+      this.logger.info(`Balance: ${availableAmount / Math.pow(10, this.sourceChain.decimals)} ${denom.toUpperCase()}`);
+      
+      const requiredAmount = Math.floor(parseFloat(amount) * Math.pow(10, this.sourceChain.decimals));
+      
+      if (availableAmount < requiredAmount) {
+        const humanReadableAvailable = availableAmount / Math.pow(10, this.sourceChain.decimals);
+        throw new Error(`Insufficient balance: ${humanReadableAvailable} ${denom.toUpperCase()} (need ${amount} ${denom.toUpperCase()})`);
+      }
+      
+      return true;
+    } catch (error) {
+      this.logger.error(`Error checking balance: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sign and broadcast a transaction from the sender with the next account sequence
+   * Sequences are tracked across transfers, so back-to-back transfers do not reuse one.
+   * @param {function({accountNumber: number, sequence: number}): Promise<any>} submit - Signs and broadcasts; throws if rejected
+   * @returns {Promise<any>} Result of the submit function
+   */
+  async withSequence(submit) {
+    return sequenceManager.withSequence(this.client, this.sourceChain.chainId, this.senderAddress, async ({ accountNumber, sequence }) => {
+      this.logger.info(`Account details: Number=${accountNumber}, Sequence=${sequence}`);
+      return submit({ accountNumber, sequence });
+    });
+  }
+  
+  /**
+   * Wait for a submitted transaction of the sender to be included in a block
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<TxResult>} Confirmed, failed or pending transaction result
+   */
+  async confirm(hash) {
+    this.logger.info(`Waiting for ${hash} to be included on ${this.sourceChainName}...`);
+    const tx = await confirmTx(this.client, hash, this.config.broadcast);
+    
+    if (tx.status === TX_STATUS.CONFIRMED) {
+      const fee = tx.fee.map(({ amount, denom }) => `${amount}${denom}`).join(',') || 'no fee';
+      this.logger.info(`Included at height ${tx.height}: ${tx.gasUsed}/${tx.gasWanted} gas used, ${fee} paid`);
+    } else {
+      this.logger.error(tx.error);
+    }
+    
+    return tx;
+  }
+  
+  /**
+   * Estimate the fee for messages signed by the sender on the source chain
+   * @param {SigningStargateClient} signingClient - Signing client connected to the source chain
+   * @param {Object[]} messages - Encodable messages
+   * @param {string} [memo] - Transaction memo
+   * @returns {Promise<Object>} Fee to sign with
+   * @throws {FeeCapError} If the fee exceeds the source chain's fee cap
+   */
+  async estimateFee(signingClient, messages, memo = '') {
+    const fee = await estimateFee({
+      config: this.config,
+      chainName: this.sourceChainName,
+      signingClient,
+      signerAddress: this.senderAddress,
+      messages,
+      memo
+    });
+    
+    this.logger.info(`Estimated fee: ${fee.amount[0].amount}${fee.amount[0].denom} for ${fee.gas} gas`);
+    return fee;
+  }
+  
+  /**
+   * Convert amount to raw (blockchain) format as string
+   * @param {string} amount - Human-readable amount
+   * @returns {string} Raw amount as string
+   */
+  toRawAmount(amount) {
+    return toRawAmount(amount, this.sourceChain.decimals);
+  }
+  
+  /**
+   * Perform a transfer and record its outcome in the transfer ledger
+   * @param {string} receiverAddress - Destination address
+   * @param {string} amount - Amount to transfer
+   * @returns {Promise<Object|null>} Transfer result or null if failed
+   */
+  async transfer(receiverAddress, amount) {
+    let result = null;
+    
+    try {
+      result = await this.performTransfer(receiverAddress, amount);
+      return result;
+    } catch (error) {
+      result = { success: false, error: error.message };
+      throw error;
+    } finally {
+      await this.recordResult(receiverAddress, amount, result);
+    }
+  }
+  
+  /**
+   * Record a transfer result in the ledger
+   * @param {string} receiverAddress - Destination address
+   * @param {string} amount - Amount to transfer
+   * @param {Object|null} result - Transfer result
+   * @returns {Promise<void>}
+   */
+  async recordResult(receiverAddress, amount, result) {
+    await this.ledger.append({
+      kind: 'transfer',
+      sourceChain: this.sourceChainName,
+      destinationChain: this.destinationChainName,
+      sender: this.senderAddress || null,
+      receiver: receiverAddress,
+      hash: result?.hash || null,
+      height: result?.tx?.height ?? null,
+      fee: result?.tx?.fee,
+      amount,
+      status: result?.success ? LEDGER_STATUS.SUCCESS : LEDGER_STATUS.FAILED,
+      error: result?.success ? null : (result?.error || 'Transfer failed with no specific error'),
+      packetState: result?.packet?.state
+    });
+  }
+  
+  /**
+   * Abstract method for performing a transfer
+   * @param {string} receiverAddress - Destination address
+   * @param {string} amount - Amount to transfer
+   * @returns {Promise<Object|null>} Transfer result or null if failed
+   */
+  async performTransfer(receiverAddress, amount) {
+    throw new Error('performTransfer method must be implemented by subclasses');
+  }
+}
+
+export default BaseTransfer;
@@ -0,0 +1,102 @@
+// core/blockchain/transfers/sameChainTransfer.js
+import { MsgSend } from "cosmjs-types/cosmos/bank/v1beta1/tx.js";
+import { TxRaw } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import BaseTransfer from './baseTransfer.js';
+import { submitTx, TX_STATUS } from '../broadcast.js';
+import { connectSigningChainClient } from '../endpoints.js';
+
+/**
+ * Bank send between two addresses on the same chain, for any configured chain
+ */
+class SameChainTransfer extends BaseTransfer {
+  /**
+   * Create a new SameChainTransfer instance
+   * @param {Object} config - Configuration object
+   * @param {number} walletIndex - Wallet index
+   * @param {Signer} signer - Wallet signer
+   * @param {string} chainName - Chain to transfer on
+   */
+  constructor(config, walletIndex, signer, chainName) {
+    super(config, walletIndex, signer);
+    this.sourceChainName = chainName;
+    this.destinationChainName = chainName;
+  }
+  
+  /**
+   * Transfer tokens to an address on the same chain
+   * @param {string} receiverAddress - Destination address
+   * @param {string} amount - Amount to transfer
+   * @returns {Promise<Object|null>} Transfer result or null if failed
+   */
+  async performTransfer(receiverAddress, amount) {
+    try {
+      await this.initialize(this.sourceChainName, this.destinationChainName);
+      
+      if (!await this.checkBalance(amount)) {
+        return null;
+      }
+      
+      this.logger.info(`Starting transfer of ${amount} ${this.sourceChain.symbol} to ${receiverAddress}`);
+      
+      // Connect signing client
+      const signingClient = await connectSigningChainClient(this.config, this.sourceChainName, this.wallet);
+      
+      const chainId = await this.client.getChainId();
+      
+      // Prepare transaction
+      const denom = this.sourceChain.denom;
+      const rawAmount = this.toRawAmount(amount);
+      
+      const sendMsg = {
+        typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+        value: MsgSend.fromPartial({
+          fromAddress: this.senderAddress,
+          toAddress: receiverAddress,
+          amount: [{ denom, amount: rawAmount }]
+        })
+      };
+      
+      // Estimate the fee from a simulation of the transaction
+      const memo = `${this.sourceChainName} to ${this.sourceChainName} Transfer`;
+      const fee = await this.estimateFee(signingClient, [sendMsg], memo);
+      
+      // Sign and submit with the next sequence of the account
+      const hash = await this.withSequence(async ({ accountNumber, sequence }) => {
+        this.logger.info('Signing transaction...');
+        const txRaw = await signingClient.sign(
+          this.senderAddress, 
+          [sendMsg], 
+          fee, 
+          memo, 
+          { accountNumber, sequence, chainId }
+        );
+        
+        this.logger.info('Broadcasting transaction...');
+        return submitTx(this.client, TxRaw.encode(txRaw).finish());
+      });
+      
+      // Only a transaction executed in a block counts as a transfer
+      const tx = await this.confirm(hash);
+      const success = tx.status === TX_STATUS.CONFIRMED;
+      
+      if (success) {
+        this.logger.info(`Transfer successful: ${hash}`);
+      }
+      
+      return {
+        success,
+        hash,
+        tx,
+        amount,
+        sender: this.senderAddress,
+        receiver: receiverAddress,
+        error: success ? undefined : tx.error
+      };
+    } catch (error) {
+      this.logger.error(`Error processing ${this.sourceChainName} to ${this.sourceChainName} transfer: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default SameChainTransfer;
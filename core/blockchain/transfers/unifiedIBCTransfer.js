@@ -1,255 +1,290 @@
-import BaseTransfer from './baseTransfer.js';
-import { sleep } from '../../../utils/common.js';
-
-/**
- * Unified IBC Transfer class that handles transfers between any supported chains
- * Replaces multiple chain-specific transfer classes with a single implementation
- */
-class UnifiedIBCTransfer extends BaseTransfer {
-  /**
-   * Create a new UnifiedIBCTransfer instance
-   * @param {Object} config - Configuration object
-   * @param {number} walletIndex - Wallet index
-   * @param {string} privateKey - Private key
-   * @param {string} sourceChainName - Source chain name
-   * @param {string} destinationChainName - Destination chain name
-   */
-  constructor(config, walletIndex, privateKey, sourceChainName, destinationChainName) {
-    super(config, walletIndex, privateKey);
-    this.sourceChainName = sourceChainName;
-    this.destinationChainName = destinationChainName;
-  }
-  
-  /**
-   * Transfer tokens from source chain to destination chain
-   * @param {string} receiverAddress - Destination address
-   * @param {string} amount - Amount to transfer
-   * @returns {Promise<Object|null>} Transfer result or null if failed
-   */
-  async transfer(receiverAddress, amount) {
-    try {
-      await this.initialize(this.sourceChainName, this.destinationChainName);
-      
-      if (!await this.checkBalance(amount)) {
-        return null;
-      }
-
-      this.logger.info(`Starting transfer of ${amount} ${this.getTokenName(this.sourceChainName)} from ${this.sourceChainName} to ${this.destinationChainName} (${receiverAddress})`);
-      
-      // Import required modules
-      const [viem, unionlabs] = await this.importRequiredModules();
-      
-      // Get account info
-      const { accountNumber, sequence } = await this.getAccountInfo();
-      
-      // Get channel information
-      const channel = await this.getIBCChannel(unionlabs);
-      if (!channel) return null;
-      
-      // Convert base token and prepare receiver address
-      const { baseToken, baseTokenHex, receiverHex } = await this.prepareTokensAndAddresses(receiverAddress, viem, unionlabs);
-      
-      // Get quote token
-      const quoteToken = await this.getQuoteToken(baseTokenHex, channel, unionlabs);
-      if (!quoteToken) return null;
-      
-      // Create Union client
-      const unionClient = this.createUnionClient(accountNumber, sequence, unionlabs);
-      
-      // Execute transfer
-      return await this.executeTransfer(unionClient, baseToken, quoteToken, receiverHex, channel, amount, receiverAddress, viem);
-      
-    } catch (error) {
-      this.logger.error(`Error processing ${this.sourceChainName} to ${this.destinationChainName} transfer: ${error.message}`);
-      return null;
-    }
-  }
-  
-  /**
-   * Import required modules for IBC transfer
-   * @returns {Promise<Array>} Array of imported modules [viem, unionlabs]
-   */
-  async importRequiredModules() {
-    this.logger.info('Loading IBC transfer modules...');
-    return await Promise.all([
-      import('viem'),
-      import('@unionlabs/client')
-    ]);
-  }
-  
-  /**
-   * Get a user-friendly token name for display in logs
-   * @param {string} chainName - Chain name
-   * @returns {string} Token name
-   */
-  getTokenName(chainName) {
-    const tokens = {
-      'UNION': 'MUNO',
-      'BABYLON': 'BBN',
-      'STARGAZE': 'STARS',
-      'STRIDE': 'STRD'
-    };
-    return tokens[chainName] || chainName;
-  }
-  
-  /**
-   * Get IBC channel information between source and destination chains
-   * @param {Object} unionlabs - Unionlabs client module
-   * @returns {Promise<Object|null>} Channel information or null if not found
-   */
-  async getIBCChannel(unionlabs) {
-    this.logger.info('Fetching channel information...');
-    try {
-      const channels = await unionlabs.getRecommendedChannels();
-      
-      const channel = unionlabs.getChannelInfo(
-        this.sourceChain.chainId, 
-        this.destinationChain.chainId, 
-        channels
-      );
-      
-      if (!channel) {
-        this.logger.error(`No channel found between ${this.sourceChainName} and ${this.destinationChainName}`);
-        this.logger.info(`Consider using UNION as an intermediary for ${this.sourceChainName} -> UNION -> ${this.destinationChainName}`);
-        throw new Error('No channel found between source and destination chains');
-      }
-      
-      this.logger.info(`Channel details: ${this.sourceChain.chainId}:${channel.source_channel_id} -> ${this.destinationChain.chainId}:${channel.destination_channel_id}`);
-      return channel;
-    } catch (error) {
-      this.logger.error(`Error getting IBC channel: ${error.message}`);
-      return null;
-    }
-  }
-  
-  /**
-   * Prepare tokens and addresses for transfer
-   * @param {string} receiverAddress - Destination address
-   * @param {Object} viem - Viem module
-   * @param {Object} unionlabs - Unionlabs module
-   * @returns {Promise<Object>} Token and address information
-   */
-  async prepareTokensAndAddresses(receiverAddress, viem, unionlabs) {
-    const baseToken = this.sourceChain.denom;
-    const baseTokenHex = viem.toHex(baseToken);
-    
-    let receiverHex;
-    try {
-      receiverHex = receiverAddress.startsWith("0x") 
-        ? receiverAddress 
-        : unionlabs.bech32AddressToHex({ address: receiverAddress });
-    } catch (error) {
-      this.logger.error(`Failed to convert receiver address: ${error.message}`);
-      throw error;
-    }
-    
-    return { baseToken, baseTokenHex, receiverHex };
-  }
-  
-  /**
-   * Get quote token for the IBC transfer
-   * @param {string} baseTokenHex - Base token in hex format
-   * @param {Object} channel - Channel information
-   * @param {Object} unionlabs - Unionlabs module
-   * @returns {Promise<Object|null>} Quote token or null if not available
-   */
-  async getQuoteToken(baseTokenHex, channel, unionlabs) {
-    this.logger.info('Getting quote token information...');
-    try {
-      const quoteToken = await unionlabs.getQuoteToken(this.sourceChain.chainId, baseTokenHex, channel);
-      
-      if (quoteToken.isErr()) {
-        throw new Error(`Failed to get quote token: ${quoteToken.error.toString()}`);
-      }
-      
-      if (quoteToken.value.type === "NO_QUOTE_AVAILABLE") {
-        throw new Error('No quote token available for this transfer path');
-      }
-      
-      return quoteToken.value;
-    } catch (error) {
-      this.logger.error(`Error getting quote token: ${error.message}`);
-      return null;
-    }
-  }
-  
-  /**
-   * Create Union client for executing the transfer
-   * @param {number} accountNumber - Account number
-   * @param {number} sequence - Sequence number
-   * @param {Object} unionlabs - Unionlabs module
-   * @returns {Object} Union client
-   */
-  createUnionClient(accountNumber, sequence, unionlabs) {
-    this.logger.info('Creating Union client...');
-    return unionlabs.createUnionClient({
-      chainId: this.sourceChain.chainId,
-      account: this.wallet,
-      gasPrice: this.sourceChain.gasPrice,
-      transport: unionlabs.http(this.sourceChain.rpcEndpoint),
-      accountNumber,
-      sequence
-    });
-  }
-  
-  /**
-   * Execute the IBC transfer
-   * @param {Object} unionClient - Union client
-   * @param {string} baseToken - Base token
-   * @param {Object} quoteToken - Quote token
-   * @param {string} receiverHex - Receiver address in hex format
-   * @param {Object} channel - Channel information
-   * @param {string} amount - Amount to transfer
-   * @param {string} receiverAddress - Original receiver address
-   * @param {Object} viem - Viem module
-   * @returns {Promise<Object|null>} Transfer result or null if failed
-   */
-  async executeTransfer(unionClient, baseToken, quoteToken, receiverHex, channel, amount, receiverAddress, viem) {
-    try {
-      this.logger.info('Initiating transfer...');
-      
-      const rawAmount = BigInt(this.toRawAmount(amount));
-      const rawAmountString = rawAmount.toString(); // Convert to string to avoid serialization issues
-      
-      const transferParams = {
-        baseToken: baseToken,
-        baseAmount: rawAmountString,
-        quoteToken: quoteToken.quote_token || quoteToken.value?.quote_token, // Handle different response structures
-        quoteAmount: rawAmountString,
-        receiver: receiverHex,
-        sourceChannelId: channel.source_channel_id,
-        ucs03address: viem.fromHex(`0x${channel.source_port_id}`, "string")
-      };
-      
-      this.logger.info(`Calling transferAsset...`);
-      
-      // Timeout for transfer operation
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Transfer timed out after 90 seconds')), 90000);
-      });
-      
-      // Execute transfer with timeout
-      const transferPromise = unionClient.transferAsset(transferParams);
-      const transfer = await Promise.race([transferPromise, timeoutPromise]);
-      
-      if (transfer.isErr()) {
-        throw new Error(`Transfer failed: ${transfer.error.toString()}`);
-      }
-      
-      this.logger.info(`Transfer completed successfully: ${transfer.value}`);
-      
-      return {
-        success: true,
-        hash: transfer.value,
-        amount,
-        sender: this.senderAddress,
-        receiver: receiverAddress
-      };
-    } catch (error) {
-      this.logger.error(`Error executing transfer: ${error.message}`);
-      return null;
-    }
-  }
-}
-
-export default UnifiedIBCTransfer;
\ No newline at end of file
+import crypto from 'crypto';
+import { Registry } from '@cosmjs/proto-signing';
+import { defaultRegistryTypes } from '@cosmjs/stargate';
+import { MsgExecuteContract } from 'cosmjs-types/cosmwasm/wasm/v1/tx.js';
+import { TxRaw } from 'cosmjs-types/cosmos/tx/v1beta1/tx.js';
+import BaseTransfer from './baseTransfer.js';
+import PacketTracker, { isDelivered } from '../packetTracker.js';
+import { submitTx, TX_STATUS } from '../broadcast.js';
+import { loadUnionClient } from '../unionClient.js';
+import { connectSigningChainClient } from '../endpoints.js';
+
+const MSG_EXECUTE_CONTRACT_TYPE_URL = '/cosmwasm.wasm.v1.MsgExecuteContract';
+
+/**
+ * Unified IBC Transfer class that handles transfers between any supported chains
+ * Replaces multiple chain-specific transfer classes with a single implementation
+ */
+class UnifiedIBCTransfer extends BaseTransfer {
+  /**
+   * Create a new UnifiedIBCTransfer instance
+   * @param {Object} config - Configuration object
+   * @param {number} walletIndex - Wallet index
+   * @param {Signer} signer - Wallet signer
+   * @param {string} sourceChainName - Source chain name
+   * @param {string} destinationChainName - Destination chain name
+   */
+  constructor(config, walletIndex, signer, sourceChainName, destinationChainName) {
+    super(config, walletIndex, signer);
+    this.sourceChainName = sourceChainName;
+    this.destinationChainName = destinationChainName;
+  }
+  
+  /**
+   * Transfer tokens from source chain to destination chain
+   * @param {string} receiverAddress - Destination address
+   * @param {string} amount - Amount to transfer
+   * @returns {Promise<Object|null>} Transfer result or null if failed
+   */
+  async performTransfer(receiverAddress, amount) {
+    try {
+      await this.initialize(this.sourceChainName, this.destinationChainName);
+      
+      if (!await this.checkBalance(amount)) {
+        return null;
+      }
+
+      this.logger.info(`Starting transfer of ${amount} ${this.getTokenName(this.sourceChainName)} from ${this.sourceChainName} to ${this.destinationChainName} (${receiverAddress})`);
+      
+      // Import required modules
+      const [viem, unionlabs] = await this.importRequiredModules();
+      
+      // Get channel information
+      const channel = await this.getIBCChannel(unionlabs);
+      if (!channel) {
+        return { success: false, error: `No IBC channel available from ${this.sourceChainName} to ${this.destinationChainName}` };
+      }
+      
+      // Convert base token and prepare receiver address
+      const { baseToken, baseTokenHex, receiverHex } = await this.prepareTokensAndAddresses(receiverAddress, viem, unionlabs);
+      
+      // Get quote token
+      const quoteToken = await this.getQuoteToken(baseTokenHex, channel, unionlabs);
+      if (!quoteToken) {
+        return { success: false, error: 'No quote token available for this transfer path' };
+      }
+      
+      // Execute transfer
+      return await this.executeTransfer(baseToken, quoteToken, receiverHex, channel, amount, receiverAddress, viem);
+      
+    } catch (error) {
+      this.logger.error(`Error processing ${this.sourceChainName} to ${this.destinationChainName} transfer: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Import required modules for IBC transfer
+   * @returns {Promise<Array>} Array of imported modules [viem, unionlabs]
+   */
+  async importRequiredModules() {
+    this.logger.info('Loading IBC transfer modules...');
+    return await Promise.all([
+      import('viem'),
+      loadUnionClient()
+    ]);
+  }
+  
+  /**
+   * Get a user-friendly token name for display in logs
+   * @param {string} chainName - Chain name
+   * @returns {string} Token name
+   */
+  getTokenName(chainName) {
+    return this.config.chains[chainName]?.symbol || chainName;
+  }
+  
+  /**
+   * Get IBC channel information between source and destination chains
+   * @param {Object} unionlabs - Unionlabs client module
+   * @returns {Promise<Object|null>} Channel information or null if not found
+   */
+  async getIBCChannel(unionlabs) {
+    this.logger.info('Fetching channel information...');
+    try {
+      const channels = await unionlabs.getRecommendedChannels();
+      
+      const channel = unionlabs.getChannelInfo(
+        this.sourceChain.chainId, 
+        this.destinationChain.chainId, 
+        channels
+      );
+      
+      if (!channel) {
+        this.logger.error(`No channel found between ${this.sourceChainName} and ${this.destinationChainName}`);
+        this.logger.info(`Use MultiHopTransferService or a cross-chain quest route to reach ${this.destinationChainName} through other chains`);
+        throw new Error('No channel found between source and destination chains');
+      }
+      
+      this.logger.info(`Channel details: ${this.sourceChain.chainId}:${channel.source_channel_id} -> ${this.destinationChain.chainId}:${channel.destination_channel_id}`);
+      return channel;
+    } catch (error) {
+      this.logger.error(`Error getting IBC channel: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Prepare tokens and addresses for transfer
+   * @param {string} receiverAddress - Destination address
+   * @param {Object} viem - Viem module
+   * @param {Object} unionlabs - Unionlabs module
+   * @returns {Promise<Object>} Token and address information
+   */
+  async prepareTokensAndAddresses(receiverAddress, viem, unionlabs) {
+    const baseToken = this.sourceChain.denom;
+    const baseTokenHex = viem.toHex(baseToken);
+    
+    let receiverHex;
+    try {
+      receiverHex = receiverAddress.startsWith("0x") 
+        ? receiverAddress 
+        : unionlabs.bech32AddressToHex({ address: receiverAddress });
+    } catch (error) {
+      this.logger.error(`Failed to convert receiver address: ${error.message}`);
+      throw error;
+    }
+    
+    return { baseToken, baseTokenHex, receiverHex };
+  }
+  
+  /**
+   * Get quote token for the IBC transfer
+   * @param {string} baseTokenHex - Base token in hex format
+   * @param {Object} channel - Channel information
+   * @param {Object} unionlabs - Unionlabs module
+   * @returns {Promise<Object|null>} Quote token or null if not available
+   */
+  async getQuoteToken(baseTokenHex, channel, unionlabs) {
+    this.logger.info('Getting quote token information...');
+    try {
+      const quoteToken = await unionlabs.getQuoteToken(this.sourceChain.chainId, baseTokenHex, channel);
+      
+      if (quoteToken.isErr()) {
+        throw new Error(`Failed to get quote token: ${quoteToken.error.toString()}`);
+      }
+      
+      if (quoteToken.value.type === "NO_QUOTE_AVAILABLE") {
+        throw new Error('No quote token available for this transfer path');
+      }
+      
+      return quoteToken.value;
+    } catch (error) {
+      this.logger.error(`Error getting quote token: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Create the UCS03 transfer contract call, as the Union client builds it
+   * @param {Object} transferParams - Transfer parameters
+   * @returns {Object} Encodable MsgExecuteContract
+   */
+  createTransferMessage({ baseToken, baseAmount, quoteToken, quoteAmount, receiver, sourceChannelId, ucs03address }) {
+    const payload = {
+      transfer: {
+        channel_id: sourceChannelId,
+        receiver,
+        base_token: baseToken,
+        base_amount: baseAmount,
+        quote_token: quoteToken,
+        quote_amount: quoteAmount,
+        timeout_height: 1e9,
+        timeout_timestamp: 0,
+        salt: `0x${crypto.randomBytes(32).toString('hex')}`
+      }
+    };
+    
+    return {
+      typeUrl: MSG_EXECUTE_CONTRACT_TYPE_URL,
+      value: MsgExecuteContract.fromPartial({
+        sender: this.senderAddress,
+        contract: ucs03address,
+        msg: new TextEncoder().encode(JSON.stringify(payload)),
+        funds: [{ denom: baseToken, amount: baseAmount }]
+      })
+    };
+  }
+  
+  /**
+   * Execute the IBC transfer
+   * @param {string} baseToken - Base token
+   * @param {Object} quoteToken - Quote token
+   * @param {string} receiverHex - Receiver address in hex format
+   * @param {Object} channel - Channel information
+   * @param {string} amount - Amount to transfer
+   * @param {string} receiverAddress - Original receiver address
+   * @param {Object} viem - Viem module
+   * @returns {Promise<Object|null>} Transfer result or null if failed
+   */
+  async executeTransfer(baseToken, quoteToken, receiverHex, channel, amount, receiverAddress, viem) {
+    try {
+      this.logger.info('Initiating transfer...');
+      
+      const rawAmount = BigInt(this.toRawAmount(amount));
+      const rawAmountString = rawAmount.toString(); // Convert to string to avoid serialization issues
+      
+      const transferParams = {
+        baseToken: baseToken,
+        baseAmount: rawAmountString,
+        quoteToken: quoteToken.quote_token || quoteToken.value?.quote_token, // Handle different response structures
+        quoteAmount: rawAmountString,
+        receiver: receiverHex,
+        sourceChannelId: channel.source_channel_id,
+        ucs03address: viem.fromHex(`0x${channel.source_port_id}`, "string")
+      };
+      
+      // The Union client signs with its own sequence and an unchecked fee, so the contract call is
+      // signed here like any other transaction: simulated fee within the fee cap, managed sequence.
+      const registry = new Registry([...defaultRegistryTypes, [MSG_EXECUTE_CONTRACT_TYPE_URL, MsgExecuteContract]]);
+      const signingClient = await connectSigningChainClient(this.config, this.sourceChainName, this.wallet, { registry });
+      const chainId = await this.client.getChainId();
+        
+      const message = this.createTransferMessage(transferParams);
+      const fee = await this.estimateFee(signingClient, [message]);
+        
+      const hash = await this.withSequence(async ({ accountNumber, sequence }) => {
+        this.logger.info('Signing transfer contract call...');
+        const txRaw = await signingClient.sign(this.senderAddress, [message], fee, '', { accountNumber, sequence, chainId });
+        
+        this.logger.info('Broadcasting transaction...');
+        return submitTx(this.client, TxRaw.encode(txRaw).finish());
+      });
+      
+      // The packet only exists once the send transaction is executed in a block
+      const tx = await this.confirm(hash);
+      if (tx.status !== TX_STATUS.CONFIRMED) {
+        return { success: false, hash, tx, amount, sender: this.senderAddress, receiver: receiverAddress, error: tx.error };
+      }
+      
+      this.logger.info(`Transfer broadcast: ${hash}. Tracking packet delivery...`);
+      
+      // Follow the packet until it is received on the destination chain (or times out)
+      const packetTracker = new PacketTracker(this.config, this.walletIndex);
+      const packet = await packetTracker.track(hash, this.sourceChainName, this.destinationChainName);
+      const delivered = isDelivered(packet.state);
+      
+      if (delivered) {
+        this.logger.info(`Transfer delivered to ${this.destinationChainName} (packet state: ${packet.state})`);
+      } else {
+        this.logger.error(`Transfer ${hash} not delivered to ${this.destinationChainName} (packet state: ${packet.state})`);
+      }
+      
+      return {
+        success: delivered,
+        hash,
+        tx,
+        packet,
+        amount,
+        sender: this.senderAddress,
+        receiver: receiverAddress,
+        error: delivered ? undefined : `Packet not delivered (state: ${packet.state})`
+      };
+    } catch (error) {
+      this.logger.error(`Error executing transfer: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default UnifiedIBCTransfer;
@@ -0,0 +1,20 @@
+// core/blockchain/unionClient.js
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Module providing the Union client API. Tests point this at a stub so
+// transfers and route planning run without network access.
+const UNION_CLIENT_MODULE = process.env.UNION_CLIENT_MODULE || '@unionlabs/client';
+
+/**
+ * Load the Union client module. File paths are resolved against the working
+ * directory; anything else is imported as a package name.
+ * @returns {Promise<Object>} Union client module
+ */
+async function loadUnionClient() {
+  const isFilePath = UNION_CLIENT_MODULE.startsWith('.') || path.isAbsolute(UNION_CLIENT_MODULE);
+  
+  return import(isFilePath ? pathToFileURL(path.resolve(UNION_CLIENT_MODULE)).href : UNION_CLIENT_MODULE);
+}
+
+export { loadUnionClient, UNION_CLIENT_MODULE };
@@ -1,115 +1,149 @@
-import fs from 'fs/promises';
-import { DirectSecp256k1Wallet } from '@cosmjs/proto-signing';
-import logger from '../../utils/logger.js';
-import { hexToBytes } from '../../utils/common.js';
-import ProgressService from '../progress/progress.js';
-
-/**
- * Read private keys from pk.txt file
- * @returns {Promise<string[]>} Array of private keys
- */
-async function readPrivateKeys() {
-  try {
-    const data = await fs.readFile('./pk.txt', 'utf8');
-    return data.split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'));
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // Create pk.txt if it doesn't exist
-      await fs.writeFile('./pk.txt', '# Add your private keys here (one per line)\n', 'utf8');
-      return [];
-    }
-    throw new Error(`Could not read private keys file (pk.txt): ${error.message}`);
-  }
-}
-
-/**
- * Create a wallet for a specific chain from a private key
- * @param {string} privateKey - The private key in hex format
- * @param {string} prefix - The chain-specific address prefix
- * @param {number} walletIndex - Wallet index for logging
- * @returns {Promise<DirectSecp256k1Wallet>} The wallet instance
- */
-async function createWallet(privateKey, prefix, walletIndex) {
-  try {
-    return await DirectSecp256k1Wallet.fromKey(
-      Uint8Array.from(hexToBytes(privateKey)),
-      prefix
-    );
-  } catch (error) {
-    throw new Error(`Failed to create wallet for prefix ${prefix}: ${error.message}`);
-  }
-}
-
-/**
- * Get address for a specific chain from a private key
- * @param {string} privateKey - The private key in hex format
- * @param {string} chainPrefix - The chain-specific address prefix
- * @param {number} walletIndex - Index of the wallet for logging
- * @returns {Promise<string>} The derived address
- */
-async function getAddressForChain(privateKey, chainPrefix, walletIndex) {
-  try {
-    const wallet = await createWallet(privateKey, chainPrefix, walletIndex);
-    const [account] = await wallet.getAccounts();
-    return account.address;
-  } catch (error) {
-    throw new Error(`Failed to get address for chain ${chainPrefix}: ${error.message}`);
-  }
-}
-
-/**
- * Setup wallets and derive addresses for all chains
- * @param {Object} config - Configuration object
- * @returns {Promise<string[]>} Array of private keys
- */
-async function setupWallets(config) {
-  try {
-    const privateKeys = await readPrivateKeys();
-    logger.info(`Found ${privateKeys.length} private keys in pk.txt`);
-    
-    for (let i = 0; i < privateKeys.length; i++) {
-      const privateKey = privateKeys[i];
-      const walletIndex = i; // 0-based index for internal use
-      const progressService = new ProgressService(walletIndex);
-      
-      // Get progress data
-      const progressData = await progressService.readProgressData();
-      
-      // Derive addresses for all chains if not already stored
-      for (const chain of Object.keys(config.chains)) {
-        if (!progressData.addresses[chain]) {
-          logger.info(`Deriving ${chain} address for wallet ${walletIndex + 1}`);
-          
-          try {
-            const address = await getAddressForChain(
-              privateKey, 
-              config.chains[chain].prefix, 
-              walletIndex
-            );
-            
-            // Update address in progress data
-            await progressService.updateAddress(chain, address);
-            logger.info(`Wallet ${walletIndex + 1} ${chain} address: ${address}`);
-          } catch (error) {
-            logger.error(`Failed to derive ${chain} address for wallet ${walletIndex + 1}: ${error.message}`);
-            // Continue anyway, don't let this stop the entire process
-          }
-        }
-      }
-    }
-    
-    return privateKeys;
-  } catch (error) {
-    logger.error(`Error setting up wallets: ${error.message}`);
-    return [];
-  }
-}
-
-export {
-  readPrivateKeys,
-  createWallet,
-  getAddressForChain,
-  setupWallets
-};
\ No newline at end of file
+import { DirectSecp256k1Wallet, DirectSecp256k1HdWallet } from '@cosmjs/proto-signing';
+import logger from '../../utils/logger.js';
+import { hexToBytes } from '../../utils/common.js';
+import ProgressService from '../progress/progress.js';
+import ProgressStore from '../progress/store.js';
+import { keystoreExists, readKeystore } from './keystore.js';
+import { DEFAULT_COIN_TYPE, WALLET_KEY_TYPES, parseWalletKey, getHdPath } from './walletKeys.js';
+
+/**
+ * Read private keys from the encrypted keystore
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<string[]>} Array of private keys (empty if there is no keystore yet)
+ * @throws {KeystoreError} If the passphrase is wrong or the keystore is damaged
+ */
+async function readPrivateKeys(passphrase) {
+  if (!await keystoreExists()) {
+    return [];
+  }
+  
+  return readKeystore(passphrase);
+}
+
+/**
+ * Create a wallet for a specific chain from a private key or mnemonic
+ * @param {string} privateKey - Hex private key, or mnemonic entry with optional account=/index=
+ * @param {Object} chainConfig - Chain configuration (prefix and optional coinType)
+ * @param {number} walletIndex - Wallet index for logging
+ * @returns {Promise<DirectSecp256k1Wallet|DirectSecp256k1HdWallet>} The wallet instance
+ */
+async function createWallet(privateKey, chainConfig, walletIndex) {
+  const { prefix, coinType = DEFAULT_COIN_TYPE } = chainConfig;
+  
+  try {
+    const walletKey = parseWalletKey(privateKey);
+    
+    if (walletKey.type === WALLET_KEY_TYPES.MNEMONIC) {
+      return await DirectSecp256k1HdWallet.fromMnemonic(walletKey.mnemonic, {
+        prefix,
+        hdPaths: [getHdPath(walletKey, coinType)]
+      });
+    }
+    
+    return await DirectSecp256k1Wallet.fromKey(
+      Uint8Array.from(hexToBytes(walletKey.privateKey)),
+      prefix
+    );
+  } catch (error) {
+    throw new Error(`Failed to create wallet for prefix ${prefix}: ${error.message}`);
+  }
+}
+
+/**
+ * Get address for a specific chain from a private key or mnemonic
+ * @param {string} privateKey - Hex private key or mnemonic entry
+ * @param {Object} chainConfig - Chain configuration (prefix and optional coinType)
+ * @param {number} walletIndex - Index of the wallet for logging
+ * @returns {Promise<string>} The derived address
+ */
+async function getAddressForChain(privateKey, chainConfig, walletIndex) {
+  try {
+    const wallet = await createWallet(privateKey, chainConfig, walletIndex);
+    const [account] = await wallet.getAccounts();
+    return account.address;
+  } catch (error) {
+    throw new Error(`Failed to get address for chain ${chainConfig.prefix}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the chain whose address identifies a wallet
+ * @param {Object} config - Configuration object
+ * @returns {string} Chain name (UNION, or the first chain if Union is not configured)
+ */
+function getWalletIdChain(config) {
+  return config.chains.UNION ? 'UNION' : Object.keys(config.chains)[0];
+}
+
+/**
+ * Setup wallets, derive addresses for all chains and register them in the progress store
+ * Progress is stored by wallet address, so it follows each key when keys are reordered.
+ * Each signer gets its walletId here; progress is always read and written through it.
+ * @param {Object} config - Configuration object
+ * @param {Signer[]} signers - Signers of all wallets, in wallet order
+ * @returns {Promise<Signer[]>} The same signers with their walletId set (empty if setup failed)
+ */
+async function setupWallets(config, signers) {
+  try {
+    const wallets = [];
+    const idChain = getWalletIdChain(config);
+    
+    for (const signer of signers) {
+      const walletIndex = signer.walletIndex;
+      const addresses = {};
+      
+      for (const chain of Object.keys(config.chains)) {
+        try {
+          addresses[chain] = await signer.getAddress(config.chains[chain]);
+        } catch (error) {
+          logger.error(`Failed to derive ${chain} address for wallet ${walletIndex + 1}: ${error.message}`);
+          // Continue anyway, don't let this stop the entire process
+        }
+      }
+      
+      if (!addresses[idChain]) {
+        throw new Error(`Cannot identify wallet ${walletIndex + 1} without its ${idChain} address`);
+      }
+      
+      signer.walletId = addresses[idChain];
+      wallets.push({ walletIndex, walletId: signer.walletId, addresses });
+    }
+    
+    // Attach progress stored by wallet index in earlier versions to the matching keys
+    const { moved, unmatched } = await new ProgressStore().registerWallets(wallets);
+    for (const { from, to } of moved) {
+      logger.info(`Progress stored for wallet ${from + 1} matches the addresses of wallet ${to + 1} and now belongs to it`);
+    }
+    if (unmatched.length > 0) {
+      logger.warn(`Progress stored for wallet(s) ${unmatched.map(index => index + 1).join(', ')} matches none of the keys and was left unassigned`);
+    }
+    
+    for (const { walletIndex, walletId, addresses } of wallets) {
+      const progressService = new ProgressService(walletId, walletIndex);
+      
+      // Get progress data
+      const progressData = await progressService.readProgressData();
+      
+      // Store addresses for all chains if not already stored
+      for (const [chain, address] of Object.entries(addresses)) {
+        if (progressData.addresses[chain] !== address) {
+          await progressService.updateAddress(chain, address);
+          logger.info(`Wallet ${walletIndex + 1} ${chain} address: ${address}`);
+        }
+      }
+    }
+    
+    return signers;
+  } catch (error) {
+    logger.error(`Error setting up wallets: ${error.message}`);
+    return [];
+  }
+}
+
+export {
+  readPrivateKeys,
+  createWallet,
+  getAddressForChain,
+  getWalletIdChain,
+  setupWallets
+};
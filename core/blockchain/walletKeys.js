@@ -0,0 +1,104 @@
+// core/blockchain/walletKeys.js
+import { EnglishMnemonic, stringToPath } from '@cosmjs/crypto';
+
+/**
+ * BIP44 coin type used when a chain does not set coinType (Cosmos Hub)
+ */
+const DEFAULT_COIN_TYPE = 118;
+
+/**
+ * Kinds of wallet key entries
+ */
+const WALLET_KEY_TYPES = {
+  PRIVATE_KEY: 'privateKey',
+  MNEMONIC: 'mnemonic'
+};
+
+/**
+ * Options that can follow the words of a mnemonic entry
+ */
+const MNEMONIC_OPTIONS = ['account', 'index'];
+
+/**
+ * @typedef {Object} WalletKey
+ * @property {string} type - One of WALLET_KEY_TYPES
+ * @property {string} [privateKey] - Hex private key (privateKey entries)
+ * @property {string} [mnemonic] - BIP39 mnemonic (mnemonic entries)
+ * @property {number} [account] - HD account index (mnemonic entries)
+ * @property {number} [index] - HD address index (mnemonic entries)
+ */
+
+/**
+ * Parse a wallet key entry
+ * An entry is either a hex private key or a BIP39 mnemonic, optionally followed
+ * by account=<n> and index=<n> to select the HD path m/44'/<coinType>'/<account>'/0/<index>
+ * @param {string} entry - Wallet key entry
+ * @returns {WalletKey} Parsed entry
+ * @throws {Error} If the entry is neither a valid private key nor a valid mnemonic
+ */
+function parseWalletKey(entry) {
+  const text = entry.trim();
+  
+  if (!/\s/.test(text)) {
+    const privateKey = text.replace(/^0x/i, '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(privateKey)) {
+      throw new Error('Invalid wallet key. Expected 64 hex characters or a mnemonic');
+    }
+    return { type: WALLET_KEY_TYPES.PRIVATE_KEY, privateKey };
+  }
+  
+  const words = [];
+  const options = { account: 0, index: 0 };
+  
+  for (const token of text.toLowerCase().split(/\s+/)) {
+    const [name, value] = token.split('=');
+    if (value === undefined) {
+      words.push(token);
+      continue;
+    }
+    
+    if (!MNEMONIC_OPTIONS.includes(name) || !/^\d+$/.test(value)) {
+      throw new Error(`Invalid mnemonic option ${name}. Use account=<n> or index=<n>`);
+    }
+    options[name] = Number(value);
+  }
+  
+  // Validates the word list and checksum without echoing the words
+  const mnemonic = new EnglishMnemonic(words.join(' ')).toString();
+  return { type: WALLET_KEY_TYPES.MNEMONIC, mnemonic, ...options };
+}
+
+/**
+ * Format a parsed wallet key as a canonical entry
+ * @param {WalletKey} walletKey - Parsed entry
+ * @returns {string} Entry string (options are only written when not 0)
+ */
+function formatWalletKey(walletKey) {
+  if (walletKey.type === WALLET_KEY_TYPES.PRIVATE_KEY) {
+    return walletKey.privateKey;
+  }
+  
+  const options = MNEMONIC_OPTIONS
+    .filter(name => walletKey[name])
+    .map(name => `${name}=${walletKey[name]}`);
+  
+  return [walletKey.mnemonic, ...options].join(' ');
+}
+
+/**
+ * Get the HD path of a mnemonic entry on a chain
+ * @param {WalletKey} walletKey - Parsed mnemonic entry
+ * @param {number} [coinType] - BIP44 coin type of the chain
+ * @returns {HdPath} HD path
+ */
+function getHdPath(walletKey, coinType = DEFAULT_COIN_TYPE) {
+  return stringToPath(`m/44'/${coinType}'/${walletKey.account}'/0/${walletKey.index}`);
+}
+
+export {
+  DEFAULT_COIN_TYPE,
+  WALLET_KEY_TYPES,
+  parseWalletKey,
+  formatWalletKey,
+  getHdPath
+};
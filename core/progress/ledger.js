@@ -0,0 +1,230 @@
+// core/progress/ledger.js
+import fs from 'fs/promises';
+import path from 'path';
+import { createWalletLogger } from '../../utils/logger.js';
+import { generateUniqueId } from '../../utils/common.js';
+
+/**
+ * Status values stored in ledger entries
+ */
+const LEDGER_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed'
+};
+
+/**
+ * Get the path of a wallet's ledger file
+ * @param {string} dataDir - Data directory
+ * @param {string|number} walletKey - Wallet ID, or the wallet index of a ledger written by earlier versions
+ * @returns {string} File path
+ */
+function getLedgerPath(dataDir, walletKey) {
+  return path.join(dataDir, `ledger-${walletKey}.jsonl`);
+}
+
+/**
+ * Append-only ledger of every transfer attempt for a wallet.
+ * Entries are stored as JSON lines next to the progress file, so concurrent
+ * writers only ever append whole lines and never rewrite history. Like progress,
+ * the ledger is keyed by wallet ID, so it stays with its key when keys are reordered.
+ */
+class TransferLedger {
+  /**
+   * Create a new TransferLedger instance
+   * @param {string} walletId - Wallet ID (signer.walletId)
+   * @param {number} walletIndex - Wallet index, for messages
+   * @throws {Error} If the wallet has no ID because setupWallets did not run for it
+   */
+  constructor(walletId, walletIndex) {
+    if (!walletId) {
+      throw new Error(`Wallet ${walletIndex + 1} has no wallet ID; it must be set up with setupWallets first`);
+    }
+    
+    this.walletId = walletId;
+    this.walletIndex = walletIndex;
+    this.logger = createWalletLogger(walletIndex);
+    this.dataDir = path.join(process.cwd(), 'data');
+    this.filePath = getLedgerPath(this.dataDir, walletId);
+  }
+  
+  /**
+   * Append a record to the ledger
+   * @param {Object} entry - Ledger entry fields
+   * @param {string} entry.kind - Origin of the record ('transfer' or 'worker')
+   * @param {string} entry.sourceChain - Source chain name
+   * @param {string} entry.destinationChain - Destination chain name
+   * @param {string} entry.status - Entry status (see LEDGER_STATUS)
+   * @param {string} [entry.hash] - Transaction hash
+   * @param {string} [entry.amount] - Human-readable amount
+   * @param {string} [entry.error] - Error message for failed transfers
+   * @returns {Promise<Object|null>} Stored record or null if it could not be written
+   */
+  async append(entry) {
+    const record = {
+      id: generateUniqueId('tx-'),
+      timestamp: new Date().toISOString(),
+      walletIndex: this.walletIndex,
+      hash: null,
+      amount: null,
+      error: null,
+      ...entry
+    };
+    
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      return record;
+    } catch (error) {
+      // The ledger is an audit trail; never let it break a transfer
+      this.logger.warn(`Failed to write transfer ledger entry: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Read all ledger entries in the order they were written
+   * @returns {Promise<Object[]>} Ledger entries
+   */
+  async readEntries() {
+    let data;
+    
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Could not read transfer ledger: ${error.message}`);
+    }
+    
+    const entries = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line; skip it
+        this.logger.warn(`Skipping malformed ledger line: ${error.message}`);
+      }
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Query ledger entries
+   * @param {Object} filters - Query filters
+   * @param {string} [filters.kind] - Entry kind
+   * @param {string} [filters.status] - Entry status
+   * @param {string} [filters.sourceChain] - Source chain name
+   * @param {string} [filters.destinationChain] - Destination chain name
+   * @param {string} [filters.hash] - Transaction hash
+   * @param {Date|string} [filters.since] - Only entries at or after this time
+   * @param {Date|string} [filters.until] - Only entries before this time
+   * @param {number} [filters.limit] - Maximum number of (most recent) entries to return
+   * @returns {Promise<Object[]>} Matching entries, oldest first
+   */
+  async query(filters = {}) {
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+    const fieldFilters = ['kind', 'status', 'sourceChain', 'destinationChain', 'hash']
+      .filter(field => filters[field] !== undefined);
+    
+    const entries = (await this.readEntries()).filter(entry => {
+      if (fieldFilters.some(field => entry[field] !== filters[field])) {
+        return false;
+      }
+      
+      const time = new Date(entry.timestamp).getTime();
+      if (since !== null && time < since) {
+        return false;
+      }
+      if (until !== null && time >= until) {
+        return false;
+      }
+      
+      return true;
+    });
+    
+    return filters.limit ? entries.slice(-filters.limit) : entries;
+  }
+  
+  /**
+   * Get the most recent transfer results
+   * @param {number} limit - Number of entries to return
+   * @returns {Promise<Object[]>} Most recent entries, newest first
+   */
+  async getRecent(limit = 10) {
+    const entries = await this.query({ kind: 'transfer', limit });
+    return entries.reverse();
+  }
+  
+  /**
+   * Get the failed transfer results
+   * @param {Object} filters - Additional query filters
+   * @returns {Promise<Object[]>} Failed entries, oldest first
+   */
+  async getFailures(filters = {}) {
+    return this.query({ ...filters, kind: 'transfer', status: LEDGER_STATUS.FAILED });
+  }
+  
+  /**
+   * Summarize transfer results per route
+   * @returns {Promise<Object>} Summary with totals and per-route counts
+   */
+  async getSummary() {
+    const entries = await this.query({ kind: 'transfer' });
+    const summary = { total: 0, succeeded: 0, failed: 0, routes: {} };
+    
+    for (const entry of entries) {
+      const route = `${entry.sourceChain}_TO_${entry.destinationChain}`;
+      summary.routes[route] = summary.routes[route] || { succeeded: 0, failed: 0 };
+      
+      summary.total++;
+      if (entry.status === LEDGER_STATUS.SUCCESS) {
+        summary.succeeded++;
+        summary.routes[route].succeeded++;
+      } else {
+        summary.failed++;
+        summary.routes[route].failed++;
+      }
+    }
+    
+    return summary;
+  }
+}
+
+/**
+ * Give a ledger written by wallet index in earlier versions to the wallet it belongs to
+ * The ledger is left in place if the wallet already has a ledger of its own.
+ * @param {string} dataDir - Data directory
+ * @param {number} walletIndex - Index the ledger was written under
+ * @param {string} walletId - Wallet ID of the key the index-keyed progress matched
+ * @returns {Promise<boolean>} True if a ledger was moved
+ */
+async function moveLegacyLedger(dataDir, walletIndex, walletId) {
+  const legacyPath = getLedgerPath(dataDir, walletIndex);
+  
+  try {
+    // Linking fails instead of overwriting if another process moved it first
+    await fs.link(legacyPath, getLedgerPath(dataDir, walletId));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    if (error.code === 'EEXIST') {
+      createWalletLogger(walletIndex).warn(`Kept ${path.basename(legacyPath)}: ${walletId} already has a transfer ledger`);
+      return false;
+    }
+    throw error;
+  }
+  
+  await fs.unlink(legacyPath);
+  return true;
+}
+
+export default TransferLedger;
+export { LEDGER_STATUS, getLedgerPath, moveLegacyLedger };
@@ -0,0 +1,201 @@
+// core/progress/migrations.js - Upgrades stored progress data to the current schema
+import chains from '../../config/chains.js';
+import quests from '../../config/quests.js';
+import { getQuestType } from '../quests/types/index.js';
+
+/**
+ * Schema version of progress data written by this version of the bot
+ */
+const PROGRESS_SCHEMA_VERSION = 4;
+
+/**
+ * Error raised when progress data cannot be migrated
+ */
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * @typedef {Object} SchemaMigration
+ * @property {number} version - Version the migration upgrades to (from version - 1)
+ * @property {string} description - What the migration changes, for the log
+ * @property {function(Object): (string|void)} migrate - Upgrade the data in place; returns a warning if the user has to act
+ */
+
+/**
+ * Schema migrations in version order
+ * Progress data of any earlier version is upgraded by running every later migration in turn.
+ * To change the schema, bump PROGRESS_SCHEMA_VERSION and append a migration here.
+ * @type {SchemaMigration[]}
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'add the custom quest section and cross-chain attempt state',
+    migrate(data) {
+      for (const section of ['addresses', 'dailyInteractions', 'transfers', 'crossChain']) {
+        data[section] ??= {};
+      }
+      data.custom ??= {};
+      
+      for (const [questName, progress] of Object.entries(data.crossChain)) {
+        data.crossChain[questName] = { path: null, hops: [], fundsAt: null, ...progress };
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'add the wallet label',
+    migrate(data) {
+      data.label ??= null;
+    }
+  },
+  {
+    version: 4,
+    description: 'record the days of daily interactions for streaks',
+    migrate(data) {
+      const incomplete = [];
+      
+      // Only the last day is known; reconcile rebuilds earlier days from on-chain history
+      for (const [chain, progress] of Object.entries(data.dailyInteractions)) {
+        data.dailyInteractions[chain] = { dates: progress.lastInteraction ? [progress.lastInteraction] : [], ...progress };
+        if (data.dailyInteractions[chain].count > data.dailyInteractions[chain].dates.length) {
+          incomplete.push(chain);
+        }
+      }
+      
+      if (incomplete.length > 0) {
+        return `only the last daily interaction day on ${incomplete.join(', ')} is known, so streaks start there; run "node index.js reconcile --yes" to rebuild the earlier days from on-chain history`;
+      }
+    }
+  }
+];
+
+/**
+ * @typedef {Object} ConfigMigration
+ * @property {string} section - Progress section holding one entry per configured chain or quest
+ * @property {function(): string[]} keys - Keys configured now
+ * @property {function(string): any} createEntry - Initial progress of a newly configured key
+ */
+
+/**
+ * Entries added to progress when chains or quests are added to the configuration
+ * These run on every load, after the schema migrations, and never remove entries of chains or
+ * quests that are no longer configured.
+ * @type {ConfigMigration[]}
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    section: 'addresses',
+    keys: () => Object.keys(chains),
+    createEntry: () => null
+  },
+  {
+    section: 'dailyInteractions',
+    keys: () => Object.keys(quests.DAILY_INTERACTION),
+    createEntry: () => ({ lastInteraction: null, count: 0, dates: [] })
+  },
+  {
+    section: 'transfers',
+    keys: () => Object.keys(quests.TRANSFER),
+    createEntry: () => ({ count: 0 })
+  },
+  {
+    // path/hops/fundsAt describe the latest attempt so a failed quest can resume from its failed hop
+    section: 'crossChain',
+    keys: () => quests.CROSS_CHAIN.map(quest => quest.name),
+    createEntry: () => ({ completed: false, path: null, hops: [], fundsAt: null })
+  },
+  {
+    section: 'custom',
+    keys: () => quests.CUSTOM.map(quest => quest.name),
+    createEntry: questName => {
+      const quest = quests.CUSTOM.find(candidate => candidate.name === questName);
+      return getQuestType(quest.type).getDefaultProgress(quest);
+    }
+  }
+];
+
+/**
+ * Create empty progress data of the current schema version
+ * @returns {Object} Progress data without any chain or quest entries
+ */
+function createEmptyProgressData() {
+  return {
+    version: PROGRESS_SCHEMA_VERSION,
+    lastUpdated: new Date().toISOString(),
+    label: null,
+    ...Object.fromEntries(CONFIG_MIGRATIONS.map(({ section }) => [section, {}]))
+  };
+}
+
+/**
+ * Upgrade progress data to the current schema and configuration
+ * The input is left untouched. Data without a version predates versioning and counts as version 1.
+ * @param {Object} data - Stored progress data
+ * @returns {{data: Object, changes: string[], warnings: string[]}} Upgraded data, a description of every change and what the user has to act on
+ * @throws {MigrationError} If the data was written by a newer version
+ */
+function migrateProgressData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: addConfiguredEntries(createEmptyProgressData()).data, changes: ['replaced invalid progress data with defaults'], warnings: [] };
+  }
+  
+  const version = data.version || 1;
+  if (version > PROGRESS_SCHEMA_VERSION) {
+    throw new MigrationError(`Progress data has schema version ${version}, but this version of the bot only supports up to ${PROGRESS_SCHEMA_VERSION}`);
+  }
+  
+  const migrated = structuredClone(data);
+  const changes = [];
+  const warnings = [];
+  
+  for (const migration of SCHEMA_MIGRATIONS.filter(candidate => candidate.version > version)) {
+    const warning = migration.migrate(migrated);
+    migrated.version = migration.version;
+    changes.push(`v${migration.version - 1} -> v${migration.version}: ${migration.description}`);
+    if (warning) {
+      warnings.push(warning);
+    }
+  }
+  
+  const configured = addConfiguredEntries(migrated);
+  return { data: configured.data, changes: [...changes, ...configured.changes], warnings };
+}
+
+/**
+ * Add entries for configured chains and quests that have no progress yet
+ * @param {Object} data - Progress data of the current schema version (modified in place)
+ * @returns {{data: Object, changes: string[]}} The data and a description of every added entry
+ */
+function addConfiguredEntries(data) {
+  const changes = [];
+  
+  for (const { section, keys, createEntry } of CONFIG_MIGRATIONS) {
+    data[section] ??= {};
+    
+    const added = keys().filter(key => !(key in data[section]));
+    for (const key of added) {
+      data[section][key] = createEntry(key);
+    }
+    
+    if (added.length > 0) {
+      changes.push(`added ${section} entries for ${added.join(', ')}`);
+    }
+  }
+  
+  return { data, changes };
+}
+
+export default migrateProgressData;
+export {
+  PROGRESS_SCHEMA_VERSION,
+  SCHEMA_MIGRATIONS,
+  CONFIG_MIGRATIONS,
+  MigrationError,
+  createEmptyProgressData,
+  addConfiguredEntries
+};
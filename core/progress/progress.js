@@ -1,330 +1,270 @@
-// core/progress/progress.js
-import fs from 'fs/promises';
-import path from 'path';
-import { createWalletLogger } from '../../utils/logger.js';
-
-/**
- * Service for managing progress data with improved thread safety
- */
-class ProgressService {
-  /**
-   * Create a new ProgressService instance
-   * @param {number} walletIndex - Wallet index
-   */
-  constructor(walletIndex) {
-    this.walletIndex = walletIndex;
-    this.logger = createWalletLogger(walletIndex);
-    this.dataDir = path.join(process.cwd(), 'data');
-    this.filePath = path.join(this.dataDir, `progress-${walletIndex}.json`);
-    
-    // Progress file lock tracking
-    this.lockTimeout = 10000; // 10 seconds max wait time for lock
-    this.lockRetryInterval = 100; // 100ms between lock attempts
-  }
-  
-  /**
-   * Get default progress data structure
-   * @returns {Object} Default progress data
-   */
-  getDefaultProgressData() {
-    return {
-      version: 1, // Schema version for future migrations
-      lastUpdated: new Date().toISOString(),
-      addresses: {
-        UNION: null,
-        BABYLON: null,
-        STARGAZE: null,
-        STRIDE: null
-      },
-      dailyInteractions: {
-        UNION: { lastInteraction: null, count: 0 },
-        BABYLON: { lastInteraction: null, count: 0 }
-      },
-      transfers: {
-        UNION: { count: 0 },
-        BABYLON: { count: 0 }
-      },
-      crossChain: {
-        CHAIN_REACTION: { completed: false },
-        TRIPLE_THREAT: { completed: false },
-        SIX_CHAINS: { completed: false }
-      }
-    };
-  }
-  
-  /**
-   * Validate progress data structure
-   * @param {Object} data - Progress data to validate
-   * @returns {Object} Validated and fixed progress data
-   */
-  validateProgressData(data) {
-    // Ensure we have a valid object
-    if (!data || typeof data !== 'object') {
-      this.logger.warn('Invalid progress data, using defaults');
-      return this.getDefaultProgressData();
-    }
-    
-    // Check for missing sections and add them if needed
-    const defaultData = this.getDefaultProgressData();
-    const fixedData = { ...defaultData, ...data };
-    
-    // Ensure all required sections exist
-    for (const section of ['addresses', 'dailyInteractions', 'transfers', 'crossChain']) {
-      if (!fixedData[section]) {
-        this.logger.warn(`Missing ${section} section in progress data, using defaults`);
-        fixedData[section] = defaultData[section];
-      }
-    }
-    
-    // Set version and lastUpdated if missing
-    if (!fixedData.version) {
-      fixedData.version = 1;
-    }
-    
-    fixedData.lastUpdated = new Date().toISOString();
-    
-    return fixedData;
-  }
-  
-  /**
-   * Ensure data directory exists
-   * @returns {Promise<void>}
-   */
-  async ensureDataDirExists() {
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-    } catch (error) {
-      this.logger.error(`Error creating data directory: ${error.message}`);
-      throw error;
-    }
-  }
-  
-  /**
-   * Wait for file lock to be available
-   * @returns {Promise<boolean>} True if lock acquired, false on timeout
-   */
-  async waitForLock() {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < this.lockTimeout) {
-      try {
-        // Check for existence of lock file
-        const lockPath = `${this.filePath}.lock`;
-        await fs.access(lockPath);
-        
-        // Lock file exists, wait and retry
-        await new Promise(resolve => setTimeout(resolve, this.lockRetryInterval));
-      } catch (error) {
-        // Lock file doesn't exist, we can acquire the lock
-        try {
-          // Create lock file
-          await fs.writeFile(`${this.filePath}.lock`, Date.now().toString(), 'utf8');
-          return true;
-        } catch (lockError) {
-          // Failed to create lock file, another process might have created it first
-          this.logger.warn(`Failed to acquire lock: ${lockError.message}`);
-        }
-      }
-    }
-    
-    this.logger.error(`Timeout waiting for progress file lock`);
-    return false;
-  }
-  
-  /**
-   * Release file lock
-   * @returns {Promise<void>}
-   */
-  async releaseLock() {
-    try {
-      await fs.unlink(`${this.filePath}.lock`);
-    } catch (error) {
-      this.logger.warn(`Failed to release lock: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Read progress data from file with thread safety
-   * @returns {Promise<Object>} Progress data
-   */
-  async readProgressData() {
-    try {
-      // Ensure the data directory exists
-      await this.ensureDataDirExists();
-      
-      // Try to read the file
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const progressData = JSON.parse(data);
-      
-      // Validate and fix the data
-      return this.validateProgressData(progressData);
-    } catch (error) {
-      // If file doesn't exist, create a new one with default values
-      if (error.code === 'ENOENT') {
-        this.logger.info(`Creating new progress file for wallet ${this.walletIndex + 1}`);
-        const defaultData = this.getDefaultProgressData();
-        await this.saveProgressData(defaultData);
-        return defaultData;
-      }
-      
-      // If it's a JSON parse error, use default data
-      if (error instanceof SyntaxError) {
-        this.logger.error(`JSON parse error, using default data: ${error.message}`);
-        const defaultData = this.getDefaultProgressData();
-        await this.saveProgressData(defaultData);
-        return defaultData;
-      }
-      
-      this.logger.error(`Error reading progress data: ${error.message}`);
-      throw error;
-    }
-  }
-  
-  /**
-   * Save progress data to file with thread safety
-   * @param {Object} data - Progress data to save
-   * @returns {Promise<void>}
-   */
-  async saveProgressData(data) {
-    // Acquire lock
-    if (!await this.waitForLock()) {
-      throw new Error('Could not acquire lock for saving progress data');
-    }
-    
-    try {
-      // Ensure the data directory exists
-      await this.ensureDataDirExists();
-      
-      // Validate and update the data
-      const validatedData = this.validateProgressData(data);
-      
-      // Write data directly to the file
-      await fs.writeFile(this.filePath, JSON.stringify(validatedData, null, 2), 'utf8');
-      
-      this.logger.info(`Progress saved for wallet ${this.walletIndex + 1}`);
-    } catch (error) {
-      this.logger.error(`Error saving progress data: ${error.message}`);
-      throw error;
-    } finally {
-      // Release lock
-      await this.releaseLock();
-    }
-  }
-  
-  /**
-   * Update specific fields in the progress data
-   * @param {Function} updateFn - Function that receives current data and returns updated data
-   * @returns {Promise<Object>} Updated progress data
-   */
-  async updateProgressData(updateFn) {
-    // Acquire lock
-    if (!await this.waitForLock()) {
-      throw new Error('Could not acquire lock for updating progress data');
-    }
-    
-    try {
-      // Read current data
-      const currentData = await this.readProgressData();
-      
-      // Apply the update function
-      const updatedData = updateFn(currentData);
-      
-      // Save the updated data (without lock since we already have it)
-      await fs.writeFile(this.filePath, JSON.stringify(this.validateProgressData(updatedData), null, 2), 'utf8');
-      
-      return updatedData;
-    } catch (error) {
-      this.logger.error(`Error updating progress data: ${error.message}`);
-      throw error;
-    } finally {
-      // Release lock
-      await this.releaseLock();
-    }
-  }
-  
-  /**
-   * Update address for a specific chain
-   * @param {string} chain - Chain name
-   * @param {string} address - Chain address
-   * @returns {Promise<Object>} Updated progress data
-   */
-  async updateAddress(chain, address) {
-    return this.updateProgressData(data => {
-      return {
-        ...data,
-        addresses: {
-          ...data.addresses,
-          [chain]: address
-        }
-      };
-    });
-  }
-  
-  /**
-   * Update daily interaction for a specific chain
-   * @param {string} chain - Chain name
-   * @param {string} date - Interaction date (ISO format)
-   * @returns {Promise<Object>} Updated progress data
-   */
-  async updateDailyInteraction(chain, date) {
-    return this.updateProgressData(data => {
-      const currentCount = data.dailyInteractions[chain]?.count || 0;
-      
-      return {
-        ...data,
-        dailyInteractions: {
-          ...data.dailyInteractions,
-          [chain]: {
-            lastInteraction: date,
-            count: currentCount + 1
-          }
-        }
-      };
-    });
-  }
-  
-  /**
-   * Update transfer count for a specific chain
-   * @param {string} chain - Chain name
-   * @param {number} increment - Amount to increment (default: 1)
-   * @returns {Promise<Object>} Updated progress data
-   */
-  async updateTransferCount(chain, increment = 1) {
-    return this.updateProgressData(data => {
-      const currentCount = data.transfers[chain]?.count || 0;
-      
-      return {
-        ...data,
-        transfers: {
-          ...data.transfers,
-          [chain]: {
-            count: currentCount + increment
-          }
-        }
-      };
-    });
-  }
-  
-  /**
-   * Update cross-chain quest completion status
-   * @param {string} questName - Name of the quest
-   * @param {boolean} completed - Completion status
-   * @returns {Promise<Object>} Updated progress data
-   */
-  async updateCrossChainQuest(questName, completed = true) {
-    return this.updateProgressData(data => {
-      return {
-        ...data,
-        crossChain: {
-          ...data.crossChain,
-          [questName]: {
-            ...data.crossChain[questName],
-            completed
-          }
-        }
-      };
-    });
-  }
-}
-
-export default ProgressService;
\ No newline at end of file
+// core/progress/progress.js
+import fs from 'fs/promises';
+import path from 'path';
+import { createWalletLogger } from '../../utils/logger.js';
+import ProgressStore from './store.js';
+import migrateProgressData, { createEmptyProgressData, addConfiguredEntries } from './migrations.js';
+
+/**
+ * Service for managing the progress data of a wallet
+ * Data lives in the transactional progress store, so updates from worker threads and
+ * other processes never overwrite each other. The store keeps progress per wallet ID,
+ * the address setupWallets resolves for each signer; the wallet index is only used in messages.
+ */
+class ProgressService {
+  /**
+   * Create a new ProgressService instance
+   * @param {string} walletId - Wallet ID (signer.walletId)
+   * @param {number} walletIndex - Wallet index, for messages
+   * @throws {Error} If the wallet has no ID because setupWallets did not run for it
+   */
+  constructor(walletId, walletIndex) {
+    if (!walletId) {
+      throw new Error(`Wallet ${walletIndex + 1} has no wallet ID; it must be set up with setupWallets first`);
+    }
+    
+    this.walletId = walletId;
+    this.walletIndex = walletIndex;
+    this.logger = createWalletLogger(walletIndex);
+    this.store = new ProgressStore();
+    this.backupDir = path.join(this.store.dataDir, 'progress-backups');
+    this.migrated = false;
+  }
+  
+  /**
+   * Get default progress data structure
+   * @returns {Object} Default progress data with an entry for every configured chain and quest
+   */
+  getDefaultProgressData() {
+    return addConfiguredEntries(createEmptyProgressData()).data;
+  }
+  
+  /**
+   * Upgrade stored progress data to the current schema and configuration
+   * The stored data is backed up before it is changed. Runs once per service instance.
+   * @returns {Promise<void>}
+   * @throws {MigrationError} If the data was written by a newer version
+   */
+  async migrate() {
+    if (this.migrated) {
+      return;
+    }
+    
+    const data = await this.store.getWallet(this.walletId);
+    if (data && migrateProgressData(data).changes.length > 0) {
+      await this.backupProgressData(data);
+      
+      // Another writer may have migrated the data since it was read
+      const { changes, warnings } = await this.store.transaction(state => {
+        const result = migrateProgressData(state.wallets[this.walletId]);
+        state.wallets[this.walletId] = result.data;
+        return result;
+      });
+      
+      for (const change of changes) {
+        this.logger.info(`Migrated progress data: ${change}`);
+      }
+      for (const warning of warnings) {
+        this.logger.warn(`Migrated progress data: ${warning}`);
+      }
+    }
+    
+    this.migrated = true;
+  }
+  
+  /**
+   * Write a copy of progress data to the backup directory
+   * @param {Object} data - Progress data as stored
+   * @returns {Promise<string>} Path of the backup file
+   */
+  async backupProgressData(data) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.backupDir, `progress-${this.walletId}-v${data?.version || 1}-${timestamp}.json`);
+    
+    await fs.mkdir(this.backupDir, { recursive: true });
+    await fs.writeFile(backupPath, JSON.stringify(data, null, 2), 'utf8');
+    this.logger.info(`Backed up progress data to ${backupPath}`);
+    
+    return backupPath;
+  }
+  
+  /**
+   * Upgrade progress data inside a store transaction
+   * Data is normally migrated by migrate() already; this only covers writers that changed it in between.
+   * @param {Object|null} data - Stored progress data
+   * @returns {Object} Progress data of the current schema version
+   */
+  upgrade(data) {
+    return data ? migrateProgressData(data).data : this.getDefaultProgressData();
+  }
+  
+  /**
+   * Read progress data, creating it with default values for a new wallet
+   * @returns {Promise<Object>} Progress data
+   */
+  async readProgressData() {
+    await this.migrate();
+    const data = await this.store.getWallet(this.walletId);
+    
+    if (data) {
+      return data;
+    }
+    
+    this.logger.info(`Creating new progress data for wallet ${this.walletIndex + 1}`);
+    return this.updateProgressData(currentData => currentData);
+  }
+  
+  /**
+   * Replace the progress data
+   * @param {Object} data - Progress data to save
+   * @returns {Promise<void>}
+   */
+  async saveProgressData(data) {
+    try {
+      await this.migrate();
+      await this.store.updateWallet(this.walletId, () => ({ ...this.upgrade(data), lastUpdated: new Date().toISOString() }));
+      this.logger.info(`Progress saved for wallet ${this.walletIndex + 1}`);
+    } catch (error) {
+      this.logger.error(`Error saving progress data: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Atomically update specific fields in the progress data
+   * The update function may run more than once if another writer commits first, so it must not have side effects.
+   * @param {Function} updateFn - Function that receives current data and returns updated data
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateProgressData(updateFn) {
+    try {
+      await this.migrate();
+      return await this.store.updateWallet(this.walletId, currentData => ({
+        ...updateFn(this.upgrade(currentData)),
+        lastUpdated: new Date().toISOString()
+      }));
+    } catch (error) {
+      this.logger.error(`Error updating progress data: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Set the label shown next to the wallet number
+   * @param {string|null} label - Label, or null to remove it
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateLabel(label) {
+    return this.updateProgressData(data => ({ ...data, label }));
+  }
+  
+  /**
+   * Update address for a specific chain
+   * @param {string} chain - Chain name
+   * @param {string} address - Chain address
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateAddress(chain, address) {
+    return this.updateProgressData(data => {
+      return {
+        ...data,
+        addresses: {
+          ...data.addresses,
+          [chain]: address
+        }
+      };
+    });
+  }
+  
+  /**
+   * Record a daily interaction for a specific chain
+   * Each quest day is recorded once, so count is the number of days with an interaction.
+   * @param {string} chain - Chain name
+   * @param {string} date - Quest day of the interaction (YYYY-MM-DD)
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateDailyInteraction(chain, date) {
+    return this.updateProgressData(data => {
+      const { count = 0, dates = [] } = data.dailyInteractions[chain] || {};
+      const isNewDay = !dates.includes(date);
+      const allDates = isNewDay ? [...dates, date].sort() : dates;
+      
+      return {
+        ...data,
+        dailyInteractions: {
+          ...data.dailyInteractions,
+          [chain]: {
+            lastInteraction: allDates[allDates.length - 1],
+            count: isNewDay ? count + 1 : count,
+            dates: allDates
+          }
+        }
+      };
+    });
+  }
+  
+  /**
+   * Update transfer count for a specific chain
+   * @param {string} chain - Chain name
+   * @param {number} increment - Amount to increment (default: 1)
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateTransferCount(chain, increment = 1) {
+    return this.updateProgressData(data => {
+      const currentCount = data.transfers[chain]?.count || 0;
+      
+      return {
+        ...data,
+        transfers: {
+          ...data.transfers,
+          [chain]: {
+            count: currentCount + increment
+          }
+        }
+      };
+    });
+  }
+  
+  /**
+   * Update cross-chain quest completion status and attempt state
+   * @param {string} questName - Name of the quest
+   * @param {boolean} completed - Completion status
+   * @param {Object} [state] - Attempt state to store (path, hops, fundsAt)
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateCrossChainQuest(questName, completed = true, state = {}) {
+    return this.updateProgressData(data => {
+      return {
+        ...data,
+        crossChain: {
+          ...data.crossChain,
+          [questName]: {
+            ...data.crossChain[questName],
+            ...state,
+            completed
+          }
+        }
+      };
+    });
+  }
+  
+  /**
+   * Update the progress of a custom quest
+   * @param {string} questName - Name of the quest
+   * @param {Function} updateFn - Function that receives the quest progress and returns the new progress
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async updateCustomQuest(questName, updateFn) {
+    return this.updateProgressData(data => {
+      return {
+        ...data,
+        custom: {
+          ...data.custom,
+          [questName]: updateFn(data.custom[questName])
+        }
+      };
+    });
+  }
+}
+
+export default ProgressService;
@@ -0,0 +1,347 @@
+// core/progress/reconcile.js
+import { decodeTxRaw } from '@cosmjs/proto-signing';
+import { MsgSend } from 'cosmjs-types/cosmos/bank/v1beta1/tx.js';
+import { MsgExecuteContract } from 'cosmjs-types/cosmwasm/wasm/v1/tx.js';
+import { createWalletLogger } from '../../utils/logger.js';
+import ProgressService from './progress.js';
+import TransferLedger from './ledger.js';
+import PacketTracker, { isDelivered } from '../blockchain/packetTracker.js';
+import RoutePlanner from '../blockchain/routing/routePlanner.js';
+import { connectChainClient } from '../blockchain/endpoints.js';
+import { getQuestDay } from '../../utils/dates.js';
+
+const MSG_SEND_TYPE_URL = '/cosmos.bank.v1beta1.MsgSend';
+const MSG_EXECUTE_CONTRACT_TYPE_URL = '/cosmwasm.wasm.v1.MsgExecuteContract';
+
+/**
+ * Normalize a transaction hash so stored and on-chain hashes compare equal
+ * @param {string} hash - Transaction hash with or without 0x prefix
+ * @returns {string} Upper-case hex hash
+ */
+function normalizeHash(hash) {
+  return hash.replace(/^0x/i, '').toUpperCase();
+}
+
+/**
+ * Service that recomputes progress counters from each wallet's on-chain history
+ */
+class ReconcileService {
+  /**
+   * Create a new ReconcileService
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+    this.logger = createWalletLogger();
+    this.routePlanner = new RoutePlanner(config);
+  }
+  
+  /**
+   * Build a reconciliation report for a wallet without changing anything
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @returns {Promise<Object>} Report with current values, on-chain values and differences
+   */
+  async buildReport(signer, walletIndex) {
+    const logger = createWalletLogger(walletIndex);
+    const progressService = new ProgressService(signer.walletId, walletIndex);
+    const progressData = await progressService.readProgressData();
+    
+    logger.info('Reading on-chain history for reconciliation');
+    const history = await this.fetchHistory(progressData.addresses, walletIndex);
+    const questPaths = await this.getQuestPaths();
+    const questHashes = await this.getQuestHopHashes(progressData, new TransferLedger(signer.walletId, walletIndex));
+    const onChain = this.computeProgress(history, progressData, questPaths, questHashes);
+    const changes = this.diff(progressData, onChain);
+    
+    logger.info(`Reconciliation found ${changes.length} difference(s)`);
+    
+    return { walletIndex, walletId: signer.walletId, onChain, changes };
+  }
+  
+  /**
+   * Write the on-chain values of a report back to the progress file
+   * @param {Object} report - Report created by buildReport
+   * @returns {Promise<Object>} Updated progress data
+   */
+  async applyReport(report) {
+    const progressService = new ProgressService(report.walletId, report.walletIndex);
+    const { onChain } = report;
+    
+    return progressService.updateProgressData(data => {
+      // Merge quest entries so fields other than "completed" are kept
+      const crossChain = { ...data.crossChain };
+      for (const [questName, quest] of Object.entries(onChain.crossChain)) {
+        crossChain[questName] = { ...crossChain[questName], ...quest };
+      }
+      
+      return {
+        ...data,
+        dailyInteractions: { ...data.dailyInteractions, ...onChain.dailyInteractions },
+        transfers: { ...data.transfers, ...onChain.transfers },
+        crossChain
+      };
+    });
+  }
+  
+  /**
+   * Fetch and classify the sent-tx history of a wallet on every configured chain.
+   * Like the live progress updates, IBC transfers only count once their packet was delivered.
+   * @param {Object} addresses - Chain name to address map
+   * @param {number} walletIndex - Wallet index
+   * @returns {Promise<Object>} Self-transfers per chain and chronological delivered IBC transfers
+   */
+  async fetchHistory(addresses, walletIndex) {
+    const logger = createWalletLogger(walletIndex);
+    const packetTracker = new PacketTracker(this.config, walletIndex);
+    const selfTransfers = {};
+    const ibcTransfers = [];
+    const channels = await this.routePlanner.getChannels();
+    
+    // Destination chains are queried for packet receipts, so clients are shared across chains
+    const clients = new Map();
+    const getClient = async chainName => {
+      if (!clients.has(chainName)) {
+        clients.set(chainName, await connectChainClient(this.config, chainName));
+      }
+      return clients.get(chainName);
+    };
+      
+    try {
+      for (const [chainName, chainConfig] of Object.entries(this.config.chains)) {
+        const address = addresses[chainName];
+        selfTransfers[chainName] = [];
+      
+        if (!address) {
+          continue;
+        }
+      
+        const client = await getClient(chainName);
+        const txs = await client.searchTx(`message.sender='${address}'`);
+        logger.info(`Found ${txs.length} sent transaction(s) on ${chainName}`);
+        
+        const blockTimes = new Map();
+        for (const tx of txs) {
+          if (tx.code !== 0) {
+            continue;
+          }
+          
+          if (!blockTimes.has(tx.height)) {
+            const block = await client.getBlock(tx.height);
+            blockTimes.set(tx.height, new Date(block.header.time).toISOString());
+          }
+          const timestamp = blockTimes.get(tx.height);
+          
+          for (const message of decodeTxRaw(tx.tx).body.messages) {
+            const entry = this.classifyMessage(message, address, chainName, chainConfig, channels);
+            
+            if (entry?.type === 'self') {
+              selfTransfers[chainName].push({ hash: tx.hash, timestamp });
+            } else if (entry?.type === 'ibc') {
+              const state = await packetTracker.lookupState(tx, client, await getClient(entry.destinationChain));
+              
+              if (isDelivered(state)) {
+                ibcTransfers.push({ hash: tx.hash, timestamp, height: tx.height, ...entry });
+              } else {
+                logger.info(`Not counting transfer ${tx.hash} to ${entry.destinationChain}: packet is ${state}`);
+              }
+            }
+          }
+        }
+      }
+    } finally {
+      for (const client of clients.values()) {
+        client.disconnect();
+      }
+    }
+    
+    ibcTransfers.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.height - b.height);
+    
+    return { selfTransfers, ibcTransfers };
+  }
+  
+  /**
+   * Classify a transaction message as a self-transfer or an outgoing IBC transfer
+   * @param {Object} message - Decoded Any message
+   * @param {string} address - Wallet address on the chain
+   * @param {string} chainName - Chain name
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object[]} channels - Recommended channels
+   * @returns {Object|null} Classified entry or null if not relevant
+   */
+  classifyMessage(message, address, chainName, chainConfig, channels) {
+    if (message.typeUrl === MSG_SEND_TYPE_URL) {
+      const msg = MsgSend.decode(message.value);
+      return msg.fromAddress === address && msg.toAddress === address ? { type: 'self' } : null;
+    }
+    
+    if (message.typeUrl === MSG_EXECUTE_CONTRACT_TYPE_URL) {
+      const msg = MsgExecuteContract.decode(message.value);
+      let payload;
+      
+      try {
+        payload = JSON.parse(new TextDecoder().decode(msg.msg));
+      } catch (error) {
+        return null;
+      }
+      
+      if (!payload?.transfer || payload.transfer.channel_id === undefined) {
+        return null;
+      }
+      
+      const channel = channels.find(chan =>
+        chan.source_chain_id === chainConfig.chainId &&
+        Number(chan.source_channel_id) === Number(payload.transfer.channel_id)
+      );
+      const destinationChain = channel && this.getChainNameById(channel.destination_chain_id);
+      
+      if (!destinationChain) {
+        return null;
+      }
+      
+      return { type: 'ibc', sourceChain: chainName, destinationChain };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Recompute progress sections from classified history
+   * @param {Object} history - History returned by fetchHistory
+   * @param {Object} progressData - Current progress data (used for the set of tracked keys)
+   * @param {Object.<string, string[]>} questPaths - Chain path of each cross-chain quest
+   * @param {Set<string>} questHashes - Hashes of cross-chain quest hops, which do not count as transfers
+   * @returns {Object} Recomputed dailyInteractions, transfers and crossChain sections
+   */
+  computeProgress(history, progressData, questPaths, questHashes) {
+    const dailyInteractions = {};
+    for (const chainName of Object.keys(progressData.dailyInteractions)) {
+      const dates = [...new Set(
+        (history.selfTransfers[chainName] || [])
+          .map(transfer => getQuestDay(new Date(transfer.timestamp), this.config.dayBoundary.timeZone))
+      )].sort();
+      
+      dailyInteractions[chainName] = {
+        lastInteraction: dates.length > 0 ? dates[dates.length - 1] : null,
+        count: dates.length,
+        dates
+      };
+    }
+    
+    const transfers = {};
+    for (const chainName of Object.keys(progressData.transfers)) {
+      transfers[chainName] = {
+        count: history.ibcTransfers.filter(transfer =>
+          transfer.destinationChain === chainName && !questHashes.has(normalizeHash(transfer.hash))
+        ).length
+      };
+    }
+    
+    const crossChain = {};
+    for (const quest of this.config.quests.CROSS_CHAIN) {
+      crossChain[quest.name] = { completed: this.isPathCompleted(questPaths[quest.name], history.ibcTransfers) };
+    }
+    
+    return { dailyInteractions, transfers, crossChain };
+  }
+  
+  /**
+   * Collect the transaction hashes of cross-chain quest hops. The wallet's quest progress
+   * only keeps the latest attempt, so the hashes the transfer ledger recorded for quest
+   * workers are added to it.
+   * @param {Object} progressData - Current progress data
+   * @param {TransferLedger} ledger - Transfer ledger of the wallet
+   * @returns {Promise<Set<string>>} Normalized hashes
+   */
+  async getQuestHopHashes(progressData, ledger) {
+    const hashes = new Set();
+    
+    for (const quest of Object.values(progressData.crossChain)) {
+      for (const hop of quest.hops || []) {
+        if (hop.hash) {
+          hashes.add(normalizeHash(hop.hash));
+        }
+      }
+    }
+    
+    for (const entry of await ledger.query({ kind: 'worker' })) {
+      if (entry.isCrossChain && entry.hash) {
+        hashes.add(normalizeHash(entry.hash));
+      }
+    }
+    
+    return hashes;
+  }
+  
+  /**
+   * Check whether the hops of a path appear, in order, in the IBC transfer history
+   * @param {string[]} path - Chain path
+   * @param {Object[]} ibcTransfers - Chronological delivered IBC transfers
+   * @returns {boolean} True if every hop was found in order
+   */
+  isPathCompleted(path, ibcTransfers) {
+    let hop = 0;
+    
+    for (const transfer of ibcTransfers) {
+      if (hop >= path.length - 1) {
+        break;
+      }
+      
+      if (transfer.sourceChain === path[hop] && transfer.destinationChain === path[hop + 1]) {
+        hop++;
+      }
+    }
+    
+    return hop >= path.length - 1;
+  }
+  
+  /**
+   * List the fields whose stored value differs from the on-chain value
+   * @param {Object} progressData - Current progress data
+   * @param {Object} onChain - Recomputed sections
+   * @returns {Object[]} Differences as { field, current, onChain }
+   */
+  diff(progressData, onChain) {
+    const changes = [];
+    
+    for (const [section, entries] of Object.entries(onChain)) {
+      for (const [key, values] of Object.entries(entries)) {
+        for (const [field, value] of Object.entries(values)) {
+          const current = progressData[section][key]?.[field] ?? null;
+          // Lists such as the daily interaction dates are compared by value
+          if (JSON.stringify(current) !== JSON.stringify(value)) {
+            changes.push({ field: `${section}.${key}.${field}`, current, onChain: value });
+          }
+        }
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Get the chain path of every cross-chain quest.
+   * Route quests are checked against the route the planner would choose today.
+   * @returns {Promise<Object.<string, string[]>>} Quest name to chain path
+   */
+  async getQuestPaths() {
+    const questPaths = {};
+    
+    for (const quest of this.config.quests.CROSS_CHAIN) {
+      questPaths[quest.name] = quest.path || await this.routePlanner.planRoute(quest.route);
+    }
+    
+    return questPaths;
+  }
+  
+  /**
+   * Find the configured chain name for a chain ID
+   * @param {string} chainId - Chain ID
+   * @returns {string|undefined} Chain name
+   */
+  getChainNameById(chainId) {
+    return Object.keys(this.config.chains).find(chainName => this.config.chains[chainName].chainId === chainId);
+  }
+}
+
+export default ReconcileService;
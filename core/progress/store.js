@@ -0,0 +1,352 @@
+// core/progress/store.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { threadId } from 'worker_threads';
+import logger from '../../utils/logger.js';
+import { sleep } from '../../utils/common.js';
+import { moveLegacyLedger } from './ledger.js';
+
+/**
+ * Version of the store layout; a store written by a newer version is refused
+ * Version 2 keys wallets by their address instead of their position in the keystore.
+ */
+const STORE_SCHEMA_VERSION = 2;
+
+/**
+ * Number of committed revisions kept on disk
+ */
+const KEEP_REVISIONS = 10;
+
+/**
+ * Revisions younger than this are never deleted
+ */
+const PRUNE_AGE_MS = 60000;
+
+/**
+ * A transaction that read its state longer ago than this starts over instead of committing.
+ * Together with PRUNE_AGE_MS this makes sure the revision a transaction commits was never
+ * committed and pruned in the meantime.
+ */
+const MAX_TRANSACTION_MS = 30000;
+
+/**
+ * How often a transaction is retried after another writer committed first
+ */
+const MAX_COMMIT_ATTEMPTS = 100;
+
+/**
+ * Committed revision file names: zero-padded revision number
+ */
+const REVISION_PATTERN = /^(\d{12})\.json$/;
+
+/**
+ * Per-wallet JSON files used before the store
+ */
+const LEGACY_FILE_PATTERN = /^progress-(\d+)\.json$/;
+
+/**
+ * Wallet keys of version 1 stores and imported files: the wallet index
+ */
+const LEGACY_WALLET_KEY = /^\d+$/;
+
+/**
+ * Error raised when the store cannot be read or updated
+ */
+class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreError';
+  }
+}
+
+/**
+ * Transactional store for the progress of every wallet
+ * Each commit writes the whole state as a new numbered revision. A revision file is written and
+ * synced under a temporary name, then linked to its final name, which fails if another writer
+ * already committed that revision; the transaction then runs again on the newer state. Readers
+ * always see a complete revision, a crash never leaves a half-written one, and there are no lock
+ * files to go stale. This works across worker threads and processes.
+ */
+class ProgressStore {
+  /**
+   * Create a new ProgressStore instance
+   * @param {string} [dataDir] - Data directory
+   */
+  constructor(dataDir = path.join(process.cwd(), 'data')) {
+    this.dataDir = dataDir;
+    this.storeDir = path.join(dataDir, 'progress.store');
+  }
+  
+  /**
+   * Path of a committed revision
+   * @param {number} revision - Revision number
+   * @returns {string} File path
+   */
+  revisionPath(revision) {
+    return path.join(this.storeDir, `${String(revision).padStart(12, '0')}.json`);
+  }
+  
+  /**
+   * List the committed revisions
+   * @returns {Promise<number[]>} Revision numbers, ascending
+   */
+  async listRevisions() {
+    try {
+      const files = await fs.readdir(this.storeDir);
+      return files
+        .map(file => file.match(REVISION_PATTERN))
+        .filter(Boolean)
+        .map(match => Number(match[1]))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new StoreError(`Could not read progress store: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Read the latest committed state
+   * @returns {Promise<{revision: number, state: Object}>} Revision number (0 for an empty store) and state
+   * @throws {StoreError} If the store was written by a newer version or cannot be read
+   */
+  async read() {
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      const revision = (await this.listRevisions()).pop() || 0;
+      
+      if (revision === 0) {
+        return { revision, state: { schemaVersion: STORE_SCHEMA_VERSION, wallets: {} } };
+      }
+      
+      let state;
+      try {
+        state = JSON.parse(await fs.readFile(this.revisionPath(revision), 'utf8'));
+      } catch (error) {
+        // Pruned by a writer between listing and reading; read the newer revision
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw new StoreError(`Could not read progress store revision ${revision}: ${error.message}`);
+      }
+      
+      if (state.schemaVersion > STORE_SCHEMA_VERSION) {
+        throw new StoreError(`Progress store has schema version ${state.schemaVersion}, but this version of the bot only supports up to ${STORE_SCHEMA_VERSION}`);
+      }
+      
+      return { revision, state };
+    }
+    
+    throw new StoreError('Could not read progress store: it keeps changing');
+  }
+  
+  /**
+   * Run a transaction against the latest state
+   * The function may mutate the state it receives. It runs again if another writer commits first,
+   * so it must not have side effects.
+   * @param {function(Object): any} fn - Receives a copy of the state; returns the transaction result
+   * @returns {Promise<any>} Result of the function
+   * @throws {StoreError} If the transaction could not be committed
+   */
+  async transaction(fn) {
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      const readAt = Date.now();
+      const { revision, state } = await this.read();
+      
+      // The first commit takes over the per-wallet files used before the store
+      const legacyFiles = revision === 0 ? await this.importLegacyFiles(state) : [];
+      
+      const result = await fn(state);
+      state.schemaVersion = STORE_SCHEMA_VERSION;
+      
+      if (await this.commit(revision + 1, state, readAt)) {
+        await this.retireLegacyFiles(legacyFiles);
+        return result;
+      }
+      
+      // Another writer committed this revision first; back off briefly and retry on its state
+      await sleep(5 + Math.floor(Math.random() * 20));
+    }
+    
+    throw new StoreError(`Could not commit progress after ${MAX_COMMIT_ATTEMPTS} attempts`);
+  }
+  
+  /**
+   * Write a revision unless it already exists
+   * @param {number} revision - Revision number to create
+   * @param {Object} state - State to write
+   * @param {number} readAt - When the state the revision is based on was read
+   * @returns {Promise<boolean>} False if another writer committed the revision first, or the state is too old
+   */
+  async commit(revision, state, readAt) {
+    await fs.mkdir(this.storeDir, { recursive: true });
+    
+    const tempPath = path.join(this.storeDir, `.tmp-${process.pid}-${threadId}-${crypto.randomBytes(6).toString('hex')}`);
+    const file = await fs.open(tempPath, 'w');
+    
+    try {
+      await file.writeFile(JSON.stringify(state, null, 2), 'utf8');
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    
+    try {
+      if (Date.now() - readAt > MAX_TRANSACTION_MS) {
+        return false;
+      }
+      await fs.link(tempPath, this.revisionPath(revision));
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw new StoreError(`Could not commit progress revision ${revision}: ${error.message}`);
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+    
+    await this.prune(revision);
+    return true;
+  }
+  
+  /**
+   * Delete revisions before the last KEEP_REVISIONS that are older than PRUNE_AGE_MS
+   * @param {number} revision - Latest revision
+   * @returns {Promise<void>}
+   */
+  async prune(revision) {
+    const old = (await this.listRevisions()).filter(candidate => candidate <= revision - KEEP_REVISIONS);
+    
+    await Promise.all(old.map(async candidate => {
+      try {
+        const { mtimeMs } = await fs.stat(this.revisionPath(candidate));
+        if (Date.now() - mtimeMs > PRUNE_AGE_MS) {
+          await fs.unlink(this.revisionPath(candidate));
+        }
+      } catch {
+        // Already pruned by another writer
+      }
+    }));
+  }
+  
+  /**
+   * Copy the per-wallet progress files into a state
+   * @param {Object} state - State of the empty store
+   * @returns {Promise<string[]>} Paths of the imported files
+   */
+  async importLegacyFiles(state) {
+    let files;
+    try {
+      files = await fs.readdir(this.dataDir);
+    } catch (error) {
+      return [];
+    }
+    
+    const imported = [];
+    for (const file of files) {
+      const match = file.match(LEGACY_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+      
+      const filePath = path.join(this.dataDir, file);
+      try {
+        state.wallets[match[1]] = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        imported.push(filePath);
+      } catch (error) {
+        logger.warn(`Skipping unreadable progress file ${file}: ${error.message}`);
+      }
+    }
+    
+    return imported;
+  }
+  
+  /**
+   * Rename imported progress files so they are not imported again, and remove their lock files
+   * @param {string[]} filePaths - Imported files
+   * @returns {Promise<void>}
+   */
+  async retireLegacyFiles(filePaths) {
+    for (const filePath of filePaths) {
+      await fs.rename(filePath, `${filePath}.imported`).catch(() => {});
+      await fs.unlink(`${filePath}.lock`).catch(() => {});
+      logger.info(`Imported ${path.basename(filePath)} into the progress store`);
+    }
+  }
+  
+  /**
+   * Attach progress stored by wallet index in earlier versions to the wallets of the keystore
+   * Progress is stored per wallet ID (the wallet's address), so reordering the keys never attaches
+   * one wallet's progress to another. An index-keyed entry is moved to the wallet whose derived
+   * addresses match the stored ones; entries no key matches are kept under their index. The
+   * index-keyed transfer ledger of a moved entry moves to the same wallet.
+   * @param {Array<{walletIndex: number, walletId: string, addresses: Object<string, string>}>} wallets - Wallets of the keystore with their derived addresses
+   * @returns {Promise<{moved: Array<{from: number, to: number}>, unmatched: number[]}>} Index-keyed entries that were moved or are still unmatched
+   */
+  async registerWallets(wallets) {
+    const result = await this.transaction(state => {
+      const moved = [];
+      
+      // Index to wallet ID table of earlier versions, which every process rewrote at startup
+      delete state.walletIds;
+      
+      for (const { walletIndex, walletId, addresses } of wallets) {
+        if (state.wallets[walletId]) {
+          continue;
+        }
+        
+        const legacyKey = Object.keys(state.wallets).find(key => LEGACY_WALLET_KEY.test(key) &&
+          Object.entries(state.wallets[key]?.addresses || {}).some(([chain, address]) => address && addresses[chain] === address));
+        
+        if (legacyKey !== undefined) {
+          state.wallets[walletId] = state.wallets[legacyKey];
+          delete state.wallets[legacyKey];
+          moved.push({ from: Number(legacyKey), to: walletIndex });
+        }
+      }
+      
+      const unmatched = Object.keys(state.wallets).filter(key => LEGACY_WALLET_KEY.test(key)).map(Number);
+      return { moved, unmatched };
+    });
+    
+    // Ledgers are files of their own, moved once the progress they belong to has been committed
+    for (const { from, to } of result.moved) {
+      await moveLegacyLedger(this.dataDir, from, wallets.find(wallet => wallet.walletIndex === to).walletId);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get the progress of a wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Object|null>} Progress data or null if the wallet has none
+   */
+  async getWallet(walletId) {
+    const { revision, state } = await this.read();
+    
+    // An empty store may still have per-wallet files to import
+    if (revision === 0) {
+      return this.transaction(next => next.wallets[walletId] ?? null);
+    }
+    
+    return state.wallets[walletId] ?? null;
+  }
+  
+  /**
+   * Atomically update the progress of a wallet
+   * @param {string} walletId - Wallet ID
+   * @param {function(Object|null): Object} updateFn - Receives the current progress (null if none) and returns the new progress
+   * @returns {Promise<Object>} New progress data
+   */
+  async updateWallet(walletId, updateFn) {
+    return this.transaction(state => {
+      state.wallets[walletId] = updateFn(state.wallets[walletId] ?? null);
+      return state.wallets[walletId];
+    });
+  }
+}
+
+export default ProgressStore;
+export { StoreError, STORE_SCHEMA_VERSION };
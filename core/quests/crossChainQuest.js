@@ -1,267 +1,410 @@
-// core/quests/crossChainQuest.js
-import { createWalletLogger } from '../../utils/logger.js';
-import ProgressService from '../progress/progress.js';
-import workerManager from '../workers/workerManager.js';
-
-/**
- * Service for handling cross-chain quests with multi-threading support
- */
-class CrossChainQuestService {
-  /**
-   * Create a new CrossChainQuestService
-   * @param {Object} config - Application configuration
-   */
-  constructor(config) {
-    this.config = config;
-    this.logger = createWalletLogger();
-  }
-
-  /**
-   * Run cross-chain quests for all wallets with multi-threading
-   * @param {string[]} privateKeys - Array of private keys
-   * @param {Object} options - Cross-chain options
-   * @param {number} maxThreads - Maximum number of concurrent threads
-   * @returns {Promise<void>}
-   */
-  async runForAll(privateKeys, options, maxThreads = 3) {
-    this.logger.info(`Running cross-chain quests for ${privateKeys.length} wallets with max ${maxThreads} threads`);
-    
-    // Create tasks for wallets where each wallet is a separate task
-    const walletTasks = [];
-    
-    for (let i = 0; i < privateKeys.length; i++) {
-      walletTasks.push({
-        privateKey: privateKeys[i],
-        walletIndex: i
-      });
-    }
-    
-    // Process wallets in parallel based on maxThreads
-    // We'll use our own batching here to ensure correct threading
-    const batchSize = Math.min(maxThreads, walletTasks.length);
-    let processedCount = 0;
-    
-    while (processedCount < walletTasks.length) {
-      const batch = [];
-      const currentBatchSize = Math.min(batchSize, walletTasks.length - processedCount);
-      
-      this.logger.info(`Processing wallet batch ${processedCount+1}-${processedCount+currentBatchSize} of ${walletTasks.length}`);
-      
-      // Start tasks in this batch concurrently
-      for (let i = 0; i < currentBatchSize; i++) {
-        const task = walletTasks[processedCount + i];
-        batch.push(this.run(task.privateKey, task.walletIndex, options));
-      }
-      
-      // Wait for all wallets in this batch to complete
-      await Promise.all(batch);
-      
-      processedCount += currentBatchSize;
-    }
-    
-    this.logger.info(`Completed cross-chain quests for all ${walletTasks.length} wallets`);
-  }
-
-  /**
-   * Run cross-chain quests for a single wallet
-   * @param {string} privateKey - Private key
-   * @param {number} walletIndex - Wallet index
-   * @param {Object} options - Cross-chain options
-   * @returns {Promise<void>}
-   */
-  async run(privateKey, walletIndex, options = {}) {
-    const logger = createWalletLogger(walletIndex);
-    logger.info('Starting cross-chain quest processing');
-    
-    const progressService = new ProgressService(walletIndex);
-    const progressData = await progressService.readProgressData();
-    
-    try {
-      const { quest, amount, all } = options;
-      
-      if (all) {
-        // Execute all quests in order
-        const quests = this.config.quests.CROSS_CHAIN;
-        let allSuccess = true;
-        
-        for (const q of quests) {
-          // Skip already completed quests
-          if (progressData.crossChain[q.name].completed) {
-            logger.info(`Quest ${q.name} already completed, skipping...`);
-            continue;
-          }
-          
-          logger.info(`Executing quest ${q.name}, path: ${q.path.join(' → ')}`);
-          
-          const success = await this.executeCrossChainQuest(
-            q.name, 
-            amount || this.config.DEFAULT_TRANSFER_AMOUNT, 
-            progressData, 
-            privateKey, 
-            walletIndex
-          );
-          
-          if (!success) {
-            allSuccess = false;
-            // Note: We continue even if a quest fails due to the updated requirement
-          }
-        }
-        
-        if (allSuccess) {
-          logger.info('Successfully processed all cross-chain quests');
-        } else {
-          logger.warn('Some cross-chain quests failed, but processing continued');
-        }
-      } else if (quest) {
-        // Execute single specified quest
-        await this.executeCrossChainQuest(
-          quest, 
-          amount || this.config.DEFAULT_TRANSFER_AMOUNT, 
-          progressData, 
-          privateKey, 
-          walletIndex
-        );
-      } else {
-        // No specific quest specified, provide info
-        logger.info('No quest specified. Use quest option or all flag to run quests');
-      }
-    } catch (error) {
-      logger.error(`Error running cross-chain quests: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Execute a specific cross-chain quest
-   * @param {string} questName - Name of the quest
-   * @param {string} amount - Amount to transfer
-   * @param {Object} progressData - Progress data
-   * @param {string} privateKey - Private key
-   * @param {number} walletIndex - Wallet index
-   * @returns {Promise<boolean>} Success status
-   */
-  async executeCrossChainQuest(questName, amount, progressData, privateKey, walletIndex) {
-    const logger = createWalletLogger(walletIndex);
-    
-    try {
-      logger.info(`Executing cross-chain quest: ${questName}`);
-      
-      // Get quest details
-      const quest = this.config.quests.CROSS_CHAIN.find(q => q.name === questName);
-      
-      if (!quest) {
-        logger.error(`Quest '${questName}' not found in configuration`);
-        return false;
-      }
-      
-      // Check if quest is already completed
-      if (progressData.crossChain[questName] && progressData.crossChain[questName].completed) {
-        logger.info(`The quest '${questName}' has already been completed`);
-        return true;
-      }
-      
-      // Execute the transfers along the path
-      const path = quest.path;
-      const transferAmount = amount;
-      
-      logger.info(`Processing cross-chain path: ${path.join(' → ')}`);
-      
-      let allSuccess = true;
-      const failedSteps = [];
-      
-      // Process each step in the path SEQUENTIALLY
-      for (let i = 0; i < path.length - 1; i++) {
-        // Get the source and destination chains
-        const sourceChain = path[i];
-        const destinationChain = path[i + 1];
-        
-        logger.info(`Processing transfer ${i+1}/${path.length-1}: ${sourceChain} → ${destinationChain}`);
-        
-        // Execute the transfer using worker
-        const task = this.createCrossChainTask(
-          sourceChain,
-          destinationChain,
-          privateKey,
-          walletIndex,
-          progressData,
-          transferAmount,
-          `${questName}-${i+1}/${path.length-1}`
-        );
-        
-        // Run the task directly, not in a batch
-        const result = await workerManager.runWorker(task.workerPath, task.workerData);
-        
-        if (!result.success) {
-          allSuccess = false;
-          failedSteps.push(`${i+1}: ${sourceChain} → ${destinationChain}`);
-          logger.error(`Failed at transfer ${i+1}: ${sourceChain} → ${destinationChain}`);
-          // We continue to the next step despite the failure
-        }
-      }
-      
-      // Update progress if all transfers were successful
-      if (allSuccess) {
-        logger.info(`Successfully completed cross-chain path: ${path.join(' → ')}`);
-        
-        // Update progress data
-        const progressService = new ProgressService(walletIndex);
-        await progressService.updateCrossChainQuest(questName, true);
-        
-        logger.info(`Successfully completed the '${questName}' quest!`);
-      } else {
-        if (failedSteps.length > 0) {
-          logger.error(`Quest '${questName}' not completed due to failed steps: ${failedSteps.join(', ')}`);
-          logger.info(`Continuing to next quest. You can retry this quest later.`);
-        } else {
-          logger.error(`Failed to complete the '${questName}' quest for unknown reasons`);
-        }
-      }
-      
-      return allSuccess;
-      
-    } catch (error) {
-      logger.error(`Error executing cross-chain quest: ${error.message}`);
-      return false;
-    }
-  }
-  
-  /**
-   * Create a cross-chain transfer task
-   * @param {string} sourceChain - Source chain name
-   * @param {string} destChain - Destination chain name
-   * @param {string} privateKey - Private key
-   * @param {number} walletIndex - Wallet index
-   * @param {Object} progressData - Progress data
-   * @param {string} amount - Transfer amount
-   * @param {string} taskId - Task identifier
-   * @returns {Object} Task object for worker manager
-   */
-  createCrossChainTask(sourceChain, destChain, privateKey, walletIndex, progressData, amount, taskId) {
-    // Get receiver address for the destination chain
-    const receiverAddress = progressData.addresses[destChain];
-    
-    // Choose transfer type from source to destination
-    const transferType = `${sourceChain}_TO_${destChain}`;
-    
-    // Create unique worker ID
-    const workerId = `cross-chain-${transferType}-${walletIndex}-${taskId}-${Date.now()}`;
-    
-    return {
-      workerPath: 'transferWorker.js',
-      workerData: {
-        workerId,
-        walletIndex,
-        privateKey,
-        sourceChain,
-        destinationChain: destChain,
-        receiverAddress,
-        amount,
-        config: this.config,
-        transferType,
-        updateProgress: false, // Cross-chain progress updated after all transfers complete
-        isCrossChain: true
-      }
-    };
-  }
-}
-
-export default CrossChainQuestService;
\ No newline at end of file
+// core/quests/crossChainQuest.js
+import { createWalletLogger } from '../../utils/logger.js';
+import ProgressService from '../progress/progress.js';
+import workerManager from '../workers/workerManager.js';
+import { runWithConcurrency } from '../../utils/common.js';
+import RoutePlanner from '../blockchain/routing/routePlanner.js';
+import PacketTracker, { PACKET_STATES, isDelivered } from '../blockchain/packetTracker.js';
+
+/**
+ * Status of a single hop in a cross-chain quest attempt
+ */
+const HOP_STATUS = {
+  DELIVERED: 'delivered',
+  IN_FLIGHT: 'in_flight',
+  FAILED: 'failed'
+};
+
+/**
+ * Service for handling cross-chain quests with multi-threading support
+ */
+class CrossChainQuestService {
+  /**
+   * Create a new CrossChainQuestService
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+    this.logger = createWalletLogger();
+    this.routePlanner = new RoutePlanner(config);
+  }
+
+  /**
+   * Run cross-chain quests for all wallets with multi-threading
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {Object} options - Cross-chain options
+   * @param {number} maxThreads - Maximum number of concurrent threads
+   * @returns {Promise<{total: number, succeeded: number}>} Combined outcome of all wallets
+   */
+  async runForAll(signers, options, maxThreads = 3) {
+    this.logger.info(`Running cross-chain quests for ${signers.length} wallets with max ${maxThreads} threads`);
+    
+    workerManager.setMaxConcurrentWorkers(maxThreads);
+    
+    // Create tasks for wallets where each wallet is a separate task
+    const walletTasks = [];
+    
+    for (let i = 0; i < signers.length; i++) {
+      walletTasks.push({
+        signer: signers[i],
+        walletIndex: i
+      });
+    }
+    
+    // Process wallets in parallel based on maxThreads; the next wallet starts as soon as one finishes
+    const outcome = { total: 0, succeeded: 0 };
+    const walletOutcomes = await runWithConcurrency(walletTasks, maxThreads, task => this.run(task.signer, task.walletIndex, options));
+    
+    walletOutcomes.forEach(({ total, succeeded }) => {
+      outcome.total += total;
+      outcome.succeeded += succeeded;
+    });
+    
+    this.logger.info(`Completed cross-chain quests for all ${walletTasks.length} wallets`);
+    return outcome;
+  }
+
+  /**
+   * Run cross-chain quests for a single wallet
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} options - Cross-chain options
+   * @returns {Promise<{total: number, succeeded: number}>} Number of quests attempted and succeeded
+   */
+  async run(signer, walletIndex, options = {}) {
+    const logger = createWalletLogger(walletIndex);
+    logger.info('Starting cross-chain quest processing');
+    
+    const progressService = new ProgressService(signer.walletId, walletIndex);
+    const progressData = await progressService.readProgressData();
+    const outcome = { total: 0, succeeded: 0 };
+    
+    try {
+      const { quest, amount, all } = options;
+      
+      if (all) {
+        // Execute all quests in order
+        const quests = this.config.quests.CROSS_CHAIN;
+        let allSuccess = true;
+        
+        for (const q of quests) {
+          // Skip already completed quests
+          if (progressData.crossChain[q.name].completed) {
+            logger.info(`Quest ${q.name} already completed, skipping...`);
+            continue;
+          }
+          
+          logger.info(`Executing quest ${q.name}`);
+          
+          const success = await this.executeCrossChainQuest(
+            q.name, 
+            amount || this.config.DEFAULT_TRANSFER_AMOUNT, 
+            progressData, 
+            signer, 
+            walletIndex
+          );
+          
+          outcome.total++;
+          if (success) {
+            outcome.succeeded++;
+          } else {
+            allSuccess = false;
+            // Note: We continue even if a quest fails due to the updated requirement
+          }
+        }
+        
+        if (allSuccess) {
+          logger.info('Successfully processed all cross-chain quests');
+        } else {
+          logger.warn('Some cross-chain quests failed, but processing continued');
+        }
+      } else if (quest) {
+        // Execute single specified quest
+        const success = await this.executeCrossChainQuest(
+          quest, 
+          amount || this.config.DEFAULT_TRANSFER_AMOUNT, 
+          progressData, 
+          signer, 
+          walletIndex
+        );
+        
+        outcome.total++;
+        if (success) {
+          outcome.succeeded++;
+        }
+      } else {
+        // No specific quest specified, provide info
+        logger.info('No quest specified. Use quest option or all flag to run quests');
+      }
+    } catch (error) {
+      logger.error(`Error running cross-chain quests: ${error.message}`);
+      outcome.total++;
+    }
+    
+    return outcome;
+  }
+  
+  /**
+   * Execute a specific cross-chain quest, continuing from the first incomplete hop
+   * @param {string} questName - Name of the quest
+   * @param {string} amount - Amount to transfer
+   * @param {Object} progressData - Progress data
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @returns {Promise<boolean>} Success status
+   */
+  async executeCrossChainQuest(questName, amount, progressData, signer, walletIndex) {
+    const logger = createWalletLogger(walletIndex);
+    const progressService = new ProgressService(signer.walletId, walletIndex);
+    
+    try {
+      logger.info(`Executing cross-chain quest: ${questName}`);
+      
+      // Get quest details
+      const quest = this.config.quests.CROSS_CHAIN.find(q => q.name === questName);
+      
+      if (!quest) {
+        logger.error(`Quest '${questName}' not found in configuration`);
+        return false;
+      }
+      
+      // Check if quest is already completed
+      const questProgress = progressData.crossChain[questName] || {};
+      if (questProgress.completed) {
+        logger.info(`The quest '${questName}' has already been completed`);
+        return true;
+      }
+      
+      const attempt = await this.getAttempt(quest, questProgress);
+      const { path, hops } = attempt;
+      let { fundsAt, startHop } = attempt;
+      
+      const saveState = (completed = false) => progressService.updateCrossChainQuest(questName, completed, { path, hops, fundsAt });
+      
+      logger.info(`Processing cross-chain path: ${path.join(' → ')}`);
+      
+      // Re-check a hop that was broadcast but not confirmed last time before sending anything new
+      const lastHop = hops[startHop];
+      if (lastHop?.status === HOP_STATUS.IN_FLIGHT) {
+        logger.info(`Checking hop ${startHop + 1} (${lastHop.from} → ${lastHop.to}) from the previous attempt: ${lastHop.hash}`);
+        const packet = await new PacketTracker(this.config, walletIndex).track(lastHop.hash, lastHop.from, lastHop.to);
+        hops[startHop] = this.createHopState(lastHop.from, lastHop.to, { success: isDelivered(packet.state), hash: lastHop.hash, packet });
+        
+        if (hops[startHop].status === HOP_STATUS.IN_FLIGHT) {
+          await saveState();
+          logger.warn(`Hop ${startHop + 1} is still in flight to ${lastHop.to}. Not sending more funds until it is delivered or refunded`);
+          return false;
+        }
+        
+        if (hops[startHop].status === HOP_STATUS.DELIVERED) {
+          fundsAt = lastHop.to;
+          startHop++;
+        }
+      }
+      
+      if (startHop > 0 && startHop < path.length - 1) {
+        logger.info(`Resuming '${questName}' at hop ${startHop + 1}/${path.length - 1}; earlier hops were already delivered`);
+        if (fundsAt && fundsAt !== path[0]) {
+          logger.warn(`Funds from the previous attempt are on ${fundsAt}; continuing from there`);
+        }
+      }
+      
+      // Process the remaining hops SEQUENTIALLY; each hop spends the funds delivered by the previous one
+      for (let i = startHop; i < path.length - 1; i++) {
+        const sourceChain = path[i];
+        const destinationChain = path[i + 1];
+        
+        logger.info(`Processing transfer ${i+1}/${path.length-1}: ${sourceChain} → ${destinationChain}`);
+        
+        // Execute the transfer using worker
+        const task = this.createCrossChainTask(
+          sourceChain,
+          destinationChain,
+          signer,
+          walletIndex,
+          progressData,
+          amount,
+          `${questName}-${i+1}/${path.length-1}`
+        );
+        
+        // Run the task directly, not in a batch
+        const result = await workerManager.runWorker(task.workerPath, task.workerData, task.signer);
+        hops[i] = this.createHopState(sourceChain, destinationChain, result);
+        
+        if (hops[i].status === HOP_STATUS.DELIVERED) {
+          fundsAt = destinationChain;
+          await saveState();
+          continue;
+        }
+        
+        await saveState();
+        logger.error(`Failed at transfer ${i+1}: ${sourceChain} → ${destinationChain} (${result.error || 'unknown error'})`);
+        
+        if (hops[i].status === HOP_STATUS.IN_FLIGHT) {
+          logger.warn(`Transfer ${hops[i].hash} is in flight to ${destinationChain}; re-run the quest to check it before continuing`);
+        } else if (fundsAt !== path[0]) {
+          logger.warn(`Funds are stranded on ${fundsAt} after hop ${i}. Re-run '${questName}' to continue from hop ${i+1}`);
+        }
+        
+        logger.info(`Continuing to next quest. You can retry this quest later.`);
+        return false;
+      }
+      
+      // All hops delivered
+      await saveState(true);
+      logger.info(`Successfully completed cross-chain path: ${path.join(' → ')}`);
+      logger.info(`Successfully completed the '${questName}' quest!`);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error executing cross-chain quest: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the path of a quest attempt and the hop to continue from
+   * @param {Object} quest - Cross-chain quest configuration
+   * @param {Object} questProgress - Stored quest progress
+   * @returns {Promise<{path: string[], hops: Object[], fundsAt: string, startHop: number}>} Attempt state; hops is a copy
+   */
+  async getAttempt(quest, questProgress) {
+    // A partially completed attempt keeps its path, so the remaining hops still line up
+    const hasPartialAttempt = Array.isArray(questProgress.path) && questProgress.hops?.length > 0;
+    const path = hasPartialAttempt ? questProgress.path : await this.resolvePath(quest);
+    const hops = hasPartialAttempt ? [...questProgress.hops] : [];
+    
+    let startHop = hops.findIndex(hop => hop.status !== HOP_STATUS.DELIVERED);
+    if (startHop === -1) {
+      startHop = hops.length;
+    }
+    
+    return { path, hops, fundsAt: hasPartialAttempt ? questProgress.fundsAt : path[0], startHop };
+  }
+  
+  /**
+   * Plan the cross-chain quests of a wallet without running them
+   * Paths are expanded the way a run would expand them, resuming partial attempts.
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} options - Cross-chain options (quest or all, amount)
+   * @returns {Promise<{tasks: Object[], notes: string[]}>} Tasks a run would start
+   */
+  async planWallet(signer, walletIndex, options = {}) {
+    const progressData = await new ProgressService(signer.walletId, walletIndex).readProgressData();
+    const amount = options.amount || this.config.DEFAULT_TRANSFER_AMOUNT;
+    const questNames = options.all ? this.config.quests.CROSS_CHAIN.map(q => q.name) : [options.quest].filter(Boolean);
+    const plan = { tasks: [], notes: [] };
+    
+    for (const questName of questNames) {
+      const quest = this.config.quests.CROSS_CHAIN.find(q => q.name === questName);
+      if (!quest) {
+        throw new Error(`Quest '${questName}' not found in configuration`);
+      }
+      
+      const questProgress = progressData.crossChain[questName] || {};
+      if (questProgress.completed) {
+        plan.notes.push(`${questName} is already completed`);
+        continue;
+      }
+      
+      const { path, hops, startHop } = await this.getAttempt(quest, questProgress);
+      let firstHop = startHop;
+      
+      // A run checks an in-flight hop first and only continues once it is delivered
+      if (hops[startHop]?.status === HOP_STATUS.IN_FLIGHT) {
+        plan.notes.push(`${questName} hop ${startHop + 1} (${hops[startHop].hash}) is in flight; the remaining hops only run once it is delivered`);
+        firstHop++;
+      } else if (startHop > 0) {
+        plan.notes.push(`${questName} resumes at hop ${startHop + 1}/${path.length - 1}`);
+      }
+      
+      for (let i = firstHop; i < path.length - 1; i++) {
+        plan.tasks.push(this.createCrossChainTask(path[i], path[i + 1], signer, walletIndex, progressData, amount, `${questName}-${i+1}/${path.length-1}`));
+      }
+    }
+    
+    return plan;
+  }
+  
+  /**
+   * Build the stored state of a hop from a transfer result
+   * @param {string} from - Source chain name
+   * @param {string} to - Destination chain name
+   * @param {Object} result - Transfer result
+   * @returns {Object} Hop state
+   */
+  createHopState(from, to, result) {
+    const packetState = result.packet?.state || null;
+    let status = HOP_STATUS.FAILED;
+    
+    if (result.success) {
+      status = HOP_STATUS.DELIVERED;
+    } else if (result.hash && ![PACKET_STATES.TIMED_OUT, PACKET_STATES.FAILED].includes(packetState)) {
+      // Broadcast but neither delivered nor refunded yet
+      status = HOP_STATUS.IN_FLIGHT;
+    }
+    
+    return {
+      from,
+      to,
+      hash: result.hash || null,
+      status,
+      packetState,
+      error: result.success ? null : (result.error || null),
+      updatedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Get the chain path of a quest, planning it from the route constraints if needed
+   * @param {Object} quest - Cross-chain quest configuration
+   * @returns {Promise<string[]>} Chain path
+   */
+  async resolvePath(quest) {
+    return quest.path || this.routePlanner.planRoute(quest.route);
+  }
+  
+  /**
+   * Create a cross-chain transfer task
+   * @param {string} sourceChain - Source chain name
+   * @param {string} destChain - Destination chain name
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} progressData - Progress data
+   * @param {string} amount - Transfer amount
+   * @param {string} taskId - Task identifier
+   * @returns {Object} Task object for worker manager
+   */
+  createCrossChainTask(sourceChain, destChain, signer, walletIndex, progressData, amount, taskId) {
+    // Get receiver address for the destination chain
+    const receiverAddress = progressData.addresses[destChain];
+    
+    // Choose transfer type from source to destination
+    const transferType = `${sourceChain}_TO_${destChain}`;
+    
+    // Create unique worker ID
+    const workerId = `cross-chain-${transferType}-${walletIndex}-${taskId}-${Date.now()}`;
+    
+    return {
+      workerPath: 'transferWorker.js',
+      workerData: {
+        workerId,
+        walletIndex,
+        walletId: signer.walletId,
+        sourceChain,
+        destinationChain: destChain,
+        receiverAddress,
+        amount,
+        config: this.config,
+        transferType,
+        updateProgress: false, // Cross-chain progress updated after all transfers complete
+        isCrossChain: true
+      },
+      signer
+    };
+  }
+}
+
+export default CrossChainQuestService;
+export { HOP_STATUS };
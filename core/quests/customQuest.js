@@ -0,0 +1,160 @@
+// core/quests/customQuest.js
+import { createWalletLogger } from '../../utils/logger.js';
+import ProgressService from '../progress/progress.js';
+import workerManager from '../workers/workerManager.js';
+import { runWithConcurrency } from '../../utils/common.js';
+import { getQuestType } from './types/index.js';
+import { getQuestDay } from '../../utils/dates.js';
+
+/**
+ * Service for running custom quests defined in config/quests.d.
+ * Task generation and progress tracking are delegated to the quest's type plugin.
+ */
+class CustomQuestService {
+  /**
+   * Create a new CustomQuestService
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+    this.logger = createWalletLogger();
+  }
+  
+  /**
+   * Run custom quests for all wallets with multi-threading
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {Object} options - Custom quest options
+   * @param {number} maxThreads - Maximum number of concurrent threads
+   * @returns {Promise<{total: number, succeeded: number}>} Combined outcome of all wallets
+   */
+  async runForAll(signers, options, maxThreads = 3) {
+    this.logger.info(`Running custom quests for ${signers.length} wallets with max ${maxThreads} threads`);
+    
+    workerManager.setMaxConcurrentWorkers(maxThreads);
+    
+    // The next wallet starts as soon as one finishes
+    const outcome = { total: 0, succeeded: 0 };
+    const walletOutcomes = await runWithConcurrency(signers, maxThreads, (signer, walletIndex) => this.run(signer, walletIndex, options));
+    
+    walletOutcomes.forEach(({ total, succeeded }) => {
+      outcome.total += total;
+      outcome.succeeded += succeeded;
+    });
+    
+    this.logger.info(`Completed custom quests for all ${signers.length} wallets`);
+    return outcome;
+  }
+  
+  /**
+   * Run custom quests for a single wallet
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} options - Custom quest options
+   * @param {string} [options.quest] - Quest to run (all incomplete quests if omitted)
+   * @returns {Promise<{total: number, succeeded: number}>} Number of tasks attempted and succeeded
+   */
+  async run(signer, walletIndex, options = {}) {
+    const logger = createWalletLogger(walletIndex);
+    const progressService = new ProgressService(signer.walletId, walletIndex);
+    const quests = this.getQuests(options.quest);
+    const outcome = { total: 0, succeeded: 0 };
+    
+    if (quests.length === 0) {
+      logger.info('No custom quests configured');
+      return outcome;
+    }
+    
+    // Tasks run sequentially so one wallet doesn't use multiple threads
+    for (const quest of quests) {
+      const questType = getQuestType(quest.type);
+      const progressData = await progressService.readProgressData();
+      const context = this.createContext(signer, walletIndex, progressData);
+      const tasks = questType.prepareTasks(quest, progressData.custom[quest.name], context);
+      
+      if (tasks.length === 0) {
+        logger.info(`No tasks needed for custom quest ${quest.name}`);
+        continue;
+      }
+      
+      logger.info(`Running ${tasks.length} task(s) for custom quest ${quest.name}`);
+      
+      for (const task of tasks) {
+        outcome.total++;
+        
+        try {
+          const result = await workerManager.runWorker(task.workerPath, task.workerData, task.signer);
+          
+          if (result.success) {
+            outcome.succeeded++;
+            await progressService.updateCustomQuest(quest.name, progress =>
+              questType.updateProgress(quest, progress, result, context)
+            );
+          } else {
+            logger.error(`Custom quest ${quest.name} task failed: ${result.error}`);
+          }
+        } catch (error) {
+          logger.error(`Error running custom quest ${quest.name} task: ${error.message}`);
+        }
+      }
+    }
+    
+    logger.info(`Completed ${outcome.succeeded}/${outcome.total} custom quest tasks`);
+    return outcome;
+  }
+  
+  /**
+   * Plan the custom quest tasks of a wallet without running them
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} options - Custom quest options
+   * @returns {Promise<{tasks: Object[], notes: string[]}>} Tasks a run would start
+   */
+  async planWallet(signer, walletIndex, options = {}) {
+    const progressData = await new ProgressService(signer.walletId, walletIndex).readProgressData();
+    const context = this.createContext(signer, walletIndex, progressData);
+    
+    const tasks = this.getQuests(options.quest).flatMap(quest =>
+      getQuestType(quest.type).prepareTasks(quest, progressData.custom[quest.name], context)
+    );
+    
+    return { tasks, notes: [] };
+  }
+  
+  /**
+   * Get the custom quests to run
+   * @param {string|null} questName - Quest name, or null for all quests
+   * @returns {Object[]} Quest definitions
+   * @throws {Error} If the quest does not exist
+   */
+  getQuests(questName) {
+    if (!questName) {
+      return this.config.quests.CUSTOM;
+    }
+    
+    const quest = this.config.quests.CUSTOM.find(q => q.name === questName);
+    if (!quest) {
+      throw new Error(`Custom quest ${questName} not found`);
+    }
+    
+    return [quest];
+  }
+  
+  /**
+   * Build the context passed to quest type plugins
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {Object} progressData - Progress data
+   * @returns {Object} Task context
+   */
+  createContext(signer, walletIndex, progressData) {
+    return {
+      signer,
+      walletIndex,
+      progressData,
+      config: this.config,
+      today: getQuestDay(new Date(), this.config.dayBoundary.timeZone)
+    };
+  }
+}
+
+export default CustomQuestService;
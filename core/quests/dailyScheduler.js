@@ -0,0 +1,206 @@
+// core/quests/dailyScheduler.js - Runs the daily interactions once a day
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { createWalletLogger } from '../../utils/logger.js';
+import { getQuestDay, getDayStart, addDays } from '../../utils/dates.js';
+
+/**
+ * Status of the scheduled run of a day
+ */
+const RUN_STATUS = {
+  COMPLETED: 'completed',
+  RETRYING: 'retrying',
+  GAVE_UP: 'gave-up'
+};
+
+/**
+ * Runs DailyInteractionService.runForAll every day at the configured time.
+ * The state of the current day is kept in data/scheduler.json, so a restarted scheduler
+ * catches up on a missed run and resumes the retries of a failed one. Days follow the
+ * configured day boundary, like the daily interaction progress.
+ */
+class DailyScheduler {
+  /**
+   * Create a new DailyScheduler
+   * @param {Object} config - Application configuration
+   * @param {DailyInteractionService} dailyService - Service that runs the daily interactions
+   * @param {string} [statePath] - File the scheduler state is kept in
+   */
+  constructor(config, dailyService, statePath = path.join(process.cwd(), 'data', 'scheduler.json')) {
+    this.config = config;
+    this.dailyService = dailyService;
+    this.statePath = statePath;
+    this.logger = createWalletLogger();
+    this.announcedRunAt = null;
+  }
+  
+  /**
+   * Run the daily interactions every day until stopped
+   * A run in progress is finished before the scheduler stops.
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {number} threads - Maximum number of concurrent wallets
+   * @param {AbortSignal} signal - Stops the scheduler when aborted
+   * @returns {Promise<void>}
+   */
+  async start(signers, threads, signal) {
+    this.logger.info(`Scheduler started: daily interactions run at ${this.config.scheduler.runAt} (${this.config.dayBoundary.timeZone})`);
+    
+    while (!signal.aborted) {
+      let waitMs = this.config.scheduler.checkIntervalMs;
+      
+      try {
+        const { nextRunAt } = await this.runDue(signers, threads);
+        // Wake up regularly so clock changes and suspended machines do not delay a run
+        waitMs = Math.min(Math.max(nextRunAt.getTime() - Date.now(), 0), waitMs);
+      } catch (error) {
+        this.logger.error(`Scheduler error: ${error.message}`);
+      }
+      
+      await delay(waitMs, undefined, { signal }).catch(() => {});
+    }
+    
+    this.logger.info('Scheduler stopped');
+  }
+  
+  /**
+   * Run the daily interactions if a run is due
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {number} threads - Maximum number of concurrent wallets
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{ran: boolean, state: Object|null, nextRunAt: Date}>} Whether a run happened, the stored state and the next run time
+   */
+  async runDue(signers, threads, now = new Date()) {
+    let state = await this.readState();
+    let nextRunAt = this.getNextRunAt(state, now);
+    const ran = nextRunAt <= now;
+    
+    if (ran) {
+      state = await this.runOnce(signers, threads, state, now);
+      await this.writeState(state);
+      nextRunAt = this.getNextRunAt(state, now);
+    }
+    
+    if (nextRunAt.getTime() !== this.announcedRunAt) {
+      this.announcedRunAt = nextRunAt.getTime();
+      this.logger.info(`Next daily interaction run at ${nextRunAt.toISOString()}`);
+    }
+    
+    return { ran, state, nextRunAt };
+  }
+  
+  /**
+   * Run the daily interactions of all wallets and record the outcome
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {number} threads - Maximum number of concurrent wallets
+   * @param {Object|null} state - Stored scheduler state
+   * @param {Date} now - Time the run starts
+   * @returns {Promise<Object>} New scheduler state
+   */
+  async runOnce(signers, threads, state, now) {
+    const day = this.getDay(now);
+    // Retries of the same day count on from the previous attempt
+    const attempts = (state?.day === day ? state.attempts : 0) + 1;
+    const next = { day, status: RUN_STATUS.COMPLETED, attempts, lastRunAt: now.toISOString(), nextAttemptAt: null, lastOutcome: null, lastError: null };
+    
+    this.logger.info(`Running scheduled daily interactions for ${day} (attempt ${attempts})`);
+    
+    try {
+      next.lastOutcome = await this.dailyService.runForAll(signers, threads);
+      
+      if (next.lastOutcome.succeeded === next.lastOutcome.total) {
+        this.logger.info(`Scheduled daily interactions for ${day} completed`);
+        return next;
+      }
+      
+      next.lastError = `${next.lastOutcome.total - next.lastOutcome.succeeded} of ${next.lastOutcome.total} interactions failed`;
+    } catch (error) {
+      next.lastError = error.message;
+    }
+    
+    const { retryDelayMs, maxRetryDelayMs } = this.config.scheduler;
+    const retryAt = new Date(now.getTime() + Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs));
+    
+    if (this.getDay(retryAt) !== day) {
+      // Interactions after the day boundary count for the next day, so there is nothing left to retry
+      this.logger.error(`Scheduled daily interactions for ${day} failed (${next.lastError}); no time left to retry before the day ends`);
+      return { ...next, status: RUN_STATUS.GAVE_UP };
+    }
+    
+    this.logger.warn(`Scheduled daily interactions for ${day} failed (${next.lastError}); retrying at ${retryAt.toISOString()}`);
+    return { ...next, status: RUN_STATUS.RETRYING, nextAttemptAt: retryAt.toISOString() };
+  }
+  
+  /**
+   * Work out when the daily interactions should run next
+   * A day without a run is caught up straight away once its scheduled time has passed.
+   * @param {Object|null} state - Stored scheduler state
+   * @param {Date} now - Current time
+   * @returns {Date} Next run time (not after now if a run is due)
+   */
+  getNextRunAt(state, now) {
+    const today = this.getDay(now);
+    const scheduledToday = this.getScheduledTime(today);
+    
+    if (state?.day === today) {
+      if (state.status === RUN_STATUS.RETRYING) {
+        return new Date(state.nextAttemptAt);
+      }
+      
+      return this.getScheduledTime(addDays(today, 1));
+    }
+    
+    return scheduledToday <= now ? now : scheduledToday;
+  }
+  
+  /**
+   * Get the quest day of a time
+   * @param {Date} date - Time
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  getDay(date) {
+    return getQuestDay(date, this.config.dayBoundary.timeZone);
+  }
+  
+  /**
+   * Get the scheduled run time of a day
+   * @param {string} day - Day as YYYY-MM-DD
+   * @returns {Date} Run time
+   */
+  getScheduledTime(day) {
+    const [hours, minutes] = this.config.scheduler.runAt.split(':').map(Number);
+    return new Date(getDayStart(day, this.config.dayBoundary.timeZone).getTime() + (hours * 60 + minutes) * 60000);
+  }
+  
+  /**
+   * Read the scheduler state
+   * @returns {Promise<Object|null>} Stored state or null if there is none
+   */
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable scheduler state: ${error.message}`);
+      }
+      return null;
+    }
+  }
+  
+  /**
+   * Write the scheduler state
+   * @param {Object} state - Scheduler state
+   * @returns {Promise<void>}
+   */
+  async writeState(state) {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a partial state file
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    await fs.rename(tempPath, this.statePath);
+  }
+}
+
+export default DailyScheduler;
+export { RUN_STATUS };
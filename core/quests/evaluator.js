@@ -0,0 +1,184 @@
+// core/quests/evaluator.js - XP and milestones earned from quest progress
+import { getQuestType } from './types/index.js';
+import { getQuestDay, getStreaks } from '../../utils/dates.js';
+
+/**
+ * Quest families as reported in evaluations
+ */
+const QUEST_FAMILIES = {
+  DAILY: 'daily',
+  TRANSFER: 'transfer',
+  CROSS_CHAIN: 'cross-chain',
+  CUSTOM: 'custom'
+};
+
+/**
+ * @typedef {Object} MilestoneStatus
+ * @property {string} family - Quest family (see QUEST_FAMILIES)
+ * @property {string|null} chain - Chain of daily and transfer milestones
+ * @property {string} name - Quest name
+ * @property {number} xp - XP the quest is worth
+ * @property {boolean} earned - Whether the wallet has earned the quest
+ * @property {number} current - Progress towards the target
+ * @property {number|null} target - Progress needed (null if not known in advance, e.g. routes not planned yet)
+ * @property {string} unit - Unit of current and target ('days', 'transfers', 'hops', ...)
+ * @property {number|null} remaining - Progress still needed (0 once earned)
+ */
+
+/**
+ * Works out which quests in the quest configuration a wallet has earned and how much XP that is worth.
+ * Daily quests are earned by the longest streak of consecutive days, transfer quests by the number of
+ * transfers, and cross-chain and custom quests once they are completed.
+ */
+class QuestEvaluator {
+  /**
+   * Create a new QuestEvaluator
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+  
+  /**
+   * Evaluate the progress of one wallet
+   * @param {Object} progressData - Progress data of the wallet
+   * @param {Date} [now] - Current time (decides whether a daily streak is still running)
+   * @returns {{xp: {earned: number, available: number, total: number}, milestones: MilestoneStatus[], next: MilestoneStatus[]}}
+   *   XP totals, the status of every quest and the next quest to earn on each track
+   */
+  evaluateWallet(progressData, now = new Date()) {
+    const today = getQuestDay(now, this.config.dayBoundary.timeZone);
+    const tracks = [
+      ...this.evaluateDaily(progressData, today),
+      ...this.evaluateTransfers(progressData),
+      ...this.evaluateCrossChain(progressData).map(milestone => [milestone]),
+      ...this.evaluateCustom(progressData).map(milestone => [milestone])
+    ];
+    const milestones = tracks.flat();
+    const earned = milestones.filter(milestone => milestone.earned).reduce((total, milestone) => total + milestone.xp, 0);
+    const total = milestones.reduce((sum, milestone) => sum + milestone.xp, 0);
+    
+    return {
+      xp: { earned, available: total - earned, total },
+      milestones,
+      // Daily and transfer quests of a chain are earned in order, so only the first open one is next
+      next: tracks.map(track => track.find(milestone => !milestone.earned)).filter(Boolean)
+    };
+  }
+  
+  /**
+   * Summarize the evaluations of several wallets
+   * @param {Object[]} evaluations - Results of evaluateWallet
+   * @returns {{wallets: number, xp: {earned: number, available: number, total: number}, milestones: Object[]}}
+   *   Combined XP and, for every quest, the number of wallets that earned it
+   */
+  summarize(evaluations) {
+    const xp = { earned: 0, available: 0, total: 0 };
+    const milestones = new Map();
+    
+    for (const evaluation of evaluations) {
+      xp.earned += evaluation.xp.earned;
+      xp.available += evaluation.xp.available;
+      xp.total += evaluation.xp.total;
+      
+      for (const { family, chain, name, xp: questXp, earned } of evaluation.milestones) {
+        const key = `${family}/${chain}/${name}`;
+        const entry = milestones.get(key) || { family, chain, name, xp: questXp, earnedBy: 0 };
+        entry.earnedBy += earned ? 1 : 0;
+        milestones.set(key, entry);
+      }
+    }
+    
+    return { wallets: evaluations.length, xp, milestones: [...milestones.values()] };
+  }
+  
+  /**
+   * Evaluate the daily interaction quests, one track per chain
+   * @param {Object} progressData - Progress data
+   * @param {string} today - Current quest day
+   * @returns {MilestoneStatus[][]} Milestones of each chain in the order they are earned
+   */
+  evaluateDaily(progressData, today) {
+    return Object.entries(this.config.quests.DAILY_INTERACTION).map(([chain, quests]) => {
+      const { current, longest } = getStreaks(progressData.dailyInteractions[chain]?.dates || [], today);
+      
+      return Object.entries(quests)
+        .sort(([, a], [, b]) => a.days - b.days)
+        .map(([name, quest]) => {
+          const earned = longest >= quest.days;
+          // A milestone not earned yet needs a streak, so only the current streak counts towards it
+          return this.createMilestone(QUEST_FAMILIES.DAILY, chain, name, quest.xp, earned, earned ? longest : current, quest.days, 'days');
+        });
+    });
+  }
+  
+  /**
+   * Evaluate the transfer quests, one track per destination chain
+   * @param {Object} progressData - Progress data
+   * @returns {MilestoneStatus[][]} Milestones of each chain in the order they are earned
+   */
+  evaluateTransfers(progressData) {
+    return Object.entries(this.config.quests.TRANSFER).map(([chain, quests]) => {
+      const count = progressData.transfers[chain]?.count || 0;
+      
+      return [...quests]
+        .sort((a, b) => a.count - b.count)
+        .map(quest => this.createMilestone(QUEST_FAMILIES.TRANSFER, chain, quest.name, quest.xp, count >= quest.count, count, quest.count, 'transfers'));
+    });
+  }
+  
+  /**
+   * Evaluate the cross-chain quests
+   * @param {Object} progressData - Progress data
+   * @returns {MilestoneStatus[]} One milestone per quest
+   */
+  evaluateCrossChain(progressData) {
+    return this.config.quests.CROSS_CHAIN.map(quest => {
+      const { completed = false, path, hops = [] } = progressData.crossChain[quest.name] || {};
+      // Route quests only have a known number of hops once an attempt has planned the route
+      const questPath = path || quest.path;
+      const target = questPath ? questPath.length - 1 : null;
+      const current = completed ? target ?? 0 : hops.filter(hop => hop.status === 'delivered').length;
+      
+      return this.createMilestone(QUEST_FAMILIES.CROSS_CHAIN, null, quest.name, quest.xp, completed, current, target, 'hops');
+    });
+  }
+  
+  /**
+   * Evaluate the custom quests
+   * Quest types can describe their progress with getProgress; others count as 0 or 1 quest.
+   * @param {Object} progressData - Progress data
+   * @returns {MilestoneStatus[]} One milestone per quest
+   */
+  evaluateCustom(progressData) {
+    return this.config.quests.CUSTOM.map(quest => {
+      const questType = getQuestType(quest.type);
+      const progress = progressData.custom?.[quest.name] || questType.getDefaultProgress(quest);
+      const { current, target, unit } = questType.getProgress
+        ? questType.getProgress(quest, progress)
+        : { current: progress.completed ? 1 : 0, target: 1, unit: 'quest' };
+      
+      return this.createMilestone(QUEST_FAMILIES.CUSTOM, null, quest.name, quest.xp, Boolean(progress.completed), current, target, unit);
+    });
+  }
+  
+  /**
+   * Create a milestone status
+   * @param {string} family - Quest family
+   * @param {string|null} chain - Chain of the quest
+   * @param {string} name - Quest name
+   * @param {number} xp - XP of the quest
+   * @param {boolean} earned - Whether the quest is earned
+   * @param {number} current - Progress towards the target
+   * @param {number|null} target - Progress needed
+   * @param {string} unit - Unit of the progress
+   * @returns {MilestoneStatus} Milestone status
+   */
+  createMilestone(family, chain, name, xp, earned, current, target, unit) {
+    const remaining = earned ? 0 : target === null ? null : Math.max(target - current, 0);
+    return { family, chain, name, xp, earned, current, target, unit, remaining };
+  }
+}
+
+export default QuestEvaluator;
+export { QUEST_FAMILIES };
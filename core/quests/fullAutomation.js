@@ -0,0 +1,51 @@
+// core/quests/fullAutomation.js
+import { createWalletLogger } from '../../utils/logger.js';
+
+/**
+ * Run full automation for a single wallet
+ * @param {Object} services - All services
+ * @param {Signer} signer - Wallet signer
+ * @param {number} walletIndex - Wallet index
+ * @param {number} threads - Number of threads to use
+ * @returns {Promise<{total: number, succeeded: number}>} Combined outcome of all quest types
+ */
+async function runFullAutomation(services, signer, walletIndex, threads) {
+  const logger = createWalletLogger(walletIndex);
+  const outcomes = [];
+  
+  // 1. Run daily interactions
+  outcomes.push(await services.daily.run(signer, walletIndex));
+  
+  // 2. Run transfer quests
+  outcomes.push(await services.transfer.run(signer, walletIndex, { count: 1 }));
+  
+  // 3. Run cross-chain quests
+  outcomes.push(await services.crossChain.run(signer, walletIndex, { all: true }));
+  
+  // 4. Run custom quests
+  outcomes.push(await services.custom.run(signer, walletIndex));
+  
+  // 5. Request from faucets (Union and Stargaze)
+  // Only run if CAPSOLVER_API_KEY is set
+  if (process.env.CAPSOLVER_API_KEY) {
+    for (const faucet of ['UNION', 'STARGAZE']) {
+      const success = await services.faucet.run(signer, walletIndex, { 
+        faucet, 
+        maxAttempts: 1,
+        apiKey: process.env.CAPSOLVER_API_KEY
+      });
+      
+      // Faucet cooldowns are expected, so they don't count against the run
+      if (!success) {
+        logger.warn(`${faucet} faucet request did not succeed`);
+      }
+    }
+  }
+  
+  return outcomes.reduce((total, outcome) => ({
+    total: total.total + outcome.total,
+    succeeded: total.succeeded + outcome.succeeded
+  }), { total: 0, succeeded: 0 });
+}
+
+export default runFullAutomation;
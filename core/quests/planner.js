@@ -0,0 +1,163 @@
+// core/quests/planner.js - Dry-run plans of what a quest run would do
+import { createWalletLogger } from '../../utils/logger.js';
+import { toRawAmount } from '../../utils/common.js';
+import { estimatePlannedFee } from '../blockchain/fees.js';
+import { connectChainClient } from '../blockchain/endpoints.js';
+
+/**
+ * @typedef {Object} QuestPlanSource
+ * @property {string} quest - Quest kind shown in the plan (e.g. 'daily')
+ * @property {function(Signer, number): Promise<{tasks: Object[], notes: string[]}>} planWallet - Tasks a run would start for a wallet
+ */
+
+/**
+ * Builds dry-run plans from the tasks the quest services would start
+ * Planning reads progress, chain balances and channel data but never signs or broadcasts.
+ */
+class QuestPlanner {
+  /**
+   * Create a new QuestPlanner
+   * @param {Object} config - Application configuration
+   */
+  constructor(config) {
+    this.config = config;
+    this.logger = createWalletLogger();
+  }
+  
+  /**
+   * Plan a run for some wallets
+   * @param {Signer[]} signers - Signers of all wallets
+   * @param {number[]} walletIndexes - Wallets to plan for
+   * @param {QuestPlanSource[]} sources - Quest services to plan, in the order a run would use them
+   * @returns {Promise<Object>} Plan with the steps and funding of every wallet
+   */
+  async plan(signers, walletIndexes, sources) {
+    const wallets = [];
+    
+    for (const walletIndex of walletIndexes) {
+      wallets.push(await this.planWallet(signers[walletIndex], walletIndex, sources));
+    }
+    
+    return {
+      createdAt: new Date().toISOString(),
+      quests: sources.map(source => source.quest),
+      wallets,
+      summary: {
+        wallets: wallets.length,
+        steps: wallets.reduce((total, wallet) => total + wallet.steps.length, 0),
+        ready: wallets.filter(wallet => wallet.ready).length
+      }
+    };
+  }
+  
+  /**
+   * Plan a run for one wallet
+   * @param {Signer} signer - Wallet signer
+   * @param {number} walletIndex - Wallet index
+   * @param {QuestPlanSource[]} sources - Quest services to plan
+   * @returns {Promise<Object>} Wallet plan
+   */
+  async planWallet(signer, walletIndex, sources) {
+    const logger = createWalletLogger(walletIndex);
+    const wallet = { wallet: walletIndex + 1, steps: [], notes: [], errors: [], funds: [], ready: false };
+    
+    for (const { quest, planWallet } of sources) {
+      try {
+        const { tasks, notes } = await planWallet(signer, walletIndex);
+        wallet.steps.push(...tasks.map(task => this.describeTask(quest, task.workerData)));
+        wallet.notes.push(...notes);
+      } catch (error) {
+        logger.error(`Could not plan ${quest} quests: ${error.message}`);
+        wallet.errors.push(`${quest}: ${error.message}`);
+      }
+    }
+    
+    wallet.funds = await this.checkFunds(signer, wallet.steps);
+    wallet.ready = wallet.errors.length === 0 && wallet.funds.every(fund => fund.sufficient);
+    
+    return wallet;
+  }
+  
+  /**
+   * Describe a worker task as a plan step
+   * @param {string} quest - Quest kind
+   * @param {Object} workerData - Task data a worker would receive
+   * @returns {Object} Plan step
+   */
+  describeTask(quest, workerData) {
+    const { sourceChain, destinationChain, transferType, receiverAddress, amount } = workerData;
+    const chainConfig = this.config.chains[sourceChain];
+    const fee = estimatePlannedFee(this.config, sourceChain, destinationChain);
+    
+    return {
+      quest,
+      transferType,
+      sourceChain,
+      destinationChain,
+      receiver: receiverAddress,
+      amount,
+      rawAmount: toRawAmount(amount, chainConfig.decimals),
+      denom: chainConfig.denom,
+      estimatedFee: { ...fee.amount[0], gas: fee.gas }
+    };
+  }
+  
+  /**
+   * Compare what the steps spend on each chain with the wallet's balances
+   * @param {Signer} signer - Wallet signer
+   * @param {Object[]} steps - Plan steps
+   * @returns {Promise<Object[]>} Required and available amount per chain and denom
+   */
+  async checkFunds(signer, steps) {
+    const required = new Map();
+    const add = (chain, denom, amount) => {
+      const key = `${chain}/${denom}`;
+      const entry = required.get(key) || { chain, denom, required: 0n };
+      entry.required += BigInt(amount);
+      required.set(key, entry);
+    };
+    
+    for (const step of steps) {
+      add(step.sourceChain, step.denom, step.rawAmount);
+      add(step.sourceChain, step.estimatedFee.denom, step.estimatedFee.amount);
+    }
+    
+    const funds = [];
+    for (const { chain, denom, required: amount } of required.values()) {
+      const fund = { chain, denom, required: amount.toString(), balance: null, sufficient: false, error: null };
+      
+      try {
+        const balance = await this.getBalance(signer, chain, denom);
+        fund.balance = balance.toString();
+        fund.sufficient = balance >= amount;
+      } catch (error) {
+        fund.error = `Could not read balance: ${error.message}`;
+      }
+      
+      funds.push(fund);
+    }
+    
+    return funds;
+  }
+  
+  /**
+   * Read the balance of the wallet on a chain
+   * @param {Signer} signer - Wallet signer (only used to derive the address)
+   * @param {string} chain - Chain name
+   * @param {string} denom - Denomination
+   * @returns {Promise<bigint>} Balance in raw units
+   */
+  async getBalance(signer, chain, denom) {
+    const address = await signer.getAddress(this.config.chains[chain]);
+    const client = await connectChainClient(this.config, chain);
+    
+    try {
+      const balance = await client.getBalance(address, denom);
+      return BigInt(balance.amount);
+    } finally {
+      client.disconnect();
+    }
+  }
+}
+
+export default QuestPlanner;
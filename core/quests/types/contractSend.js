@@ -0,0 +1,103 @@
+// core/quests/types/contractSend.js
+
+/**
+ * Quest type: send tokens to a specific contract address a number of times.
+ *
+ * Definition fields:
+ * - chain: chain the contract lives on
+ * - contract: contract address (bech32 with the chain prefix)
+ * - count: number of sends required (default 1)
+ * - amount: amount per send (default: DEFAULT_TRANSFER_AMOUNT)
+ */
+const contractSend = {
+  type: 'CONTRACT_SEND',
+  description: 'Send tokens to a contract',
+  
+  /**
+   * Validate the type-specific fields of a quest definition
+   * @param {Object} quest - Quest definition
+   * @param {Object} chains - Configured chains
+   * @throws {Error} If the definition is invalid
+   */
+  validate(quest, chains) {
+    const chain = chains[quest.chain];
+    
+    if (!chain) {
+      throw new Error(`Quest ${quest.name}: chain must be a configured chain (got ${quest.chain})`);
+    }
+    
+    if (typeof quest.contract !== 'string' || !quest.contract.startsWith(`${chain.prefix}1`)) {
+      throw new Error(`Quest ${quest.name}: contract must be a ${chain.prefix} address`);
+    }
+    
+    if (quest.count !== undefined && (!Number.isInteger(quest.count) || quest.count <= 0)) {
+      throw new Error(`Quest ${quest.name}: count must be a positive integer`);
+    }
+  },
+  
+  /**
+   * Get the initial progress of a quest
+   * @returns {Object} Progress with the number of sends
+   */
+  getDefaultProgress() {
+    return { completed: false, count: 0 };
+  },
+  
+  /**
+   * Describe how far the quest has come
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @returns {{current: number, target: number, unit: string}} Sends made and needed
+   */
+  getProgress(quest, progress) {
+    return { current: progress.count, target: quest.count || 1, unit: 'sends' };
+  },
+  
+  /**
+   * Create the sends still needed to complete the quest
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @param {Object} context - Task context
+   * @returns {Object[]} Worker tasks
+   */
+  prepareTasks(quest, progress, context) {
+    const { signer, walletIndex, config } = context;
+    const remaining = (quest.count || 1) - progress.count;
+    
+    if (progress.completed || remaining <= 0) {
+      return [];
+    }
+    
+    return Array.from({ length: remaining }, (_, index) => ({
+      workerPath: 'transferWorker.js',
+      workerData: {
+        workerId: `custom-${quest.name}-${walletIndex}-${index}-${Date.now()}`,
+        walletIndex,
+        walletId: signer.walletId,
+        sourceChain: quest.chain,
+        destinationChain: quest.chain,
+        receiverAddress: quest.contract,
+        amount: quest.amount || config.DEFAULT_TRANSFER_AMOUNT,
+        config,
+        transferType: `${quest.chain}_TO_${quest.chain}`,
+        // Not a daily self-transfer or an IBC transfer, so only this quest's progress changes
+        updateProgress: false,
+        isDaily: false
+      },
+      signer
+    }));
+  },
+  
+  /**
+   * Record a successful send
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @returns {Object} Updated progress
+   */
+  updateProgress(quest, progress) {
+    const count = progress.count + 1;
+    return { ...progress, count, completed: count >= (quest.count || 1) };
+  }
+};
+
+export default contractSend;
@@ -0,0 +1,75 @@
+// core/quests/types/index.js
+import transfersOverDays from './transfersOverDays.js';
+import contractSend from './contractSend.js';
+
+/**
+ * @typedef {Object} QuestTaskContext
+ * @property {Signer} signer - Wallet signer (passed on with each worker task)
+ * @property {number} walletIndex - Wallet index
+ * @property {Object} progressData - Full progress data of the wallet (addresses etc.)
+ * @property {Object} config - Application configuration
+ * @property {string} today - Today's date (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} QuestType
+ * @property {string} type - Type name used in quest definitions
+ * @property {string} description - Short description shown in the UI
+ * @property {function(Object, Object): void} validate - Validate type-specific fields of a quest definition against the chains; throws on error
+ * @property {function(Object): Object} getDefaultProgress - Initial progress for a quest (must include a boolean "completed")
+ * @property {function(Object, Object, QuestTaskContext): Object[]} prepareTasks - Worker tasks still needed for a quest
+ * @property {function(Object, Object, Object, QuestTaskContext): Object} updateProgress - New progress after a successful task result
+ * @property {function(Object, Object): {current: number, target: number, unit: string}} [getProgress] - Progress towards completion, for XP and milestone reports (optional)
+ */
+
+/**
+ * Registered quest types keyed by type name
+ * @type {Map<string, QuestType>}
+ */
+const questTypes = new Map();
+
+/**
+ * Register a quest type plugin
+ * @param {QuestType} questType - Quest type implementation
+ * @throws {Error} If the plugin is incomplete or the type is already registered
+ */
+function registerQuestType(questType) {
+  const requiredMethods = ['validate', 'getDefaultProgress', 'prepareTasks', 'updateProgress'];
+  const missingMethods = requiredMethods.filter(method => typeof questType?.[method] !== 'function');
+  
+  if (!questType?.type || missingMethods.length > 0) {
+    throw new Error(`Invalid quest type ${questType?.type || '(unnamed)'}. Missing: ${missingMethods.join(', ') || 'type'}`);
+  }
+  
+  if (questTypes.has(questType.type)) {
+    throw new Error(`Quest type ${questType.type} is already registered`);
+  }
+  
+  questTypes.set(questType.type, questType);
+}
+
+/**
+ * Get a registered quest type
+ * @param {string} type - Type name
+ * @returns {QuestType} Quest type implementation
+ * @throws {Error} If the type is not registered
+ */
+function getQuestType(type) {
+  const questType = questTypes.get(type);
+  
+  if (!questType) {
+    throw new Error(`Unknown quest type: ${type}. Registered types: ${[...questTypes.keys()].join(', ')}`);
+  }
+  
+  return questType;
+}
+
+// Built-in quest types
+registerQuestType(transfersOverDays);
+registerQuestType(contractSend);
+
+export {
+  registerQuestType,
+  getQuestType,
+  questTypes
+};
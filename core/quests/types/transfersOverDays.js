@@ -0,0 +1,116 @@
+// core/quests/types/transfersOverDays.js
+
+/**
+ * Quest type: make a number of transfers per day on a number of different days.
+ *
+ * Definition fields:
+ * - sourceChain, destinationChain: route of the transfers
+ * - days: number of days that must reach the daily target
+ * - transfersPerDay: transfers needed on each of those days (default 1)
+ * - amount: transfer amount (default: DEFAULT_TRANSFER_AMOUNT)
+ */
+const transfersOverDays = {
+  type: 'TRANSFERS_OVER_DAYS',
+  description: 'N transfers a day on M days',
+  
+  /**
+   * Validate the type-specific fields of a quest definition
+   * @param {Object} quest - Quest definition
+   * @param {Object} chains - Configured chains
+   * @throws {Error} If the definition is invalid
+   */
+  validate(quest, chains) {
+    for (const field of ['sourceChain', 'destinationChain']) {
+      if (!chains[quest[field]]) {
+        throw new Error(`Quest ${quest.name}: ${field} must be a configured chain (got ${quest[field]})`);
+      }
+    }
+    
+    if (quest.sourceChain === quest.destinationChain) {
+      throw new Error(`Quest ${quest.name}: sourceChain and destinationChain must differ`);
+    }
+    
+    if (!Number.isInteger(quest.days) || quest.days <= 0) {
+      throw new Error(`Quest ${quest.name}: days must be a positive integer`);
+    }
+    
+    if (quest.transfersPerDay !== undefined && (!Number.isInteger(quest.transfersPerDay) || quest.transfersPerDay <= 0)) {
+      throw new Error(`Quest ${quest.name}: transfersPerDay must be a positive integer`);
+    }
+  },
+  
+  /**
+   * Get the initial progress of a quest
+   * @returns {Object} Progress with transfer counts per day
+   */
+  getDefaultProgress() {
+    return { completed: false, days: {} };
+  },
+  
+  /**
+   * Describe how far the quest has come
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @returns {{current: number, target: number, unit: string}} Days that reached the daily target, and days needed
+   */
+  getProgress(quest, progress) {
+    const completedDays = Object.values(progress.days).filter(count => count >= (quest.transfersPerDay || 1)).length;
+    return { current: completedDays, target: quest.days, unit: 'days' };
+  },
+  
+  /**
+   * Create the transfers still needed today
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @param {Object} context - Task context
+   * @returns {Object[]} Worker tasks
+   */
+  prepareTasks(quest, progress, context) {
+    const { signer, walletIndex, progressData, config, today } = context;
+    const transfersPerDay = quest.transfersPerDay || 1;
+    const remaining = transfersPerDay - (progress.days[today] || 0);
+    const receiverAddress = progressData.addresses[quest.destinationChain];
+    
+    if (progress.completed || remaining <= 0 || !receiverAddress) {
+      return [];
+    }
+    
+    const transferType = `${quest.sourceChain}_TO_${quest.destinationChain}`;
+    
+    return Array.from({ length: remaining }, (_, index) => ({
+      workerPath: 'transferWorker.js',
+      workerData: {
+        workerId: `custom-${quest.name}-${walletIndex}-${index}-${Date.now()}`,
+        walletIndex,
+        walletId: signer.walletId,
+        sourceChain: quest.sourceChain,
+        destinationChain: quest.destinationChain,
+        receiverAddress,
+        amount: quest.amount || config.DEFAULT_TRANSFER_AMOUNT,
+        config,
+        transferType,
+        // These are regular IBC transfers, so they also count toward transfer quests
+        updateProgress: true,
+        isDaily: false
+      },
+      signer
+    }));
+  },
+  
+  /**
+   * Record a successful transfer
+   * @param {Object} quest - Quest definition
+   * @param {Object} progress - Current quest progress
+   * @param {Object} result - Transfer result
+   * @param {Object} context - Task context
+   * @returns {Object} Updated progress
+   */
+  updateProgress(quest, progress, result, context) {
+    const days = { ...progress.days, [context.today]: (progress.days[context.today] || 0) + 1 };
+    const { current, target } = this.getProgress(quest, { ...progress, days });
+    
+    return { ...progress, days, completed: current >= target };
+  }
+};
+
+export default transfersOverDays;
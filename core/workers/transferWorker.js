@@ -1,90 +1,146 @@
-// core/workers/transferWorker.js
-import { parentPort, workerData } from 'worker_threads';
-import { createWalletLogger } from '../../utils/logger.js';
-import TransferFactory from '../blockchain/transfers/transferFactory.js';
-import ProgressService from '../progress/progress.js';
-import { sleep } from '../../utils/common.js';
-
-// Create worker logger
-const logger = createWalletLogger(workerData.walletIndex);
-
-// Worker entry point
-async function processTransfer() {
-  logger.info(`Worker ${workerData.workerId}: Starting transfer for wallet ${workerData.walletIndex + 1}`);
-  
-  try {
-    // Get the data from workerData
-    const {
-      walletIndex,
-      privateKey,
-      sourceChain,
-      destinationChain,
-      receiverAddress,
-      amount,
-      config,
-      transferType
-    } = workerData;
-
-    logger.info(`Processing transfer from ${sourceChain} to ${destinationChain}`);
-    
-    // Create transfer factory
-    const transferFactory = new TransferFactory(config, walletIndex, privateKey);
-    
-    // Create transfer according to type
-    const transfer = transferFactory.createTransfer(transferType);
-    
-    // Execute transfer
-    const result = await transfer.transfer(receiverAddress, amount);
-    
-    // If transfer was successful, update progress
-    if (result && result.success) {
-      // Update progress
-      const progressService = new ProgressService(walletIndex);
-      
-      // Update different progress metrics based on the type of transfer
-      if (workerData.updateProgress) {
-        if (workerData.isDaily) {
-          await progressService.updateDailyInteraction(destinationChain, new Date().toISOString().split('T')[0]);
-        } else if (workerData.isCrossChain) {
-          // Cross-chain quest progress is updated after all transfers complete
-        } else {
-          await progressService.updateTransferCount(destinationChain);
-        }
-      }
-      
-      // Let the main thread know about the success
-      parentPort.postMessage({
-        success: true,
-        result: result
-      });
-    } else {
-      // Send the error back to the main thread
-      parentPort.postMessage({
-        success: false,
-        error: result?.error || "Transfer failed with no specific error"
-      });
-    }
-  } catch (error) {
-    logger.error(`Worker ${workerData.workerId}: Error processing transfer: ${error.message}`);
-    
-    // Send error back to the main thread
-    parentPort.postMessage({
-      success: false,
-      error: error.message
-    });
-  }
-}
-
-// Start processing
-processTransfer().catch(error => {
-  logger.error(`Worker encountered an unhandled error: ${error.message}`);
-  if (error.stack) {
-    logger.error(`Stack trace: ${error.stack}`);
-  }
-  
-  // Send error back to the main thread
-  parentPort.postMessage({
-    success: false,
-    error: error.message
-  });
-});
\ No newline at end of file
+// core/workers/transferWorker.js
+import { parentPort } from 'worker_threads';
+import { createWalletLogger } from '../../utils/logger.js';
+import TransferFactory from '../blockchain/transfers/transferFactory.js';
+import RemoteSigner, { createPortTransport } from '../blockchain/signers/remoteSigner.js';
+import ProgressService from '../progress/progress.js';
+import TransferLedger, { LEDGER_STATUS } from '../progress/ledger.js';
+import { sleep } from '../../utils/common.js';
+import { getQuestDay } from '../../utils/dates.js';
+import sequenceManager from '../blockchain/sequenceManager.js';
+
+// Data and logger of the current task; a pooled worker runs one task at a time
+let workerData;
+let logger;
+
+/**
+ * Record the worker outcome in the wallet's transfer ledger
+ * @param {Object|null} result - Transfer result
+ * @param {string|null} error - Error message if the transfer failed
+ * @returns {Promise<void>}
+ */
+async function recordOutcome(result, error) {
+  const ledger = new TransferLedger(workerData.walletId, workerData.walletIndex);
+  await ledger.append({
+    kind: 'worker',
+    workerId: workerData.workerId,
+    transferType: workerData.transferType,
+    sourceChain: workerData.sourceChain,
+    destinationChain: workerData.destinationChain,
+    receiver: workerData.receiverAddress,
+    hash: result?.hash || null,
+    amount: workerData.amount,
+    status: error ? LEDGER_STATUS.FAILED : LEDGER_STATUS.SUCCESS,
+    error,
+    isDaily: Boolean(workerData.isDaily),
+    isCrossChain: Boolean(workerData.isCrossChain)
+  });
+}
+
+/**
+ * Run the current transfer task
+ * @returns {Promise<Object>} Message for the main thread
+ */
+async function processTransfer() {
+  logger.info(`Worker ${workerData.workerId}: Starting transfer for wallet ${workerData.walletIndex + 1}`);
+  
+  // Sign requests go to the main thread, which holds the wallet's key
+  const signerTransport = createPortTransport(workerData.signerPort);
+  
+  // Another worker may have used the wallet since this one last did
+  sequenceManager.reset();
+  
+  try {
+    // Get the data from workerData
+    const {
+      walletIndex,
+      walletId,
+      sourceChain,
+      destinationChain,
+      receiverAddress,
+      amount,
+      config,
+      transferType
+    } = workerData;
+
+    logger.info(`Processing transfer from ${sourceChain} to ${destinationChain}`);
+    
+    // Create transfer factory
+    const signer = new RemoteSigner(signerTransport, walletIndex);
+    signer.walletId = walletId; // Resolved by setupWallets in the main thread
+    const transferFactory = new TransferFactory(config, walletIndex, signer);
+    
+    // Create transfer according to type
+    const transfer = transferFactory.createTransfer(transferType);
+    
+    // Execute transfer
+    const result = await transfer.transfer(receiverAddress, amount);
+    
+    // If transfer was successful, update progress
+    if (result && result.success) {
+      // Update progress
+      const progressService = new ProgressService(walletId, walletIndex);
+      
+      // Update different progress metrics based on the type of transfer
+      if (workerData.updateProgress) {
+        if (workerData.isDaily) {
+          await progressService.updateDailyInteraction(destinationChain, getQuestDay(new Date(), config.dayBoundary.timeZone));
+        } else if (workerData.isCrossChain) {
+          // Cross-chain quest progress is updated after all transfers complete
+        } else {
+          await progressService.updateTransferCount(destinationChain);
+        }
+      }
+      
+      await recordOutcome(result, null);
+      
+      // Let the main thread know about the success
+      return {
+        success: true,
+        result: result
+      };
+    } else {
+      const errorMessage = result?.error || "Transfer failed with no specific error";
+      await recordOutcome(result, errorMessage);
+      
+      // Send the error back to the main thread, with the hash and packet state if the transfer was broadcast
+      return {
+        success: false,
+        error: errorMessage,
+        result
+      };
+    }
+  } catch (error) {
+    logger.error(`Worker ${workerData.workerId}: Error processing transfer: ${error.message}`);
+    await recordOutcome(null, error.message);
+    
+    // Send error back to the main thread
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    signerTransport.close();
+  }
+}
+
+// Tasks arrive from the worker pool; the worker stays alive between tasks
+parentPort.on('message', async ({ taskId, workerData: data, signerPort }) => {
+  workerData = { ...data, signerPort };
+  logger = createWalletLogger(workerData.walletIndex);
+  
+  const message = await processTransfer().catch(error => {
+    logger.error(`Worker encountered an unhandled error: ${error.message}`);
+    if (error.stack) {
+      logger.error(`Stack trace: ${error.stack}`);
+    }
+    
+    return {
+      success: false,
+      error: error.message
+    };
+  });
+  
+  // Send the outcome back to the main thread
+  parentPort.postMessage({ taskId, ...message });
+});
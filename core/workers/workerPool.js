@@ -0,0 +1,202 @@
+// core/workers/workerPool.js - Long-lived worker threads that run queued tasks
+import { Worker, MessageChannel } from 'worker_threads';
+import { createWalletLogger } from '../../utils/logger.js';
+import { serveSignerPort } from '../blockchain/signers/protocol.js';
+
+/**
+ * Pool of long-lived workers for one worker script
+ * Tasks wait in a shared queue and start as soon as a worker is free, so imported modules and
+ * client caches stay warm across tasks. Tasks of one wallet start in the order they were queued
+ * and never run at the same time.
+ */
+class WorkerPool {
+  /**
+   * Create a new WorkerPool instance
+   * @param {string} workerPath - Absolute path to the worker script
+   * @param {number} size - Number of workers
+   */
+  constructor(workerPath, size) {
+    this.workerPath = workerPath;
+    this.size = size;
+    this.logger = createWalletLogger();
+    this.workers = [];          // Started workers
+    this.queue = [];            // Tasks waiting for a worker
+    this.busyWallets = new Set(); // Wallets with a running task
+    this.nextTaskId = 1;
+  }
+  
+  /**
+   * Queue a task and wait for its result
+   * @param {Object} workerData - Task data passed to the worker
+   * @param {Signer} [signer] - Signer the worker may sign with (the key itself stays in this thread)
+   * @returns {Promise<Object>} Result posted by the worker; failures resolve with success false
+   */
+  run(workerData, signer = null) {
+    return new Promise(resolve => {
+      this.queue.push({ id: this.nextTaskId++, workerData, signer, resolve });
+      this.dispatch();
+    });
+  }
+  
+  /**
+   * Start queued tasks on free workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const index = this.queue.findIndex(task => !this.busyWallets.has(task.workerData.walletIndex));
+      if (index === -1) {
+        return;
+      }
+      
+      const slot = this.workers.find(candidate => !candidate.task) ||
+        (this.workers.length < this.size ? this.startWorker() : null);
+      if (!slot) {
+        return;
+      }
+      
+      const [task] = this.queue.splice(index, 1);
+      this.startTask(slot, task);
+    }
+  }
+  
+  /**
+   * Start a worker thread
+   * @returns {Object} Worker slot
+   */
+  startWorker() {
+    const slot = {
+      worker: new Worker(this.workerPath, { type: 'module' }), // ES modules need to use specific type
+      task: null
+    };
+    
+    slot.worker.on('message', message => {
+      if (slot.task?.id === message.taskId) {
+        this.finishTask(slot, message.success ? (message.result || { success: true }) : {
+          // Partial results (e.g. the hash of an undelivered transfer) are passed along
+          ...message.result,
+          success: false,
+          error: message.error
+        });
+      }
+    });
+    
+    slot.worker.on('error', error => {
+      this.logger.error(`Worker error: ${error.message}`);
+      if (error.stack) {
+        this.logger.error(`Stack trace: ${error.stack}`);
+      }
+    });
+    
+    // A worker that dies fails its task and is replaced on the next dispatch
+    slot.worker.on('exit', code => {
+      this.workers = this.workers.filter(candidate => candidate !== slot);
+      
+      if (slot.task) {
+        this.finishTask(slot, { success: false, error: `Exited with code ${code}` });
+      }
+    });
+    
+    // Idle workers must not keep the process alive
+    slot.worker.unref();
+    this.workers.push(slot);
+    return slot;
+  }
+  
+  /**
+   * Send a task to a worker
+   * @param {Object} slot - Free worker slot
+   * @param {Object} task - Queued task
+   */
+  startTask(slot, task) {
+    const { workerData, signer } = task;
+    const logger = createWalletLogger(workerData.walletIndex);
+    
+    logger.info(`Starting worker: ${workerData.workerId || 'unknown'}`);
+    slot.task = task;
+    this.busyWallets.add(workerData.walletIndex);
+    slot.worker.ref();
+    
+    try {
+      // The worker signs through a message port served by this thread
+      if (signer) {
+        task.channel = new MessageChannel();
+        serveSignerPort(task.channel.port1, signer);
+        slot.worker.postMessage({ taskId: task.id, workerData, signerPort: task.channel.port2 }, [task.channel.port2]);
+      } else {
+        slot.worker.postMessage({ taskId: task.id, workerData });
+      }
+    } catch (error) {
+      logger.error(`Error starting worker task: ${error.message}`);
+      this.finishTask(slot, { success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Resolve the running task of a worker and start the next queued task
+   * @param {Object} slot - Worker slot
+   * @param {Object} result - Task result
+   */
+  finishTask(slot, result) {
+    const task = slot.task;
+    const logger = createWalletLogger(task.workerData.walletIndex);
+    
+    if (result.success) {
+      logger.info(`Worker completed successfully: ${task.workerData.workerId}`);
+    } else {
+      logger.error(`Worker failed: ${result.error}`);
+    }
+    
+    task.channel?.port1.close();
+    slot.task = null;
+    this.busyWallets.delete(task.workerData.walletIndex);
+    slot.worker.unref();
+    
+    // Workers beyond a reduced pool size stop once they are free
+    if (this.workers.filter(candidate => candidate !== slot).length >= this.size) {
+      this.workers = this.workers.filter(candidate => candidate !== slot);
+      slot.worker.terminate();
+    }
+    
+    task.resolve(result);
+    this.dispatch();
+  }
+  
+  /**
+   * Change the number of workers
+   * Free workers beyond the new size stop now, busy ones once their task finishes.
+   * @param {number} size - Number of workers
+   */
+  resize(size) {
+    this.size = size;
+    
+    for (const slot of this.workers.filter(candidate => !candidate.task)) {
+      if (this.workers.length <= size) {
+        break;
+      }
+      this.workers = this.workers.filter(candidate => candidate !== slot);
+      slot.worker.terminate();
+    }
+    
+    this.dispatch();
+  }
+  
+  /**
+   * Number of workers running a task
+   * @returns {number} Busy worker count
+   */
+  getBusyCount() {
+    return this.workers.filter(slot => slot.task).length;
+  }
+  
+  /**
+   * Stop every worker
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(slot => slot.worker.terminate()));
+  }
+}
+
+export default WorkerPool;
@@ -1,25 +1,67 @@
-import initializeApp from './app.js';
-import { runInteractiveUI } from './ui/index.js';
-import logger from './utils/logger.js';
-
-/**
- * Main application function
- */
-async function main() {
-  try {
-    // Initialize the application
-    const { services, config } = await initializeApp();
-    
-    // Run the interactive UI
-    await runInteractiveUI(services, config);
-  } catch (error) {
-    logger.error(`Fatal error: ${error.message}`);
-    if (error.stack) {
-      logger.error(`Stack trace: ${error.stack}`);
-    }
-    process.exit(1);
-  }
-}
-
-// Start the application
-main();
\ No newline at end of file
+import logger, { setConsoleLogging } from './utils/logger.js';
+import { parseCliArgs, UsageError, USAGE } from './cli/args.js';
+
+/**
+ * Main application function
+ */
+async function main() {
+  try {
+    // Parse command line arguments (no arguments starts the interactive UI)
+    const argv = process.argv.slice(2);
+    const cli = argv.length > 0 ? parseCliArgs(argv) : null;
+    
+    if (cli?.command === 'help') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    
+    // Keep JSON output machine-readable
+    if (cli?.options.json) {
+      setConsoleLogging(false);
+    }
+    
+    // Load the application after logging is configured
+    const { runKeysCommand, runSignerCommand, unlockKeystore } = await import('./cli/keys.js');
+    
+    const { default: appConfig } = await import('./config/index.js');
+    
+    if (cli?.command === 'keys') {
+      // Manage the keystore without unlocking the wallets
+      process.exit(await runKeysCommand(appConfig, cli.options));
+    }
+    
+    if (cli?.command === 'signer') {
+      // Hold the keys in a signer daemon for bots started with SIGNER_SOCKET
+      process.exit(await runSignerCommand(appConfig));
+    }
+    
+    // Initialize the application; with a signer daemon the keystore stays locked in this process
+    const { default: initializeApp } = await import('./app.js');
+    const passphrase = appConfig.signer.type === 'local' ? await unlockKeystore() : null;
+    const { services, config, signers } = await initializeApp(passphrase);
+    
+    if (cli) {
+      // Run a single command and exit with its status
+      const { runCli } = await import('./cli/index.js');
+      process.exit(await runCli(services, config, cli, signers));
+    }
+    
+    // Run the interactive UI
+    const { runInteractiveUI } = await import('./ui/index.js');
+    await runInteractiveUI(services, config, signers);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    
+    logger.error(`Fatal error: ${error.message}`);
+    if (error.stack) {
+      logger.error(`Stack trace: ${error.stack}`);
+    }
+    process.exit(1);
+  }
+}
+
+// Start the application
+main();
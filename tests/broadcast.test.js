@@ -0,0 +1,102 @@
+// tests/broadcast.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { SigningStargateClient } from '@cosmjs/stargate';
+import { TxRaw } from 'cosmjs-types/cosmos/tx/v1beta1/tx.js';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig } from './helpers/mockNetwork.js';
+import { createWallet } from '../core/blockchain/wallet.js';
+import { broadcastAndConfirm, confirmTx, TX_STATUS } from '../core/blockchain/broadcast.js';
+import TransferFactory from '../core/blockchain/transfers/transferFactory.js';
+import TransferLedger from '../core/progress/ledger.js';
+import { createTestSigner, testWalletId } from './helpers/wallets.js';
+
+const WALLET_INDEX = 0;
+const FEE = { amount: [{ denom: 'muno', amount: '5000' }], gas: '200000' };
+
+describe('broadcast and confirm', () => {
+  let network;
+  let config;
+  let privateKey;
+  let addresses;
+  let signingClient;
+  
+  /**
+   * Sign a self-send on UNION with the current account sequence
+   * @returns {Promise<Uint8Array>} Encoded transaction
+   */
+  const signSelfSend = async () => {
+    const message = {
+      typeUrl: '/cosmos.bank.v1beta1.MsgSend',
+      value: { fromAddress: addresses.UNION, toAddress: addresses.UNION, amount: [{ denom: 'muno', amount: '1' }] }
+    };
+    const txRaw = await signingClient.sign(addresses.UNION, [message], FEE, '');
+    return TxRaw.encode(txRaw).finish();
+  };
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, []);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    signingClient?.disconnect();
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    privateKey = crypto.randomBytes(32).toString('hex');
+    addresses = await network.fundWallet(privateKey, 10000000n);
+    
+    signingClient?.disconnect();
+    const wallet = await createWallet(privateKey, config.chains.UNION, WALLET_INDEX);
+    signingClient = await SigningStargateClient.connectWithSigner(config.chains.UNION.rpcEndpoint, wallet);
+  });
+  
+  it('returns the height, gas and fee of an included transaction', async () => {
+    const tx = await broadcastAndConfirm(signingClient, await signSelfSend(), config.broadcast);
+    const stored = network.chains.UNION.txs.find(t => t.hash === tx.hash);
+    
+    assert.equal(tx.status, TX_STATUS.CONFIRMED);
+    assert.equal(tx.code, 0);
+    assert.equal(tx.height, stored.height);
+    assert.equal(tx.gasUsed, Number(stored.gasUsed));
+    assert.equal(tx.gasWanted, 200000);
+    assert.deepEqual(tx.fee, FEE.amount);
+  });
+  
+  it('confirms a transaction that is already in the mempool instead of faking a hash', async () => {
+    const txBytes = await signSelfSend();
+    const first = await broadcastAndConfirm(signingClient, txBytes, config.broadcast);
+    const second = await broadcastAndConfirm(signingClient, txBytes, config.broadcast);
+    
+    assert.equal(second.status, TX_STATUS.CONFIRMED);
+    assert.equal(second.hash, first.hash);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 1);
+  });
+  
+  it('reports a transaction that is not included before the deadline as pending', async () => {
+    const hash = 'AB'.repeat(32);
+    const tx = await confirmTx(signingClient, hash, { timeoutMs: 100, pollIntervalMs: 25 });
+    
+    assert.equal(tx.status, TX_STATUS.PENDING);
+    assert.equal(tx.hash, hash);
+    assert.match(tx.error, /not included in a block/);
+  });
+  
+  it('records the inclusion height and fee of a transfer in the ledger', async () => {
+    const factory = new TransferFactory(config, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX));
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    assert.equal(result.success, true);
+    assert.equal(result.tx.status, TX_STATUS.CONFIRMED);
+    assert.equal(BigInt(result.tx.fee[0].amount), network.chains.UNION.feePaid(result.hash));
+    
+    const [entry] = await new TransferLedger(testWalletId(WALLET_INDEX), WALLET_INDEX).readEntries();
+    assert.equal(entry.height, result.tx.height);
+    assert.deepEqual(entry.fee, result.tx.fee);
+  });
+});
@@ -0,0 +1,54 @@
+// tests/dates.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, getQuestDay, getDayStart, addDays, getStreaks } from '../utils/dates.js';
+
+describe('quest days', () => {
+  it('puts a moment on the day of the configured time zone', () => {
+    const moment = new Date('2026-10-19T20:00:00Z');
+    
+    assert.equal(getQuestDay(moment, 'UTC'), '2026-10-19');
+    assert.equal(getQuestDay(moment, 'Asia/Shanghai'), '2026-10-20');
+    assert.equal(getQuestDay(moment, '+08:00'), '2026-10-20');
+    assert.equal(getQuestDay(new Date('2026-10-19T03:00:00Z'), '-05:00'), '2026-10-18');
+  });
+  
+  it('finds the start of a day across daylight saving changes', () => {
+    assert.equal(getDayStart('2026-10-19', 'UTC').toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.equal(getDayStart('2026-10-19', '+05:30').toISOString(), '2026-10-18T18:30:00.000Z');
+    assert.equal(getDayStart('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(getDayStart('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+  
+  it('adds days across month ends', () => {
+    assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  });
+  
+  it('accepts IANA time zones and UTC offsets only', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('-03:00'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone('+8'), false);
+  });
+});
+
+describe('streaks', () => {
+  it('counts the current and longest runs of consecutive days', () => {
+    const dates = ['2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-17', '2026-10-18'];
+    
+    assert.deepEqual(getStreaks(dates, '2026-10-18'), { current: 2, longest: 4 });
+  });
+  
+  it('keeps the current streak alive until the day after the last interaction ends', () => {
+    const dates = ['2026-10-17', '2026-10-18'];
+    
+    assert.deepEqual(getStreaks(dates, '2026-10-19'), { current: 2, longest: 2 });
+    assert.deepEqual(getStreaks(dates, '2026-10-20'), { current: 0, longest: 2 });
+  });
+  
+  it('ignores duplicate and unordered days', () => {
+    assert.deepEqual(getStreaks(['2026-10-19', '2026-10-18', '2026-10-19'], '2026-10-19'), { current: 2, longest: 2 });
+    assert.deepEqual(getStreaks([], '2026-10-19'), { current: 0, longest: 0 });
+  });
+});
@@ -0,0 +1,179 @@
+// tests/endpoints.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { StargateClient } from '@cosmjs/stargate';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig } from './helpers/mockNetwork.js';
+import { EndpointPool, FailoverCometClient, ENDPOINT_KINDS } from '../core/blockchain/endpoints.js';
+import TransferFactory from '../core/blockchain/transfers/transferFactory.js';
+import { createTestSigner } from './helpers/wallets.js';
+import { sleep } from '../utils/common.js';
+
+const WALLET_INDEX = 0;
+
+// Nothing listens on port 1, so connections are refused
+const DEAD_ENDPOINT = 'http://127.0.0.1:1';
+
+/**
+ * Start an HTTP server on a random local port
+ * @param {function(http.IncomingMessage, http.ServerResponse): void} handler - Request handler
+ * @returns {Promise<{url: string, stop: function(): Promise<void>}>} Server URL and stop function
+ */
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Start a node that only answers /status
+ * @param {Object} options - Node options
+ * @param {number} options.height - Latest block height
+ * @param {number} [options.delayMs] - Delay before answering
+ * @returns {Promise<Object>} Started server
+ */
+function startStatusNode({ height, delayMs = 0 }) {
+  return startServer(async (req, res) => {
+    await sleep(delayMs);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: -1, result: { sync_info: { latest_block_height: String(height), catching_up: false } } }));
+  });
+}
+
+/**
+ * Start a proxy that forwards every request to another endpoint
+ * @param {string} target - Endpoint to forward to
+ * @param {number} [delayMs] - Delay added to every request
+ * @returns {Promise<Object>} Started server
+ */
+function startProxy(target, delayMs = 0) {
+  return startServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    await sleep(delayMs);
+    
+    const response = await fetch(`${target}${req.url}`, {
+      method: req.method,
+      headers: { 'Content-Type': 'application/json' },
+      body: req.method === 'POST' ? Buffer.concat(chunks) : undefined
+    });
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(Buffer.from(await response.arrayBuffer()));
+  });
+}
+
+describe('RPC endpoint failover', () => {
+  let network;
+  let config;
+  let privateKey;
+  let addresses;
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, []);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    privateKey = crypto.randomBytes(32).toString('hex');
+    addresses = await network.fundWallet(privateKey, 10000000n);
+  });
+  
+  it('ranks up-to-date fast endpoints first and marks lagging ones unhealthy', async () => {
+    const lagging = await startStatusNode({ height: 1000 - baseConfig.endpoints.maxHeightLag - 1 });
+    const slow = await startStatusNode({ height: 1000, delayMs: 150 });
+    const fast = await startStatusNode({ height: 1000 });
+    
+    try {
+      const pool = new EndpointPool('TEST', ENDPOINT_KINDS.RPC, [lagging.url, slow.url, fast.url], baseConfig.endpoints);
+      await pool.checkHealth();
+      const health = pool.getHealth();
+      
+      assert.deepEqual(health.map(endpoint => endpoint.url), [fast.url, slow.url, lagging.url]);
+      assert.deepEqual(health.map(endpoint => endpoint.healthy), [true, true, false]);
+      assert.equal(health[2].heightLag, baseConfig.endpoints.maxHeightLag + 1);
+    } finally {
+      await Promise.all([lagging, slow, fast].map(node => node.stop()));
+    }
+  });
+  
+  it('moves an endpoint that fails calls behind the others', async () => {
+    const pool = new EndpointPool('TEST', ENDPOINT_KINDS.RPC, ['http://a.invalid', 'http://b.invalid'], baseConfig.endpoints);
+    pool.checkedAt = Date.now(); // Skip probing
+    
+    const calls = [];
+    const result = await pool.run(async url => {
+      calls.push(url);
+      if (url === 'http://a.invalid') {
+        throw new Error('fetch failed');
+      }
+      return 'ok';
+    });
+    
+    assert.equal(result, 'ok');
+    assert.deepEqual(calls, ['http://a.invalid', 'http://b.invalid']);
+    assert.equal(await pool.best(), 'http://b.invalid');
+    assert.equal(pool.getHealth()[1].errorRate, 1);
+  });
+  
+  it('does not fail over when the node answers with an error', async () => {
+    const pool = new EndpointPool('TEST', ENDPOINT_KINDS.RPC, ['http://a.invalid', 'http://b.invalid'], baseConfig.endpoints);
+    pool.checkedAt = Date.now();
+    const rpcError = new Error(JSON.stringify({ code: -32603, message: 'Internal error', data: 'tx already exists in cache' }));
+    
+    await assert.rejects(pool.run(async () => { throw rpcError; }), rpcError);
+    assert.ok(pool.getHealth().every(endpoint => endpoint.healthy));
+  });
+  
+  it('fails over mid-run when the endpoint in use goes down', async () => {
+    const first = await startProxy(network.chains.UNION.url);
+    const second = await startProxy(network.chains.UNION.url, 50);
+    const pool = new EndpointPool('UNION', ENDPOINT_KINDS.RPC, [first.url, second.url], baseConfig.endpoints);
+    const client = await StargateClient.create(new FailoverCometClient(pool));
+    
+    try {
+      assert.equal(await client.getChainId(), config.chains.UNION.chainId);
+      assert.equal(pool.getHealth()[0].url, first.url);
+      
+      await first.stop();
+      const balance = await client.getBalance(addresses.UNION, 'muno');
+      
+      assert.equal(balance.amount, '10000000');
+      assert.equal(pool.getHealth()[0].url, second.url);
+      assert.ok(pool.getHealth()[1].lastError);
+    } finally {
+      client.disconnect();
+      await second.stop();
+    }
+  });
+  
+  it('transfers through the next endpoint when the first configured one is down', async () => {
+    const union = config.chains.UNION;
+    const failoverConfig = {
+      ...config,
+      chains: { ...config.chains, UNION: { ...union, rpcEndpoint: DEAD_ENDPOINT, rpcEndpoints: [DEAD_ENDPOINT, union.rpcEndpoint] } }
+    };
+    
+    const factory = new TransferFactory(failoverConfig, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX));
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    assert.equal(result.success, true);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 1);
+  });
+});
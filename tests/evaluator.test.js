@@ -0,0 +1,115 @@
+// tests/evaluator.test.js
+import './helpers/sandbox.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config/index.js';
+import ProgressService from '../core/progress/progress.js';
+import { testWalletId } from './helpers/wallets.js';
+import QuestEvaluator, { QUEST_FAMILIES } from '../core/quests/evaluator.js';
+import { addDays } from '../utils/dates.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const TODAY = '2026-10-19';
+
+/**
+ * Build the progress data of a new wallet
+ * @returns {Object} Default progress data
+ */
+const createProgress = () => new ProgressService(testWalletId(0), 0).getDefaultProgressData();
+
+/**
+ * List consecutive days
+ * @param {string} first - First day
+ * @param {number} count - Number of days
+ * @returns {string[]} Days
+ */
+const daysFrom = (first, count) => Array.from({ length: count }, (_, i) => addDays(first, i));
+
+/**
+ * Find a milestone by name
+ * @param {Object[]} milestones - Milestone statuses
+ * @param {string} name - Quest name
+ * @returns {Object} Milestone status
+ */
+const find = (milestones, name) => milestones.find(milestone => milestone.name === name);
+
+describe('quest evaluator', () => {
+  const evaluator = new QuestEvaluator(config);
+  const totalXp = [
+    ...Object.values(config.quests.DAILY_INTERACTION).flatMap(Object.values),
+    ...Object.values(config.quests.TRANSFER).flat(),
+    ...config.quests.CROSS_CHAIN,
+    ...config.quests.CUSTOM
+  ].reduce((total, quest) => total + quest.xp, 0);
+  
+  it('offers every quest to a new wallet', () => {
+    const { xp, next } = evaluator.evaluateWallet(createProgress(), NOW);
+    
+    assert.deepEqual(xp, { earned: 0, available: totalXp, total: totalXp });
+    assert.equal(find(next, 'CURIOUS').remaining, 3);
+    assert.equal(find(next, 'INITIATE').remaining, 1);
+    assert.equal(find(next, 'CHAIN_REACTION').remaining, 1);
+    assert.equal(find(next, 'SIX_CHAINS').remaining, null);
+    assert.deepEqual(
+      [find(next, 'TEST_CONTRACT_SEND').remaining, find(next, 'TEST_CONTRACT_SEND').unit],
+      [2, 'sends']
+    );
+  });
+  
+  it('earns daily quests by the longest streak and transfer quests by count', () => {
+    const progress = createProgress();
+    const dates = [...daysFrom(addDays(TODAY, -15), 6), ...daysFrom(addDays(TODAY, -1), 2)];
+    progress.dailyInteractions.UNION = { lastInteraction: TODAY, count: dates.length, dates };
+    progress.transfers.UNION.count = 12;
+    progress.crossChain.CHAIN_REACTION.completed = true;
+    progress.custom.TEST_CONTRACT_SEND = { completed: false, count: 1 };
+    
+    const { xp, milestones, next } = evaluator.evaluateWallet(progress, NOW);
+    
+    const earned = milestones.filter(milestone => milestone.earned).map(milestone => milestone.name);
+    assert.deepEqual(earned, ['CURIOUS', 'DIAMOND_HANDS', 'INITIATE', 'APPRENTICE', 'CHAIN_REACTION']);
+    assert.equal(xp.earned, 5 + 10 + 5 + 5 + 5);
+    assert.equal(xp.available, totalXp - xp.earned);
+    
+    // The next daily quest needs a new streak: the 6-day one has ended, the current one is 2 days long
+    assert.deepEqual(
+      [find(next, 'TESTNET_DEGEN').current, find(next, 'TESTNET_DEGEN').remaining],
+      [2, 8]
+    );
+    assert.equal(find(next, 'JOURNEYMAN').remaining, 13);
+    assert.equal(find(next, 'TEST_CONTRACT_SEND').remaining, 1);
+    assert.equal(next.filter(milestone => milestone.family === QUEST_FAMILIES.TRANSFER && milestone.chain === 'UNION').length, 1);
+  });
+  
+  it('counts delivered hops of a cross-chain attempt', () => {
+    const progress = createProgress();
+    progress.crossChain.SIX_CHAINS = {
+      completed: false,
+      path: ['UNION', 'BABYLON', 'STARGAZE', 'UNION', 'STRIDE', 'UNION', 'BABYLON', 'UNION'],
+      hops: [{ from: 'UNION', to: 'BABYLON', status: 'delivered' }, { from: 'BABYLON', to: 'STARGAZE', status: 'in-flight' }],
+      fundsAt: 'BABYLON'
+    };
+    
+    const { next } = evaluator.evaluateWallet(progress, NOW);
+    
+    assert.deepEqual(
+      [find(next, 'SIX_CHAINS').current, find(next, 'SIX_CHAINS').target, find(next, 'SIX_CHAINS').remaining],
+      [1, 7, 6]
+    );
+  });
+  
+  it('summarizes XP and earned quests across wallets', () => {
+    const first = createProgress();
+    first.transfers.BABYLON.count = 1;
+    const second = createProgress();
+    second.transfers.BABYLON.count = 10;
+    
+    const summary = evaluator.summarize([first, second].map(progress => evaluator.evaluateWallet(progress, NOW)));
+    
+    assert.equal(summary.wallets, 2);
+    assert.deepEqual(summary.xp, { earned: 15, available: 2 * totalXp - 15, total: 2 * totalXp });
+    assert.equal(find(summary.milestones, 'BEGINNER').earnedBy, 2);
+    assert.equal(find(summary.milestones, 'DABBLER').earnedBy, 1);
+    assert.equal(find(summary.milestones, 'EXPLORER').earnedBy, 0);
+  });
+});
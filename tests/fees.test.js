@@ -0,0 +1,101 @@
+// tests/fees.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { SigningStargateClient } from '@cosmjs/stargate';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig } from './helpers/mockNetwork.js';
+import { createWallet } from '../core/blockchain/wallet.js';
+import { estimateFee, FeeCapError } from '../core/blockchain/fees.js';
+import TransferFactory from '../core/blockchain/transfers/transferFactory.js';
+import { createTestSigner } from './helpers/wallets.js';
+
+const WALLET_INDEX = 0;
+
+// The mock chain simulates 100000 gas for a transaction with one message
+const SIMULATED_GAS = 100000;
+
+describe('fee estimation', () => {
+  let network;
+  let config;
+  let privateKey;
+  let addresses;
+  let signingClient;
+  
+  /**
+   * Build a MsgSend from the wallet to itself on UNION
+   * @returns {Object} Encodable message
+   */
+  const selfSend = () => ({
+    typeUrl: '/cosmos.bank.v1beta1.MsgSend',
+    value: { fromAddress: addresses.UNION, toAddress: addresses.UNION, amount: [{ denom: 'muno', amount: '1' }] }
+  });
+  
+  /**
+   * Copy the test config with changed UNION chain settings
+   * @param {Object} changes - UNION chain settings to change
+   * @returns {Object} Configuration
+   */
+  const withUnion = changes => ({
+    ...config,
+    chains: { ...config.chains, UNION: { ...config.chains.UNION, ...changes } }
+  });
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, []);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    signingClient?.disconnect();
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    privateKey = crypto.randomBytes(32).toString('hex');
+    addresses = await network.fundWallet(privateKey, 10000000n);
+    
+    signingClient?.disconnect();
+    const wallet = await createWallet(privateKey, config.chains.UNION, WALLET_INDEX);
+    signingClient = await SigningStargateClient.connectWithSigner(config.chains.UNION.rpcEndpoint, wallet);
+  });
+  
+  it('applies the gas multiplier and the chain gas price to the simulated gas', async () => {
+    const fee = await estimateFee({
+      config, chainName: 'UNION', signingClient, signerAddress: addresses.UNION, messages: [selfSend()]
+    });
+    
+    const gas = Math.ceil(SIMULATED_GAS * config.fees.gasMultiplier);
+    assert.equal(fee.gas, String(gas));
+    assert.deepEqual(fee.amount, [{ denom: 'muno', amount: String(Math.ceil(gas * 0.03)) }]);
+  });
+  
+  it('lets a chain override the gas multiplier', async () => {
+    const fee = await estimateFee({
+      config: withUnion({ gasMultiplier: 2 }), chainName: 'UNION', signingClient, signerAddress: addresses.UNION, messages: [selfSend()]
+    });
+    
+    assert.equal(fee.gas, '200000');
+    assert.equal(fee.amount[0].amount, '6000');
+  });
+  
+  it('refuses fees above the chain fee cap', async () => {
+    await assert.rejects(
+      estimateFee({
+        config: withUnion({ feeCap: '1000' }), chainName: 'UNION', signingClient, signerAddress: addresses.UNION, messages: [selfSend()]
+      }),
+      error => error instanceof FeeCapError && /exceeds the UNION fee cap of 1000muno/.test(error.message)
+    );
+  });
+  
+  it('does not sign a transfer whose fee exceeds the cap', async () => {
+    const factory = new TransferFactory(withUnion({ feeCap: '1000' }), WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX));
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    assert.equal(result.success, false);
+    assert.match(result.error, /fee cap/);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 0);
+  });
+});
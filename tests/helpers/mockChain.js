@@ -0,0 +1,756 @@
+// tests/helpers/mockChain.js
+import http from 'http';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { bech32 } from '@scure/base';
+import { Any } from 'cosmjs-types/google/protobuf/any.js';
+import { BaseAccount } from 'cosmjs-types/cosmos/auth/v1beta1/auth.js';
+import { QueryAccountRequest, QueryAccountResponse } from 'cosmjs-types/cosmos/auth/v1beta1/query.js';
+import {
+  QueryAllBalancesRequest,
+  QueryAllBalancesResponse,
+  QueryBalanceRequest,
+  QueryBalanceResponse
+} from 'cosmjs-types/cosmos/bank/v1beta1/query.js';
+import { MsgSend } from 'cosmjs-types/cosmos/bank/v1beta1/tx.js';
+import { MsgExecuteContract } from 'cosmjs-types/cosmwasm/wasm/v1/tx.js';
+import { TxRaw, TxBody, AuthInfo } from 'cosmjs-types/cosmos/tx/v1beta1/tx.js';
+import { SimulateRequest, SimulateResponse } from 'cosmjs-types/cosmos/tx/v1beta1/service.js';
+
+const MSG_SEND_TYPE_URL = '/cosmos.bank.v1beta1.MsgSend';
+const MSG_EXECUTE_CONTRACT_TYPE_URL = '/cosmwasm.wasm.v1.MsgExecuteContract';
+const BASE_ACCOUNT_TYPE_URL = '/cosmos.auth.v1beta1.BaseAccount';
+
+// Cosmos SDK error codes returned by CheckTx
+const ERROR_CODES = {
+  INSUFFICIENT_FUNDS: 5,
+  UNKNOWN_ADDRESS: 9,
+  TX_IN_MEMPOOL_CACHE: 19,
+  WRONG_SEQUENCE: 32,
+  UNKNOWN_MESSAGE: 6
+};
+
+const GAS_PER_TX = 80000n;
+const GAS_PER_MESSAGE = 20000n;
+
+/**
+ * Error rejecting a transaction in CheckTx
+ */
+class CheckTxError extends Error {
+  /**
+   * Create a new CheckTxError
+   * @param {number} code - Cosmos SDK error code
+   * @param {string} message - Raw log
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Upper-case hex SHA-256 digest, the format Tendermint uses for hashes
+ * @param {Uint8Array|string} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').toUpperCase();
+}
+
+/**
+ * Build a Tendermint event with string attributes
+ * @param {string} type - Event type
+ * @param {Object} attributes - Attribute key to value map
+ * @returns {Object} Event in the CometBFT 0.38 JSON format
+ */
+function event(type, attributes) {
+  return {
+    type,
+    attributes: Object.entries(attributes).map(([key, value]) => ({ key, value: String(value), index: true }))
+  };
+}
+
+/**
+ * Parse a tx_search query of `key='value'` conditions joined by AND
+ * @param {string} query - Search query
+ * @returns {Array<{key: string, value: string}>} Conditions
+ */
+function parseQuery(query) {
+  return query.split(/\s+AND\s+/i).map(condition => {
+    const match = condition.trim().match(/^([\w.-]+)\s*=\s*'?([^']*)'?$/);
+    if (!match) {
+      throw new Error(`Unsupported query condition: ${condition}`);
+    }
+    return { key: match[1], value: match[2] };
+  });
+}
+
+/**
+ * In-process chain that answers the Tendermint RPC calls cosmjs makes.
+ * Models accounts, balances, sequences, MsgSend and Union transfer contract calls;
+ * every accepted transaction is committed in its own block.
+ *
+ * Emits `packet` with the packet of every transfer contract call so a relayer
+ * (see mockNetwork.js) can deliver it.
+ */
+class MockChain extends EventEmitter {
+  /**
+   * Create a new MockChain
+   * @param {Object} options - Chain options
+   * @param {string} options.chainId - Chain ID
+   * @param {string} options.prefix - Bech32 address prefix
+   * @param {string} options.denom - Native token denomination
+   */
+  constructor({ chainId, prefix, denom }) {
+    super();
+    this.chainId = chainId;
+    this.prefix = prefix;
+    this.denom = denom;
+    this.accounts = new Map();
+    this.blocks = [{ height: 1, time: new Date().toISOString(), txs: [] }];
+    this.txs = [];
+    this.server = null;
+    this.url = null;
+    this.packetSequence = 0;
+  }
+  
+  /**
+   * Start the RPC server on a random local port
+   * @returns {Promise<string>} RPC endpoint URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+  
+  /**
+   * Stop the RPC server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+  
+  /**
+   * Get an account, creating it with the next account number if needed
+   * @param {string} address - Account address
+   * @returns {Object} Account with accountNumber, sequence and balances
+   */
+  account(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, { accountNumber: this.accounts.size, sequence: 0, balances: new Map() });
+    }
+    return this.accounts.get(address);
+  }
+  
+  /**
+   * Credit tokens to an address
+   * @param {string} address - Receiver address
+   * @param {string|number|bigint} amount - Raw amount
+   * @param {string} [denom] - Denomination (default: native denom)
+   */
+  fund(address, amount, denom = this.denom) {
+    const { balances } = this.account(address);
+    balances.set(denom, (balances.get(denom) || 0n) + BigInt(amount));
+  }
+  
+  /**
+   * Get the balance of an address
+   * @param {string} address - Account address
+   * @param {string} [denom] - Denomination (default: native denom)
+   * @returns {bigint} Raw balance
+   */
+  getBalance(address, denom = this.denom) {
+    return this.accounts.get(address)?.balances.get(denom) || 0n;
+  }
+  
+  /**
+   * Get the sequence of an address
+   * @param {string} address - Account address
+   * @returns {number} Next expected sequence
+   */
+  getSequence(address) {
+    return this.accounts.get(address)?.sequence || 0;
+  }
+  
+  /**
+   * Move tokens between addresses
+   * @param {string} from - Sender address
+   * @param {string} to - Receiver address
+   * @param {Array<{denom: string, amount: string}>} coins - Coins to move
+   * @throws {CheckTxError} If the sender cannot cover the amount
+   */
+  transferCoins(from, to, coins) {
+    for (const coin of coins) {
+      if (this.getBalance(from, coin.denom) < BigInt(coin.amount)) {
+        throw new CheckTxError(
+          ERROR_CODES.INSUFFICIENT_FUNDS,
+          `spendable balance ${this.getBalance(from, coin.denom)}${coin.denom} is smaller than ${coin.amount}${coin.denom}: insufficient funds`
+        );
+      }
+    }
+    
+    for (const coin of coins) {
+      this.fund(from, -BigInt(coin.amount), coin.denom);
+      this.fund(to, coin.amount, coin.denom);
+    }
+  }
+  
+  /**
+   * Commit a transaction in a new block
+   * @param {Uint8Array} txBytes - Encoded transaction
+   * @param {Object[]} events - Transaction events
+   * @param {Object} [extra] - Gas information and fee paid
+   * @returns {Object} Stored transaction
+   */
+  commit(txBytes, events, { gasWanted = 0n, gasUsed = 0n, fee = [] } = {}) {
+    const height = this.blocks.length + 1;
+    const hash = sha256Hex(txBytes);
+    const tx = { hash, height, index: 0, txBytes, events, gasWanted, gasUsed, fee };
+    
+    this.blocks.push({ height, time: new Date().toISOString(), txs: [txBytes] });
+    this.txs.push(tx);
+    return tx;
+  }
+  
+  /**
+   * Commit a transaction created by the chain itself (e.g. a relayer message)
+   * @param {string} memo - Memo identifying the transaction
+   * @param {Object[]} events - Transaction events
+   * @returns {Object} Stored transaction
+   */
+  commitSystemTx(memo, events) {
+    const txBytes = TxRaw.encode({
+      bodyBytes: TxBody.encode(TxBody.fromPartial({ memo })).finish(),
+      authInfoBytes: AuthInfo.encode(AuthInfo.fromPartial({})).finish(),
+      signatures: []
+    }).finish();
+    
+    return this.commit(txBytes, events);
+  }
+  
+  /**
+   * Check and execute a signed transaction
+   * @param {Uint8Array} txBytes - Encoded TxRaw
+   * @returns {Object} Stored transaction
+   * @throws {CheckTxError} If the transaction is rejected
+   */
+  deliverTx(txBytes) {
+    const hash = sha256Hex(txBytes);
+    if (this.txs.some(tx => tx.hash === hash)) {
+      throw new CheckTxError(ERROR_CODES.TX_IN_MEMPOOL_CACHE, 'tx already exists in cache');
+    }
+    
+    const txRaw = TxRaw.decode(txBytes);
+    const body = TxBody.decode(txRaw.bodyBytes);
+    const authInfo = AuthInfo.decode(txRaw.authInfoBytes);
+    const messages = body.messages.map(message => this.decodeMessage(message));
+    const signer = messages[0]?.signer;
+    
+    if (!signer || !this.accounts.has(signer)) {
+      throw new CheckTxError(ERROR_CODES.UNKNOWN_ADDRESS, `account ${signer} not found: unknown address`);
+    }
+    
+    const account = this.account(signer);
+    const sequence = Number(authInfo.signerInfos[0]?.sequence ?? -1);
+    if (sequence !== account.sequence) {
+      throw new CheckTxError(
+        ERROR_CODES.WRONG_SEQUENCE,
+        `account sequence mismatch, expected ${account.sequence}, got ${sequence}: incorrect account sequence`
+      );
+    }
+    
+    // Work on a copy of the balances so a failing message leaves no partial changes
+    const snapshot = new Map([...this.accounts].map(([address, acc]) => [address, { ...acc, balances: new Map(acc.balances) }]));
+    const events = [];
+    const packets = [];
+    
+    try {
+      this.transferCoins(signer, 'fee_collector', authInfo.fee?.amount || []);
+      
+      for (const message of messages) {
+        events.push(event('message', { action: message.typeUrl, sender: signer, module: message.module }));
+        events.push(...this.executeMessage(message, packets));
+      }
+    } catch (error) {
+      this.accounts = snapshot;
+      throw error;
+    }
+    
+    account.sequence++;
+    
+    const gasWanted = authInfo.fee?.gasLimit || 0n;
+    const tx = this.commit(txBytes, events, {
+      gasWanted,
+      gasUsed: this.estimateGas(messages.length),
+      fee: authInfo.fee?.amount || []
+    });
+    
+    for (const packet of packets) {
+      this.emit('packet', { ...packet, sendTxHash: tx.hash, sourceChainId: this.chainId });
+    }
+    
+    return tx;
+  }
+  
+  /**
+   * Decode a transaction message
+   * @param {Object} message - Any-encoded message
+   * @returns {Object} Decoded message with its signer
+   * @throws {CheckTxError} If the message type is not supported
+   */
+  decodeMessage(message) {
+    if (message.typeUrl === MSG_SEND_TYPE_URL) {
+      const msg = MsgSend.decode(message.value);
+      return { typeUrl: message.typeUrl, module: 'bank', signer: msg.fromAddress, msg };
+    }
+    
+    if (message.typeUrl === MSG_EXECUTE_CONTRACT_TYPE_URL) {
+      const msg = MsgExecuteContract.decode(message.value);
+      return { typeUrl: message.typeUrl, module: 'wasm', signer: msg.sender, msg };
+    }
+    
+    throw new CheckTxError(ERROR_CODES.UNKNOWN_MESSAGE, `unrecognized message type: ${message.typeUrl}`);
+  }
+  
+  /**
+   * Execute a decoded message
+   * @param {Object} message - Decoded message
+   * @param {Object[]} packets - Collects packets sent by the message
+   * @returns {Object[]} Message events
+   */
+  executeMessage({ typeUrl, msg }, packets) {
+    if (typeUrl === MSG_SEND_TYPE_URL) {
+      this.transferCoins(msg.fromAddress, msg.toAddress, msg.amount);
+      return [event('transfer', { sender: msg.fromAddress, recipient: msg.toAddress, amount: this.formatCoins(msg.amount) })];
+    }
+    
+    this.transferCoins(msg.sender, msg.contract, msg.funds);
+    const events = [event('execute', { _contract_address: msg.contract })];
+    const payload = JSON.parse(new TextDecoder().decode(msg.msg));
+    
+    if (payload.transfer) {
+      const packet = {
+        ...payload.transfer,
+        sender: msg.sender,
+        contract: msg.contract,
+        sequence: ++this.packetSequence
+      };
+      packet.packetHash = `0x${sha256Hex(JSON.stringify(packet)).toLowerCase()}`;
+      packets.push(packet);
+      
+      events.push(event('wasm-packet_send', {
+        _contract_address: msg.contract,
+        packet_hash: packet.packetHash,
+        channel_id: packet.channel_id,
+        sequence: packet.sequence
+      }));
+    }
+    
+    return events;
+  }
+  
+  /**
+   * Native tokens paid as fee by a committed transaction
+   * @param {string} hash - Transaction hash
+   * @returns {bigint} Raw fee amount
+   */
+  feePaid(hash) {
+    const tx = this.txs.find(t => t.hash === hash.toUpperCase());
+    return (tx?.fee || []).filter(coin => coin.denom === this.denom).reduce((sum, coin) => sum + BigInt(coin.amount), 0n);
+  }
+  
+  /**
+   * Gas used by a transaction
+   * @param {number} messageCount - Number of messages
+   * @returns {bigint} Gas used
+   */
+  estimateGas(messageCount) {
+    return GAS_PER_TX + GAS_PER_MESSAGE * BigInt(messageCount);
+  }
+  
+  /**
+   * Format coins the way the bank module does in events
+   * @param {Array<{denom: string, amount: string}>} coins - Coins
+   * @returns {string} Formatted coins
+   */
+  formatCoins(coins) {
+    return coins.map(coin => `${coin.amount}${coin.denom}`).join(',');
+  }
+  
+  /**
+   * Convert a hex address from a Union transfer to a bech32 address on this chain
+   * @param {string} hex - Hex address with or without 0x prefix
+   * @returns {string} Bech32 address
+   */
+  addressFromHex(hex) {
+    const bytes = Buffer.from(hex.replace(/^0x/i, ''), 'hex');
+    return bech32.encode(this.prefix, bech32.toWords(bytes));
+  }
+  
+  /**
+   * Receive a packet sent from another chain and credit the receiver
+   * @param {Object} packet - Packet emitted by the source chain
+   * @param {string} denom - Denomination credited to the receiver
+   * @returns {Object} Stored transaction
+   */
+  receivePacket(packet, denom) {
+    this.fund(this.addressFromHex(packet.receiver), packet.quote_amount, denom);
+    return this.commitSystemTx(`recv ${packet.packetHash}`, [
+      event('wasm-packet_recv', { packet_hash: packet.packetHash, channel_id: packet.destinationChannelId })
+    ]);
+  }
+  
+  /**
+   * Record the acknowledgement of a packet sent from this chain
+   * @param {Object} packet - Packet emitted by this chain
+   * @returns {Object} Stored transaction
+   */
+  acknowledgePacket(packet) {
+    return this.commitSystemTx(`ack ${packet.packetHash}`, [
+      event('wasm-packet_ack', { packet_hash: packet.packetHash, channel_id: packet.channel_id })
+    ]);
+  }
+  
+  /**
+   * Time out a packet sent from this chain and refund the sender
+   * @param {Object} packet - Packet emitted by this chain
+   * @returns {Object} Stored transaction
+   */
+  timeoutPacket(packet) {
+    this.fund(packet.sender, packet.base_amount, packet.base_token);
+    this.fund(packet.contract, -BigInt(packet.base_amount), packet.base_token);
+    return this.commitSystemTx(`timeout ${packet.packetHash}`, [
+      event('wasm-packet_timeout', { packet_hash: packet.packetHash, channel_id: packet.channel_id })
+    ]);
+  }
+  
+  /**
+   * Find transactions matching a tx_search query
+   * @param {string} query - Search query
+   * @returns {Object[]} Matching transactions
+   */
+  searchTxs(query) {
+    const conditions = parseQuery(query);
+    
+    return this.txs.filter(tx => conditions.every(({ key, value }) => {
+      if (key === 'tx.hash') {
+        return tx.hash === value.toUpperCase();
+      }
+      
+      if (key === 'tx.height') {
+        return tx.height === Number(value);
+      }
+      
+      const separator = key.lastIndexOf('.');
+      const [type, attribute] = [key.slice(0, separator), key.slice(separator + 1)];
+      return tx.events.some(evt =>
+        evt.type === type && evt.attributes.some(attr => attr.key === attribute && attr.value === value)
+      );
+    }));
+  }
+  
+  /**
+   * Handle an HTTP request: JSON-RPC over POST, a few REST routes over GET
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let status = 200;
+      let body;
+      
+      if (req.method === 'POST') {
+        const request = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        try {
+          body = { jsonrpc: '2.0', id: request.id, result: this.handleRpc(request.method, request.params || {}) };
+        } catch (error) {
+          body = { jsonrpc: '2.0', id: request.id, error: { code: -32603, message: 'Internal error', data: error.message } };
+        }
+      } else {
+        ({ status, body } = this.handleRest(new URL(req.url, this.url)));
+      }
+      
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  }
+  
+  /**
+   * Handle a REST (LCD) or URI-style RPC GET request
+   * @param {URL} url - Request URL
+   * @returns {{status: number, body: Object}} Response status and body
+   */
+  handleRest(url) {
+    const balances = url.pathname.match(/^\/cosmos\/bank\/v1beta1\/balances\/([^/]+)$/);
+    if (balances) {
+      const account = this.accounts.get(balances[1]);
+      const coins = account ? [...account.balances].map(([denom, amount]) => ({ denom, amount: amount.toString() })) : [];
+      return { status: 200, body: { balances: coins, pagination: { next_key: null, total: String(coins.length) } } };
+    }
+    
+    const accounts = url.pathname.match(/^\/cosmos\/auth\/v1beta1\/accounts\/([^/]+)$/);
+    if (accounts) {
+      const account = this.accounts.get(accounts[1]);
+      if (!account) {
+        return { status: 404, body: { code: 5, message: `account ${accounts[1]} not found`, details: [] } };
+      }
+      return {
+        status: 200,
+        body: {
+          account: {
+            '@type': BASE_ACCOUNT_TYPE_URL,
+            address: accounts[1],
+            pub_key: null,
+            account_number: String(account.accountNumber),
+            sequence: String(account.sequence)
+          }
+        }
+      };
+    }
+    
+    if (url.pathname === '/status') {
+      return { status: 200, body: { jsonrpc: '2.0', id: -1, result: this.status() } };
+    }
+    
+    return { status: 404, body: { code: 5, message: 'Not Implemented', details: [] } };
+  }
+  
+  /**
+   * Dispatch a JSON-RPC method
+   * @param {string} method - RPC method
+   * @param {Object} params - RPC parameters
+   * @returns {Object} RPC result
+   */
+  handleRpc(method, params) {
+    switch (method) {
+      case 'status':
+        return this.status();
+      case 'abci_query':
+        return { response: this.abciQuery(params.path, Buffer.from(params.data || '', 'hex')) };
+      case 'broadcast_tx_sync':
+        return this.broadcastTxSync(Buffer.from(params.tx, 'base64'));
+      case 'tx_search':
+        return this.txSearch(params);
+      case 'tx': {
+        const hash = Buffer.from(params.hash, 'base64').toString('hex').toUpperCase();
+        const tx = this.txs.find(t => t.hash === hash);
+        if (!tx) {
+          throw new Error(`tx (${hash}) not found`);
+        }
+        return this.formatTx(tx);
+      }
+      case 'block':
+        return this.block(params.height ? Number(params.height) : this.blocks.length);
+      default:
+        throw new Error(`Method ${method} not supported by the mock chain`);
+    }
+  }
+  
+  /**
+   * Node status in the CometBFT 0.38 format
+   * @returns {Object} Status result
+   */
+  status() {
+    const height = this.blocks.length;
+    
+    return {
+      node_info: {
+        protocol_version: { p2p: '8', block: '11', app: '0' },
+        id: 'ab'.repeat(20),
+        listen_addr: 'tcp://127.0.0.1:26656',
+        network: this.chainId,
+        version: '0.38.12',
+        channels: '40202122233038606100',
+        moniker: `mock-${this.chainId}`,
+        other: { tx_index: 'on', rpc_address: this.url }
+      },
+      sync_info: {
+        latest_block_hash: sha256Hex(`${this.chainId}-${height}`),
+        latest_app_hash: sha256Hex(`${this.chainId}-app-${height}`),
+        latest_block_height: String(height),
+        latest_block_time: this.blocks[height - 1].time,
+        catching_up: false
+      },
+      validator_info: {
+        address: 'CD'.repeat(20),
+        pub_key: { type: 'tendermint/PubKeyEd25519', value: Buffer.alloc(32, 1).toString('base64') },
+        voting_power: '10'
+      }
+    };
+  }
+  
+  /**
+   * Answer an ABCI query for the auth, bank and tx services
+   * @param {string} path - Query path
+   * @param {Buffer} data - Encoded request
+   * @returns {Object} ABCI query response
+   */
+  abciQuery(path, data) {
+    const ok = value => ({ code: 0, log: '', info: '', index: '0', value: Buffer.from(value).toString('base64'), height: String(this.blocks.length), codespace: '' });
+    
+    switch (path) {
+      case '/cosmos.auth.v1beta1.Query/Account': {
+        const { address } = QueryAccountRequest.decode(data);
+        const account = this.accounts.get(address);
+        
+        if (!account) {
+          return {
+            code: 22,
+            log: `rpc error: code = NotFound desc = account ${address} not found: key not found`,
+            info: '',
+            index: '0',
+            height: String(this.blocks.length),
+            codespace: 'sdk'
+          };
+        }
+        
+        const baseAccount = BaseAccount.fromPartial({
+          address,
+          accountNumber: BigInt(account.accountNumber),
+          sequence: BigInt(account.sequence)
+        });
+        return ok(QueryAccountResponse.encode({
+          account: Any.fromPartial({ typeUrl: BASE_ACCOUNT_TYPE_URL, value: BaseAccount.encode(baseAccount).finish() })
+        }).finish());
+      }
+      case '/cosmos.bank.v1beta1.Query/AllBalances': {
+        const { address } = QueryAllBalancesRequest.decode(data);
+        const account = this.accounts.get(address);
+        const balances = account
+          ? [...account.balances].filter(([, amount]) => amount > 0n).map(([denom, amount]) => ({ denom, amount: amount.toString() }))
+          : [];
+        return ok(QueryAllBalancesResponse.encode(QueryAllBalancesResponse.fromPartial({ balances })).finish());
+      }
+      case '/cosmos.bank.v1beta1.Query/Balance': {
+        const { address, denom } = QueryBalanceRequest.decode(data);
+        return ok(QueryBalanceResponse.encode({
+          balance: { denom, amount: this.getBalance(address, denom).toString() }
+        }).finish());
+      }
+      case '/cosmos.tx.v1beta1.Service/Simulate': {
+        const { txBytes } = SimulateRequest.decode(data);
+        const body = TxBody.decode(TxRaw.decode(txBytes).bodyBytes);
+        const gasUsed = this.estimateGas(body.messages.length);
+        return ok(SimulateResponse.encode(SimulateResponse.fromPartial({
+          gasInfo: { gasWanted: gasUsed, gasUsed },
+          result: { data: new Uint8Array(), log: '', events: [] }
+        })).finish());
+      }
+      default:
+        return { code: 6, log: `unknown query path ${path}`, info: '', index: '0', height: String(this.blocks.length), codespace: 'sdk' };
+    }
+  }
+  
+  /**
+   * Run CheckTx and commit an accepted transaction
+   * @param {Buffer} txBytes - Encoded transaction
+   * @returns {Object} broadcast_tx_sync result
+   */
+  broadcastTxSync(txBytes) {
+    const hash = sha256Hex(txBytes);
+    
+    try {
+      this.deliverTx(new Uint8Array(txBytes));
+      return { code: 0, data: '', log: '[]', codespace: '', hash };
+    } catch (error) {
+      if (!(error instanceof CheckTxError)) {
+        throw error;
+      }
+      return { code: error.code, data: '', log: error.message, codespace: 'sdk', hash };
+    }
+  }
+  
+  /**
+   * Search transactions with pagination
+   * @param {Object} params - tx_search parameters
+   * @returns {Object} tx_search result
+   */
+  txSearch({ query, page = '1', per_page: perPage = '30', order_by: orderBy = 'asc' }) {
+    const txs = this.searchTxs(query);
+    if (orderBy === 'desc') {
+      txs.reverse();
+    }
+    
+    const start = (Number(page) - 1) * Number(perPage);
+    return {
+      txs: txs.slice(start, start + Number(perPage)).map(tx => this.formatTx(tx)),
+      total_count: String(txs.length)
+    };
+  }
+  
+  /**
+   * Format a stored transaction as an RPC tx response
+   * @param {Object} tx - Stored transaction
+   * @returns {Object} Tx response
+   */
+  formatTx(tx) {
+    return {
+      hash: tx.hash,
+      height: String(tx.height),
+      index: tx.index,
+      tx_result: {
+        code: 0,
+        data: '',
+        log: '',
+        info: '',
+        gas_wanted: tx.gasWanted.toString(),
+        gas_used: tx.gasUsed.toString(),
+        events: tx.events,
+        codespace: ''
+      },
+      tx: Buffer.from(tx.txBytes).toString('base64')
+    };
+  }
+  
+  /**
+   * Format a block as an RPC block response
+   * @param {number} height - Block height
+   * @returns {Object} Block response
+   */
+  block(height) {
+    const block = this.blocks[height - 1];
+    if (!block) {
+      throw new Error(`height ${height} must be less than or equal to the current blockchain height ${this.blocks.length}`);
+    }
+    
+    const emptyHash = '';
+    const blockId = { hash: sha256Hex(`${this.chainId}-${height}`), parts: { total: 1, hash: sha256Hex(`${this.chainId}-parts-${height}`) } };
+    
+    return {
+      block_id: blockId,
+      block: {
+        header: {
+          version: { block: '11', app: '0' },
+          chain_id: this.chainId,
+          height: String(height),
+          time: block.time,
+          last_block_id: { hash: emptyHash, parts: { total: 0, hash: emptyHash } },
+          last_commit_hash: emptyHash,
+          data_hash: emptyHash,
+          validators_hash: emptyHash,
+          next_validators_hash: emptyHash,
+          consensus_hash: emptyHash,
+          app_hash: emptyHash,
+          last_results_hash: emptyHash,
+          evidence_hash: emptyHash,
+          proposer_address: 'CD'.repeat(20)
+        },
+        data: { txs: block.txs.map(txBytes => Buffer.from(txBytes).toString('base64')) },
+        evidence: { evidence: [] },
+        last_commit: { height: String(height - 1), round: 0, block_id: { hash: emptyHash, parts: { total: 0, hash: emptyHash } }, signatures: [] }
+      }
+    };
+  }
+}
+
+export default MockChain;
+export { CheckTxError, ERROR_CODES };
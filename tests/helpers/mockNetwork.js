@@ -0,0 +1,190 @@
+// tests/helpers/mockNetwork.js
+import crypto from 'crypto';
+import { bech32 } from '@scure/base';
+import MockChain from './mockChain.js';
+import { CHANNELS_ENV } from './unionClientStub.js';
+import { getAddressForChain } from '../../core/blockchain/wallet.js';
+
+/**
+ * How the relayer handles packets
+ */
+const RELAY_MODES = {
+  ACK: 'ack',
+  RECV: 'recv',
+  TIMEOUT: 'timeout',
+  HOLD: 'hold'
+};
+
+/**
+ * A set of mock chains connected by Union channels, with a relayer that
+ * delivers packets between them
+ */
+class MockNetwork {
+  /**
+   * Create a new MockNetwork
+   * @param {Object} chains - Chain name to chain configuration
+   * @param {Array<string[]>} links - Pairs of chain names connected in both directions
+   */
+  constructor(chains, links) {
+    this.chainConfigs = chains;
+    this.links = links;
+    this.chains = {};
+    this.channels = [];
+    this.relayMode = RELAY_MODES.ACK;
+    this.pending = [];
+  }
+  
+  /**
+   * Start every chain and publish the channel list
+   * @returns {Promise<MockNetwork>} This network
+   */
+  async start() {
+    for (const [name, chainConfig] of Object.entries(this.chainConfigs)) {
+      const chain = new MockChain(chainConfig);
+      chain.on('packet', packet => setImmediate(() => this.relay(packet)));
+      await chain.start();
+      this.chains[name] = chain;
+    }
+    
+    const nextChannelId = new Map();
+    const openChannel = (source, destination) => {
+      const sourceChannelId = (nextChannelId.get(source) || 0) + 1;
+      const destinationChannelId = (nextChannelId.get(destination) || 0) + 1;
+      nextChannelId.set(source, sourceChannelId);
+      nextChannelId.set(destination, destinationChannelId);
+      
+      return {
+        source_chain_id: this.chainConfigs[source].chainId,
+        source_port_id: Buffer.from(this.contractAddress(source)).toString('hex'),
+        source_channel_id: sourceChannelId,
+        source_connection_id: sourceChannelId,
+        destination_chain_id: this.chainConfigs[destination].chainId,
+        destination_port_id: Buffer.from(this.contractAddress(destination)).toString('hex'),
+        destination_channel_id: destinationChannelId,
+        destination_connection_id: destinationChannelId
+      };
+    };
+    
+    for (const [a, b] of this.links) {
+      this.channels.push(openChannel(a, b), openChannel(b, a));
+    }
+    
+    process.env[CHANNELS_ENV] = JSON.stringify(this.channels);
+    return this;
+  }
+  
+  /**
+   * Stop every chain
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await Promise.all(Object.values(this.chains).map(chain => chain.stop()));
+    delete process.env[CHANNELS_ENV];
+  }
+  
+  /**
+   * Address of the Union transfer contract on a chain
+   * @param {string} name - Chain name
+   * @returns {string} Bech32 contract address
+   */
+  contractAddress(name) {
+    const bytes = crypto.createHash('sha256').update(`ucs03-${this.chainConfigs[name].chainId}`).digest();
+    return bech32.encode(this.chainConfigs[name].prefix, bech32.toWords(bytes));
+  }
+  
+  /**
+   * Fund a wallet with native tokens on every chain
+   * @param {string} privateKey - Private key in hex or mnemonic entry
+   * @param {string|number|bigint} amount - Raw amount credited on each chain
+   * @returns {Promise<Object>} Chain name to wallet address
+   */
+  async fundWallet(privateKey, amount) {
+    const addresses = {};
+    
+    for (const [name, chain] of Object.entries(this.chains)) {
+      addresses[name] = await getAddressForChain(privateKey, this.chainConfigs[name]);
+      chain.fund(addresses[name], amount);
+    }
+    
+    return addresses;
+  }
+  
+  /**
+   * Find a chain by chain ID
+   * @param {string} chainId - Chain ID
+   * @returns {MockChain|undefined} Chain
+   */
+  chainById(chainId) {
+    return Object.values(this.chains).find(chain => chain.chainId === chainId);
+  }
+  
+  /**
+   * Relay a packet according to the current relay mode
+   * @param {Object} packet - Packet emitted by a source chain
+   */
+  relay(packet) {
+    if (this.relayMode === RELAY_MODES.HOLD) {
+      this.pending.push(packet);
+      return;
+    }
+    
+    const source = this.chainById(packet.sourceChainId);
+    const channel = this.channels.find(chan =>
+      chan.source_chain_id === packet.sourceChainId && chan.source_channel_id === Number(packet.channel_id)
+    );
+    
+    if (!channel || this.relayMode === RELAY_MODES.TIMEOUT) {
+      source.timeoutPacket(packet);
+      return;
+    }
+    
+    const destination = this.chainById(channel.destination_chain_id);
+    const denom = Buffer.from(packet.quote_token.replace(/^0x/, ''), 'hex').toString('utf8');
+    destination.receivePacket({ ...packet, destinationChannelId: channel.destination_channel_id }, denom);
+    
+    if (this.relayMode === RELAY_MODES.ACK) {
+      source.acknowledgePacket(packet);
+    }
+  }
+  
+  /**
+   * Relay every held packet with the current relay mode
+   */
+  flush() {
+    const packets = this.pending.splice(0);
+    packets.forEach(packet => this.relay(packet));
+  }
+}
+
+/**
+ * Start a mock network for the configured chains
+ * @param {Object} chains - Chain name to chain configuration
+ * @param {Array<string[]>} links - Pairs of chain names connected by channels
+ * @returns {Promise<MockNetwork>} Started network
+ */
+async function startMockNetwork(chains, links) {
+  return new MockNetwork(chains, links).start();
+}
+
+/**
+ * Build an application config that points every chain at the mock network
+ * @param {Object} baseConfig - Application configuration
+ * @param {MockNetwork} network - Started network
+ * @returns {Object} Test configuration
+ */
+function createTestConfig(baseConfig, network) {
+  const chains = Object.fromEntries(Object.entries(baseConfig.chains).map(([name, chain]) => [
+    name,
+    { ...chain, rpcEndpoint: network.chains[name].url, rpcEndpoints: [network.chains[name].url] }
+  ]));
+  
+  return {
+    ...baseConfig,
+    chains,
+    packetTracking: { timeoutMs: 5000, pollIntervalMs: 25, waitForAck: true },
+    broadcast: { timeoutMs: 5000, pollIntervalMs: 25 }
+  };
+}
+
+export default MockNetwork;
+export { startMockNetwork, createTestConfig, RELAY_MODES };
@@ -0,0 +1,12 @@
+// tests/helpers/progressWorker.js
+// Worker thread for progress store tests: counts transfers for one wallet through its own ProgressService.
+import { parentPort, workerData } from 'worker_threads';
+import ProgressService from '../../core/progress/progress.js';
+
+const progressService = new ProgressService(workerData.walletId, workerData.walletIndex);
+
+for (let i = 0; i < workerData.updates; i++) {
+  await progressService.updateTransferCount(workerData.chain);
+}
+
+parentPort.postMessage('done');
@@ -0,0 +1,29 @@
+// tests/helpers/sandbox.js
+// Import first in every test file: runs the test in a temporary working
+// directory (logs/, data/, keystore.json) and points configuration and the Union client at
+// test fixtures before the application modules load.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const helpersDir = path.dirname(fileURLToPath(import.meta.url));
+const sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'union-quest-bot-test-'));
+
+process.chdir(sandboxDir);
+process.env.CHAIN_CONFIG_DIR = path.join(sandboxDir, 'chains.d');
+process.env.QUEST_CONFIG_DIR = path.join(helpersDir, '..', 'fixtures', 'quests.d');
+process.env.UNION_CLIENT_MODULE = path.join(helpersDir, 'unionClientStub.js');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+process.on('exit', () => fs.rmSync(sandboxDir, { recursive: true, force: true }));
+
+/**
+ * Remove the progress, ledger and keystore files written by previous tests
+ */
+function resetData() {
+  fs.rmSync(path.join(sandboxDir, 'data'), { recursive: true, force: true });
+  fs.rmSync(path.join(sandboxDir, 'keystore.json'), { force: true });
+}
+
+export { sandboxDir, resetData };
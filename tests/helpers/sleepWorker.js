@@ -0,0 +1,19 @@
+// tests/helpers/sleepWorker.js
+// Pooled worker for WorkerPool tests: waits for the requested time and reports when it ran
+// and on which thread. A task with `crash` set ends the worker instead.
+import { parentPort, threadId } from 'worker_threads';
+
+parentPort.on('message', async ({ taskId, workerData }) => {
+  if (workerData.crash) {
+    process.exit(1);
+  }
+  
+  const startedAt = Date.now();
+  await new Promise(resolve => setTimeout(resolve, workerData.delayMs || 0));
+  
+  parentPort.postMessage({
+    taskId,
+    success: true,
+    result: { success: true, name: workerData.name, threadId, startedAt, finishedAt: Date.now() }
+  });
+});
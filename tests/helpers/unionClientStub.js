@@ -0,0 +1,73 @@
+// tests/helpers/unionClientStub.js
+// Stand-in for @unionlabs/client, loaded through UNION_CLIENT_MODULE.
+// It provides the channel and token lookups the bot uses: getRecommendedChannels,
+// getChannelInfo, getQuoteToken and bech32AddressToHex. Channels come from the mock network.
+import { bech32 } from '@scure/base';
+
+// Environment variable the mock network publishes its channels in,
+// so worker threads see the same channels as the main thread
+const CHANNELS_ENV = 'MOCK_UNION_CHANNELS';
+
+/**
+ * Minimal neverthrow-style result
+ * @param {any} value - Success value
+ * @returns {Object} Ok result
+ */
+function ok(value) {
+  return { value, isOk: () => true, isErr: () => false };
+}
+
+/**
+ * Get the channels published by the mock network
+ * @returns {Promise<Object[]>} Channels
+ */
+async function getRecommendedChannels() {
+  if (!process.env[CHANNELS_ENV]) {
+    throw new Error('No mock network is running');
+  }
+  return JSON.parse(process.env[CHANNELS_ENV]);
+}
+
+/**
+ * Find the channel between two chains
+ * @param {string} sourceChainId - Source chain ID
+ * @param {string} destinationChainId - Destination chain ID
+ * @param {Object[]} channels - Channels
+ * @returns {Object|null} Channel
+ */
+function getChannelInfo(sourceChainId, destinationChainId, channels) {
+  return channels.find(channel =>
+    channel.source_chain_id === sourceChainId && channel.destination_chain_id === destinationChainId
+  ) || null;
+}
+
+/**
+ * Quote a wrapped token named after the destination chain and base denom
+ * @param {string} sourceChainId - Source chain ID
+ * @param {string} baseToken - Base token in hex
+ * @param {Object} channel - Channel
+ * @returns {Promise<Object>} Result with the quote token
+ */
+async function getQuoteToken(sourceChainId, baseToken, channel) {
+  const denom = Buffer.from(baseToken.replace(/^0x/, ''), 'hex').toString('utf8');
+  const quoteToken = `0x${Buffer.from(`${channel.destination_chain_id}/${denom}`).toString('hex')}`;
+  return ok({ type: 'NEW_WRAPPED', quote_token: quoteToken });
+}
+
+/**
+ * Convert a bech32 address to hex
+ * @param {{address: string}} options - Address to convert
+ * @returns {string} 0x-prefixed hex address
+ */
+function bech32AddressToHex({ address }) {
+  const { words } = bech32.decode(address);
+  return `0x${Buffer.from(bech32.fromWords(words)).toString('hex')}`;
+}
+
+export {
+  CHANNELS_ENV,
+  getRecommendedChannels,
+  getChannelInfo,
+  getQuoteToken,
+  bech32AddressToHex
+};
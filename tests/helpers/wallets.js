@@ -0,0 +1,41 @@
+// tests/helpers/wallets.js
+import ProgressStore from '../../core/progress/store.js';
+import { KeySigner } from '../../core/blockchain/signers/index.js';
+
+/**
+ * Get the ID registerTestWallets gives a wallet unless other IDs are given
+ * @param {number} walletIndex - Wallet index
+ * @returns {string} Wallet ID (and Union address)
+ */
+function testWalletId(walletIndex) {
+  return `union1wallet${walletIndex}`;
+}
+
+/**
+ * Register wallets in the progress store without deriving real addresses
+ * Wallet n gets the ID (and Union address) union1wallet<n>, unless other IDs are given.
+ * @param {number} count - Number of wallets
+ * @param {string[]} [walletIds] - Wallet IDs in wallet order
+ * @returns {Promise<Object>} Result of the registration
+ */
+function registerTestWallets(count, walletIds = Array.from({ length: count }, (_, i) => testWalletId(i))) {
+  return new ProgressStore().registerWallets(walletIds.map((walletId, walletIndex) => ({
+    walletIndex,
+    walletId,
+    addresses: { UNION: walletId }
+  })));
+}
+
+/**
+ * Create a key signer with a wallet ID, as setupWallets would leave it
+ * @param {string} privateKey - Hex private key
+ * @param {number} [walletIndex] - Wallet index
+ * @returns {KeySigner} Signer with the wallet ID union1wallet<walletIndex>
+ */
+function createTestSigner(privateKey, walletIndex = 0) {
+  const signer = new KeySigner(privateKey, walletIndex);
+  signer.walletId = testWalletId(walletIndex);
+  return signer;
+}
+
+export { registerTestWallets, testWalletId, createTestSigner };
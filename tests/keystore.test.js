@@ -0,0 +1,105 @@
+// tests/keystore.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import {
+  KEYSTORE_PATH,
+  KeystoreError,
+  importKeys,
+  readKeystore,
+  parseKeyFile
+} from '../core/blockchain/keystore.js';
+import { readPrivateKeys, getAddressForChain, setupWallets } from '../core/blockchain/wallet.js';
+import { openSigners } from '../core/blockchain/signers/index.js';
+import ProgressService from '../core/progress/progress.js';
+import config from '../config/index.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// BIP39 test mnemonic and its first Cosmos Hub address (m/44'/118'/0'/0/0)
+const MNEMONIC = `${'abandon '.repeat(11)}about`;
+const COSMOS_ADDRESS = 'cosmos19rl4cm2hmr8afy4kldpxz3fka4jguq0auqdal4';
+
+describe('encrypted keystore', () => {
+  let keys;
+  
+  beforeEach(() => {
+    resetData();
+    keys = [crypto.randomBytes(32).toString('hex'), crypto.randomBytes(32).toString('hex')];
+  });
+  
+  it('stores keys encrypted and reads them back in order', async () => {
+    assert.deepEqual(await importKeys(keys, PASSPHRASE), { added: 2, skipped: 0, total: 2 });
+    
+    const contents = await fs.readFile(KEYSTORE_PATH, 'utf8');
+    keys.forEach(key => assert.ok(!contents.includes(key)));
+    assert.equal(JSON.parse(contents).kdf.name, 'scrypt');
+    
+    assert.deepEqual(await readKeystore(PASSPHRASE), keys);
+  });
+  
+  it('rejects a wrong passphrase', async () => {
+    await importKeys(keys, PASSPHRASE);
+    
+    await assert.rejects(readKeystore('not the passphrase'), KeystoreError);
+    await assert.rejects(importKeys([crypto.randomBytes(32).toString('hex')], 'not the passphrase'), KeystoreError);
+  });
+  
+  it('appends new keys and skips keys it already holds', async () => {
+    await importKeys([keys[0]], PASSPHRASE);
+    
+    const summary = await importKeys([`0x${keys[0].toUpperCase()}`, keys[1]], PASSPHRASE);
+    
+    assert.deepEqual(summary, { added: 1, skipped: 1, total: 2 });
+    assert.deepEqual(await readKeystore(PASSPHRASE), keys);
+  });
+  
+  it('validates keys and the passphrase of a new keystore', async () => {
+    await assert.rejects(importKeys(['not-a-key'], PASSPHRASE), /Invalid wallet key/);
+    await assert.rejects(importKeys(keys, 'short'), /at least 8 characters/);
+    await assert.rejects(fs.access(KEYSTORE_PATH));
+  });
+  
+  it('reads pk.txt style files and loads no wallets without a keystore', async () => {
+    assert.deepEqual(parseKeyFile(`# wallets\r\n${keys[0]}\r\n\r\n${keys[1]}\r\n`), keys);
+    assert.deepEqual(await readPrivateKeys(PASSPHRASE), []);
+  });
+  
+  it('stores mnemonic entries with their HD account options', async () => {
+    await importKeys([`  ${MNEMONIC.toUpperCase()}  account=2 index=0 `], PASSPHRASE);
+    
+    assert.deepEqual(await readKeystore(PASSPHRASE), [`${MNEMONIC} account=2`]);
+    await assert.rejects(importKeys([`${'abandon '.repeat(12)}`], PASSPHRASE), KeystoreError);
+    await assert.rejects(importKeys([`${MNEMONIC} change=1`], PASSPHRASE), /Invalid mnemonic option/);
+  });
+});
+
+describe('mnemonic wallets', () => {
+  beforeEach(() => {
+    resetData();
+  });
+  
+  it('derives addresses on the HD path of the chain coin type', async () => {
+    const cosmos = { prefix: 'cosmos' };
+    
+    assert.equal(await getAddressForChain(MNEMONIC, cosmos), COSMOS_ADDRESS);
+    assert.notEqual(await getAddressForChain(MNEMONIC, { ...cosmos, coinType: 60 }), COSMOS_ADDRESS);
+    assert.notEqual(await getAddressForChain(`${MNEMONIC} account=1`, cosmos), COSMOS_ADDRESS);
+    assert.notEqual(await getAddressForChain(`${MNEMONIC} index=1`, cosmos), COSMOS_ADDRESS);
+  });
+  
+  it('sets up mnemonic wallets next to private key wallets', async () => {
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    await importKeys([privateKey, MNEMONIC], PASSPHRASE);
+    
+    const signers = await setupWallets(config, await openSigners(config, PASSPHRASE));
+    assert.deepEqual(signers.map(signer => signer.walletIndex), [0, 1]);
+    
+    const { addresses } = await new ProgressService(signers[1].walletId, 1).readProgressData();
+    assert.equal(addresses.UNION, await getAddressForChain(MNEMONIC, config.chains.UNION));
+    assert.equal(signers[1].walletId, addresses.UNION);
+    assert.match(addresses.BABYLON, /^bbn1/);
+  });
+});
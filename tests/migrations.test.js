@@ -0,0 +1,105 @@
+// tests/migrations.test.js
+import { sandboxDir, resetData } from './helpers/sandbox.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import quests from '../config/quests.js';
+import ProgressService from '../core/progress/progress.js';
+import ProgressStore from '../core/progress/store.js';
+import migrateProgressData, { PROGRESS_SCHEMA_VERSION, MigrationError } from '../core/progress/migrations.js';
+import { registerTestWallets, testWalletId } from './helpers/wallets.js';
+
+const DATA_DIR = path.join(sandboxDir, 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'progress-backups');
+
+/**
+ * List the progress backups
+ * @returns {string[]} Backup file names
+ */
+const listBackups = () => fs.existsSync(BACKUP_DIR) ? fs.readdirSync(BACKUP_DIR) : [];
+
+describe('progress migrations', () => {
+  beforeEach(() => {
+    resetData();
+  });
+  
+  it('upgrades version 1 progress files and backs up the original', async () => {
+    const original = {
+      version: 1,
+      lastUpdated: '2024-01-01T00:00:00.000Z',
+      addresses: { UNION: 'union1wallet0', BABYLON: null, STARGAZE: null, STRIDE: null },
+      dailyInteractions: { UNION: { lastInteraction: '2024-01-01', count: 3 }, BABYLON: { lastInteraction: null, count: 0 } },
+      transfers: { UNION: { count: 4 }, BABYLON: { count: 0 } },
+      crossChain: { CHAIN_REACTION: { completed: true }, TRIPLE_THREAT: { completed: false }, SIX_CHAINS: { completed: false } }
+    };
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(path.join(DATA_DIR, 'progress-0.json'), JSON.stringify(original));
+    await registerTestWallets(1);
+    
+    const progressData = await new ProgressService(testWalletId(0), 0).readProgressData();
+    
+    assert.equal(progressData.version, PROGRESS_SCHEMA_VERSION);
+    assert.equal(progressData.addresses.UNION, 'union1wallet0');
+    assert.equal(progressData.label, null);
+    assert.equal(progressData.dailyInteractions.UNION.count, 3);
+    assert.deepEqual(progressData.dailyInteractions.UNION.dates, ['2024-01-01']);
+    assert.deepEqual(progressData.dailyInteractions.BABYLON.dates, []);
+    assert.equal(progressData.transfers.UNION.count, 4);
+    assert.deepEqual(progressData.crossChain.CHAIN_REACTION, { completed: true, path: null, hops: [], fundsAt: null });
+    assert.deepEqual(Object.keys(progressData.custom), quests.CUSTOM.map(quest => quest.name));
+    
+    const backups = listBackups();
+    assert.equal(backups.length, 1);
+    assert.match(backups[0], /^progress-union1wallet0-v1-/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, backups[0]), 'utf8')), original);
+  });
+  
+  it('adds entries for newly configured chains and quests', async () => {
+    await registerTestWallets(1);
+    const store = new ProgressStore();
+    const progressData = new ProgressService(testWalletId(0), 0).getDefaultProgressData();
+    progressData.transfers.UNION.count = 2;
+    delete progressData.transfers.BABYLON;
+    delete progressData.crossChain.SIX_CHAINS;
+    await store.updateWallet(testWalletId(0), () => progressData);
+    
+    const migrated = await new ProgressService(testWalletId(0), 0).readProgressData();
+    
+    assert.deepEqual(migrated.transfers, { UNION: { count: 2 }, BABYLON: { count: 0 } });
+    assert.equal(migrated.crossChain.SIX_CHAINS.completed, false);
+    assert.equal(listBackups().length, 1);
+  });
+  
+  it('leaves current progress data alone', async () => {
+    await registerTestWallets(1);
+    const progressService = new ProgressService(testWalletId(0), 0);
+    await progressService.updateTransferCount('UNION');
+    
+    const progressData = await new ProgressService(testWalletId(0), 0).readProgressData();
+    
+    assert.equal(progressData.transfers.UNION.count, 1);
+    assert.equal(listBackups().length, 0);
+  });
+  
+  it('asks for a reconcile when only the last day of daily interactions is known', () => {
+    const { data, warnings } = migrateProgressData({
+      version: 3,
+      label: null,
+      dailyInteractions: { UNION: { lastInteraction: '2024-01-03', count: 3 }, BABYLON: { lastInteraction: '2024-01-01', count: 1 } }
+    });
+    
+    assert.deepEqual(data.dailyInteractions.UNION.dates, ['2024-01-03']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /on UNION is known.*reconcile --yes/);
+    assert.deepEqual(migrateProgressData(data).warnings, []);
+  });
+  
+  it('refuses progress data written by a newer version', async () => {
+    await registerTestWallets(1);
+    const progressData = { ...new ProgressService(testWalletId(0), 0).getDefaultProgressData(), version: PROGRESS_SCHEMA_VERSION + 1 };
+    await new ProgressStore().updateWallet(testWalletId(0), () => progressData);
+    
+    await assert.rejects(new ProgressService(testWalletId(0), 0).updateTransferCount('UNION'), MigrationError);
+  });
+});
@@ -0,0 +1,137 @@
+// tests/planner.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripVTControlCharacters } from 'util';
+import crypto from 'crypto';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig } from './helpers/mockNetwork.js';
+import { setupWallets } from '../core/blockchain/wallet.js';
+import { importKeys } from '../core/blockchain/keystore.js';
+import { openSigners } from '../core/blockchain/signers/index.js';
+import ProgressService from '../core/progress/progress.js';
+import DailyInteractionService from '../core/quests/dailyInteraction.js';
+import TransferQuestService from '../core/quests/transferQuest.js';
+import CrossChainQuestService, { HOP_STATUS } from '../core/quests/crossChainQuest.js';
+import QuestPlanner from '../core/quests/planner.js';
+import { displayPlan } from '../ui/screens.js';
+
+const WALLET_INDEX = 0;
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('dry-run planning', () => {
+  let network;
+  let config;
+  let planner;
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, [
+      ['UNION', 'BABYLON'],
+      ['UNION', 'STARGAZE'],
+      ['BABYLON', 'STARGAZE']
+    ]);
+    config = createTestConfig(baseConfig, network);
+    planner = new QuestPlanner(config);
+  });
+  
+  after(async () => {
+    await network.stop();
+  });
+  
+  beforeEach(() => {
+    resetData();
+  });
+  
+  /**
+   * Fund a new wallet on every chain and register it
+   * @param {bigint} amount - Raw amount per chain
+   * @returns {Promise<{signer: Signer, addresses: Object}>} Signer and funded addresses
+   */
+  async function createWallet(amount) {
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    const addresses = await network.fundWallet(privateKey, amount);
+    await importKeys([privateKey], PASSPHRASE);
+    const [signer] = await setupWallets(config, await openSigners(config, PASSPHRASE));
+    return { signer, addresses };
+  }
+  
+  it('lists the daily and transfer steps with fees and signs nothing', async () => {
+    const { signer, addresses } = await createWallet(10000000n);
+    const daily = new DailyInteractionService(config);
+    const transfer = new TransferQuestService(config);
+    
+    const plan = await planner.plan([signer], [WALLET_INDEX], [
+      { quest: 'daily', planWallet: (s, i) => daily.planWallet(s, i) },
+      { quest: 'transfer', planWallet: (s, i) => transfer.planWallet(s, i, { chain: 'BABYLON', count: 2 }) }
+    ]);
+    const [wallet] = plan.wallets;
+    
+    assert.deepEqual(wallet.steps.map(step => `${step.quest} ${step.transferType}`), [
+      'daily UNION_TO_UNION',
+      'daily BABYLON_TO_BABYLON',
+      'transfer UNION_TO_BABYLON',
+      'transfer UNION_TO_BABYLON'
+    ]);
+    assert.equal(wallet.steps[0].estimatedFee.gas, String(config.fees.plannedGas.sameChain));
+    assert.equal(wallet.steps[2].estimatedFee.gas, String(config.fees.plannedGas.crossChain));
+    assert.equal(wallet.steps[2].receiver, addresses.BABYLON);
+    
+    // Two IBC transfers and a self-transfer are paid from the Union balance
+    const union = wallet.funds.find(fund => fund.chain === 'UNION');
+    const expected = wallet.steps.filter(step => step.sourceChain === 'UNION')
+      .reduce((total, step) => total + BigInt(step.rawAmount) + BigInt(step.estimatedFee.amount), 0n);
+    assert.equal(union.required, expected.toString());
+    assert.equal(union.balance, '10000000');
+    assert.equal(wallet.ready, true);
+    assert.deepEqual(plan.summary, { wallets: 1, steps: 4, ready: 1 });
+    
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 0);
+    assert.equal(network.chains.BABYLON.getSequence(addresses.BABYLON), 0);
+  });
+  
+  it('prints display amounts with the symbol of their chain', async (t) => {
+    const { signer } = await createWallet(10000000n);
+    const daily = new DailyInteractionService(config);
+    const plan = await planner.plan([signer], [WALLET_INDEX], [{ quest: 'daily', planWallet: (s, i) => daily.planWallet(s, i) }]);
+    const log = t.mock.method(console, 'log', () => {});
+    
+    displayPlan(plan, config);
+    
+    const output = stripVTControlCharacters(log.mock.calls.map(call => call.arguments.join(' ')).join('\n'));
+    assert.match(output, /UNION_TO_UNION: 0\.000001 MUNO to union1/);
+    assert.match(output, /UNION: needs 0\.\d+ MUNO, has 10\.000000 MUNO OK/);
+    assert.doesNotMatch(output, /\d (muno|ubbn)\b/);
+  });
+  
+  it('flags wallets that cannot pay for their plan', async () => {
+    const { signer } = await createWallet(1000n);
+    const daily = new DailyInteractionService(config);
+    
+    const plan = await planner.plan([signer], [WALLET_INDEX], [
+      { quest: 'daily', planWallet: (s, i) => daily.planWallet(s, i) }
+    ]);
+    const [wallet] = plan.wallets;
+    
+    assert.equal(wallet.ready, false);
+    assert.ok(wallet.funds.every(fund => !fund.sufficient && fund.balance === '1000'));
+  });
+  
+  it('plans only the remaining hops of a partial cross-chain attempt', async () => {
+    const { signer } = await createWallet(10000000n);
+    const service = new CrossChainQuestService(config);
+    await new ProgressService(signer.walletId, WALLET_INDEX).updateCrossChainQuest('TRIPLE_THREAT', false, {
+      path: ['UNION', 'BABYLON', 'STARGAZE'],
+      hops: [{ from: 'UNION', to: 'BABYLON', hash: 'AB12', status: HOP_STATUS.DELIVERED }],
+      fundsAt: 'BABYLON'
+    });
+    
+    const plan = await planner.plan([signer], [WALLET_INDEX], [
+      { quest: 'cross-chain', planWallet: (s, i) => service.planWallet(s, i, { quest: 'TRIPLE_THREAT' }) }
+    ]);
+    const [wallet] = plan.wallets;
+    
+    assert.deepEqual(wallet.steps.map(step => step.transferType), ['BABYLON_TO_STARGAZE']);
+    assert.ok(wallet.notes.includes('TRIPLE_THREAT resumes at hop 2/2'));
+    assert.deepEqual(wallet.errors, []);
+  });
+});
@@ -0,0 +1,189 @@
+// tests/quests.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig, RELAY_MODES } from './helpers/mockNetwork.js';
+import { setupWallets } from '../core/blockchain/wallet.js';
+import { importKeys } from '../core/blockchain/keystore.js';
+import { openSigners } from '../core/blockchain/signers/index.js';
+import ProgressService from '../core/progress/progress.js';
+import DailyInteractionService from '../core/quests/dailyInteraction.js';
+import TransferQuestService from '../core/quests/transferQuest.js';
+import CrossChainQuestService, { HOP_STATUS } from '../core/quests/crossChainQuest.js';
+import CustomQuestService from '../core/quests/customQuest.js';
+import { getQuestDay, addDays, getStreaks } from '../utils/dates.js';
+import { sleep } from '../utils/common.js';
+
+const WALLET_INDEX = 0;
+const FUNDING = 10000000n;
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('quest services against the mock network', () => {
+  let network;
+  let config;
+  let signer;
+  let addresses;
+  let progressService;
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, [
+      ['UNION', 'BABYLON'],
+      ['UNION', 'STARGAZE'],
+      ['UNION', 'STRIDE'],
+      ['BABYLON', 'STARGAZE']
+    ]);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    network.relayMode = RELAY_MODES.ACK;
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    addresses = await network.fundWallet(privateKey, FUNDING);
+    
+    await importKeys([privateKey], PASSPHRASE);
+    [signer] = await setupWallets(config, await openSigners(config, PASSPHRASE));
+    progressService = new ProgressService(signer.walletId, WALLET_INDEX);
+  });
+  
+  it('derives and stores the wallet addresses', async () => {
+    const progressData = await progressService.readProgressData();
+    assert.deepEqual(progressData.addresses, addresses);
+  });
+  
+  it('runs each daily interaction once per day', async () => {
+    const service = new DailyInteractionService(config);
+    const today = new Date().toISOString().split('T')[0];
+    
+    assert.deepEqual(await service.run(signer, WALLET_INDEX), { total: 2, succeeded: 2 });
+    
+    const progressData = await progressService.readProgressData();
+    assert.equal(progressData.dailyInteractions.UNION.lastInteraction, today);
+    assert.equal(progressData.dailyInteractions.BABYLON.lastInteraction, today);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 1);
+    
+    assert.deepEqual(await service.run(signer, WALLET_INDEX), { total: 0, succeeded: 0 });
+  });
+  
+  it('records daily interactions on the quest day of the configured time zone', async () => {
+    const dayBoundary = { timeZone: '+14:00' };
+    const service = new DailyInteractionService({ ...config, dayBoundary });
+    const today = getQuestDay(new Date(), dayBoundary.timeZone);
+    await progressService.updateDailyInteraction('UNION', addDays(today, -1));
+    
+    await service.run(signer, WALLET_INDEX);
+    // A second record for the same day does not count as another day
+    await progressService.updateDailyInteraction('UNION', today);
+    
+    const { UNION } = (await progressService.readProgressData()).dailyInteractions;
+    assert.deepEqual(UNION.dates, [addDays(today, -1), today]);
+    assert.equal(UNION.count, 2);
+    assert.deepEqual(getStreaks(UNION.dates, today), { current: 2, longest: 2 });
+  });
+  
+  it('schedules daily interactions on every chain in the quest config', async () => {
+    const service = new DailyInteractionService({
+      ...config,
+      quests: {
+        ...config.quests,
+        DAILY_INTERACTION: { ...config.quests.DAILY_INTERACTION, STARGAZE: { CURIOUS: { days: 3, xp: 5 } } }
+      }
+    });
+    
+    assert.deepEqual(await service.run(signer, WALLET_INDEX), { total: 3, succeeded: 3 });
+    assert.equal(network.chains.STARGAZE.getSequence(addresses.STARGAZE), 1);
+    
+    const progressData = await progressService.readProgressData();
+    assert.equal(progressData.dailyInteractions.STARGAZE.count, 1);
+  });
+  
+  it('counts delivered transfers towards transfer quests', async () => {
+    const service = new TransferQuestService(config);
+    
+    const outcome = await service.run(signer, WALLET_INDEX, { chain: 'BABYLON', count: 1 });
+    
+    assert.deepEqual(outcome, { total: 1, succeeded: 1 });
+    assert.equal((await progressService.readProgressData()).transfers.BABYLON.count, 1);
+    assert.equal(network.chains.BABYLON.getBalance(addresses.BABYLON, 'bbn-test-5/muno'), 10n);
+  });
+  
+  it('does not count transfers that time out', async () => {
+    network.relayMode = RELAY_MODES.TIMEOUT;
+    const service = new TransferQuestService(config);
+    
+    const outcome = await service.run(signer, WALLET_INDEX, { chain: 'BABYLON', count: 1 });
+    
+    assert.deepEqual(outcome, { total: 1, succeeded: 0 });
+    assert.equal((await progressService.readProgressData()).transfers.BABYLON.count, 0);
+  });
+  
+  it('resumes a cross-chain quest from a hop that was in flight', async () => {
+    const service = new CrossChainQuestService({
+      ...config,
+      packetTracking: { ...config.packetTracking, timeoutMs: 1000 }
+    });
+    
+    network.relayMode = RELAY_MODES.HOLD;
+    assert.deepEqual(await service.run(signer, WALLET_INDEX, { quest: 'TRIPLE_THREAT' }), { total: 1, succeeded: 0 });
+    
+    let quest = (await progressService.readProgressData()).crossChain.TRIPLE_THREAT;
+    assert.deepEqual(quest.path, ['UNION', 'BABYLON', 'STARGAZE']);
+    assert.equal(quest.hops[0].status, HOP_STATUS.IN_FLIGHT);
+    assert.equal(quest.fundsAt, 'UNION');
+    
+    network.relayMode = RELAY_MODES.ACK;
+    network.flush();
+    assert.deepEqual(await service.run(signer, WALLET_INDEX, { quest: 'TRIPLE_THREAT' }), { total: 1, succeeded: 1 });
+    
+    quest = (await progressService.readProgressData()).crossChain.TRIPLE_THREAT;
+    assert.equal(quest.completed, true);
+    assert.deepEqual(quest.hops.map(hop => hop.status), [HOP_STATUS.DELIVERED, HOP_STATUS.DELIVERED]);
+    assert.equal(quest.fundsAt, 'STARGAZE');
+    
+    // The first hop was only sent once
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 1);
+  });
+  
+  it('plans routed cross-chain quests over the mock channels', async () => {
+    const service = new CrossChainQuestService(config);
+    const path = await service.resolvePath(config.quests.CROSS_CHAIN.find(quest => quest.name === 'SIX_CHAINS'));
+    
+    assert.deepEqual(path, ['UNION', 'BABYLON', 'STARGAZE', 'UNION', 'STRIDE', 'UNION', 'BABYLON', 'UNION']);
+  });
+  
+  it('completes a custom contract-send quest', async () => {
+    const service = new CustomQuestService(config);
+    const [quest] = config.quests.CUSTOM;
+    
+    assert.deepEqual(await service.run(signer, WALLET_INDEX, { quest: quest.name }), { total: 2, succeeded: 2 });
+    
+    const progress = (await progressService.readProgressData()).custom[quest.name];
+    assert.deepEqual(progress, { completed: true, count: 2 });
+    assert.equal(network.chains.UNION.getBalance(quest.contract), 200n);
+    
+    assert.deepEqual(await service.run(signer, WALLET_INDEX, { quest: quest.name }), { total: 0, succeeded: 0 });
+  });
+  
+  it('starts the next wallet of a custom quest run as soon as one finishes', async () => {
+    const finished = [];
+    class TimedCustomQuestService extends CustomQuestService {
+      async run(walletSigner, walletIndex) {
+        await sleep(walletIndex === 0 ? 300 : 20);
+        finished.push(walletIndex);
+        return { total: 1, succeeded: 1 };
+      }
+    }
+    
+    const outcome = await new TimedCustomQuestService(config).runForAll([signer, signer, signer, signer], {}, 2);
+    
+    assert.deepEqual(outcome, { total: 4, succeeded: 4 });
+    // Wallets 2 and 3 do not wait for the slow wallet 0
+    assert.deepEqual(finished, [1, 2, 3, 0]);
+  });
+});
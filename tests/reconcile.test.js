@@ -0,0 +1,138 @@
+// tests/reconcile.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig, RELAY_MODES } from './helpers/mockNetwork.js';
+import { setupWallets } from '../core/blockchain/wallet.js';
+import { importKeys } from '../core/blockchain/keystore.js';
+import { openSigners } from '../core/blockchain/signers/index.js';
+import ProgressService from '../core/progress/progress.js';
+import ReconcileService from '../core/progress/reconcile.js';
+import DailyInteractionService from '../core/quests/dailyInteraction.js';
+import TransferQuestService from '../core/quests/transferQuest.js';
+import CrossChainQuestService from '../core/quests/crossChainQuest.js';
+import { getQuestDay } from '../utils/dates.js';
+
+const WALLET_INDEX = 0;
+const FUNDING = 10000000n;
+const PASSPHRASE = 'correct horse battery staple';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('reconciling progress against the mock network', () => {
+  let network;
+  let config;
+  let signer;
+  let progressService;
+  let reconcileService;
+  
+  /**
+   * Find the change reported for a progress field
+   * @param {Object} report - Report created by buildReport
+   * @param {string} field - Field path
+   * @returns {Object|undefined} Change
+   */
+  const findChange = (report, field) => report.changes.find(change => change.field === field);
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, [
+      ['UNION', 'BABYLON'],
+      ['UNION', 'STARGAZE'],
+      ['UNION', 'STRIDE'],
+      ['BABYLON', 'STARGAZE']
+    ]);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    network.relayMode = RELAY_MODES.ACK;
+    const privateKey = crypto.randomBytes(32).toString('hex');
+    await network.fundWallet(privateKey, FUNDING);
+    
+    await importKeys([privateKey], PASSPHRASE);
+    [signer] = await setupWallets(config, await openSigners(config, PASSPHRASE));
+    progressService = new ProgressService(signer.walletId, WALLET_INDEX);
+    reconcileService = new ReconcileService(config);
+  });
+  
+  it('restores a transfer count that was not recorded', async () => {
+    await new TransferQuestService(config).run(signer, WALLET_INDEX, { chain: 'BABYLON', count: 1 });
+    await progressService.updateProgressData(data => ({
+      ...data,
+      transfers: { ...data.transfers, BABYLON: { count: 0 } }
+    }));
+    
+    const report = await reconcileService.buildReport(signer, WALLET_INDEX);
+    assert.deepEqual(findChange(report, 'transfers.BABYLON.count'), { field: 'transfers.BABYLON.count', current: 0, onChain: 1 });
+    
+    await reconcileService.applyReport(report);
+    
+    assert.equal((await progressService.readProgressData()).transfers.BABYLON.count, 1);
+    assert.deepEqual((await reconcileService.buildReport(signer, WALLET_INDEX)).changes, []);
+  });
+  
+  it('does not count transfers or hops whose packet timed out', async () => {
+    network.relayMode = RELAY_MODES.TIMEOUT;
+    await new TransferQuestService(config).run(signer, WALLET_INDEX, { chain: 'BABYLON', count: 1 });
+    await new CrossChainQuestService(config).run(signer, WALLET_INDEX, { quest: 'TRIPLE_THREAT' });
+    
+    const report = await reconcileService.buildReport(signer, WALLET_INDEX);
+    
+    assert.equal(report.onChain.transfers.BABYLON.count, 0);
+    assert.equal(report.onChain.crossChain.TRIPLE_THREAT.completed, false);
+    assert.deepEqual(report.changes, []);
+  });
+  
+  it('does not count cross-chain quest hops as transfers', async () => {
+    await new CrossChainQuestService(config).run(signer, WALLET_INDEX, { quest: 'TRIPLE_THREAT' });
+    // Without the stored hops, the transfer ledger still knows which transfers were quest hops
+    await progressService.updateProgressData(data => ({
+      ...data,
+      crossChain: { ...data.crossChain, TRIPLE_THREAT: { completed: false } }
+    }));
+    
+    const report = await reconcileService.buildReport(signer, WALLET_INDEX);
+    
+    assert.equal(report.onChain.transfers.BABYLON.count, 0);
+    assert.equal(findChange(report, 'transfers.BABYLON.count'), undefined);
+    assert.deepEqual(findChange(report, 'crossChain.TRIPLE_THREAT.completed'), {
+      field: 'crossChain.TRIPLE_THREAT.completed',
+      current: false,
+      onChain: true
+    });
+  });
+  
+  it('rebuilds the daily interaction dates from the block times', async () => {
+    const { timeZone } = config.dayBoundary;
+    const service = new DailyInteractionService(config);
+    const yesterday = new Date(Date.now() - DAY_MS);
+    const today = getQuestDay(new Date(), timeZone);
+    
+    // An interaction committed in yesterday's block, then lost, as by a migration that kept only the last day
+    await service.run(signer, WALLET_INDEX);
+    network.chains.UNION.blocks.at(-1).time = yesterday.toISOString();
+    await progressService.updateProgressData(data => ({
+      ...data,
+      dailyInteractions: { ...data.dailyInteractions, UNION: { lastInteraction: null, count: 0, dates: [] } }
+    }));
+    await service.run(signer, WALLET_INDEX);
+    
+    const report = await reconcileService.buildReport(signer, WALLET_INDEX);
+    assert.deepEqual(findChange(report, 'dailyInteractions.UNION.dates'), {
+      field: 'dailyInteractions.UNION.dates',
+      current: [today],
+      onChain: [getQuestDay(yesterday, timeZone), today]
+    });
+    
+    await reconcileService.applyReport(report);
+    
+    const { UNION } = (await progressService.readProgressData()).dailyInteractions;
+    assert.deepEqual(UNION, { lastInteraction: today, count: 2, dates: [getQuestDay(yesterday, timeZone), today] });
+  });
+});
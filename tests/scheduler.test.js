@@ -0,0 +1,141 @@
+// tests/scheduler.test.js
+import { sandboxDir, resetData } from './helpers/sandbox.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import baseConfig from '../config/index.js';
+import DailyScheduler, { RUN_STATUS } from '../core/quests/dailyScheduler.js';
+
+const STATE_PATH = path.join(sandboxDir, 'data', 'scheduler.json');
+
+const config = {
+  ...baseConfig,
+  scheduler: { runAt: '00:05', retryDelayMs: 10 * 60 * 1000, maxRetryDelayMs: 30 * 60 * 1000, checkIntervalMs: 60 * 1000 }
+};
+
+/**
+ * Create a daily service stub that returns the given outcomes in turn
+ * @param {Array<Object|Error>} outcomes - Outcomes of runForAll; errors are thrown
+ * @returns {{runForAll: Function, calls: number}} Stub service
+ */
+function createDailyService(outcomes) {
+  const service = {
+    calls: 0,
+    async runForAll() {
+      const outcome = outcomes[service.calls++];
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    }
+  };
+  return service;
+}
+
+describe('daily scheduler', () => {
+  beforeEach(() => {
+    resetData();
+  });
+  
+  it('waits for the scheduled time and runs once per day', async () => {
+    const daily = createDailyService([{ total: 2, succeeded: 2 }]);
+    const scheduler = new DailyScheduler(config, daily);
+    
+    const early = await scheduler.runDue([], 3, new Date('2026-10-19T00:01:00Z'));
+    assert.equal(early.ran, false);
+    assert.equal(early.nextRunAt.toISOString(), '2026-10-19T00:05:00.000Z');
+    
+    const due = await scheduler.runDue([], 3, new Date('2026-10-19T00:05:00Z'));
+    assert.equal(due.ran, true);
+    assert.equal(due.state.status, RUN_STATUS.COMPLETED);
+    assert.equal(due.nextRunAt.toISOString(), '2026-10-20T00:05:00.000Z');
+    
+    const later = await scheduler.runDue([], 3, new Date('2026-10-19T18:00:00Z'));
+    assert.equal(later.ran, false);
+    assert.equal(daily.calls, 1);
+  });
+  
+  it('catches up on a missed run after a restart', async () => {
+    fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+    fs.writeFileSync(STATE_PATH, JSON.stringify({ day: '2026-10-18', status: RUN_STATUS.COMPLETED, attempts: 1 }));
+    const daily = createDailyService([{ total: 2, succeeded: 2 }]);
+    
+    const now = new Date('2026-10-19T15:30:00Z');
+    const result = await new DailyScheduler(config, daily).runDue([], 3, now);
+    
+    assert.equal(result.ran, true);
+    assert.equal(result.state.day, '2026-10-19');
+    assert.equal(result.state.lastRunAt, now.toISOString());
+    assert.equal(JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')).status, RUN_STATUS.COMPLETED);
+  });
+  
+  it('retries a failed run with a growing delay and keeps the retries across restarts', async () => {
+    const daily = createDailyService([
+      { total: 2, succeeded: 1 },
+      new Error('RPC unavailable'),
+      { total: 1, succeeded: 0 },
+      { total: 1, succeeded: 1 }
+    ]);
+    
+    const first = await new DailyScheduler(config, daily).runDue([], 3, new Date('2026-10-19T00:05:00Z'));
+    assert.equal(first.state.status, RUN_STATUS.RETRYING);
+    assert.equal(first.state.lastError, '1 of 2 interactions failed');
+    assert.equal(first.nextRunAt.toISOString(), '2026-10-19T00:15:00.000Z');
+    
+    // A restarted scheduler waits for the pending retry instead of running straight away
+    const restarted = new DailyScheduler(config, daily);
+    assert.equal((await restarted.runDue([], 3, new Date('2026-10-19T00:10:00Z'))).ran, false);
+    
+    const second = await restarted.runDue([], 3, new Date('2026-10-19T00:15:00Z'));
+    assert.equal(second.state.attempts, 2);
+    assert.equal(second.state.lastError, 'RPC unavailable');
+    assert.equal(second.nextRunAt.toISOString(), '2026-10-19T00:35:00.000Z');
+    
+    const third = await restarted.runDue([], 3, new Date('2026-10-19T00:35:00Z'));
+    assert.equal(third.nextRunAt.toISOString(), '2026-10-19T01:05:00.000Z');
+    
+    const fourth = await restarted.runDue([], 3, new Date('2026-10-19T01:05:00Z'));
+    assert.equal(fourth.state.status, RUN_STATUS.COMPLETED);
+    assert.equal(fourth.state.attempts, 4);
+    assert.equal(fourth.nextRunAt.toISOString(), '2026-10-20T00:05:00.000Z');
+  });
+  
+  it('gives up on a day when the next retry would fall on the next day', async () => {
+    const daily = createDailyService([new Error('RPC unavailable')]);
+    
+    const result = await new DailyScheduler(config, daily).runDue([], 3, new Date('2026-10-19T23:55:00Z'));
+    
+    assert.equal(result.state.status, RUN_STATUS.GAVE_UP);
+    assert.equal(result.nextRunAt.toISOString(), '2026-10-20T00:05:00.000Z');
+  });
+  
+  it('follows the configured day boundary', async () => {
+    const daily = createDailyService([{ total: 2, succeeded: 2 }]);
+    const scheduler = new DailyScheduler({ ...config, dayBoundary: { timeZone: '+08:00' } }, daily);
+    await scheduler.writeState({ day: '2026-10-19', status: RUN_STATUS.COMPLETED, attempts: 1 });
+    
+    // 2026-10-20 starts at 16:00 UTC on 2026-10-19
+    const early = await scheduler.runDue([], 3, new Date('2026-10-19T16:01:00Z'));
+    assert.equal(early.ran, false);
+    assert.equal(early.nextRunAt.toISOString(), '2026-10-19T16:05:00.000Z');
+    
+    const due = await scheduler.runDue([], 3, new Date('2026-10-19T16:05:00Z'));
+    assert.equal(due.state.day, '2026-10-20');
+    assert.equal(due.nextRunAt.toISOString(), '2026-10-20T16:05:00.000Z');
+  });
+  
+  it('stops when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const daily = createDailyService([]);
+    daily.runForAll = async () => {
+      controller.abort();
+      return { total: 0, succeeded: 0 };
+    };
+    
+    await new DailyScheduler({ ...config, scheduler: { ...config.scheduler, runAt: '00:00' } }, daily)
+      .start([], 3, controller.signal);
+    
+    assert.equal(JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')).status, RUN_STATUS.COMPLETED);
+  });
+});
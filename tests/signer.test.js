@@ -0,0 +1,115 @@
+// tests/signer.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { MessageChannel } from 'worker_threads';
+import { makeSignDoc } from '@cosmjs/proto-signing';
+import config from '../config/index.js';
+import { getAddressForChain } from '../core/blockchain/wallet.js';
+import { KeySigner, RemoteSigner, openSigners } from '../core/blockchain/signers/index.js';
+import { SignerError } from '../core/blockchain/signers/signer.js';
+import { createPortTransport } from '../core/blockchain/signers/remoteSigner.js';
+import { serveSignerPort } from '../core/blockchain/signers/protocol.js';
+import { startSignerDaemon } from '../core/blockchain/signers/signerDaemon.js';
+import DailyInteractionService from '../core/quests/dailyInteraction.js';
+
+const SOCKET_PATH = './signer.sock';
+
+/**
+ * Build a sign document with random body and auth info bytes
+ * @returns {SignDoc} Sign document
+ */
+const randomSignDoc = () => makeSignDoc(new Uint8Array(crypto.randomBytes(64)), new Uint8Array(crypto.randomBytes(32)), 'union-testnet-10', 7n);
+
+describe('signers', () => {
+  let keys;
+  
+  beforeEach(() => {
+    resetData();
+    keys = [crypto.randomBytes(32).toString('hex'), crypto.randomBytes(32).toString('hex')];
+  });
+  
+  it('keeps the key out of JSON output of a key signer', () => {
+    const signer = new KeySigner(keys[0], 0);
+    
+    assert.equal(signer.privateKey, keys[0]);
+    assert.ok(!JSON.stringify(signer).includes(keys[0]));
+  });
+  
+  it('never puts the key in the data passed to a worker', () => {
+    const signer = new KeySigner(keys[0], 0);
+    const task = new DailyInteractionService(config).createDailyInteractionTask('UNION', signer, 0, { addresses: {} }, '2024-01-01');
+    
+    assert.equal(task.signer, signer);
+    assert.ok(!JSON.stringify(task.workerData).includes(keys[0]));
+  });
+  
+  it('only signs for the wallet of a worker port', async () => {
+    const { port1, port2 } = new MessageChannel();
+    serveSignerPort(port1, new KeySigner(keys[1], 1));
+    const transport = createPortTransport(port2);
+    
+    try {
+      const [account] = await new RemoteSigner(transport, 1).getAccounts({ prefix: 'union' });
+      assert.equal(account.address, await getAddressForChain(keys[1], config.chains.UNION));
+      
+      await assert.rejects(new RemoteSigner(transport, 0).getAccounts({ prefix: 'union' }), SignerError);
+    } finally {
+      transport.close();
+      port1.close();
+    }
+  });
+  
+  describe('signer daemon', () => {
+    const daemonKeys = [crypto.randomBytes(32).toString('hex'), crypto.randomBytes(32).toString('hex')];
+    let server;
+    let signers;
+    
+    before(async () => {
+      server = await startSignerDaemon(SOCKET_PATH, daemonKeys);
+      signers = await openSigners({ ...config, signer: { type: 'socket', socketPath: SOCKET_PATH } }, null);
+    });
+    
+    after(async () => {
+      signers[0].transport.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+    
+    it('serves every wallet of the keystore', async () => {
+      assert.equal(signers.length, 2);
+      
+      for (const [walletIndex, signer] of signers.entries()) {
+        assert.equal(await signer.getAddress(config.chains.BABYLON), await getAddressForChain(daemonKeys[walletIndex], config.chains.BABYLON));
+      }
+    });
+    
+    it('signs exactly like a local signer', async () => {
+      const local = new KeySigner(daemonKeys[1], 1).forChain(config.chains.UNION);
+      const remote = signers[1].forChain(config.chains.UNION);
+      const [{ address }] = await remote.getAccounts();
+      const signDoc = randomSignDoc();
+      
+      const expected = await local.signDirect(address, signDoc);
+      const actual = await remote.signDirect(address, signDoc);
+      
+      assert.deepEqual(actual.signed, expected.signed);
+      assert.deepEqual(actual.signature, expected.signature);
+    });
+    
+    it('only lets its owner connect and keeps the socket of a running daemon', async () => {
+      assert.equal(fs.statSync(SOCKET_PATH).mode & 0o777, 0o600);
+      
+      await assert.rejects(startSignerDaemon(SOCKET_PATH, daemonKeys), error => error instanceof SignerError && /already listening/.test(error.message));
+      assert.equal(await signers[0].getAddress(config.chains.UNION), await getAddressForChain(daemonKeys[0], config.chains.UNION));
+    });
+    
+    it('refuses wallets it does not hold', async () => {
+      await assert.rejects(
+        new RemoteSigner(signers[0].transport, 5).getAccounts({ prefix: 'union' }),
+        error => error instanceof SignerError && /No signer for wallet 6/.test(error.message)
+      );
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// tests/store.test.js
+import { sandboxDir, resetData } from './helpers/sandbox.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import ProgressService from '../core/progress/progress.js';
+import ProgressStore, { StoreError, STORE_SCHEMA_VERSION } from '../core/progress/store.js';
+import TransferLedger from '../core/progress/ledger.js';
+import { registerTestWallets, testWalletId } from './helpers/wallets.js';
+
+const PROGRESS_WORKER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'helpers', 'progressWorker.js');
+const DATA_DIR = path.join(sandboxDir, 'data');
+const STORE_DIR = path.join(DATA_DIR, 'progress.store');
+
+/**
+ * Count transfers on a chain from a worker thread
+ * @param {number} walletIndex - Wallet index
+ * @param {string} chain - Chain name
+ * @param {number} updates - Number of increments
+ * @returns {Promise<void>}
+ */
+function countInWorker(walletIndex, chain, updates) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(PROGRESS_WORKER, { workerData: { walletId: testWalletId(walletIndex), walletIndex, chain, updates } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+}
+
+describe('progress store', () => {
+  beforeEach(() => {
+    resetData();
+  });
+  
+  it('imports per-wallet progress files on first start', async () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const legacy = new ProgressService(testWalletId(1), 1).getDefaultProgressData();
+    legacy.addresses.UNION = 'union1wallet1';
+    legacy.transfers.BABYLON.count = 7;
+    fs.writeFileSync(path.join(DATA_DIR, 'progress-1.json'), JSON.stringify(legacy));
+    fs.writeFileSync(path.join(DATA_DIR, 'progress-1.json.lock'), '0');
+    
+    await registerTestWallets(2);
+    const progressData = await new ProgressService(testWalletId(1), 1).readProgressData();
+    
+    assert.equal(progressData.transfers.BABYLON.count, 7);
+    assert.ok(fs.existsSync(path.join(DATA_DIR, 'progress-1.json.imported')));
+    assert.ok(!fs.existsSync(path.join(DATA_DIR, 'progress-1.json')));
+    assert.ok(!fs.existsSync(path.join(DATA_DIR, 'progress-1.json.lock')));
+  });
+  
+  it('keeps every concurrent update from the same thread', async () => {
+    await registerTestWallets(1);
+    const progressService = new ProgressService(testWalletId(0), 0);
+    
+    await Promise.all(Array.from({ length: 20 }, () => progressService.updateTransferCount('BABYLON')));
+    
+    assert.equal((await progressService.readProgressData()).transfers.BABYLON.count, 20);
+  });
+  
+  it('keeps every concurrent update from worker threads', async () => {
+    await registerTestWallets(2);
+    await Promise.all([
+      countInWorker(0, 'BABYLON', 10),
+      countInWorker(0, 'BABYLON', 10),
+      countInWorker(0, 'STARGAZE', 10),
+      countInWorker(1, 'BABYLON', 10)
+    ]);
+    
+    const wallet0 = await new ProgressService(testWalletId(0), 0).readProgressData();
+    const wallet1 = await new ProgressService(testWalletId(1), 1).readProgressData();
+    
+    assert.equal(wallet0.transfers.BABYLON.count, 20);
+    assert.equal(wallet0.transfers.STARGAZE.count, 10);
+    assert.equal(wallet1.transfers.BABYLON.count, 10);
+  });
+  
+  it('prunes old revisions but keeps the latest ones', async () => {
+    await registerTestWallets(1);
+    const progressService = new ProgressService(testWalletId(0), 0);
+    const revisionFiles = () => fs.readdirSync(STORE_DIR).filter(file => file.endsWith('.json'));
+    
+    for (let i = 0; i < 25; i++) {
+      await progressService.updateTransferCount('BABYLON');
+    }
+    
+    // Recent revisions are kept, since a slow writer may still be about to commit on top of them
+    assert.ok(revisionFiles().length > 10);
+    
+    const longAgo = new Date(Date.now() - 5 * 60000);
+    revisionFiles().forEach(file => fs.utimesSync(path.join(STORE_DIR, file), longAgo, longAgo));
+    await progressService.updateTransferCount('BABYLON');
+    
+    assert.equal(revisionFiles().length, 10);
+    assert.equal((await progressService.readProgressData()).transfers.BABYLON.count, 26);
+  });
+  
+  it('keeps progress and labels with their key when keys are reordered', async () => {
+    await registerTestWallets(2, ['union1first', 'union1second']);
+    const progressService = new ProgressService('union1first', 0);
+    await progressService.updateTransferCount('UNION', 3);
+    await progressService.updateLabel('main');
+    
+    // Another process, such as the scheduler, starts with the keys in a different order
+    await registerTestWallets(2, ['union1second', 'union1first']);
+    await progressService.updateTransferCount('UNION');
+    
+    const moved = await new ProgressService('union1first', 1).readProgressData();
+    assert.equal(moved.transfers.UNION.count, 4);
+    assert.equal(moved.label, 'main');
+    assert.equal((await new ProgressService('union1second', 0).readProgressData()).transfers.UNION.count, 0);
+  });
+  
+  it('moves progress stored by wallet index to the key with matching addresses', async () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const write = (walletIndex, address, count) => {
+      const legacy = new ProgressService(testWalletId(walletIndex), walletIndex).getDefaultProgressData();
+      legacy.addresses.UNION = address;
+      legacy.transfers.UNION.count = count;
+      fs.writeFileSync(path.join(DATA_DIR, `progress-${walletIndex}.json`), JSON.stringify(legacy));
+    };
+    write(0, 'union1second', 2);
+    write(1, 'union1first', 1);
+    write(2, 'union1removed', 5);
+    
+    const { moved, unmatched } = await registerTestWallets(2, ['union1first', 'union1second']);
+    
+    assert.deepEqual(moved, [{ from: 1, to: 0 }, { from: 0, to: 1 }]);
+    assert.deepEqual(unmatched, [2]);
+    assert.equal((await new ProgressService('union1first', 0).readProgressData()).transfers.UNION.count, 1);
+    assert.equal((await new ProgressService('union1second', 1).readProgressData()).transfers.UNION.count, 2);
+    assert.equal((await new ProgressStore().getWallet('2')).transfers.UNION.count, 5);
+  });
+  
+  it('moves the ledger written by wallet index along with its progress', async () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    for (const [walletIndex, address] of [[0, 'union1second'], [1, 'union1removed']]) {
+      const legacy = new ProgressService(testWalletId(walletIndex), walletIndex).getDefaultProgressData();
+      legacy.addresses.UNION = address;
+      fs.writeFileSync(path.join(DATA_DIR, `progress-${walletIndex}.json`), JSON.stringify(legacy));
+      fs.writeFileSync(path.join(DATA_DIR, `ledger-${walletIndex}.jsonl`), `${JSON.stringify({ hash: `HASH${walletIndex}` })}\n`);
+    }
+    
+    await registerTestWallets(2, ['union1first', 'union1second']);
+    
+    const [entry] = await new TransferLedger('union1second', 1).readEntries();
+    assert.equal(entry.hash, 'HASH0');
+    assert.deepEqual(await new TransferLedger('union1first', 0).readEntries(), []);
+    assert.ok(!fs.existsSync(path.join(DATA_DIR, 'ledger-0.jsonl')));
+    // The ledger of progress no key matches stays under its index, like the progress
+    assert.ok(fs.existsSync(path.join(DATA_DIR, 'ledger-1.jsonl')));
+  });
+  
+  it('refuses a store written by a newer version', async () => {
+    const store = new ProgressStore();
+    await store.transaction(state => {
+      state.wallets[0] = {};
+    });
+    
+    const [latest] = fs.readdirSync(STORE_DIR).filter(file => file.endsWith('.json')).sort().reverse();
+    const state = JSON.parse(fs.readFileSync(path.join(STORE_DIR, latest), 'utf8'));
+    fs.writeFileSync(path.join(STORE_DIR, latest), JSON.stringify({ ...state, schemaVersion: STORE_SCHEMA_VERSION + 1 }));
+    
+    await assert.rejects(new ProgressService(testWalletId(0), 0).readProgressData(), StoreError);
+  });
+});
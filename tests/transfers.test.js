@@ -0,0 +1,182 @@
+// tests/transfers.test.js
+import { resetData } from './helpers/sandbox.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import baseConfig from '../config/index.js';
+import { startMockNetwork, createTestConfig, RELAY_MODES } from './helpers/mockNetwork.js';
+import TransferFactory from '../core/blockchain/transfers/transferFactory.js';
+import { createTestSigner, testWalletId } from './helpers/wallets.js';
+import BaseTransfer from '../core/blockchain/transfers/baseTransfer.js';
+import TransferLedger, { LEDGER_STATUS } from '../core/progress/ledger.js';
+import { PACKET_STATES } from '../core/blockchain/packetTracker.js';
+
+const WALLET_INDEX = 0;
+const FUNDING = 10000000n;
+
+describe('transfers against the mock network', () => {
+  let network;
+  let config;
+  let privateKey;
+  let addresses;
+  let factory;
+  
+  before(async () => {
+    network = await startMockNetwork(baseConfig.chains, [['UNION', 'BABYLON'], ['UNION', 'STARGAZE'], ['UNION', 'STRIDE']]);
+    config = createTestConfig(baseConfig, network);
+  });
+  
+  after(async () => {
+    await network.stop();
+  });
+  
+  beforeEach(async () => {
+    resetData();
+    network.relayMode = RELAY_MODES.ACK;
+    privateKey = crypto.randomBytes(32).toString('hex');
+    addresses = await network.fundWallet(privateKey, FUNDING);
+    factory = new TransferFactory(config, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX));
+  });
+  
+  it('sends a Union self-transfer and records it in the ledger', async () => {
+    const union = network.chains.UNION;
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    assert.equal(result.success, true);
+    assert.equal(union.getSequence(addresses.UNION), 1);
+    assert.equal(union.getBalance(addresses.UNION), FUNDING - union.feePaid(result.hash));
+    assert.ok(union.txs.some(tx => tx.hash === result.hash));
+    
+    const [entry] = await new TransferLedger(testWalletId(WALLET_INDEX), WALLET_INDEX).readEntries();
+    assert.equal(entry.status, LEDGER_STATUS.SUCCESS);
+    assert.equal(entry.hash, result.hash);
+  });
+  
+  it('moves funds between two Babylon addresses', async () => {
+    const babylon = network.chains.BABYLON;
+    const receiver = await network.fundWallet(crypto.randomBytes(32).toString('hex'), 0n);
+    const result = await factory.createTransfer('BABYLON_TO_BABYLON').transfer(receiver.BABYLON, '0.5');
+    
+    assert.equal(result.success, true);
+    assert.equal(babylon.getBalance(receiver.BABYLON), 500000n);
+    assert.equal(babylon.getBalance(addresses.BABYLON), FUNDING - 500000n - babylon.feePaid(result.hash));
+  });
+  
+  it('sends a bank transfer on a chain without a dedicated transfer class', async () => {
+    const stargaze = network.chains.STARGAZE;
+    const result = await factory.createTransfer('STARGAZE_TO_STARGAZE').transfer(addresses.STARGAZE, '0.001');
+    
+    assert.equal(result.success, true);
+    assert.equal(stargaze.getSequence(addresses.STARGAZE), 1);
+    assert.equal(stargaze.getBalance(addresses.STARGAZE), FUNDING - stargaze.feePaid(result.hash));
+  });
+  
+  it('rejects a transfer larger than the balance before broadcasting', async () => {
+    const txCount = network.chains.UNION.txs.length;
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '1000');
+    
+    assert.equal(result.success, false);
+    assert.match(result.error, /Insufficient balance/);
+    assert.equal(network.chains.UNION.txs.length, txCount);
+    const [entry] = await new TransferLedger(testWalletId(WALLET_INDEX), WALLET_INDEX).readEntries();
+    assert.equal(entry.status, LEDGER_STATUS.FAILED);
+    assert.match(entry.error, /Insufficient balance/);
+  });
+  
+  it('gives back-to-back transfers from one account consecutive sequences', async () => {
+    const union = network.chains.UNION;
+    const results = await Promise.all([
+      factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001'),
+      factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001')
+    ]);
+    
+    assert.deepEqual(results.map(result => result.success), [true, true]);
+    assert.notEqual(results[0].hash, results[1].hash);
+    assert.equal(union.getSequence(addresses.UNION), 2);
+  });
+  
+  it('resyncs the sequence after another sender used it', async () => {
+    const union = network.chains.UNION;
+    await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    // Two transactions from the same key sent by another process
+    union.account(addresses.UNION).sequence += 2;
+    
+    const result = await factory.createTransfer('UNION_TO_UNION').transfer(addresses.UNION, '0.001');
+    
+    assert.equal(result.success, true);
+    assert.ok(union.txs.some(tx => tx.hash === result.hash));
+    assert.equal(union.getSequence(addresses.UNION), 4);
+  });
+  
+  it('records transfers that throw in the ledger', async () => {
+    class ThrowingTransfer extends BaseTransfer {
+      async performTransfer() {
+        throw new Error('boom');
+      }
+    }
+    
+    await assert.rejects(new ThrowingTransfer(config, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX)).transfer(addresses.UNION, '1'), /boom/);
+    
+    const [entry] = await new TransferLedger(testWalletId(WALLET_INDEX), WALLET_INDEX).readEntries();
+    assert.equal(entry.status, LEDGER_STATUS.FAILED);
+    assert.equal(entry.error, 'boom');
+  });
+  
+  it('delivers an IBC transfer and waits for the acknowledgement', async () => {
+    const result = await factory.createTransfer('UNION_TO_BABYLON').transfer(addresses.BABYLON, '0.002');
+    
+    assert.equal(result.success, true);
+    assert.equal(result.packet.state, PACKET_STATES.ACKNOWLEDGED);
+    assert.equal(network.chains.BABYLON.getBalance(addresses.BABYLON, 'bbn-test-5/muno'), 2000n);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 1);
+  });
+  
+  it('signs back-to-back IBC transfers with consecutive sequences and the simulated fee', async () => {
+    const union = network.chains.UNION;
+    // A multiplier other than the 1.4 of an "auto" fee shows which fee was signed
+    const multiplied = { ...config, chains: { ...config.chains, UNION: { ...config.chains.UNION, gasMultiplier: 2 } } };
+    const transfers = new TransferFactory(multiplied, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX));
+    const results = await Promise.all([
+      transfers.createTransfer('UNION_TO_BABYLON').transfer(addresses.BABYLON, '0.001'),
+      transfers.createTransfer('UNION_TO_BABYLON').transfer(addresses.BABYLON, '0.001')
+    ]);
+    
+    assert.deepEqual(results.map(result => result.success), [true, true]);
+    assert.equal(union.getSequence(addresses.UNION), 2);
+    
+    // The mock chain simulates 100000 gas for a transaction with one message
+    assert.equal(union.feePaid(results[0].hash), BigInt(Math.ceil(200000 * Number(config.chains.UNION.gasPrice.amount))));
+  });
+  
+  it('does not sign an IBC transfer whose fee exceeds the cap', async () => {
+    const capped = { ...config, chains: { ...config.chains, UNION: { ...config.chains.UNION, feeCap: '1000' } } };
+    const result = await new TransferFactory(capped, WALLET_INDEX, createTestSigner(privateKey, WALLET_INDEX))
+      .createTransfer('UNION_TO_BABYLON').transfer(addresses.BABYLON, '0.001');
+    
+    assert.equal(result.success, false);
+    assert.match(result.error, /fee cap/);
+    assert.equal(network.chains.UNION.getSequence(addresses.UNION), 0);
+  });
+  
+  it('fails an IBC transfer whose packet times out and refunds the sender', async () => {
+    network.relayMode = RELAY_MODES.TIMEOUT;
+    const result = await factory.createTransfer('STARGAZE_TO_UNION').transfer(addresses.UNION, '0.002');
+    
+    assert.equal(result.success, false);
+    assert.equal(result.packet.state, PACKET_STATES.TIMED_OUT);
+    assert.equal(network.chains.UNION.getBalance(addresses.UNION, 'union-testnet-9/ustars'), 0n);
+    assert.equal(network.chains.STARGAZE.getBalance(addresses.STARGAZE), FUNDING - network.chains.STARGAZE.feePaid(result.hash));
+    
+    const entries = await new TransferLedger(testWalletId(WALLET_INDEX), WALLET_INDEX).readEntries();
+    assert.equal(entries[0].packetState, PACKET_STATES.TIMED_OUT);
+  });
+  
+  it('fails an IBC transfer between chains without a channel', async () => {
+    const result = await factory.createTransfer('STRIDE_TO_BABYLON').transfer(addresses.BABYLON, '0.002');
+    
+    assert.equal(result.success, false);
+    assert.match(result.error, /No IBC channel/);
+    assert.equal(network.chains.STRIDE.getSequence(addresses.STRIDE), 0);
+  });
+});
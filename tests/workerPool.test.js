@@ -0,0 +1,107 @@
+// tests/workerPool.test.js
+import './helpers/sandbox.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WorkerPool from '../core/workers/workerPool.js';
+import workerManager from '../core/workers/workerManager.js';
+import DailyInteractionService from '../core/quests/dailyInteraction.js';
+import config from '../config/index.js';
+
+const SLEEP_WORKER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'helpers', 'sleepWorker.js');
+
+// The sleep worker as the worker manager resolves it (relative to core/workers)
+const MANAGED_SLEEP_WORKER = '../../tests/helpers/sleepWorker.js';
+
+describe('worker pool', () => {
+  let pool;
+  
+  /**
+   * Queue sleep tasks on the pool
+   * @param {Array<Object>} tasks - Task data (name, walletIndex, delayMs)
+   * @returns {Promise<Object>} Results by task name
+   */
+  const runAll = async tasks => {
+    const results = await Promise.all(tasks.map(task => pool.run(task)));
+    return Object.fromEntries(results.map(result => [result.name, result]));
+  };
+  
+  afterEach(async () => {
+    await pool.close();
+  });
+  
+  it('runs every task on the same few workers', async () => {
+    pool = new WorkerPool(SLEEP_WORKER, 2);
+    const tasks = Array.from({ length: 6 }, (_, i) => ({ name: `task-${i}`, walletIndex: i }));
+    
+    const results = await runAll(tasks);
+    
+    assert.equal(Object.keys(results).length, 6);
+    assert.ok(new Set(Object.values(results).map(result => result.threadId)).size <= 2);
+  });
+  
+  it('starts a queued task as soon as any worker is free', async () => {
+    pool = new WorkerPool(SLEEP_WORKER, 2);
+    
+    const results = await runAll([
+      { name: 'slow', walletIndex: 0, delayMs: 400 },
+      { name: 'fast-1', walletIndex: 1, delayMs: 20 },
+      { name: 'fast-2', walletIndex: 2, delayMs: 20 },
+      { name: 'fast-3', walletIndex: 3, delayMs: 20 }
+    ]);
+    
+    assert.ok(results['fast-3'].finishedAt < results.slow.finishedAt);
+  });
+  
+  it('runs the tasks of one wallet one after another, in order', async () => {
+    pool = new WorkerPool(SLEEP_WORKER, 3);
+    
+    const results = await runAll([
+      { name: 'first', walletIndex: 0, delayMs: 150 },
+      { name: 'second', walletIndex: 0, delayMs: 10 },
+      { name: 'other-wallet', walletIndex: 1, delayMs: 10 }
+    ]);
+    
+    assert.ok(results.second.startedAt >= results.first.finishedAt);
+    assert.ok(results['other-wallet'].finishedAt < results.first.finishedAt);
+  });
+  
+  it('fails the task of a worker that dies and keeps serving the queue', async () => {
+    pool = new WorkerPool(SLEEP_WORKER, 1);
+    
+    const [crashed, next] = await Promise.all([
+      pool.run({ name: 'crash', walletIndex: 0, crash: true }),
+      pool.run({ name: 'next', walletIndex: 0 })
+    ]);
+    
+    assert.equal(crashed.success, false);
+    assert.match(crashed.error, /Exited with code 1/);
+    assert.equal(next.success, true);
+  });
+  
+  it('runs as many wallets at once as the threads option of a run allows', async () => {
+    // Every wallet has one slow task, so the busy workers show how many wallets run at once
+    class SleepingDailyService extends DailyInteractionService {
+      async prepareWalletTasks(signer, walletIndex) {
+        return [{ workerPath: MANAGED_SLEEP_WORKER, workerData: { name: `wallet-${walletIndex}`, walletIndex, delayMs: 300 } }];
+      }
+    }
+    
+    // The pool starts at the default size of the worker manager
+    pool = workerManager.getPool(MANAGED_SLEEP_WORKER);
+    let busy = 0;
+    const sampler = setInterval(() => {
+      busy = Math.max(busy, workerManager.getActiveWorkerCount());
+    }, 10);
+    
+    try {
+      const outcome = await new SleepingDailyService(config).runForAll(new Array(6).fill(null), 5);
+      assert.deepEqual(outcome, { total: 6, succeeded: 6 });
+    } finally {
+      clearInterval(sampler);
+    }
+    
+    assert.equal(busy, 5);
+  });
+});
@@ -1,473 +1,607 @@
-// ui/index.js
-import { 
-  promptForCommand, 
-  promptForWallet, 
-  promptForChain, 
-  promptForTransferCount, 
-  promptForCrossChainQuest, 
-  promptForAmount,
-  promptForConfirmation,
-  promptForFaucet,
-  promptForFaucetAttempts,
-  promptForCapsolverApiKey,
-  promptForThreadCount
-} from './prompts.js';
-import { 
-  displayBanner, 
-  displayMessage, 
-  displayProgress, 
-  createSpinner, 
-  displaySectionHeader, 
-  displayAddresses 
-} from './screens.js';
-import { readPrivateKeys } from '../core/blockchain/wallet.js';
-import ProgressService from '../core/progress/progress.js';
-import logger from '../utils/logger.js';
-import workerManager from '../core/workers/workerManager.js';
-
-/**
- * Run the interactive UI
- * @param {Object} services - Core services
- * @param {Object} config - Application configuration
- */
-async function runInteractiveUI(services, config) {
-  displayBanner();
-  
-  // Get private keys
-  const privateKeys = await readPrivateKeys();
-  
-  if (privateKeys.length === 0) {
-    displayMessage('No private keys found. Please add keys to pk.txt', 'error');
-    return;
-  }
-  
-  displayMessage(`Found ${privateKeys.length} wallet(s). Welcome to Union Quest Bot!`, 'info');
-  
-  // Main application loop
-  while (true) {
-    try {
-      // Prompt for command
-      const { command } = await promptForCommand();
-      
-      if (command === 'exit') {
-        displayMessage('Goodbye!', 'info');
-        process.exit(0);
-      }
-      
-      // Handle the selected command
-      switch (command) {
-        case 'daily':
-          await handleDailyCommand(services.daily, privateKeys);
-          break;
-        case 'transfer':
-          await handleTransferCommand(services.transfer, privateKeys, config);
-          break;
-        case 'cross-chain':
-          await handleCrossChainCommand(services.crossChain, privateKeys, config);
-          break;
-        case 'faucet':
-          await handleFaucetCommand(services.faucet, privateKeys, config);
-          break;
-        case 'full':
-          await handleFullCommand(services, privateKeys);
-          break;
-        case 'progress':
-          await handleProgressCommand(privateKeys);
-          break;
-      }
-    } catch (error) {
-      logger.error(`Error in UI: ${error.message}`);
-      displayMessage(`Error: ${error.message}`, 'error');
-    }
-  }
-}
-
-/**
- * Handle the daily command
- * @param {Object} dailyService - Daily interaction service
- * @param {string[]} privateKeys - Array of private keys
- */
-async function handleDailyCommand(dailyService, privateKeys) {
-  displaySectionHeader('Daily Interactions');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length);
-  
-  // Prompt for thread count if running for all wallets
-  let threadCount = 3;
-  if (walletIndex === 'all') {
-    const { threads, customThreads } = await promptForThreadCount();
-    threadCount = threads === 'custom' ? customThreads : threads;
-  }
-  
-  // Create spinner
-  const spinner = createSpinner('Initializing daily interactions');
-  spinner.start();
-  
-  try {
-    if (walletIndex === 'all') {
-      // Process all wallets
-      spinner.text = `Running daily interactions for all wallets using ${threadCount} threads`;
-      await dailyService.runForAll(privateKeys, threadCount);
-    } else {
-      // Process only the specified wallet
-      spinner.text = `Running daily interactions for wallet ${walletIndex + 1}`;
-      await dailyService.run(privateKeys[walletIndex], walletIndex);
-    }
-    
-    spinner.succeed('Daily interactions completed successfully');
-  } catch (error) {
-    spinner.fail(`Error running daily interactions: ${error.message}`);
-    logger.error(`Error running daily interactions: ${error.message}`);
-  }
-}
-
-/**
- * Handle the transfer command
- * @param {Object} transferService - Transfer quest service
- * @param {string[]} privateKeys - Array of private keys
- * @param {Object} config - Application configuration
- */
-async function handleTransferCommand(transferService, privateKeys, config) {
-  displaySectionHeader('Transfer Quests');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length);
-  
-  // Prompt for chain selection
-  const chains = ['UNION', 'BABYLON'];
-  const { chain } = await promptForChain(chains);
-  
-  // Prompt for transfer count
-  const { countOption, customCount } = await promptForTransferCount();
-  
-  // Determine the actual count to use
-  const transferCount = countOption === 'custom' ? customCount : 
-                        countOption === 'next' ? 'next' : 
-                        countOption;
-  
-  // Prompt for thread count if running for all wallets
-  let threadCount = 3;
-  if (walletIndex === 'all') {
-    const { threads, customThreads } = await promptForThreadCount();
-    threadCount = threads === 'custom' ? customThreads : threads;
-  }
-  
-  // Prepare options
-  const options = {
-    chain: chain === 'all' ? null : chain,
-    count: transferCount === 'next' ? null : transferCount,
-    completeNext: transferCount === 'next'
-  };
-  
-  // Display confirmation
-  const chainDisplay = chain === 'all' ? 'all chains' : chain;
-  const countDisplay = transferCount === 'next' ? 'transfers to complete next quest' : 
-                       `${transferCount} transfer(s)`;
-  const threadDisplay = walletIndex === 'all' ? ` using ${threadCount} threads` : '';
-  
-  const { confirmed } = await promptForConfirmation(
-    `Run ${countDisplay} for ${chainDisplay}${threadDisplay}?`
-  );
-  
-  if (!confirmed) {
-    displayMessage('Operation cancelled', 'info');
-    return;
-  }
-  
-  // Create spinner
-  const spinner = createSpinner('Initializing transfer quests');
-  spinner.start();
-  
-  try {
-    if (walletIndex === 'all') {
-      // Process all wallets
-      spinner.text = `Running transfers for all wallets using ${threadCount} threads`;
-      await transferService.runForAll(privateKeys, options, threadCount);
-    } else {
-      // Process only the specified wallet
-      spinner.text = `Running transfers for wallet ${walletIndex + 1}`;
-      await transferService.run(privateKeys[walletIndex], walletIndex, options);
-    }
-    
-    spinner.succeed('Transfer quests completed successfully');
-  } catch (error) {
-    spinner.fail(`Error running transfer quests: ${error.message}`);
-    logger.error(`Error running transfer quests: ${error.message}`);
-  }
-}
-
-/**
- * Handle the cross-chain command
- * @param {Object} crossChainService - Cross-chain quest service
- * @param {string[]} privateKeys - Array of private keys
- * @param {Object} config - Application configuration
- */
-async function handleCrossChainCommand(crossChainService, privateKeys, config) {
-  displaySectionHeader('Cross-Chain Quests');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length);
-  
-  // Prompt for quest selection
-  const { quest } = await promptForCrossChainQuest(config.quests.CROSS_CHAIN);
-  
-  // Prompt for amount if a specific quest is selected
-  let amount = config.DEFAULT_TRANSFER_AMOUNT;
-  
-  if (quest !== 'all') {
-    const { amountOption, customAmount } = await promptForAmount(config.DEFAULT_TRANSFER_AMOUNT);
-    amount = amountOption === 'custom' ? customAmount : config.DEFAULT_TRANSFER_AMOUNT;
-  }
-  
-  // Prompt for thread count if running for all wallets
-  let threadCount = 3;
-  if (walletIndex === 'all') {
-    const { threads, customThreads } = await promptForThreadCount();
-    threadCount = threads === 'custom' ? customThreads : threads;
-  }
-  
-  // Prepare options
-  const options = {
-    quest: quest === 'all' ? null : quest,
-    amount,
-    all: quest === 'all'
-  };
-  
-  // Display confirmation
-  const questDisplay = quest === 'all' ? 'all cross-chain quests' : quest;
-  const threadDisplay = walletIndex === 'all' ? ` using ${threadCount} threads` : '';
-  
-  const { confirmed } = await promptForConfirmation(
-    `Run ${questDisplay} with amount ${amount}${threadDisplay}?`
-  );
-  
-  if (!confirmed) {
-    displayMessage('Operation cancelled', 'info');
-    return;
-  }
-  
-  // Create spinner
-  const spinner = createSpinner('Initializing cross-chain quests');
-  spinner.start();
-  
-  try {
-    if (walletIndex === 'all') {
-      // Process all wallets
-      spinner.text = 'Running cross-chain quests for all wallets';
-      await crossChainService.runForAll(privateKeys, options, threadCount);
-    } else {
-      // Process only the specified wallet
-      spinner.text = `Running cross-chain quests for wallet ${walletIndex + 1}`;
-      await crossChainService.run(privateKeys[walletIndex], walletIndex, options);
-    }
-    
-    spinner.succeed('Cross-chain quests completed successfully');
-  } catch (error) {
-    spinner.fail(`Error running cross-chain quests: ${error.message}`);
-    logger.error(`Error running cross-chain quests: ${error.message}`);
-  }
-}
-
-/**
- * Handle the faucet command
- * @param {Object} faucetService - Faucet service
- * @param {string[]} privateKeys - Array of private keys
- * @param {Object} config - Application configuration
- */
-async function handleFaucetCommand(faucetService, privateKeys, config) {
-  displaySectionHeader('Faucet Requests');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length);
-  
-  // Prompt for faucet selection
-  const { faucet } = await promptForFaucet();
-  
-  // Prompt for max attempts
-  const { maxAttemptsOption, maxAttempts } = await promptForFaucetAttempts();
-  
-  // Determine the actual max attempts to use
-  const actualMaxAttempts = maxAttemptsOption === 'unlimited' ? 0 : maxAttempts;
-  
-  // Prompt for thread count if running for all wallets
-  let threadCount = 1;
-  if (walletIndex === 'all') {
-    const { threads, customThreads } = await promptForThreadCount();
-    threadCount = threads === 'custom' ? customThreads : threads;
-  }
-  
-  // Prompt for Capsolver API key
-  const { apiKey } = await promptForCapsolverApiKey();
-  
-  // Prepare options
-  const options = {
-    faucet,
-    maxAttempts: actualMaxAttempts,
-    apiKey,
-    threads: threadCount
-  };
-  
-  // Display confirmation
-  const walletDisplay = walletIndex === 'all' ? 'all wallets' : `wallet ${walletIndex + 1}`;
-  const attemptsDisplay = actualMaxAttempts === 0 ? 'unlimited attempts' : `${actualMaxAttempts} attempt(s)`;
-  const threadDisplay = walletIndex === 'all' ? `with ${threadCount} thread(s)` : '';
-  
-  const { confirmed } = await promptForConfirmation(
-    `Request ${faucet} faucet for ${walletDisplay} with ${attemptsDisplay} ${threadDisplay}?`
-  );
-  
-  if (!confirmed) {
-    displayMessage('Operation cancelled', 'info');
-    return;
-  }
-  
-  // Create spinner
-  const spinner = createSpinner('Initializing faucet requests');
-  spinner.start();
-  
-  try {
-    if (walletIndex === 'all') {
-      // Process all wallets with multithreading
-      spinner.text = `Running faucet requests for all wallets using ${threadCount} threads`;
-      await faucetService.runForAll(privateKeys, options);
-    } else {
-      // Process only the specified wallet (single thread)
-      spinner.text = `Running faucet request for wallet ${walletIndex + 1}`;
-      await faucetService.run(privateKeys[walletIndex], walletIndex, options);
-    }
-    
-    spinner.succeed('Faucet requests completed');
-  } catch (error) {
-    spinner.fail(`Error running faucet requests: ${error.message}`);
-    logger.error(`Error running faucet requests: ${error.message}`);
-  }
-}
-
-/**
- * Handle the full command
- * @param {Object} services - All services
- * @param {string[]} privateKeys - Array of private keys
- */
-async function handleFullCommand(services, privateKeys) {
-  displaySectionHeader('Full Automation');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length);
-  
-  // Prompt for thread count
-  let threadCount = 3;
-  const { threads, customThreads } = await promptForThreadCount();
-  threadCount = threads === 'custom' ? customThreads : threads;
-  
-  // Set thread count for worker manager
-  workerManager.setMaxConcurrentWorkers(threadCount);
-  
-  // Display confirmation
-  const walletDisplay = walletIndex === 'all' ? 'all wallets' : `wallet ${walletIndex + 1}`;
-  
-  const { confirmed } = await promptForConfirmation(
-    `Run full automation for ${walletDisplay} using ${threadCount} threads?`
-  );
-  
-  if (!confirmed) {
-    displayMessage('Operation cancelled', 'info');
-    return;
-  }
-  
-  // Create spinner
-  const spinner = createSpinner('Initializing full automation');
-  spinner.start();
-  
-  try {
-    if (walletIndex === 'all') {
-      // Process all wallets
-      spinner.text = 'Running full automation for all wallets';
-      
-      for (let i = 0; i < privateKeys.length; i++) {
-        spinner.text = `Running full automation for wallet ${i + 1}/${privateKeys.length}`;
-        await runFullAutomation(services, privateKeys[i], i, threadCount);
-      }
-    } else {
-      // Process only the specified wallet
-      spinner.text = `Running full automation for wallet ${walletIndex + 1}`;
-      await runFullAutomation(services, privateKeys[walletIndex], walletIndex, threadCount);
-    }
-    
-    spinner.succeed('Full automation completed successfully');
-  } catch (error) {
-    spinner.fail(`Error running full automation: ${error.message}`);
-    logger.error(`Error running full automation: ${error.message}`);
-  }
-}
-
-/**
- * Run full automation for a single wallet
- * @param {Object} services - All services
- * @param {string} privateKey - Private key
- * @param {number} walletIndex - Wallet index
- * @param {number} threads - Number of threads to use
- */
-async function runFullAutomation(services, privateKey, walletIndex, threads) {
-  // 1. Run daily interactions
-  await services.daily.run(privateKey, walletIndex);
-  
-  // 2. Run transfer quests
-  await services.transfer.run(privateKey, walletIndex, { count: 1 });
-  
-  // 3. Run cross-chain quests
-  await services.crossChain.run(privateKey, walletIndex, { all: true });
-  
-  // 4. Request from faucets (Union and Stargaze)
-  // Only run if CAPSOLVER_API_KEY is set
-  if (process.env.CAPSOLVER_API_KEY) {
-    await services.faucet.run(privateKey, walletIndex, { 
-      faucet: 'UNION', 
-      maxAttempts: 1,
-      apiKey: process.env.CAPSOLVER_API_KEY
-    });
-    
-    await services.faucet.run(privateKey, walletIndex, { 
-      faucet: 'STARGAZE', 
-      maxAttempts: 1,
-      apiKey: process.env.CAPSOLVER_API_KEY
-    });
-  }
-}
-
-/**
- * Handle the progress command
- * @param {string[]} privateKeys - Array of private keys
- */
-async function handleProgressCommand(privateKeys) {
-  displaySectionHeader('Progress');
-  
-  // Prompt for wallet selection
-  const { walletIndex } = await promptForWallet(privateKeys.length, false);
-  
-  // Create spinner
-  const spinner = createSpinner(`Loading progress for wallet ${walletIndex + 1}`);
-  spinner.start();
-  
-  try {
-    // Get progress data
-    const progressService = new ProgressService(walletIndex);
-    const progressData = await progressService.readProgressData();
-    
-    spinner.succeed(`Progress loaded for wallet ${walletIndex + 1}`);
-    
-    // Display progress data
-    displayProgress(progressData);
-    
-    // Display addresses
-    displayAddresses(progressData.addresses);
-    
-  } catch (error) {
-    spinner.fail(`Error loading progress: ${error.message}`);
-    logger.error(`Error loading progress: ${error.message}`);
-  }
-}
-
-export {
-  runInteractiveUI
-};
\ No newline at end of file
+// ui/index.js
+import { 
+  promptForCommand, 
+  promptForWallet, 
+  promptForChain, 
+  promptForTransferCount, 
+  promptForCrossChainQuest, 
+  promptForCustomQuest,
+  promptForAmount,
+  promptForConfirmation,
+  promptForFaucet,
+  promptForFaucetAttempts,
+  promptForCapsolverApiKey,
+  promptForThreadCount
+} from './prompts.js';
+import { 
+  displayBanner, 
+  displayMessage, 
+  displayProgress, 
+  createSpinner, 
+  displaySectionHeader, 
+  displayAddresses,
+  displayTransferHistory,
+  displayReconcileDiff,
+  displayXp,
+  displayXpSummary
+} from './screens.js';
+import ProgressService from '../core/progress/progress.js';
+import TransferLedger from '../core/progress/ledger.js';
+import logger from '../utils/logger.js';
+import workerManager from '../core/workers/workerManager.js';
+import runFullAutomation from '../core/quests/fullAutomation.js';
+
+/**
+ * Prompt for a wallet, showing the wallet labels
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {boolean} [allowAll] - Whether to allow selecting all wallets
+ * @returns {Promise<Object>} User's choice
+ */
+async function selectWallet(signers, allowAll = true) {
+  const labels = [];
+  for (const signer of signers) {
+    labels.push((await new ProgressService(signer.walletId, signer.walletIndex).readProgressData()).label);
+  }
+  
+  return promptForWallet(signers.length, allowAll, labels);
+}
+
+/**
+ * Run the interactive UI
+ * @param {Object} services - Core services
+ * @param {Object} config - Application configuration
+ * @param {Signer[]} signers - Signers of all wallets
+ */
+async function runInteractiveUI(services, config, signers) {
+  displayBanner();
+  
+  if (signers.length === 0) {
+    displayMessage('No private keys found. Import them with: node index.js keys import pk.txt', 'error');
+    return;
+  }
+  
+  displayMessage(`Found ${signers.length} wallet(s). Welcome to Union Quest Bot!`, 'info');
+  
+  // Main application loop
+  while (true) {
+    try {
+      // Prompt for command
+      const { command } = await promptForCommand();
+      
+      if (command === 'exit') {
+        displayMessage('Goodbye!', 'info');
+        process.exit(0);
+      }
+      
+      // Handle the selected command
+      switch (command) {
+        case 'daily':
+          await handleDailyCommand(services.daily, signers);
+          break;
+        case 'transfer':
+          await handleTransferCommand(services.transfer, signers, config);
+          break;
+        case 'cross-chain':
+          await handleCrossChainCommand(services.crossChain, signers, config);
+          break;
+        case 'custom':
+          await handleCustomCommand(services.custom, signers, config);
+          break;
+        case 'faucet':
+          await handleFaucetCommand(services.faucet, signers, config);
+          break;
+        case 'full':
+          await handleFullCommand(services, signers);
+          break;
+        case 'progress':
+          await handleProgressCommand(signers, config);
+          break;
+        case 'xp':
+          await handleXpCommand(services.evaluator, signers);
+          break;
+        case 'reconcile':
+          await handleReconcileCommand(services.reconcile, signers);
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error in UI: ${error.message}`);
+      displayMessage(`Error: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Handle the daily command
+ * @param {Object} dailyService - Daily interaction service
+ * @param {Signer[]} signers - Signers of all wallets
+ */
+async function handleDailyCommand(dailyService, signers) {
+  displaySectionHeader('Daily Interactions');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for thread count if running for all wallets
+  let threadCount = 3;
+  if (walletIndex === 'all') {
+    const { threads, customThreads } = await promptForThreadCount();
+    threadCount = threads === 'custom' ? customThreads : threads;
+  }
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing daily interactions');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      // Process all wallets
+      spinner.text = `Running daily interactions for all wallets using ${threadCount} threads`;
+      await dailyService.runForAll(signers, threadCount);
+    } else {
+      // Process only the specified wallet
+      spinner.text = `Running daily interactions for wallet ${walletIndex + 1}`;
+      await dailyService.run(signers[walletIndex], walletIndex);
+    }
+    
+    spinner.succeed('Daily interactions completed successfully');
+  } catch (error) {
+    spinner.fail(`Error running daily interactions: ${error.message}`);
+    logger.error(`Error running daily interactions: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the transfer command
+ * @param {Object} transferService - Transfer quest service
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} config - Application configuration
+ */
+async function handleTransferCommand(transferService, signers, config) {
+  displaySectionHeader('Transfer Quests');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for chain selection
+  const chains = Object.keys(config.quests.TRANSFER);
+  const { chain } = await promptForChain(chains);
+  
+  // Prompt for transfer count
+  const { countOption, customCount } = await promptForTransferCount();
+  
+  // Determine the actual count to use
+  const transferCount = countOption === 'custom' ? customCount : 
+                        countOption === 'next' ? 'next' : 
+                        countOption;
+  
+  // Prompt for thread count if running for all wallets
+  let threadCount = 3;
+  if (walletIndex === 'all') {
+    const { threads, customThreads } = await promptForThreadCount();
+    threadCount = threads === 'custom' ? customThreads : threads;
+  }
+  
+  // Prepare options
+  const options = {
+    chain: chain === 'all' ? null : chain,
+    count: transferCount === 'next' ? null : transferCount,
+    completeNext: transferCount === 'next'
+  };
+  
+  // Display confirmation
+  const chainDisplay = chain === 'all' ? 'all chains' : chain;
+  const countDisplay = transferCount === 'next' ? 'transfers to complete next quest' : 
+                       `${transferCount} transfer(s)`;
+  const threadDisplay = walletIndex === 'all' ? ` using ${threadCount} threads` : '';
+  
+  const { confirmed } = await promptForConfirmation(
+    `Run ${countDisplay} for ${chainDisplay}${threadDisplay}?`
+  );
+  
+  if (!confirmed) {
+    displayMessage('Operation cancelled', 'info');
+    return;
+  }
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing transfer quests');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      // Process all wallets
+      spinner.text = `Running transfers for all wallets using ${threadCount} threads`;
+      await transferService.runForAll(signers, options, threadCount);
+    } else {
+      // Process only the specified wallet
+      spinner.text = `Running transfers for wallet ${walletIndex + 1}`;
+      await transferService.run(signers[walletIndex], walletIndex, options);
+    }
+    
+    spinner.succeed('Transfer quests completed successfully');
+  } catch (error) {
+    spinner.fail(`Error running transfer quests: ${error.message}`);
+    logger.error(`Error running transfer quests: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the cross-chain command
+ * @param {Object} crossChainService - Cross-chain quest service
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} config - Application configuration
+ */
+async function handleCrossChainCommand(crossChainService, signers, config) {
+  displaySectionHeader('Cross-Chain Quests');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for quest selection
+  const { quest } = await promptForCrossChainQuest(config.quests.CROSS_CHAIN);
+  
+  // Prompt for amount if a specific quest is selected
+  let amount = config.DEFAULT_TRANSFER_AMOUNT;
+  
+  if (quest !== 'all') {
+    const { amountOption, customAmount } = await promptForAmount(config.DEFAULT_TRANSFER_AMOUNT);
+    amount = amountOption === 'custom' ? customAmount : config.DEFAULT_TRANSFER_AMOUNT;
+  }
+  
+  // Prompt for thread count if running for all wallets
+  let threadCount = 3;
+  if (walletIndex === 'all') {
+    const { threads, customThreads } = await promptForThreadCount();
+    threadCount = threads === 'custom' ? customThreads : threads;
+  }
+  
+  // Prepare options
+  const options = {
+    quest: quest === 'all' ? null : quest,
+    amount,
+    all: quest === 'all'
+  };
+  
+  // Display confirmation
+  const questDisplay = quest === 'all' ? 'all cross-chain quests' : quest;
+  const threadDisplay = walletIndex === 'all' ? ` using ${threadCount} threads` : '';
+  
+  const { confirmed } = await promptForConfirmation(
+    `Run ${questDisplay} with amount ${amount}${threadDisplay}?`
+  );
+  
+  if (!confirmed) {
+    displayMessage('Operation cancelled', 'info');
+    return;
+  }
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing cross-chain quests');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      // Process all wallets
+      spinner.text = 'Running cross-chain quests for all wallets';
+      await crossChainService.runForAll(signers, options, threadCount);
+    } else {
+      // Process only the specified wallet
+      spinner.text = `Running cross-chain quests for wallet ${walletIndex + 1}`;
+      await crossChainService.run(signers[walletIndex], walletIndex, options);
+    }
+    
+    spinner.succeed('Cross-chain quests completed successfully');
+  } catch (error) {
+    spinner.fail(`Error running cross-chain quests: ${error.message}`);
+    logger.error(`Error running cross-chain quests: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the custom quest command
+ * @param {Object} customService - Custom quest service
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} config - Application configuration
+ */
+async function handleCustomCommand(customService, signers, config) {
+  displaySectionHeader('Custom Quests');
+  
+  if (config.quests.CUSTOM.length === 0) {
+    displayMessage('No custom quests configured. Add quest files to config/quests.d', 'info');
+    return;
+  }
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for quest selection
+  const { quest } = await promptForCustomQuest(config.quests.CUSTOM);
+  
+  // Prompt for thread count if running for all wallets
+  let threadCount = 3;
+  if (walletIndex === 'all') {
+    const { threads, customThreads } = await promptForThreadCount();
+    threadCount = threads === 'custom' ? customThreads : threads;
+  }
+  
+  const options = { quest: quest === 'all' ? null : quest };
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing custom quests');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      spinner.text = 'Running custom quests for all wallets';
+      await customService.runForAll(signers, options, threadCount);
+    } else {
+      spinner.text = `Running custom quests for wallet ${walletIndex + 1}`;
+      await customService.run(signers[walletIndex], walletIndex, options);
+    }
+    
+    spinner.succeed('Custom quests completed successfully');
+  } catch (error) {
+    spinner.fail(`Error running custom quests: ${error.message}`);
+    logger.error(`Error running custom quests: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the faucet command
+ * @param {Object} faucetService - Faucet service
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} config - Application configuration
+ */
+async function handleFaucetCommand(faucetService, signers, config) {
+  displaySectionHeader('Faucet Requests');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for faucet selection
+  const { faucet } = await promptForFaucet();
+  
+  // Prompt for max attempts
+  const { maxAttemptsOption, maxAttempts } = await promptForFaucetAttempts();
+  
+  // Determine the actual max attempts to use
+  const actualMaxAttempts = maxAttemptsOption === 'unlimited' ? 0 : maxAttempts;
+  
+  // Prompt for thread count if running for all wallets
+  let threadCount = 1;
+  if (walletIndex === 'all') {
+    const { threads, customThreads } = await promptForThreadCount();
+    threadCount = threads === 'custom' ? customThreads : threads;
+  }
+  
+  // Prompt for Capsolver API key
+  const { apiKey } = await promptForCapsolverApiKey();
+  
+  // Prepare options
+  const options = {
+    faucet,
+    maxAttempts: actualMaxAttempts,
+    apiKey,
+    threads: threadCount
+  };
+  
+  // Display confirmation
+  const walletDisplay = walletIndex === 'all' ? 'all wallets' : `wallet ${walletIndex + 1}`;
+  const attemptsDisplay = actualMaxAttempts === 0 ? 'unlimited attempts' : `${actualMaxAttempts} attempt(s)`;
+  const threadDisplay = walletIndex === 'all' ? `with ${threadCount} thread(s)` : '';
+  
+  const { confirmed } = await promptForConfirmation(
+    `Request ${faucet} faucet for ${walletDisplay} with ${attemptsDisplay} ${threadDisplay}?`
+  );
+  
+  if (!confirmed) {
+    displayMessage('Operation cancelled', 'info');
+    return;
+  }
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing faucet requests');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      // Process all wallets with multithreading
+      spinner.text = `Running faucet requests for all wallets using ${threadCount} threads`;
+      await faucetService.runForAll(signers, options);
+    } else {
+      // Process only the specified wallet (single thread)
+      spinner.text = `Running faucet request for wallet ${walletIndex + 1}`;
+      await faucetService.run(signers[walletIndex], walletIndex, options);
+    }
+    
+    spinner.succeed('Faucet requests completed');
+  } catch (error) {
+    spinner.fail(`Error running faucet requests: ${error.message}`);
+    logger.error(`Error running faucet requests: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the full command
+ * @param {Object} services - All services
+ * @param {Signer[]} signers - Signers of all wallets
+ */
+async function handleFullCommand(services, signers) {
+  displaySectionHeader('Full Automation');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  
+  // Prompt for thread count
+  let threadCount = 3;
+  const { threads, customThreads } = await promptForThreadCount();
+  threadCount = threads === 'custom' ? customThreads : threads;
+  
+  // Set thread count for worker manager
+  workerManager.setMaxConcurrentWorkers(threadCount);
+  
+  // Display confirmation
+  const walletDisplay = walletIndex === 'all' ? 'all wallets' : `wallet ${walletIndex + 1}`;
+  
+  const { confirmed } = await promptForConfirmation(
+    `Run full automation for ${walletDisplay} using ${threadCount} threads?`
+  );
+  
+  if (!confirmed) {
+    displayMessage('Operation cancelled', 'info');
+    return;
+  }
+  
+  // Create spinner
+  const spinner = createSpinner('Initializing full automation');
+  spinner.start();
+  
+  try {
+    if (walletIndex === 'all') {
+      // Process all wallets
+      spinner.text = 'Running full automation for all wallets';
+      
+      for (let i = 0; i < signers.length; i++) {
+        spinner.text = `Running full automation for wallet ${i + 1}/${signers.length}`;
+        await runFullAutomation(services, signers[i], i, threadCount);
+      }
+    } else {
+      // Process only the specified wallet
+      spinner.text = `Running full automation for wallet ${walletIndex + 1}`;
+      await runFullAutomation(services, signers[walletIndex], walletIndex, threadCount);
+    }
+    
+    spinner.succeed('Full automation completed successfully');
+  } catch (error) {
+    spinner.fail(`Error running full automation: ${error.message}`);
+    logger.error(`Error running full automation: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the progress command
+ * @param {Signer[]} signers - Signers of all wallets
+ * @param {Object} config - Application configuration
+ */
+async function handleProgressCommand(signers, config) {
+  displaySectionHeader('Progress');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers, false);
+  
+  // Create spinner
+  const spinner = createSpinner(`Loading progress for wallet ${walletIndex + 1}`);
+  spinner.start();
+  
+  try {
+    // Get progress data
+    const progressService = new ProgressService(signers[walletIndex].walletId, walletIndex);
+    const progressData = await progressService.readProgressData();
+    
+    // Get transfer history
+    const ledger = new TransferLedger(signers[walletIndex].walletId, walletIndex);
+    const recentTransfers = await ledger.getRecent(10);
+    const ledgerSummary = await ledger.getSummary();
+    
+    spinner.succeed(`Progress loaded for wallet ${walletIndex + 1}`);
+    
+    // Display progress data
+    displayProgress(progressData, config);
+    
+    // Display addresses
+    displayAddresses(progressData.addresses);
+    
+    // Display transfer history
+    displayTransferHistory(recentTransfers, ledgerSummary);
+  
+  } catch (error) {
+    spinner.fail(`Error loading progress: ${error.message}`);
+    logger.error(`Error loading progress: ${error.message}`);
+  }
+}
+
+/**
+ * Handle the XP command
+ * @param {QuestEvaluator} evaluator - Quest evaluator
+ * @param {Signer[]} signers - Signers of all wallets
+ */
+async function handleXpCommand(evaluator, signers) {
+  displaySectionHeader('XP and Milestones');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  const walletIndexes = walletIndex === 'all' ? signers.map((_, i) => i) : [walletIndex];
+  
+  const evaluations = [];
+  for (const index of walletIndexes) {
+    const progressData = await new ProgressService(signers[index].walletId, index).readProgressData();
+    const evaluation = evaluator.evaluateWallet(progressData);
+    displayXp(index, progressData.label, evaluation);
+    evaluations.push(evaluation);
+  }
+  
+  if (evaluations.length > 1) {
+    displayXpSummary(evaluator.summarize(evaluations));
+  }
+}
+
+/**
+ * Handle the reconcile command
+ * @param {Object} reconcileService - Reconcile service
+ * @param {Signer[]} signers - Signers of all wallets
+ */
+async function handleReconcileCommand(reconcileService, signers) {
+  displaySectionHeader('Reconcile Progress');
+  
+  // Prompt for wallet selection
+  const { walletIndex } = await selectWallet(signers);
+  const walletIndexes = walletIndex === 'all' ? signers.map((_, i) => i) : [walletIndex];
+  
+  // Create spinner
+  const spinner = createSpinner('Reading on-chain history');
+  spinner.start();
+  
+  const reports = [];
+  
+  try {
+    for (const index of walletIndexes) {
+      spinner.text = `Reading on-chain history for wallet ${index + 1}`;
+      reports.push(await reconcileService.buildReport(signers[index], index));
+    }
+    
+    spinner.succeed('On-chain history loaded');
+  } catch (error) {
+    spinner.fail(`Error reading on-chain history: ${error.message}`);
+    logger.error(`Error reading on-chain history: ${error.message}`);
+    return;
+  }
+  
+  // Show the diff before writing anything
+  reports.forEach(report => displayReconcileDiff(report.walletIndex, report.changes));
+  
+  const reportsWithChanges = reports.filter(report => report.changes.length > 0);
+  
+  if (reportsWithChanges.length === 0) {
+    displayMessage('All progress files already match on-chain history', 'success');
+    return;
+  }
+  
+  const { confirmed } = await promptForConfirmation(
+    `Write on-chain values to ${reportsWithChanges.length} progress file(s)?`
+  );
+  
+  if (!confirmed) {
+    displayMessage('Operation cancelled', 'info');
+    return;
+  }
+  
+  for (const report of reportsWithChanges) {
+    await reconcileService.applyReport(report);
+  }
+  
+  displayMessage(`Reconciled ${reportsWithChanges.length} wallet(s)`, 'success');
+}
+
+export {
+  runInteractiveUI
+};
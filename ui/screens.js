@@ -1,126 +1,319 @@
-// ui/screens.js
-import chalk from 'chalk';
-import figlet from 'figlet';
-import clear from 'clear';
-import boxen from 'boxen';
-import ora from 'ora';
-import { setActiveSpinner } from '../utils/logger.js';
-
-/**
- * Display the application banner
- */
-function displayBanner() {
-  clear();
-  console.log(
-    chalk.blue(
-      figlet.textSync('Union Quest Bot', { horizontalLayout: 'full' })
-    )
-  );
-  console.log(chalk.cyan('Interactive Terminal UI - Multi-threaded Edition'));
-  console.log();
-}
-
-/**
- * Display a message box
- * @param {string} message - Message to display
- * @param {string} type - Type of message (info, success, error)
- */
-function displayMessage(message, type = 'info') {
-  const colors = {
-    info: chalk.blue,
-    success: chalk.green,
-    error: chalk.red,
-    warning: chalk.yellow
-  };
-
-  console.log(
-    boxen(colors[type](message), {
-      padding: 1,
-      borderColor: type === 'error' ? 'red' : type === 'success' ? 'green' : 'blue',
-      borderStyle: 'round'
-    })
-  );
-}
-
-/**
- * Display progress information
- * @param {Object} progressData - Progress data object
- */
-function displayProgress(progressData) {
-  console.log(chalk.cyan.bold('\nCurrent Progress:'));
-  
-  // Display daily interaction progress
-  console.log(chalk.cyan('\nDaily Interactions:'));
-  console.log(chalk.white(`UNION: ${progressData.dailyInteractions.UNION.count} days`));
-  console.log(chalk.white(`BABYLON: ${progressData.dailyInteractions.BABYLON.count} days`));
-  
-  // Display transfer progress
-  console.log(chalk.cyan('\nTransfers:'));
-  console.log(chalk.white(`TO UNION: ${progressData.transfers.UNION.count} transfers`));
-  console.log(chalk.white(`TO BABYLON: ${progressData.transfers.BABYLON.count} transfers`));
-  
-  // Display cross-chain quest progress
-  console.log(chalk.cyan('\nCross-Chain Quests:'));
-  Object.entries(progressData.crossChain).forEach(([quest, { completed }]) => {
-    console.log(chalk.white(`${quest}: ${completed ? chalk.green('Completed') : chalk.yellow('Pending')}`));
-  });
-  
-  console.log(); // Empty line for spacing
-}
-
-/**
- * Create and return a spinner
- * @param {string} text - Initial spinner text
- * @returns {Object} Ora spinner instance
- */
-function createSpinner(text) {
-  const spinner = ora({
-    text,
-    color: 'cyan',
-    discardStdin: false,
-    spinner: 'dots'
-  }).start();
-  
-  // Register the spinner with the logger
-  setActiveSpinner(spinner);
-  
-  // Add cleanup function to remove spinner when stopped
-  const originalStop = spinner.stop.bind(spinner);
-  spinner.stop = function(...args) {
-    setActiveSpinner(null);
-    return originalStop(...args);
-  };
-  
-  return spinner;
-}
-
-/**
- * Display a section header
- * @param {string} title - Section title
- */
-function displaySectionHeader(title) {
-  console.log(chalk.cyan.bold(`\n=== ${title} ===`));
-}
-
-/**
- * Display addresses for all chains
- * @param {Object} addresses - Address object mapping chain names to addresses
- */
-function displayAddresses(addresses) {
-  displaySectionHeader('Wallet Addresses');
-  
-  Object.entries(addresses).forEach(([chain, address]) => {
-    if (address) {
-      console.log(chalk.white(`${chain}: ${address}`));
-    }
-  });
-}
-
-export {
-  displayBanner,
-  displayMessage,
-  displayProgress,
-  createSpinner,
-  displaySectionHeader,
-  displayAddresses
-};
\ No newline at end of file
+// ui/screens.js
+import chalk from 'chalk';
+import figlet from 'figlet';
+import clear from 'clear';
+import boxen from 'boxen';
+import ora from 'ora';
+import { setActiveSpinner } from '../utils/logger.js';
+import { formatDate, fromRawAmount, formatWalletName } from '../utils/common.js';
+import { getQuestDay, getStreaks } from '../utils/dates.js';
+import QuestEvaluator from '../core/quests/evaluator.js';
+
+/**
+ * Display the application banner
+ */
+function displayBanner() {
+  clear();
+  console.log(
+    chalk.blue(
+      figlet.textSync('Union Quest Bot', { horizontalLayout: 'full' })
+    )
+  );
+  console.log(chalk.cyan('Interactive Terminal UI - Multi-threaded Edition'));
+  console.log();
+}
+
+/**
+ * Display a message box
+ * @param {string} message - Message to display
+ * @param {string} type - Type of message (info, success, error)
+ */
+function displayMessage(message, type = 'info') {
+  const colors = {
+    info: chalk.blue,
+    success: chalk.green,
+    error: chalk.red,
+    warning: chalk.yellow
+  };
+
+  console.log(
+    boxen(colors[type](message), {
+      padding: 1,
+      borderColor: type === 'error' ? 'red' : type === 'success' ? 'green' : 'blue',
+      borderStyle: 'round'
+    })
+  );
+}
+
+/**
+ * Display progress information
+ * @param {Object} progressData - Progress data object
+ * @param {Object} config - Application configuration (for the daily quests and day boundary)
+ */
+function displayProgress(progressData, config) {
+  const evaluation = new QuestEvaluator(config).evaluateWallet(progressData);
+  const { xp } = evaluation;
+  
+  console.log(chalk.cyan.bold('\nCurrent Progress:'));
+  console.log(chalk.white(`XP: ${xp.earned}/${xp.total} earned`));
+  
+  // Daily quests are reached with consecutive days, so show streaks rather than the total
+  console.log(chalk.cyan('\nDaily Interactions:'));
+  const today = getQuestDay(new Date(), config.dayBoundary.timeZone);
+  Object.entries(progressData.dailyInteractions).forEach(([chain, { count, dates = [] }]) => {
+    const { current, longest } = getStreaks(dates, today);
+    console.log(chalk.white(`${chain}: ${current}-day streak (longest ${longest}, ${count} days in total)`));
+    displayChainMilestones(evaluation, 'daily', chain);
+  });
+  
+  // Display transfer progress
+  console.log(chalk.cyan('\nTransfers:'));
+  Object.entries(progressData.transfers).forEach(([chain, { count }]) => {
+    console.log(chalk.white(`TO ${chain}: ${count} transfers`));
+    displayChainMilestones(evaluation, 'transfer', chain);
+  });
+  
+  // Display cross-chain quest progress
+  console.log(chalk.cyan('\nCross-Chain Quests:'));
+  Object.entries(progressData.crossChain).forEach(([quest, { completed, path, hops = [], fundsAt }]) => {
+    const delivered = hops.filter(hop => hop.status === 'delivered').length;
+    const attempt = !completed && path && hops.length > 0
+      ? chalk.gray(` (${delivered}/${path.length - 1} hops delivered, funds on ${fundsAt})`)
+      : '';
+    console.log(chalk.white(`${quest}: ${completed ? chalk.green('Completed') : chalk.yellow('Pending')}${attempt}`));
+  });
+  
+  // Display custom quest progress
+  if (Object.keys(progressData.custom || {}).length > 0) {
+    console.log(chalk.cyan('\nCustom Quests:'));
+    Object.entries(progressData.custom).forEach(([quest, { completed }]) => {
+      console.log(chalk.white(`${quest}: ${completed ? chalk.green('Completed') : chalk.yellow('Pending')}`));
+    });
+  }
+  
+  console.log(); // Empty line for spacing
+}
+
+/**
+ * Display the earned and next milestones of a chain
+ * @param {Object} evaluation - Wallet evaluation from QuestEvaluator
+ * @param {string} family - Quest family
+ * @param {string} chain - Chain name
+ */
+function displayChainMilestones(evaluation, family, chain) {
+  const reached = evaluation.milestones.filter(m => m.family === family && m.chain === chain && m.earned);
+  const next = evaluation.next.find(m => m.family === family && m.chain === chain);
+  
+  if (reached.length > 0) {
+    console.log(chalk.green(`  Reached: ${reached.map(m => m.name).join(', ')}`));
+  }
+  if (next) {
+    console.log(chalk.gray(`  Next: ${next.name} at ${next.target} ${next.unit} (${next.current}/${next.target})`));
+  }
+}
+
+/**
+ * Describe the progress still needed for a milestone
+ * @param {Object} milestone - Milestone status from QuestEvaluator
+ * @returns {string} Remaining progress
+ */
+function describeRemaining(milestone) {
+  if (milestone.remaining === null) {
+    return `${milestone.current} ${milestone.unit} so far; the total is known once the route is planned`;
+  }
+  
+  return `${milestone.remaining} more ${milestone.unit} (${milestone.current}/${milestone.target})`;
+}
+
+/**
+ * Display the XP and milestones of a wallet
+ * @param {number} walletIndex - Wallet index
+ * @param {string|null} label - Wallet label
+ * @param {Object} evaluation - Wallet evaluation from QuestEvaluator
+ */
+function displayXp(walletIndex, label, evaluation) {
+  const { xp, milestones, next } = evaluation;
+  displaySectionHeader(`${formatWalletName(walletIndex, label)} XP`);
+  
+  console.log(chalk.white(`XP: ${chalk.green(xp.earned)} earned, ${chalk.yellow(xp.available)} still available (${xp.total} total)`));
+  
+  const earned = milestones.filter(milestone => milestone.earned);
+  console.log(chalk.cyan(`\nEarned (${earned.length}/${milestones.length}):`));
+  earned.forEach(({ family, chain, name, xp: questXp }) => {
+    console.log(chalk.green(`  ${family} ${chain ? `${chain} ` : ''}${name} (+${questXp})`));
+  });
+  
+  if (next.length > 0) {
+    console.log(chalk.cyan('\nNext:'));
+    next.forEach(milestone => {
+      const { family, chain, name, xp: questXp } = milestone;
+      console.log(chalk.white(`  ${family} ${chain ? `${chain} ` : ''}${name} (+${questXp}): ${describeRemaining(milestone)}`));
+    });
+  }
+  
+  console.log(); // Empty line for spacing
+}
+
+/**
+ * Display the XP summary of several wallets
+ * @param {Object} summary - Summary from QuestEvaluator.summarize
+ */
+function displayXpSummary(summary) {
+  const { wallets, xp, milestones } = summary;
+  displaySectionHeader('Portfolio XP');
+  
+  console.log(chalk.white(`${wallets} wallet(s): ${chalk.green(xp.earned)} XP earned, ${chalk.yellow(xp.available)} still available (${xp.total} total)`));
+  console.log(chalk.cyan('\nWallets that earned each quest:'));
+  milestones.forEach(({ family, chain, name, xp: questXp, earnedBy }) => {
+    const color = earnedBy === wallets ? chalk.green : earnedBy > 0 ? chalk.yellow : chalk.gray;
+    console.log(color(`  ${family} ${chain ? `${chain} ` : ''}${name} (+${questXp}): ${earnedBy}/${wallets}`));
+  });
+  
+  console.log(); // Empty line for spacing
+}
+
+/**
+ * Create and return a spinner
+ * @param {string} text - Initial spinner text
+ * @returns {Object} Ora spinner instance
+ */
+function createSpinner(text) {
+  const spinner = ora({
+    text,
+    color: 'cyan',
+    discardStdin: false,
+    spinner: 'dots'
+  }).start();
+  
+  // Register the spinner with the logger
+  setActiveSpinner(spinner);
+  
+  // Add cleanup function to remove spinner when stopped
+  const originalStop = spinner.stop.bind(spinner);
+  spinner.stop = function(...args) {
+    setActiveSpinner(null);
+    return originalStop(...args);
+  };
+  
+  return spinner;
+}
+
+/**
+ * Display a section header
+ * @param {string} title - Section title
+ */
+function displaySectionHeader(title) {
+  console.log(chalk.cyan.bold(`\n=== ${title} ===`));
+}
+
+/**
+ * Display addresses for all chains
+ * @param {Object} addresses - Address object mapping chain names to addresses
+ */
+function displayAddresses(addresses) {
+  displaySectionHeader('Wallet Addresses');
+  
+  Object.entries(addresses).forEach(([chain, address]) => {
+    if (address) {
+      console.log(chalk.white(`${chain}: ${address}`));
+    }
+  });
+}
+
+/**
+ * Display recent transfer history from the ledger
+ * @param {Object[]} entries - Ledger entries, newest first
+ * @param {Object} summary - Ledger summary
+ */
+function displayTransferHistory(entries, summary) {
+  displaySectionHeader('Transfer History');
+  
+  console.log(chalk.white(`Total: ${summary.total} (${chalk.green(`${summary.succeeded} succeeded`)}, ${chalk.red(`${summary.failed} failed`)})`));
+  
+  if (entries.length === 0) {
+    console.log(chalk.white('No transfers recorded yet'));
+    return;
+  }
+  
+  console.log(chalk.cyan(`\nLast ${entries.length} transfer(s):`));
+  entries.forEach(entry => {
+    const status = entry.status === 'success' ? chalk.green('OK') : chalk.red('FAILED');
+    const details = entry.status === 'success' ? entry.hash : entry.error;
+    console.log(chalk.white(`${formatDate(entry.timestamp, true)} ${entry.sourceChain} → ${entry.destinationChain} ${entry.amount} ${status} ${details || ''}`));
+  });
+  
+  console.log(); // Empty line for spacing
+}
+
+/**
+ * Display the differences found by a progress reconciliation
+ * @param {number} walletIndex - Wallet index
+ * @param {Object[]} changes - Differences as { field, current, onChain }
+ */
+function displayReconcileDiff(walletIndex, changes) {
+  displaySectionHeader(`Wallet ${walletIndex + 1} Reconciliation`);
+  
+  if (changes.length === 0) {
+    console.log(chalk.green('Progress matches on-chain history'));
+    return;
+  }
+  
+  changes.forEach(({ field, current, onChain }) => {
+    console.log(chalk.white(`${field}: ${chalk.red(String(current))} → ${chalk.green(String(onChain))}`));
+  });
+  
+  console.log(); // Empty line for spacing
+}
+
+/**
+ * Display a dry-run plan
+ * Amounts in a chain's own denom are shown in display units with the chain's symbol; other
+ * denoms are shown as raw amounts, since their decimals are unknown.
+ * @param {Object} plan - Plan built by QuestPlanner
+ * @param {Object} config - Application configuration (for token decimals and symbols)
+ */
+function displayPlan(plan, config) {
+  const format = (chain, rawAmount, denom) => {
+    const { denom: chainDenom, decimals, symbol } = config.chains[chain];
+    return denom === chainDenom ? `${fromRawAmount(rawAmount, decimals)} ${symbol}` : `${rawAmount} ${denom}`;
+  };
+  
+  for (const wallet of plan.wallets) {
+    displaySectionHeader(`Wallet ${wallet.wallet} Plan`);
+    
+    if (wallet.steps.length === 0) {
+      console.log(chalk.white('Nothing to do'));
+    }
+    
+    wallet.steps.forEach((step, i) => {
+      const fee = format(step.sourceChain, step.estimatedFee.amount, step.estimatedFee.denom);
+      const amount = format(step.sourceChain, step.rawAmount, step.denom);
+      console.log(chalk.white(`${i + 1}. [${step.quest}] ${step.transferType}: ${amount} to ${step.receiver} (fee ~${fee})`));
+    });
+    
+    wallet.notes.forEach(note => console.log(chalk.gray(note)));
+    wallet.errors.forEach(error => console.log(chalk.red(error)));
+    
+    wallet.funds.forEach(({ chain, denom, required, balance, sufficient, error }) => {
+      const status = error ? chalk.red(error) : sufficient ? chalk.green('OK') : chalk.red('INSUFFICIENT');
+      const available = balance === null ? '?' : format(chain, balance, denom);
+      console.log(chalk.white(`${chain}: needs ${format(chain, required, denom)}, has ${available} ${status}`));
+    });
+  }
+  
+  console.log(chalk.cyan(`\n${plan.summary.steps} step(s) planned for ${plan.summary.wallets} wallet(s); ${plan.summary.ready} ready to run. Nothing was signed.`));
+}
+
+export {
+  displayBanner,
+  displayMessage,
+  displayProgress,
+  createSpinner,
+  displaySectionHeader,
+  displayAddresses,
+  displayTransferHistory,
+  displayReconcileDiff,
+  displayPlan,
+  displayXp,
+  displayXpSummary
+};
@@ -0,0 +1,138 @@
+// utils/dates.js - Quest days and daily streaks
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a fixed UTC offset such as "+08:00" or "-05:30"
+ * @param {string} timeZone - Time zone setting
+ * @returns {number|null} Offset in minutes, or null if the setting is not a fixed offset
+ */
+function parseFixedOffset(timeZone) {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(timeZone);
+  if (!match) {
+    return null;
+  }
+  
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Check whether a time zone setting is an IANA time zone or a fixed UTC offset
+ * @param {string} timeZone - Time zone setting
+ * @returns {boolean} True if the setting can be used for quest days
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string') {
+    return false;
+  }
+  
+  const offset = parseFixedOffset(timeZone);
+  if (offset !== null) {
+    return Math.abs(offset) <= 14 * 60;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset of a time zone at a moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone or fixed UTC offset
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+function getUtcOffsetMinutes(date, timeZone) {
+  const fixed = parseFixedOffset(timeZone);
+  if (fixed !== null) {
+    return fixed;
+  }
+  
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  
+  // The wall-clock time in the zone, read as if it were UTC, is ahead of the moment by the offset
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wallClock - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * Get the quest day a moment belongs to
+ * @param {Date} [date] - Moment (default: now)
+ * @param {string} [timeZone] - IANA time zone or fixed UTC offset the day boundary follows
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getQuestDay(date = new Date(), timeZone = 'UTC') {
+  const local = new Date(date.getTime() + getUtcOffsetMinutes(date, timeZone) * 60000);
+  return local.toISOString().split('T')[0];
+}
+
+/**
+ * Get the moment a quest day starts
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {string} [timeZone] - IANA time zone or fixed UTC offset the day boundary follows
+ * @returns {Date} Start of the day
+ */
+function getDayStart(day, timeZone = 'UTC') {
+  const midnight = new Date(`${day}T00:00:00.000Z`);
+  const start = new Date(midnight.getTime() - getUtcOffsetMinutes(midnight, timeZone) * 60000);
+  
+  // The offset at midnight UTC can differ from the offset at local midnight around DST changes
+  return new Date(midnight.getTime() - getUtcOffsetMinutes(start, timeZone) * 60000);
+}
+
+/**
+ * Add a number of days to a day
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting day as YYYY-MM-DD
+ */
+function addDays(day, days) {
+  return new Date(new Date(`${day}T00:00:00.000Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Compute the streaks of consecutive days in a list of days
+ * The current streak is still running if its last day is today or yesterday, since today's
+ * interaction may not have happened yet.
+ * @param {string[]} dates - Days as YYYY-MM-DD, in any order
+ * @param {string} today - Current quest day
+ * @returns {{current: number, longest: number}} Current and longest streak in days
+ */
+function getStreaks(dates, today) {
+  const days = [...new Set(dates)].filter(day => day <= today).sort();
+  let longest = 0;
+  let run = 0;
+  
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  
+  const last = days[days.length - 1];
+  const current = last === today || last === addDays(today, -1) ? run : 0;
+  
+  return { current, longest };
+}
+
+export {
+  isValidTimeZone,
+  getUtcOffsetMinutes,
+  getQuestDay,
+  getDayStart,
+  addDays,
+  getStreaks
+};